@@ -0,0 +1,102 @@
+/**
+ * OCSV - Columnar Buffer Decoding
+ *
+ * Decodes the columnar buffer written by `ocsv_rows_to_columnar` (layout in
+ * src/columnar.odin). Numeric columns become typed array views over the
+ * buffer, so they are not copied; string columns are decoded into arrays.
+ *
+ * @module ocsv/columnar
+ */
+
+/**
+ * Magic number at the start of every columnar buffer ("OCOL")
+ * @type {number}
+ */
+export const COLUMNAR_MAGIC = 0x4F434F4C;
+
+/**
+ * Column type names accepted by `columnTypes`, by native type code
+ * @type {string[]}
+ */
+export const COLUMN_TYPES = ['auto', 'string', 'float64', 'int32'];
+
+/**
+ * Decode a columnar buffer into named columns
+ *
+ * @param {ArrayBuffer} buffer - Columnar buffer (typed arrays keep a reference to it)
+ * @param {string[]} names - Column names, one per column in the buffer
+ * @returns {{rowCount: number, columns: Object<string, string[]|Float64Array|Int32Array>}} Data row count and columns
+ * @throws {Error} If the header is invalid or does not match `names`
+ *
+ * @example
+ * const { columns } = decodeColumnarBuffer(buffer, ['city', 'population']);
+ * columns.population; // Int32Array
+ */
+export function decodeColumnarBuffer(buffer, names) {
+	const view = new DataView(buffer);
+
+	const magic = view.getUint32(0, true);
+	if (magic !== COLUMNAR_MAGIC) {
+		throw new Error(`Invalid magic number: 0x${magic.toString(16)}`);
+	}
+	const version = view.getUint32(4, true);
+	if (version !== 1) {
+		throw new Error(`Unsupported version: ${version}`);
+	}
+
+	const rowCount = view.getUint32(8, true);
+	const columnCount = view.getUint32(12, true);
+	if (columnCount !== names.length) {
+		throw new Error(`Column count mismatch: expected ${names.length}, got ${columnCount}`);
+	}
+	if (BigInt(buffer.byteLength) !== view.getBigUint64(16, true)) {
+		throw new Error(`Buffer size mismatch: expected ${view.getBigUint64(16, true)}, got ${buffer.byteLength}`);
+	}
+
+	const columns = {};
+	const decoder = new TextDecoder('utf-8');
+
+	for (let i = 0; i < columnCount; i++) {
+		const type = COLUMN_TYPES[view.getUint32(24 + i * 16, true)];
+		const offset = Number(view.getBigUint64(24 + i * 16 + 8, true));
+
+		switch (type) {
+			case 'float64':
+				columns[names[i]] = new Float64Array(buffer, offset, rowCount);
+				break;
+			case 'int32':
+				columns[names[i]] = new Int32Array(buffer, offset, rowCount);
+				break;
+			case 'string':
+				columns[names[i]] = _decodeStrings(buffer, offset, rowCount, decoder);
+				break;
+			default:
+				throw new Error(`Invalid column type for ${names[i]}`);
+		}
+	}
+
+	return { rowCount, columns };
+}
+
+/**
+ * Decode a string column: (rowCount + 1) u32 offsets, then UTF-8 bytes
+ * @private
+ * @param {ArrayBuffer} buffer - Columnar buffer
+ * @param {number} offset - Start of the column
+ * @param {number} rowCount - Number of values
+ * @param {TextDecoder} decoder - UTF-8 decoder
+ * @returns {string[]} Column values
+ */
+function _decodeStrings(buffer, offset, rowCount, decoder) {
+	const offsets = new Uint32Array(buffer, offset, rowCount + 1);
+	const bytes = new Uint8Array(buffer, offset + (rowCount + 1) * 4);
+	const values = new Array(rowCount);
+
+	for (let r = 0; r < rowCount; r++) {
+		const start = offsets[r];
+		const end = offsets[r + 1];
+		values[r] = end > start ? decoder.decode(bytes.subarray(start, end)) : "";
+	}
+
+	return values;
+}
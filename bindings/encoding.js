@@ -0,0 +1,367 @@
+/**
+ * OCSV - Input Encodings
+ *
+ * The native parser only reads UTF-8. This module detects the encoding of
+ * byte input (BOM first, then heuristics) and transcodes it to UTF-8, either
+ * all at once or chunk by chunk for streams. UTF-8 input is passed through
+ * without copying.
+ *
+ * @module ocsv/encoding
+ */
+
+/**
+ * Supported input encodings
+ * @type {string[]}
+ */
+export const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1', 'windows-1252'];
+
+/**
+ * Alternative names accepted for each encoding
+ * @private
+ * @type {Object<string, string>}
+ */
+const ALIASES = {
+	'utf8': 'utf-8',
+	'utf16le': 'utf-16le',
+	'utf-16': 'utf-16le',
+	'utf16be': 'utf-16be',
+	'iso-8859-1': 'latin1',
+	'cp1252': 'windows-1252',
+};
+
+/**
+ * Byte order marks, longest first
+ * @private
+ */
+const BOMS = [
+	{ encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+	{ encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+	{ encoding: 'utf-16be', bytes: [0xFE, 0xFF] },
+];
+
+/**
+ * Number of leading bytes examined by detectEncoding()
+ * @private
+ */
+const DETECT_BYTES = 4096;
+
+/**
+ * Characters for bytes 0x80-0x9F in Windows-1252 (the rest matches Latin-1;
+ * the five unassigned bytes map to the C1 control of the same value)
+ * @private
+ */
+const WINDOWS_1252_HIGH = [
+	0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+	0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D, 0x017D, 0x008F,
+	0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+	0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x009D, 0x017E, 0x0178,
+];
+
+/**
+ * Validate and normalize an `encoding` option
+ * @param {string} [encoding='utf-8'] - Encoding name, alias or 'auto'
+ * @returns {string} One of `ENCODINGS`, or 'auto'
+ * @throws {TypeError} If the encoding is not supported
+ */
+export function resolveEncoding(encoding = 'utf-8') {
+	const name = typeof encoding === 'string' ? encoding.toLowerCase() : encoding;
+	const resolved = ALIASES[name] ?? name;
+	if (resolved !== 'auto' && !ENCODINGS.includes(resolved)) {
+		throw new TypeError(`encoding must be one of ${ENCODINGS.join(', ')} or 'auto', got ${encoding}`);
+	}
+	return resolved;
+}
+
+/**
+ * Return the encoding announced by a leading byte order mark (internal helper)
+ * @private
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {{encoding: string, length: number}|null} BOM encoding and size, or null
+ */
+function _readBOM(bytes) {
+	for (const bom of BOMS) {
+		if (bytes.length >= bom.bytes.length && bom.bytes.every((b, i) => bytes[i] === b)) {
+			return { encoding: bom.encoding, length: bom.bytes.length };
+		}
+	}
+	return null;
+}
+
+/**
+ * Guess the encoding of CSV bytes
+ *
+ * A byte order mark wins. Otherwise, NUL bytes concentrated at odd or even
+ * offsets indicate UTF-16 (LE or BE), a sample that decodes as UTF-8 is
+ * UTF-8, and anything else is assumed to be Windows-1252 (which also covers
+ * printable Latin-1).
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - Beginning of the input
+ * @returns {string} One of `ENCODINGS`
+ *
+ * @example
+ * import { detectEncoding } from 'ocsv';
+ *
+ * const bytes = new Uint8Array(await Bun.file('./erp-export.csv').arrayBuffer());
+ * detectEncoding(bytes); // 'windows-1252'
+ */
+export function detectEncoding(bytes) {
+	bytes = toBytes(bytes);
+	const bom = _readBOM(bytes);
+	if (bom) {
+		return bom.encoding;
+	}
+
+	const sample = bytes.subarray(0, DETECT_BYTES);
+	let evenZeros = 0;
+	let oddZeros = 0;
+	for (let i = 0; i < sample.length; i++) {
+		if (sample[i] === 0) {
+			if (i % 2 === 0) {
+				evenZeros++;
+			} else {
+				oddZeros++;
+			}
+		}
+	}
+	const pairs = sample.length >> 1;
+	if (pairs > 0 && oddZeros > pairs / 4 && evenZeros < oddZeros / 8) {
+		return 'utf-16le';
+	}
+	if (pairs > 0 && evenZeros > pairs / 4 && oddZeros < evenZeros / 8) {
+		return 'utf-16be';
+	}
+
+	try {
+		// stream: true tolerates a character cut off by the end of the sample
+		new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+		return 'utf-8';
+	} catch {
+		return 'windows-1252';
+	}
+}
+
+/**
+ * View binary input as a Uint8Array without copying
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} input - Binary input
+ * @returns {Uint8Array} Byte view of the input
+ * @throws {TypeError} If the input is not binary
+ */
+export function toBytes(input) {
+	if (input instanceof Uint8Array) {
+		return input;
+	}
+	if (ArrayBuffer.isView(input)) {
+		return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+	}
+	if (input instanceof ArrayBuffer) {
+		return new Uint8Array(input);
+	}
+	throw new TypeError(`Expected a Uint8Array or ArrayBuffer, got ${typeof input}`);
+}
+
+/**
+ * Decode a single-byte encoding (internal helper)
+ * @private
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number[]|null} high - Characters for 0x80-0x9F, or null for Latin-1
+ * @returns {string} Decoded text
+ */
+function _decodeSingleByte(bytes, high) {
+	const parts = [];
+	const units = new Uint16Array(Math.min(bytes.length, 16384));
+	for (let start = 0; start < bytes.length; start += units.length) {
+		const end = Math.min(start + units.length, bytes.length);
+		for (let i = start; i < end; i++) {
+			const b = bytes[i];
+			units[i - start] = high && b >= 0x80 && b <= 0x9F ? high[b - 0x80] : b;
+		}
+		parts.push(String.fromCharCode.apply(null, units.subarray(0, end - start)));
+	}
+	return parts.join('');
+}
+
+/**
+ * Swap the bytes of each UTF-16 code unit (internal helper)
+ * @private
+ * @param {Uint8Array} bytes - Input bytes (even length)
+ * @returns {Uint8Array} Swapped copy
+ */
+function _swapBytes(bytes) {
+	const swapped = new Uint8Array(bytes.length);
+	for (let i = 0; i + 1 < bytes.length; i += 2) {
+		swapped[i] = bytes[i + 1];
+		swapped[i + 1] = bytes[i];
+	}
+	return swapped;
+}
+
+/**
+ * Join two byte arrays, avoiding a copy when one is empty (internal helper)
+ * @private
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Following bytes
+ * @returns {Uint8Array} Joined bytes
+ */
+function _concat(a, b) {
+	if (a.length === 0) {
+		return b;
+	}
+	if (b.length === 0) {
+		return a;
+	}
+	const joined = new Uint8Array(a.length + b.length);
+	joined.set(a);
+	joined.set(b, a.length);
+	return joined;
+}
+
+/**
+ * Create an incremental decoder from one of `ENCODINGS` to UTF-8 bytes
+ *
+ * Characters split across chunks are carried over to the next chunk. UTF-8
+ * input is returned as-is (only a leading BOM is removed), so invalid bytes
+ * still reach the native parser and can be rejected with `strictEncoding`.
+ *
+ * @param {string} [encoding='utf-8'] - Input encoding (or 'auto' to detect it from the first chunk)
+ * @param {Object} [options={}] - Transcoding options
+ * @param {boolean} [options.stripBOM=true] - Remove a leading byte order mark
+ * @returns {{encoding: string|null, push: function((string|Uint8Array|ArrayBuffer)): Uint8Array, flush: function(): Uint8Array}}
+ *   Transcoder; `encoding` is null until 'auto' has seen the first chunk
+ * @throws {TypeError} If the encoding is not supported
+ */
+export function createTranscoder(encoding = 'utf-8', options = {}) {
+	const stripBOM = options.stripBOM ?? true;
+	const textEncoder = new TextEncoder();
+	let resolved = resolveEncoding(encoding);
+	let decoder = null;
+	let pending = null;  // Odd byte of a UTF-16BE code unit
+	let started = false;
+
+	// Leading bytes are held back until the encoding can be detected and a BOM ruled out
+	let head = new Uint8Array(0);
+	const headSize = resolved === 'auto' ? DETECT_BYTES : (resolved === 'utf-8' && stripBOM ? 3 : 0);
+
+	const decodeUTF16 = (bytes, stream) => {
+		if (resolved === 'utf-16be') {
+			if (pending !== null) {
+				bytes = _concat(new Uint8Array([pending]), bytes);
+				pending = null;
+			}
+			if (bytes.length % 2 === 1) {
+				pending = bytes[bytes.length - 1];
+				bytes = bytes.subarray(0, bytes.length - 1);
+			}
+			bytes = _swapBytes(bytes);
+		}
+		return decoder.decode(bytes, { stream });
+	};
+
+	const convert = (bytes) => {
+		switch (resolved) {
+			case 'utf-8':
+				return bytes;
+			case 'utf-16le':
+			case 'utf-16be':
+				return textEncoder.encode(decodeUTF16(bytes, true));
+			case 'latin1':
+				return textEncoder.encode(_decodeSingleByte(bytes, null));
+			default:
+				return textEncoder.encode(_decodeSingleByte(bytes, WINDOWS_1252_HIGH));
+		}
+	};
+
+	const start = (bytes) => {
+		started = true;
+		if (resolved === 'auto') {
+			resolved = detectEncoding(bytes);
+		}
+		transcoder.encoding = resolved;
+		if (resolved === 'utf-16le' || resolved === 'utf-16be') {
+			// TextDecoder drops the BOM itself (a swapped UTF-16BE BOM reads as a UTF-16LE one)
+			decoder = new TextDecoder('utf-16le', { ignoreBOM: !stripBOM });
+		} else if (resolved === 'utf-8' && stripBOM && _readBOM(bytes)?.encoding === 'utf-8') {
+			bytes = bytes.subarray(3);
+		}
+		return convert(bytes);
+	};
+
+	const transcoder = {
+		encoding: resolved === 'auto' ? null : resolved,
+
+		push(chunk) {
+			if (typeof chunk === 'string') {
+				// Strings are already decoded
+				if (!started) {
+					started = true;
+					transcoder.encoding = resolved === 'auto' ? 'utf-8' : resolved;
+					if (stripBOM && chunk.charCodeAt(0) === 0xFEFF) {
+						chunk = chunk.slice(1);
+					}
+				}
+				return textEncoder.encode(chunk);
+			}
+
+			let bytes = toBytes(chunk);
+			if (started) {
+				return convert(bytes);
+			}
+			bytes = _concat(head, bytes);
+			if (bytes.length < headSize) {
+				head = bytes;
+				return new Uint8Array(0);
+			}
+			head = new Uint8Array(0);
+			return start(bytes);
+		},
+
+		flush() {
+			let rest = new Uint8Array(0);
+			if (!started && head.length > 0) {
+				rest = start(head);
+				head = new Uint8Array(0);
+			}
+			if (decoder) {
+				// An incomplete trailing character decodes to U+FFFD
+				const tail = decoder.decode() + (pending !== null ? '\uFFFD' : '');
+				pending = null;
+				rest = _concat(rest, textEncoder.encode(tail));
+			}
+			return rest;
+		},
+	};
+	return transcoder;
+}
+
+/**
+ * Transcode complete input to UTF-8 bytes
+ * @param {string|Uint8Array|ArrayBuffer} input - CSV data
+ * @param {string} [encoding='utf-8'] - Encoding of byte input (or 'auto'); ignored for strings
+ * @param {Object} [options={}] - Transcoding options
+ * @param {boolean} [options.stripBOM=true] - Remove a leading byte order mark
+ * @returns {{bytes: Uint8Array, encoding: string}} UTF-8 bytes (a view of the input for UTF-8) and the encoding used
+ * @throws {TypeError} If the encoding is not supported
+ */
+export function toUTF8(input, encoding = 'utf-8', options = {}) {
+	const transcoder = createTranscoder(encoding, options);
+	const bytes = _concat(transcoder.push(input), transcoder.flush());
+	return { bytes, encoding: transcoder.encoding };
+}
+
+/**
+ * Decode bytes in any supported encoding to a string
+ * @param {Uint8Array|ArrayBuffer} bytes - Encoded input
+ * @param {string} [encoding='utf-8'] - Input encoding (or 'auto')
+ * @param {Object} [options={}] - Decoding options
+ * @param {boolean} [options.stripBOM=true] - Remove a leading byte order mark
+ * @returns {string} Decoded text (invalid UTF-8 becomes U+FFFD)
+ * @throws {TypeError} If the encoding is not supported
+ *
+ * @example
+ * import { decodeBytes } from 'ocsv';
+ *
+ * decodeBytes(new Uint8Array([0x63, 0x61, 0x66, 0xE9]), 'latin1'); // 'café'
+ */
+export function decodeBytes(bytes, encoding = 'utf-8', options = {}) {
+	const { bytes: utf8 } = toUTF8(toBytes(bytes), encoding, options);
+	return new TextDecoder('utf-8', { ignoreBOM: true }).decode(utf8);
+}
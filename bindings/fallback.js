@@ -0,0 +1,942 @@
+/**
+ * OCSV - JavaScript Backend
+ *
+ * Pure-JavaScript port of the native parser, used by `index.js` when the
+ * native library cannot be loaded (no prebuild for the platform, or a
+ * runtime without `bun:ffi`) or when `OCSV_BACKEND=js` is set. It runs the
+ * same state machine as src/parser.odin (`FallbackParser`) and
+ * src/streaming.odin (`FallbackStream`), so rows, null fields, error codes,
+ * messages and locations match the native backend. The conformance suite
+ * (test/conformance.test.js) runs against both.
+ *
+ * Fields are strings, or null for fields that were empty and unquoted in
+ * the input (the native null fields).
+ *
+ * @module ocsv/fallback
+ * @private
+ */
+
+/**
+ * Error codes raised by the parser (values of ParseErrorCode, see src/error.odin)
+ * @private
+ */
+const ERROR_CODES = {
+	INVALID_UTF8: 2,
+	UNTERMINATED_QUOTE: 3,
+	INVALID_CHARACTER_AFTER_QUOTE: 4,
+	MAX_ROW_SIZE_EXCEEDED: 5,
+	MAX_FIELD_SIZE_EXCEEDED: 6,
+	ABORTED: 11,
+};
+
+/**
+ * Characters of input between two progress callbacks (PROGRESS_INTERVAL in src/parser.odin counts bytes)
+ * @private
+ */
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+/**
+ * Most characters before and bytes after an error kept in its context (see src/error.odin)
+ * @private
+ */
+const ERROR_CONTEXT_BEFORE = 60;
+const ERROR_CONTEXT_AFTER = 40;
+
+/**
+ * Size limits of streams in bytes (defaults of Streaming_Config in src/streaming.odin)
+ * @private
+ */
+const STREAM_MAX_FIELD_SIZE = 1024 * 1024;
+const STREAM_MAX_ROW_SIZE = 10 * 1024 * 1024;
+
+/**
+ * States of the parser (Parse_State in src/parser.odin)
+ * @private
+ */
+const FIELD_START = 0;
+const IN_FIELD = 1;
+const IN_QUOTED_FIELD = 2;
+const QUOTE_IN_QUOTE = 3;
+const FIELD_END = 4;  // Skipping a comment line
+
+const LF = 0x0A;
+const CR = 0x0D;
+const EMPTY_BYTES = new Uint8Array(0);
+
+/**
+ * Decoder for UTF-8 input (a BOM is kept: it is stripped before parsing, if at all)
+ * @private
+ */
+const DECODER = new TextDecoder('utf-8', { ignoreBOM: true });
+
+/**
+ * Parser configuration, with the defaults of `default_config()` (src/config.odin)
+ *
+ * Characters are byte values, as set by `ocsv_set_*`.
+ * @typedef {Object} FallbackConfig
+ * @property {number} delimiter
+ * @property {number} quote
+ * @property {number} escape - When it differs from `quote`, makes a following quote or escape literal in quoted fields
+ * @property {number} comment - 0 disables comments
+ * @property {boolean} skipEmptyLines - Stored only (native parsing does not use it either)
+ * @property {boolean} trim
+ * @property {boolean} relaxed
+ * @property {number} maxRowSize - Only used by native recovery parsing
+ * @property {number} fromLine - Applied by streams
+ * @property {number} toLine - Applied by streams
+ * @property {boolean} skipLinesWithError - Only used by native recovery parsing
+ * @property {boolean} strictUTF8
+ */
+
+/**
+ * Create a configuration with the native defaults
+ * @returns {FallbackConfig} New configuration
+ */
+export function defaultConfig() {
+	return {
+		delimiter: 0x2C,
+		quote: 0x22,
+		escape: 0x22,
+		comment: 0x23,
+		skipEmptyLines: false,
+		trim: false,
+		relaxed: false,
+		maxRowSize: 1024 * 1024,
+		fromLine: 0,
+		toLine: -1,
+		skipLinesWithError: false,
+		strictUTF8: false,
+	};
+}
+
+/**
+ * Parse error, with the fields of the native Error_Info
+ * @typedef {Object} FallbackError
+ * @property {number} code - ParseErrorCode value
+ * @property {string} message - Native error message
+ * @property {number} line - 1-based line (0 if unknown)
+ * @property {number} column - 1-based column (0 if unknown)
+ * @property {string} context - Text around the error
+ * @property {number} byteOffset - Byte offset of the error in the input (-1 if unknown)
+ */
+
+/**
+ * Eager parser, the counterpart of a native `Parser`
+ *
+ * Configuration persists across parses, like the native setters.
+ *
+ * @example
+ * const parser = new FallbackParser();
+ * parser.configure({ delimiter: ';' });
+ * if (parser.parse(new TextEncoder().encode('a;b\n1;2')) !== 0) {
+ *   console.log(parser.error);
+ * }
+ * parser.rows; // [['a', 'b'], ['1', '2']]
+ */
+export class FallbackParser {
+	constructor() {
+		this.config = defaultConfig();
+		this.rows = [];
+		this.error = null;
+	}
+
+	/**
+	 * Restore the default configuration (like `ocsv_reset_config`)
+	 */
+	reset() {
+		this.config = defaultConfig();
+	}
+
+	/**
+	 * Apply parsing options, like `Parser._applyConfig` does with the native setters
+	 * (options left undefined keep their current value)
+	 * @param {Object} options - Parsing options
+	 */
+	configure(options) {
+		const config = this.config;
+		if (options.delimiter !== undefined) {
+			config.delimiter = options.delimiter.charCodeAt(0) & 0xFF;
+		}
+		if (options.quote !== undefined) {
+			config.quote = options.quote.charCodeAt(0) & 0xFF;
+		}
+		if (options.escape !== undefined) {
+			config.escape = options.escape.charCodeAt(0) & 0xFF;
+		}
+		if (options.skipEmptyLines !== undefined) {
+			config.skipEmptyLines = Boolean(options.skipEmptyLines);
+		}
+		if (options.comment !== undefined) {
+			config.comment = options.comment.length > 0 ? options.comment.charCodeAt(0) & 0xFF : 0;
+		}
+		if (options.trim !== undefined) {
+			config.trim = Boolean(options.trim);
+		}
+		if (options.relaxed !== undefined) {
+			config.relaxed = Boolean(options.relaxed);
+		}
+		if (options.maxRowSize !== undefined) {
+			config.maxRowSize = options.maxRowSize;
+		}
+		if (options.fromLine !== undefined) {
+			config.fromLine = options.fromLine;
+		}
+		if (options.toLine !== undefined) {
+			config.toLine = options.toLine;
+		}
+		if (options.skipLinesWithError !== undefined) {
+			config.skipLinesWithError = Boolean(options.skipLinesWithError);
+		}
+		if (options.strictEncoding !== undefined) {
+			config.strictUTF8 = Boolean(options.strictEncoding);
+		}
+	}
+
+	/**
+	 * Parse UTF-8 input into `rows` (like `ocsv_parse_string`)
+	 * @param {Uint8Array} bytes - UTF-8 input
+	 * @param {function(number, number): boolean} [progress] - Called about every megabyte with the bytes and rows
+	 *   parsed so far; returning false aborts the parse
+	 * @returns {number} 0 on success, -1 on error (see `error`)
+	 */
+	parse(bytes, progress = null) {
+		this.rows = [];
+		this.error = null;
+		if (bytes.length === 0) {
+			return 0;
+		}
+
+		if (this.config.strictUTF8) {
+			const offset = findInvalidUTF8(bytes);
+			if (offset >= 0) {
+				const hex = bytes[offset].toString(16).toUpperCase().padStart(2, '0');
+				this.error = _errorAt(ERROR_CODES.INVALID_UTF8, bytes, offset, `Invalid UTF-8 byte 0x${hex}`);
+				return -1;
+			}
+		}
+
+		const run = new ScalarParse(this.config, bytes, progress);
+		const ok = run.feed(DECODER.decode(bytes)) && run.end();
+		this.rows = ok ? run.rows : [];
+		this.error = run.error;
+		return ok ? 0 : -1;
+	}
+}
+
+/**
+ * Incremental parser, the counterpart of a native `Streaming_Parser`
+ * (`ocsv_stream_*`): write chunks, take the rows completed so far, then finish
+ *
+ * Applies `trim`, `fromLine` and `toLine` from the configuration it was
+ * created with; later changes to that configuration do not affect it.
+ */
+export class FallbackStream {
+	/**
+	 * @param {FallbackConfig} config - Parser configuration (copied)
+	 */
+	constructor(config) {
+		this.config = { ...config };
+		this.run = new StreamParse(this.config);
+		this.leftover = new Uint8Array(0);  // Incomplete UTF-8 sequence at the end of the last chunk
+	}
+
+	/**
+	 * Feed a chunk (like `ocsv_stream_write`)
+	 * @param {Uint8Array} bytes - UTF-8 chunk; sequences may be split across chunks
+	 * @returns {number} 0 to continue, 1 if the stream is done (`toLine` reached), -1 on error
+	 */
+	write(bytes) {
+		const run = this.run;
+		if (run.stopped) {
+			return run.error ? -1 : 1;
+		}
+		if (bytes.length === 0) {
+			return 0;
+		}
+
+		const data = this.leftover.length > 0 ? _concatBytes(this.leftover, bytes) : bytes;
+		if (this.config.strictUTF8) {
+			const offset = findInvalidUTF8(data, true);
+			if (offset >= 0) {
+				const hex = data[offset].toString(16).toUpperCase().padStart(2, '0');
+				run.error = run.errorAt(ERROR_CODES.INVALID_UTF8, data, offset, `Invalid UTF-8 byte 0x${hex}`);
+				run.stopped = true;
+				return -1;
+			}
+		}
+
+		const tail = _incompleteTail(data);
+		this.leftover = data.slice(data.length - tail);
+		const input = data.subarray(0, data.length - tail);
+		const ok = run.feed(DECODER.decode(input), input);
+		run.consumed += bytes.length;
+		if (!ok) {
+			return run.error ? -1 : 1;
+		}
+		return 0;
+	}
+
+	/**
+	 * Take the rows completed since the last call (like `ocsv_stream_take_rows`)
+	 * @returns {Array<Array<string|null>>} Completed rows
+	 */
+	takeRows() {
+		const rows = this.run.rows;
+		this.run.rows = [];
+		return rows;
+	}
+
+	/**
+	 * Flush the final row at end of input (like `ocsv_stream_finish`)
+	 * @returns {number} 0 on success, -1 on error (e.g. unterminated quote)
+	 */
+	finish() {
+		const run = this.run;
+		if (!run.stopped) {
+			if (this.leftover.length > 0 && this.config.strictUTF8) {
+				const hex = this.leftover[0].toString(16).toUpperCase().padStart(2, '0');
+				run.error = run.errorAt(ERROR_CODES.INVALID_UTF8, this.leftover, 0, `Invalid UTF-8 byte 0x${hex}`);
+			} else {
+				run.end();
+			}
+		}
+
+		// Stopping early because toLine was reached is not an error
+		return run.error ? -1 : 0;
+	}
+
+	/**
+	 * Last error, located like parse errors (the byte offset counts all bytes written)
+	 * @type {FallbackError|null}
+	 */
+	get error() {
+		return this.run.error;
+	}
+}
+
+/**
+ * State machine shared by eager and streaming parses
+ *
+ * `feed()` may be called once per chunk; the state, the field and the row
+ * being built carry over. Subclasses decide what happens to completed rows
+ * (`emitRow`) and how errors are reported (`fail`).
+ * @private
+ */
+class Tokenizer {
+	/**
+	 * @param {FallbackConfig} config - Parser configuration
+	 */
+	constructor(config) {
+		// Non-ASCII delimiters, quotes and comment characters never match (native code compares bytes)
+		this.delimiter = _asciiCode(config.delimiter);
+		this.quote = _asciiCode(config.quote);
+		this.comment = config.comment !== 0 ? _asciiCode(config.comment) : -1;
+		this.quoteChar = String.fromCharCode(config.quote);
+		this.escape = config.escape !== config.quote ? _asciiCode(config.escape) : -1;
+		this.escapeChar = String.fromCharCode(config.escape);
+		this.relaxed = config.relaxed;
+		this.trim = config.trim;
+
+		this.state = FIELD_START;
+		this.text = "";        // Current input
+		this.field = "";
+		this.row = [];
+		this.rows = [];
+		this.error = null;
+		this.consumed = 0;     // Input fed by earlier calls (decides whether a leading newline is an empty row)
+		this.quoteStart = 0;   // Index of the opening quote of the current quoted field
+		this.escapePending = false;  // The previous character of the quoted field was a custom escape
+		this.escapeAt = -1;    // Index of the next custom escape in the current input (Infinity if none)
+		this.checkpoint = Infinity;
+		this.maxFieldBytes = Infinity;
+		this.fieldBytes = 0;   // UTF-8 size of `field`, tracked only with maxFieldBytes
+	}
+
+	/**
+	 * Run the state machine over the next piece of input
+	 * @param {string} text - Input
+	 * @returns {boolean} False if parsing stopped (error, abort or `emitRow` returned false)
+	 */
+	feed(text) {
+		const { delimiter, quote, escape, comment } = this;
+		const length = text.length;
+		this.text = text;
+		this.escapeAt = -1;
+
+		let i = 0;
+		while (i < length) {
+			if (i >= this.checkpoint && !this.reportProgress(i)) {
+				return false;
+			}
+			if (this.fieldBytes > this.maxFieldBytes) {
+				this.fail(ERROR_CODES.MAX_FIELD_SIZE_EXCEEDED, i);
+				return false;
+			}
+
+			const c = text.charCodeAt(i);
+			switch (this.state) {
+				case FIELD_START:
+					if (c === quote) {
+						this.state = IN_QUOTED_FIELD;
+						this.quoteStart = i;
+					} else if (c === delimiter) {
+						this.row.push(null);
+					} else if (c === LF) {
+						if (this.row.length > 0) {
+							// A delimiter right before the newline leaves a trailing empty field
+							this.row.push(null);
+							if (!this.emitRow(i)) {
+								return false;
+							}
+						} else if (i > 0 || this.consumed > 0) {
+							// Empty line (but not the first character of the input)
+							if (!this.emitRow(i)) {
+								return false;
+							}
+						}
+					} else if (c === CR) {
+						// Skip carriage return (CRLF)
+					} else if (c === comment && this.row.length === 0) {
+						this.state = FIELD_END;
+					} else {
+						this.state = IN_FIELD;
+						i = this.appendUnquoted(text, i);
+						continue;
+					}
+					break;
+
+				case IN_FIELD:
+					if (c === delimiter) {
+						this.emitField();
+						this.state = FIELD_START;
+					} else if (c === LF) {
+						this.emitField();
+						if (!this.emitRow(i)) {
+							return false;
+						}
+						this.state = FIELD_START;
+					} else if (c !== CR) {
+						i = this.appendUnquoted(text, i);
+						continue;
+					}
+					break;
+
+				case IN_QUOTED_FIELD: {
+					if (this.escapePending) {
+						// A custom escape only makes a quote or itself literal (escaped_char_at in src/parser.odin)
+						this.escapePending = false;
+						if (c === quote || c === escape) {
+							this.append(text, i, i + 1);
+							break;
+						}
+						this.append(this.escapeChar, 0, 1);
+					}
+
+					// Everything up to the next quote or custom escape is literal (delimiters, newlines, comments)
+					let end = quote < 0 ? -1 : text.indexOf(this.quoteChar, i);
+					if (escape >= 0) {
+						if (this.escapeAt < i) {
+							const at = text.indexOf(this.escapeChar, i);
+							this.escapeAt = at < 0 ? Infinity : at;
+						}
+						if (this.escapeAt < (end < 0 ? length : end)) {
+							end = this.escapeAt;
+						}
+					}
+					this.append(text, i, end < 0 ? length : end);
+					if (end < 0) {
+						i = length;
+						continue;
+					}
+					if (end === this.escapeAt) {
+						this.escapePending = true;
+					} else {
+						this.state = QUOTE_IN_QUOTE;
+					}
+					i = end;
+					break;
+				}
+
+				case QUOTE_IN_QUOTE:
+					if (c === quote) {
+						// "" is a literal quote
+						this.append(this.quoteChar, 0, 1);
+						this.state = IN_QUOTED_FIELD;
+					} else if (c === delimiter) {
+						this.emitField();
+						this.state = FIELD_START;
+					} else if (c === LF) {
+						this.emitField();
+						if (!this.emitRow(i)) {
+							return false;
+						}
+						this.state = FIELD_START;
+					} else if (c === CR) {
+						// Stay here to handle the LF of a CRLF
+					} else if (this.relaxed) {
+						// The closing quote was literal after all
+						this.append(this.quoteChar, 0, 1);
+						this.append(text, i, i + 1);
+						this.state = IN_QUOTED_FIELD;
+					} else {
+						this.fail(ERROR_CODES.INVALID_CHARACTER_AFTER_QUOTE, i);
+						return false;
+					}
+					break;
+
+				case FIELD_END: {
+					const end = text.indexOf('\n', i);
+					if (end < 0) {
+						i = length;
+						continue;
+					}
+					this.state = FIELD_START;
+					this.field = "";
+					this.fieldBytes = 0;
+					this.row = [];
+					i = end;
+					break;
+				}
+			}
+			i++;
+		}
+		return true;
+	}
+
+	/**
+	 * Handle the end of input
+	 * @returns {boolean} False on error (or if `emitRow` returned false)
+	 */
+	end() {
+		switch (this.state) {
+			case IN_FIELD:
+			case QUOTE_IN_QUOTE:
+				this.emitField();
+				return this.emitRow(this.text.length);
+			case IN_QUOTED_FIELD:
+				if (this.relaxed) {
+					if (this.escapePending) {
+						// A trailing escape character escapes nothing
+						this.append(this.escapeChar, 0, 1);
+					}
+					this.emitField();
+					return this.emitRow(this.text.length);
+				}
+				this.fail(ERROR_CODES.UNTERMINATED_QUOTE, this.quoteStart);
+				return false;
+			case FIELD_START:
+				// Ended on a delimiter ("a,b,")
+				if (this.row.length > 0) {
+					this.row.push(null);
+					return this.emitRow(this.text.length);
+				}
+				return true;
+			default:
+				// Comment line
+				return true;
+		}
+	}
+
+	/**
+	 * Append unquoted characters up to the next delimiter, newline or carriage return
+	 * @param {string} text - Input
+	 * @param {number} start - Index of the first character to append
+	 * @returns {number} Index of the character that ended the run
+	 */
+	appendUnquoted(text, start) {
+		const { delimiter } = this;
+		let end = start + 1;
+		while (end < text.length) {
+			const c = text.charCodeAt(end);
+			if (c === delimiter || c === LF || c === CR) {
+				break;
+			}
+			end++;
+		}
+		this.append(text, start, end);
+		return end;
+	}
+
+	/**
+	 * Append part of the input to the current field
+	 * @param {string} text - Input
+	 * @param {number} start - First index
+	 * @param {number} end - End index (exclusive)
+	 */
+	append(text, start, end) {
+		this.field += text.slice(start, end);
+		if (this.maxFieldBytes !== Infinity) {
+			this.fieldBytes += utf8Length(text, start, end);
+		}
+	}
+
+	emitField() {
+		this.row.push(this.field);
+		this.field = "";
+		this.fieldBytes = 0;
+	}
+
+	/**
+	 * Complete the current row
+	 * @param {number} end - Index in the current input where the row ended (for errors)
+	 * @returns {boolean} False to stop parsing
+	 */
+	emitRow(end) {
+		this.rows.push(this.trim ? this.row.map(_trimField) : this.row);
+		this.row = [];
+		return true;
+	}
+
+	/**
+	 * Call the progress callback at a checkpoint (eager parses only)
+	 * @param {number} index - Index in the input
+	 * @returns {boolean} False if the parse was aborted
+	 */
+	reportProgress(index) {
+		return true;
+	}
+
+	/**
+	 * Record an error
+	 * @param {number} code - ParseErrorCode value
+	 * @param {number} index - Index in the current input where the error was found
+	 */
+	fail(code, index) {
+		throw new Error("Tokenizer.fail must be implemented by subclasses");
+	}
+}
+
+/**
+ * One eager parse (parse_csv_scalar in src/parser.odin)
+ * @private
+ */
+class ScalarParse extends Tokenizer {
+	/**
+	 * @param {FallbackConfig} config - Parser configuration
+	 * @param {Uint8Array} bytes - Input, for error locations
+	 * @param {function(number, number): boolean|null} progress - Progress callback
+	 */
+	constructor(config, bytes, progress) {
+		super(config);
+		this.bytes = bytes;
+		this.progress = progress;
+		this.checkpoint = progress ? PROGRESS_INTERVAL : Infinity;
+		this.progressIndex = 0;
+		this.progressBytes = 0;
+	}
+
+	reportProgress(index) {
+		this.progressBytes += utf8Length(this.text, this.progressIndex, index);
+		this.progressIndex = index;
+		this.checkpoint = index + PROGRESS_INTERVAL;
+		if (this.progress(this.progressBytes, this.rows.length)) {
+			return true;
+		}
+
+		this.rows = [];
+		this.error = { code: ERROR_CODES.ABORTED, message: "Parse aborted", line: 0, column: 0, context: "", byteOffset: -1 };
+		return false;
+	}
+
+	fail(code, index) {
+		const message = code === ERROR_CODES.UNTERMINATED_QUOTE
+			? "Unterminated quoted field at end of input"
+			: "Invalid character after closing quote (strict mode)";
+		this.error = _errorAt(code, this.bytes, utf8Length(this.text, 0, index), message);
+	}
+}
+
+/**
+ * Messages of stream errors (src/streaming.odin)
+ * @private
+ */
+const STREAM_MESSAGES = {
+	[ERROR_CODES.UNTERMINATED_QUOTE]: "Unterminated quoted field at end of input",
+	[ERROR_CODES.INVALID_CHARACTER_AFTER_QUOTE]: "Invalid character after closing quote (strict mode)",
+	[ERROR_CODES.MAX_ROW_SIZE_EXCEEDED]: "Row exceeds max size",
+	[ERROR_CODES.MAX_FIELD_SIZE_EXCEEDED]: "Field exceeds max size",
+};
+
+/**
+ * Streaming parse (streaming_parser_process_chunk in src/streaming.odin)
+ * @private
+ */
+class StreamParse extends Tokenizer {
+	/**
+	 * @param {FallbackConfig} config - Parser configuration
+	 */
+	constructor(config) {
+		super(config);
+		this.fromLine = config.fromLine;
+		this.toLine = config.toLine;
+		this.maxFieldBytes = STREAM_MAX_FIELD_SIZE;
+		this.recordsSeen = 0;
+		this.stopped = false;
+
+		// Error locations (see errorAt)
+		this.bytes = EMPTY_BYTES;     // Current input, as UTF-8
+		this.offset = 0;              // Bytes fed before the current input
+		this.physicalLine = 1;        // Line of the input at offset
+		this.lineTail = EMPTY_BYTES;  // End of that line before offset, at most ERROR_CONTEXT_BEFORE characters
+		this.tailColumn = 1;          // Column of the first character of lineTail
+		this.openQuote = null;        // Error located at the opening quote of the current quoted field
+	}
+
+	/**
+	 * Run the state machine over the next chunk
+	 * @param {string} text - Chunk
+	 * @param {Uint8Array} bytes - The same chunk as UTF-8, for error locations
+	 * @returns {boolean} False if parsing stopped
+	 */
+	feed(text, bytes) {
+		this.bytes = bytes;
+		this.quoteStart = -1;
+		if (!super.feed(text)) {
+			return false;
+		}
+
+		if (this.quoteStart >= 0 && (this.state === IN_QUOTED_FIELD || this.state === QUOTE_IN_QUOTE)) {
+			this.openQuote = this.errorAt(ERROR_CODES.UNTERMINATED_QUOTE, bytes, utf8Length(text, 0, this.quoteStart));
+		}
+
+		// Keep the end of the current line (whole characters, as _errorAt does)
+		let rest = bytes;
+		const lineEnd = bytes.lastIndexOf(LF);
+		if (lineEnd >= 0) {
+			for (let i = 0; i <= lineEnd; i++) {
+				this.physicalLine += bytes[i] === LF ? 1 : 0;
+			}
+			this.lineTail = EMPTY_BYTES;
+			this.tailColumn = 1;
+			rest = bytes.subarray(lineEnd + 1);
+		}
+		const tail = _concatBytes(this.lineTail, rest);
+		let start = tail.length;
+		for (let n = 0; n < ERROR_CONTEXT_BEFORE && start > 0; n++) {
+			start--;
+			while (start > 0 && (tail[start] & 0xC0) === 0x80) {
+				start--;
+			}
+		}
+		for (let i = 0; i < start; i++) {
+			this.tailColumn += (tail[i] & 0xC0) !== 0x80 ? 1 : 0;
+		}
+		this.lineTail = tail.slice(start);
+
+		this.offset += bytes.length;
+		this.bytes = EMPTY_BYTES;
+		this.text = "";
+		return true;
+	}
+
+	/**
+	 * Build an error located in the whole input (streaming_error_at in src/streaming.odin)
+	 * @param {number} code - ParseErrorCode value
+	 * @param {Uint8Array} bytes - Current input (empty at end of input)
+	 * @param {number} index - Byte index of the error in bytes
+	 * @param {string} [message] - Error message (defaults to the message for code)
+	 * @returns {FallbackError} Error with the physical line and column, and the line as far as it was fed as context
+	 */
+	errorAt(code, bytes, index, message = STREAM_MESSAGES[code]) {
+		const error = _errorAt(code, _concatBytes(this.lineTail, bytes), this.lineTail.length + index, message);
+		if (error.line === 1) {
+			error.column += this.tailColumn - 1;
+		}
+		error.line += this.physicalLine - 1;
+		error.byteOffset = this.offset + index;
+		return error;
+	}
+
+	emitRow(end) {
+		// A UTF-16 code unit is at most 3 bytes: only count bytes when the row could be over the limit
+		const row = this.row;
+		let size = 0;
+		for (const field of row) {
+			size += field?.length ?? 0;
+		}
+		if (size * 3 > STREAM_MAX_ROW_SIZE) {
+			size = 0;
+			for (const field of row) {
+				size += field ? utf8Length(field) : 0;
+			}
+		}
+		if (size > STREAM_MAX_ROW_SIZE) {
+			this.fail(ERROR_CODES.MAX_ROW_SIZE_EXCEEDED, end);
+			return false;
+		}
+
+		this.row = [];
+		this.recordsSeen++;
+		if (this.fromLine > 0 && this.recordsSeen < this.fromLine) {
+			return true;
+		}
+		this.rows.push(this.trim ? row.map(_trimField) : row);
+
+		// Stop once the last requested record has been emitted
+		if (this.toLine > 0 && this.recordsSeen >= this.toLine) {
+			this.stopped = true;
+			return false;
+		}
+		return true;
+	}
+
+	fail(code, index) {
+		// An unterminated quote is found at the end, but located at its opening quote
+		this.error = code === ERROR_CODES.UNTERMINATED_QUOTE
+			? this.openQuote
+			: this.errorAt(code, this.bytes, utf8Length(this.text, 0, index));
+		this.stopped = true;
+	}
+}
+
+/**
+ * Find the first invalid UTF-8 sequence (find_invalid_utf8 in src/parser.odin)
+ * @param {Uint8Array} bytes - Input
+ * @param {boolean} [allowIncompleteTail=false] - Accept a sequence cut off by the end of the input (stream chunks)
+ * @returns {number} Byte offset of the sequence, or -1
+ */
+export function findInvalidUTF8(bytes, allowIncompleteTail = false) {
+	for (let i = 0; i < bytes.length;) {
+		const lead = bytes[i];
+		if (lead < 0x80) {
+			i++;
+			continue;
+		}
+
+		const width = lead >= 0xC2 && lead <= 0xDF ? 2 : lead >= 0xE0 && lead <= 0xEF ? 3 : lead >= 0xF0 && lead <= 0xF4 ? 4 : 0;
+		if (width === 0) {
+			return i;
+		}
+		// The second byte range excludes overlong forms, surrogates and code points past U+10FFFF
+		const low = lead === 0xE0 ? 0xA0 : lead === 0xF0 ? 0x90 : 0x80;
+		const high = lead === 0xED ? 0x9F : lead === 0xF4 ? 0x8F : 0xBF;
+		for (let k = 1; k < width; k++) {
+			if (i + k >= bytes.length) {
+				return allowIncompleteTail ? -1 : i;
+			}
+			const byte = bytes[i + k];
+			if (byte < (k === 1 ? low : 0x80) || byte > (k === 1 ? high : 0xBF)) {
+				return i;
+			}
+		}
+		i += width;
+	}
+	return -1;
+}
+
+/**
+ * Count the UTF-8 bytes of part of a string
+ * @param {string} text - String
+ * @param {number} [start=0] - First index
+ * @param {number} [end=text.length] - End index (exclusive)
+ * @returns {number} Size in bytes
+ */
+export function utf8Length(text, start = 0, end = text.length) {
+	let bytes = 0;
+	for (let i = start; i < end; i++) {
+		const c = text.charCodeAt(i);
+		// Each half of a surrogate pair counts for 2 of the pair's 4 bytes
+		bytes += c < 0x80 ? 1 : c < 0x800 || (c >= 0xD800 && c < 0xE000) ? 2 : 3;
+	}
+	return bytes;
+}
+
+/**
+ * Build an error located at a byte offset of the input (make_error_at in src/error.odin)
+ * @private
+ * @param {number} code - ParseErrorCode value
+ * @param {Uint8Array} bytes - Input
+ * @param {number} offset - Byte offset of the error
+ * @param {string} message - Error message
+ * @returns {FallbackError} Error with the physical line and column, and the offending line as context
+ */
+function _errorAt(code, bytes, offset, message) {
+	offset = Math.min(Math.max(offset, 0), bytes.length);
+	const lineStart = offset > 0 ? bytes.lastIndexOf(LF, offset - 1) + 1 : 0;
+	let line = 1;
+	for (let i = 0; i < lineStart; i++) {
+		line += bytes[i] === LF ? 1 : 0;
+	}
+	let column = 1;
+	for (let i = lineStart; i < offset; i++) {
+		column += (bytes[i] & 0xC0) !== 0x80 ? 1 : 0;
+	}
+
+	// Whole characters only, up to ERROR_CONTEXT_BEFORE before the error and ERROR_CONTEXT_AFTER bytes after it
+	let start = offset;
+	for (let n = 0; n < ERROR_CONTEXT_BEFORE && start > lineStart; n++) {
+		start--;
+		while (start > lineStart && (bytes[start] & 0xC0) === 0x80) {
+			start--;
+		}
+	}
+	const lineEnd = bytes.indexOf(LF, offset);
+	let end = Math.min(lineEnd < 0 ? bytes.length : lineEnd, offset + ERROR_CONTEXT_AFTER);
+	while (end > offset && end < bytes.length && (bytes[end] & 0xC0) === 0x80) {
+		end--;
+	}
+	while (end > offset && bytes[end - 1] === CR) {
+		end--;
+	}
+
+	return { code, message, line, column, context: DECODER.decode(bytes.subarray(start, end)), byteOffset: offset };
+}
+
+/**
+ * Trim Unicode white space around a field (trim_row_fields in src/parser.odin)
+ * @private
+ * @param {string|null} field - Field
+ * @returns {string|null} Trimmed field; a field trimmed down to nothing becomes null, as natively
+ */
+function _trimField(field) {
+	if (field === null) {
+		return null;
+	}
+	const trimmed = field.replace(/^\p{White_Space}+|\p{White_Space}+$/gu, "");
+	if (trimmed.length === field.length) {
+		return field;
+	}
+	return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Character code that can match input characters (native code only matches ASCII)
+ * @private
+ * @param {number} code - Byte value from the configuration
+ * @returns {number} The code, or -1 if it never matches
+ */
+function _asciiCode(code) {
+	return code < 0x80 ? code : -1;
+}
+
+/**
+ * Count the bytes of an incomplete UTF-8 sequence at the end of a chunk
+ * @private
+ * @param {Uint8Array} bytes - Chunk
+ * @returns {number} 0 to 3
+ */
+function _incompleteTail(bytes) {
+	for (let back = 1; back <= Math.min(3, bytes.length); back++) {
+		const byte = bytes[bytes.length - back];
+		if ((byte & 0xC0) === 0x80) {
+			continue;
+		}
+		const width = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+		return width > back ? back : 0;
+	}
+	return 0;
+}
+
+/**
+ * Join two byte arrays
+ * @private
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Following bytes
+ * @returns {Uint8Array} New array
+ */
+function _concatBytes(a, b) {
+	const bytes = new Uint8Array(a.length + b.length);
+	bytes.set(a);
+	bytes.set(b, a.length);
+	return bytes;
+}
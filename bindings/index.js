@@ -7,25 +7,67 @@
  * @module ocsv
  */
 
-import { dlopen, FFIType, ptr, toArrayBuffer } from "bun:ffi";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
+import { readFile } from "fs/promises";
 import os from "os";
+import { sniffCSV } from "./sniff.js";
+import { createTranscoder, resolveEncoding, toBytes, toUTF8 } from "./encoding.js";
+import { decodePackedBuffer } from "./packed.js";
+import { decodeColumnarBuffer, COLUMN_TYPES } from "./columnar.js";
+import { WorkerPool, DEFAULT_POOL_SIZE } from "./pool.js";
+import { FallbackParser, FallbackStream } from "./fallback.js";
+
+// bun:ffi only exists in Bun; elsewhere the JavaScript backend is used
+const ffi = await import("bun:ffi").catch(() => null);
+const { dlopen, FFIType, ptr, toArrayBuffer, CString, JSCallback } = ffi ?? {};
 
 /**
  * Error codes from the parser
+ *
+ * Values match the native Parse_Error enum (src/error.odin).
  */
 export const ParseErrorCode = {
 	NONE: 0,
-	INVALID_INPUT: 1,
-	UNTERMINATED_QUOTE: 2,
-	INVALID_ESCAPE: 3,
-	ROW_TOO_LARGE: 4,
-	MEMORY_ERROR: 5,
-	IO_ERROR: 6,
+	FILE_NOT_FOUND: 1,                  // Input file could not be read (reported as IO_ERROR)
+	INVALID_UTF8: 2,                    // Malformed UTF-8 with strictEncoding
+	UNTERMINATED_QUOTE: 3,              // Quoted field not closed before the end of input
+	INVALID_CHARACTER_AFTER_QUOTE: 4,   // Text after a closing quote (strict mode)
+	MAX_ROW_SIZE_EXCEEDED: 5,           // Row larger than maxRowSize
+	MAX_FIELD_SIZE_EXCEEDED: 6,         // Field larger than maxRowSize
+	INCONSISTENT_COLUMN_COUNT: 7,       // Row has a different number of columns
+	INVALID_ESCAPE_SEQUENCE: 8,         // Invalid escape sequence
+	EMPTY_INPUT: 9,                     // Input data is empty
+	MEMORY_ALLOCATION_FAILED: 10,       // Native allocation failed
+	ABORTED: 11,                        // Parse cancelled through `signal` (or `onProgress` threw)
+	IO_ERROR: 1,                        // A file could not be read or mapped (same as FILE_NOT_FOUND)
+	/** @deprecated Use EMPTY_INPUT */
+	INVALID_INPUT: 9,
+	/** @deprecated Use INVALID_ESCAPE_SEQUENCE */
+	INVALID_ESCAPE: 8,
+	/** @deprecated Use MAX_ROW_SIZE_EXCEEDED */
+	ROW_TOO_LARGE: 5,
+	/** @deprecated Use MEMORY_ALLOCATION_FAILED */
+	MEMORY_ERROR: 10,
 };
 
+/**
+ * Name of each error code, for messages (the first ParseErrorCode key with that value)
+ * @private
+ */
+const ERROR_CODE_NAMES = {};
+for (const [name, code] of Object.entries(ParseErrorCode)) {
+	ERROR_CODE_NAMES[code] ??= name;
+}
+
+/**
+ * Most characters of the offending line kept before the error in `OcsvError.context`
+ * (mirrors ERROR_CONTEXT_BEFORE in src/error.odin)
+ * @private
+ */
+const ERROR_CONTEXT_BEFORE = 60;
+
 /**
  * Custom error class for OCSV parsing errors
  *
@@ -35,8 +77,10 @@ export const ParseErrorCode = {
  *   parser.parse(malformedCSV);
  * } catch (err) {
  *   if (err instanceof OcsvError) {
- *     console.error(`Parse error at line ${err.line}, column ${err.column}: ${err.message}`);
- *     console.error(`Error code: ${err.code}`);
+ *     console.error(err.format());
+ *     // OcsvError [UNTERMINATED_QUOTE] at line 2, column 3: Unterminated quoted field at end of input
+ *     //  2 | 2,"Bob,25
+ *     //    |   ^
  *   }
  * }
  */
@@ -46,14 +90,63 @@ export class OcsvError extends Error {
 	 * @param {string} message - Error message
 	 * @param {number} code - Error code from ParseErrorCode
 	 * @param {number} line - Line number where error occurred (1-indexed)
-	 * @param {number} column - Column number where error occurred (1-indexed)
+	 * @param {number} column - Column number where error occurred (1-indexed, in characters)
+	 * @param {string} [context=""] - The offending line, from at most 60 characters before the error
+	 *   to a few characters after it
+	 * @param {number} [byteOffset=-1] - Byte offset of the error in the UTF-8 input (-1 if unknown)
 	 */
-	constructor(message, code, line, column) {
+	constructor(message, code, line, column, context = "", byteOffset = -1) {
 		super(message);
 		this.name = "OcsvError";
 		this.code = code;
 		this.line = line;
 		this.column = column;
+		this.context = context;
+		this.byteOffset = byteOffset;
+	}
+
+	/**
+	 * Render the error with the offending line and a caret under the column
+	 *
+	 * Errors without a known position (e.g. I/O errors) are
+	 * rendered as a single line.
+	 *
+	 * @returns {string} Multi-line description, suitable for logs and support tickets
+	 *
+	 * @example
+	 * parseCSV('id,name\n1,"Ann"x\n');
+	 * // OcsvError [INVALID_CHARACTER_AFTER_QUOTE] at line 2, column 8: Invalid character after closing quote (strict mode)
+	 * //  2 | 1,"Ann"x
+	 * //    |        ^
+	 */
+	format() {
+		const name = ERROR_CODE_NAMES[this.code] ?? `code ${this.code}`;
+		const column = this.column > 0 ? `, column ${this.column}` : "";
+		const position = this.line > 0 ? ` at line ${this.line}${column}` : "";
+		const header = `${this.name} [${name}]${position}: ${this.message}`;
+		if (this.byteOffset < 0 || this.line <= 0) {
+			return header;
+		}
+
+		// The context starts at the line start unless the error is far into the line
+		const caret = Math.min(Math.max(this.column - 1, 0), ERROR_CONTEXT_BEFORE);
+		const cut = this.column - 1 > ERROR_CONTEXT_BEFORE ? "..." : "";
+		const text = this.context.replace(/[\t\r]/g, " ");  // One column per character
+		const gutter = String(this.line);
+		return [
+			header,
+			` ${gutter} | ${cut}${text}`,
+			` ${" ".repeat(gutter.length)} | ${" ".repeat(cut.length + caret)}^`,
+		].join("\n");
+	}
+
+	/**
+	 * Plain-object form of the error, e.g. for `JSON.stringify()` or posting it to another thread
+	 * @returns {{name: string, message: string, code: number, line: number, column: number, context: string, byteOffset: number}}
+	 */
+	toJSON() {
+		const { name, message, code, line, column, context, byteOffset } = this;
+		return { name, message, code, line, column, context, byteOffset };
 	}
 }
 
@@ -77,28 +170,60 @@ export class LazyRow {
 	 * @private
 	 * @param {bigint} parser - Pointer to native parser
 	 * @param {number} rowIndex - Zero-based row index
+	 * @param {string[]|null} [headers=null] - Default headers for `toObject()`
+	 * @param {number[]|null} [columns=null] - Projected column indices (field i reads column columns[i])
+	 * @param {LazyResult|null} [result=null] - Result the row belongs to (checked before reading native memory)
 	 */
-	constructor(parser, rowIndex) {
+	constructor(parser, rowIndex, headers = null, columns = null, result = null) {
 		this.parser = parser;
 		this.rowIndex = rowIndex;
+		this.headers = headers;
+		this.columns = columns;
+		this._result = result;
 		this._fieldCount = null;
+		this._nativeFieldCount = null;
+	}
+
+	/**
+	 * Throw if the row's result (or its parser) has been destroyed
+	 * @private
+	 * @throws {Error} If the native rows have been freed
+	 */
+	_checkAlive() {
+		if (this._result?._destroyed) {
+			throw new Error("LazyRow belongs to a destroyed LazyResult");
+		}
 	}
 
 	/**
-	 * Get the number of fields in this row
+	 * Get the number of fields in this row (the number of selected columns with `columns`)
 	 * @type {number}
 	 */
 	get fieldCount() {
 		if (this._fieldCount === null) {
-			this._fieldCount = lib.symbols.ocsv_get_field_count(this.parser, this.rowIndex);
+			this._fieldCount = this.columns ? this.columns.length : this._getNativeFieldCount();
 		}
 		return this._fieldCount;
 	}
 
+	/**
+	 * Number of fields stored natively for this row
+	 * @private
+	 * @returns {number} Field count before projection
+	 */
+	_getNativeFieldCount() {
+		if (this._nativeFieldCount === null) {
+			this._checkAlive();
+			this._nativeFieldCount = lib.symbols.ocsv_get_field_count(this.parser, this.rowIndex);
+		}
+		return this._nativeFieldCount;
+	}
+
 	/**
 	 * Get a specific field by index
 	 * @param {number} fieldIndex - Zero-based field index
 	 * @returns {string|null} Field value, or null if index out of bounds
+	 * @throws {Error} If the LazyResult has been destroyed
 	 *
 	 * @example
 	 * const row = result.getRow(5);
@@ -109,7 +234,12 @@ export class LazyRow {
 		if (fieldIndex < 0 || fieldIndex >= this.fieldCount) {
 			return null;
 		}
-		return lib.symbols.ocsv_get_field(this.parser, this.rowIndex, fieldIndex) || "";
+		const column = this.columns ? this.columns[fieldIndex] : fieldIndex;
+		if (column >= this._getNativeFieldCount()) {
+			return "";
+		}
+		this._checkAlive();
+		return lib.symbols.ocsv_get_field(this.parser, this.rowIndex, column) || "";
 	}
 
 	/**
@@ -131,7 +261,10 @@ export class LazyRow {
 
 	/**
 	 * Convert row to object using provided headers
-	 * @param {string[]} headers - Column headers
+	 *
+	 * Fields missing from the row map to `""`; extra fields are dropped.
+	 *
+	 * @param {string[]} [headers] - Column headers (defaults to the result's headers)
 	 * @returns {Object<string, string>} Object mapping headers to field values
 	 *
 	 * @example
@@ -140,10 +273,13 @@ export class LazyRow {
 	 * const obj = row.toObject(headers);
 	 * console.log(obj); // { name: 'Alice', age: '30', city: 'NYC' }
 	 */
-	toObject(headers) {
+	toObject(headers = this.headers) {
+		if (!headers) {
+			throw new TypeError("toObject() requires headers (parse with hasHeader or output: 'objects')");
+		}
 		const obj = {};
 		for (let i = 0; i < headers.length; i++) {
-			obj[headers[i]] = this.getField(i);
+			obj[headers[i]] = this.getField(i) ?? "";
 		}
 		return obj;
 	}
@@ -186,13 +322,17 @@ export class LazyResult {
 	 * @param {number} rowCount - Total number of data rows (excluding header)
 	 * @param {string[]|null} headers - Header row if hasHeader was true
 	 * @param {ParseOptions} options - Original parse options
+	 * @param {number[]|null} [columns=null] - Projected column indices
 	 */
-	constructor(parser, rowCount, headers, options) {
+	constructor(parser, rowCount, headers, options, columns = null) {
 		this.parser = parser;
 		this.rowCount = rowCount;
 		this.headers = headers;
 		this.options = options;
+		this.columns = columns;
+		this._rowIndices = null;
 		this._destroyed = false;
+		_trackNative(this, 'LazyResult', parser);
 	}
 
 	/**
@@ -214,9 +354,30 @@ export class LazyResult {
 		if (rowIndex < 0 || rowIndex >= this.rowCount) {
 			return null;
 		}
-		// Offset by 1 if we have headers
-		const actualRowIndex = this.headers ? rowIndex + 1 : rowIndex;
-		return new LazyRow(this.parser, actualRowIndex);
+		// Map through the filtered row list, or offset by 1 if we have headers
+		const actualRowIndex = this._rowIndices ? this._rowIndices[rowIndex] : (this.headers ? rowIndex + 1 : rowIndex);
+		return new LazyRow(this.parser, actualRowIndex, this.headers, this.columns, this);
+	}
+
+	/**
+	 * Keep only the rows accepted by a filter callback (internal use only)
+	 *
+	 * Rows are passed as LazyRow accessors, so only the fields the callback
+	 * reads are materialized.
+	 *
+	 * @private
+	 * @param {function(LazyRow, number): boolean} filter - Row predicate
+	 */
+	_applyFilter(filter) {
+		const indices = [];
+		for (let i = 0; i < this.rowCount; i++) {
+			const row = this.getRow(i);
+			if (filter(row, i)) {
+				indices.push(row.rowIndex);
+			}
+		}
+		this._rowIndices = Int32Array.from(indices);
+		this.rowCount = indices.length;
 	}
 
 	/**
@@ -240,11 +401,55 @@ export class LazyResult {
 		}
 	}
 
+	/**
+	 * Write the rows as JSON Lines (NDJSON) without materializing them
+	 *
+	 * Rows are converted natively in chunks, one object per line keyed by the
+	 * header (or one array per line without `hasHeader`), honouring the
+	 * column projection and `filter`. Do not call `destroy()` until the
+	 * returned promise settles.
+	 *
+	 * @param {string|BunFile|WritableStream} [destination] - File path, `Bun.file()` or stream (closed when done);
+	 *   omit it to get the output as a string
+	 * @returns {Promise<string|number>} The JSON Lines text without a destination, otherwise the number of rows written
+	 * @throws {Error} If LazyResult has been destroyed
+	 *
+	 * @example
+	 * const result = await parseCSVFile('./vendor.csv', { mode: 'lazy', mmap: true, hasHeader: true });
+	 * try {
+	 *   await result.toJSONLines('./vendor.ndjson');
+	 * } finally {
+	 *   result.destroy();
+	 * }
+	 */
+	async toJSONLines(destination) {
+		const check = () => {
+			if (this._destroyed) {
+				throw new Error("LazyResult has been destroyed");
+			}
+		};
+		check();
+		const start = this.headers ? 1 : 0;
+		return _writeOutput(this.parser, {
+			format: 'jsonl',
+			keys: this.headers && _resolveHeaders(this.headers, this.options.duplicateHeaders),
+			start,
+			end: start + this.rowCount,
+			rowIndices: this._rowIndices,
+			check,
+		}, destination);
+	}
+
 	/**
 	 * Destroy the lazy result and free native memory
 	 *
 	 * **IMPORTANT:** You MUST call this method when done with lazy results.
-	 * Failure to call destroy() will cause memory leaks in native code.
+	 * Until then the rows stay in native memory (they are freed when the
+	 * result is garbage collected at the latest, see `debugLeaks()`).
+	 *
+	 * The rows live in the memory of the parser that produced them, so that
+	 * parser is destroyed too. Rows obtained from the result throw once it is
+	 * destroyed. Safe to call multiple times.
 	 *
 	 * @example
 	 * const result = parseCSV(data, { mode: 'lazy' });
@@ -256,10 +461,288 @@ export class LazyResult {
 	 */
 	destroy() {
 		if (!this._destroyed) {
-			lib.symbols.ocsv_parser_destroy(this.parser);
 			this._destroyed = true;
+			PARSER_REGISTRY.unregister(this);
+			lib.symbols.ocsv_parser_destroy(this.parser);
+		}
+	}
+
+	/**
+	 * Destroy the result at the end of a `using` block
+	 *
+	 * @example
+	 * {
+	 *   using result = parseCSV(data, { mode: 'lazy' });
+	 *   console.log(result.getRow(0).toArray());
+	 * } // result.destroy() is called here
+	 */
+	[Symbol.dispose]() {
+		this.destroy();
+	}
+}
+
+/**
+ * Streaming result - yields rows as chunks of input arrive
+ *
+ * Returned by `Parser.stream()` and `streamCSV()`. Input is fed to the native
+ * streaming parser chunk by chunk, so memory use is bounded by the chunk size
+ * rather than the file size. Quoted fields, newlines and multi-byte UTF-8
+ * characters that span chunk boundaries are handled by the native parser.
+ *
+ * A StreamResult can only be iterated once. Native memory is released when
+ * iteration finishes, throws, or is exited early with `break`. Call `destroy()`
+ * if you never iterate it.
+ *
+ * @example
+ * const stream = streamCSV(Bun.file('./export.csv'), { hasHeader: true });
+ * for await (const row of stream) {
+ *   console.log(stream.headers, row);
+ * }
+ */
+export class StreamResult {
+	/**
+	 * Create a new streaming result (internal use only)
+	 * @private
+	 * @param {bigint|FallbackStream} stream - Pointer to native streaming parser (the parser itself with the JavaScript backend)
+	 * @param {ReadableStream|Blob|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source - Chunk source
+	 * @param {ParseOptions} options - Original parse options
+	 */
+	constructor(stream, source, options) {
+		this.stream = stream;
+		this.source = source;
+		this.options = options;
+		this.headers = null;
+		this.rowCount = 0;
+		this._iterated = false;
+		this._columns = null;
+		this._started = false;
+		this._dataIndex = 0;
+		this._transcoder = createTranscoder(options.encoding, { stripBOM: options.stripBOM });
+		this._bytesRead = 0;
+		this._rowsParsed = 0;
+		this._totalBytes = source instanceof Blob ? source.size : null;
+	}
+
+	/**
+	 * Iterate over rows as they are parsed (supports for await...of loops)
+	 * @async
+	 * @generator
+	 * @yields {string[]|Object<string, string>} Each data row (the header row is exposed as `headers` instead)
+	 * @throws {OcsvError} If the input is malformed, or with code `ABORTED` once `signal` is aborted
+	 * @throws {Error} If the stream has already been iterated or destroyed
+	 */
+	async *[Symbol.asyncIterator]() {
+		if (this._iterated || !this.stream) {
+			throw new Error("StreamResult can only be iterated once");
+		}
+		this._iterated = true;
+
+		try {
+			let done = false;
+			for await (const chunk of _readChunks(this.source)) {
+				// Checked between chunks; leaving the loop cancels the source and frees the native parser
+				_throwIfAborted(this.options.signal);
+				const data = typeof chunk === 'string' ? chunk : _toUint8Array(chunk);
+				this._bytesRead += typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+
+				// Chunks are transcoded to UTF-8 (characters split across chunks are carried over)
+				const bytes = this._transcoder.push(data);
+				if (bytes.length === 0) {
+					continue;
+				}
+
+				const status = this._write(bytes);
+				const rows = this._takeRows();
+				this.options.onProgress?.({ bytesProcessed: this._bytesRead, totalBytes: this._totalBytes, rowsParsed: this._rowsParsed });
+				yield* rows;
+
+				if (status < 0) {
+					this._throwError();
+				}
+				if (status > 0) {
+					// toLine reached - stop reading the source
+					done = true;
+					break;
+				}
+			}
+
+			const tail = done ? null : this._transcoder.flush();
+			if (tail && tail.length > 0) {
+				const status = this._write(tail);
+				yield* this._takeRows();
+				if (status < 0) {
+					this._throwError();
+				}
+				done = status > 0;
+			}
+
+			if (!done && (lib ? lib.symbols.ocsv_stream_finish(this.stream) : this.stream.finish()) !== 0) {
+				yield* this._takeRows();
+				this._throwError();
+			}
+			const rows = this._takeRows();
+			this.options.onProgress?.({ bytesProcessed: this._bytesRead, totalBytes: this._totalBytes, rowsParsed: this._rowsParsed });
+			yield* rows;
+		} finally {
+			this.destroy();
+		}
+	}
+
+	/**
+	 * Feed UTF-8 bytes to the streaming parser
+	 * @private
+	 * @param {Uint8Array} bytes - Transcoded chunk
+	 * @returns {number} 0 to continue, 1 once `toLine` is reached, -1 on error
+	 */
+	_write(bytes) {
+		return lib ? lib.symbols.ocsv_stream_write(this.stream, ptr(bytes), bytes.length) : this.stream.write(bytes);
+	}
+
+	/**
+	 * Drain rows completed by the streaming parser since the last call
+	 * @private
+	 * @returns {Array<string[]|Object<string, string>>} Completed data rows
+	 */
+	_takeRows() {
+		const nulls = Boolean(this.options.emptyAsNull);
+		const missing = nulls ? null : "";
+		let rows;
+		if (lib) {
+			const sizeBuffer = new Int32Array(1);
+			const bufferPtr = lib.symbols.ocsv_stream_take_rows(this.stream, ptr(sizeBuffer));
+			if (!bufferPtr || sizeBuffer[0] <= 0) {
+				return [];
+			}
+			rows = _deserializePackedBuffer(bufferPtr, sizeBuffer[0], 0, null, nulls);
+		} else {
+			rows = this.stream.takeRows();
+			if (!nulls) {
+				rows = rows.map((row) => row.map((field) => field ?? ""));
+			}
+		}
+		this._rowsParsed += rows.length;
+		const objects = this.options.output === 'objects';
+		if (!this._started && rows.length > 0) {
+			// First batch: resolve the header row and column projection
+			this._started = true;
+			let headers = null;
+			let keys = null;
+			if (this.options.hasHeader || objects) {
+				headers = rows.shift().map((field) => field ?? "");
+				keys = objects ? _resolveHeaders(headers, this.options.duplicateHeaders) : null;
+			}
+			if (this.options.columns !== undefined) {
+				this._columns = _resolveColumns(this.options.columns, headers, keys);
+			}
+			headers = keys ?? headers;
+			this.headers = headers && this._columns ? _projectRow(headers, this._columns) : headers;
+		}
+		if (this._columns) {
+			rows = rows.map((row) => _projectRow(row, this._columns, missing));
+		}
+		if (objects) {
+			rows = rows.map((row) => _rowToObject(row, this.headers, missing));
+		}
+		if (this.options.filter) {
+			rows = rows.filter((row) => this.options.filter(row, this._dataIndex++));
+		}
+		this.rowCount += rows.length;
+		return rows;
+	}
+
+	/**
+	 * Throw the last stream error as an OcsvError
+	 * @private
+	 * @throws {OcsvError}
+	 */
+	_throwError() {
+		if (!lib) {
+			const { message, code, line, column, context, byteOffset } = this.stream.error;
+			throw new OcsvError(message, code, line, column, context, byteOffset);
+		}
+
+		const errorCode = lib.symbols.ocsv_stream_get_error_code(this.stream);
+		const errorLine = lib.symbols.ocsv_stream_get_error_line(this.stream);
+		const errorColumn = lib.symbols.ocsv_stream_get_error_column(this.stream);
+		const errorMessage = lib.symbols.ocsv_stream_get_error_message(this.stream) || "CSV stream parsing failed";
+		const errorContext = lib.symbols.ocsv_stream_get_error_context(this.stream) || "";
+		const errorOffset = lib.symbols.ocsv_stream_get_error_offset(this.stream);
+		throw new OcsvError(errorMessage, errorCode, errorLine, errorColumn, errorContext, errorOffset);
+	}
+
+	/**
+	 * Free the native streaming parser
+	 *
+	 * Called automatically when iteration ends. Safe to call multiple times.
+	 */
+	destroy() {
+		if (this.stream) {
+			if (lib) {
+				lib.symbols.ocsv_stream_destroy(this.stream);
+			}
+			this.stream = null;
+		}
+	}
+}
+
+/**
+ * Normalize a streaming source into an async iterable of chunks (internal helper)
+ * @private
+ * @param {ReadableStream|Blob|AsyncIterable|Iterable} source - Chunk source
+ * @yields {string|Uint8Array|ArrayBuffer} Raw chunks
+ */
+async function* _readChunks(source) {
+	// Bun.file() and other Blobs expose their contents as a ReadableStream
+	if (source && typeof source.stream === 'function' && typeof source.getReader !== 'function') {
+		source = source.stream();
+	}
+
+	if (source && typeof source.getReader === 'function') {
+		const reader = source.getReader();
+		let finished = false;
+		try {
+			while (true) {
+				const { done, value } = await reader.read();
+				if (done) {
+					finished = true;
+					return;
+				}
+				yield value;
+			}
+		} finally {
+			if (!finished) {
+				await reader.cancel();
+			}
+			reader.releaseLock();
 		}
 	}
+
+	if (source && typeof source !== 'string' &&
+		(typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+		yield* source;
+		return;
+	}
+
+	throw new TypeError("stream() expects a ReadableStream, Bun.file(), or an (async) iterable of chunks");
+}
+
+/**
+ * View a binary chunk as a Uint8Array without copying (internal helper)
+ * @private
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} chunk - Binary chunk
+ * @returns {Uint8Array} Byte view of the chunk
+ */
+function _toUint8Array(chunk) {
+	if (chunk instanceof Uint8Array) {
+		return chunk;
+	}
+	if (ArrayBuffer.isView(chunk)) {
+		return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+	}
+	if (chunk instanceof ArrayBuffer) {
+		return new Uint8Array(chunk);
+	}
+	throw new TypeError(`Unsupported chunk type: ${typeof chunk}`);
 }
 
 /**
@@ -308,248 +791,1668 @@ function getLibraryPath() {
 	throw new Error(`Could not find library for platform ${platform}. Tried:\n  ${prebuiltPath}\n  ${devPath}`);
 }
 
-// Load the shared library
-const libPath = getLibraryPath();
-const lib = dlopen(libPath, {
-	ocsv_parser_create: {
-		returns: FFIType.ptr,
-	},
-	ocsv_parser_destroy: {
-		args: [FFIType.ptr],
-		returns: FFIType.void,
-	},
-	ocsv_parse_string: {
-		args: [FFIType.ptr, FFIType.cstring, FFIType.i32],
-		returns: FFIType.i32,
-	},
-	ocsv_get_row_count: {
-		args: [FFIType.ptr],
-		returns: FFIType.i32,
-	},
-	ocsv_get_field_count: {
-		args: [FFIType.ptr, FFIType.i32],
-		returns: FFIType.i32,
-	},
-	ocsv_get_field: {
-		args: [FFIType.ptr, FFIType.i32, FFIType.i32],
-		returns: FFIType.cstring,
-	},
-	// Configuration setters (Phase 1)
-	ocsv_set_delimiter: {
-		args: [FFIType.ptr, FFIType.u8],
-		returns: FFIType.i32,
-	},
-	ocsv_set_quote: {
-		args: [FFIType.ptr, FFIType.u8],
-		returns: FFIType.i32,
-	},
-	ocsv_set_escape: {
-		args: [FFIType.ptr, FFIType.u8],
-		returns: FFIType.i32,
-	},
-	ocsv_set_skip_empty_lines: {
-		args: [FFIType.ptr, FFIType.bool],
-		returns: FFIType.i32,
-	},
-	ocsv_set_comment: {
-		args: [FFIType.ptr, FFIType.u8],
-		returns: FFIType.i32,
-	},
-	ocsv_set_trim: {
-		args: [FFIType.ptr, FFIType.bool],
-		returns: FFIType.i32,
-	},
-	ocsv_set_relaxed: {
-		args: [FFIType.ptr, FFIType.bool],
-		returns: FFIType.i32,
-	},
-	ocsv_set_max_row_size: {
-		args: [FFIType.ptr, FFIType.i32],
-		returns: FFIType.i32,
-	},
-	ocsv_set_from_line: {
-		args: [FFIType.ptr, FFIType.i32],
-		returns: FFIType.i32,
-	},
-	ocsv_set_to_line: {
-		args: [FFIType.ptr, FFIType.i32],
-		returns: FFIType.i32,
-	},
-	ocsv_set_skip_lines_with_error: {
-		args: [FFIType.ptr, FFIType.bool],
-		returns: FFIType.i32,
-	},
-	// Error getters (Phase 1)
-	ocsv_has_error: {
-		args: [FFIType.ptr],
-		returns: FFIType.bool,
-	},
-	ocsv_get_error_code: {
-		args: [FFIType.ptr],
-		returns: FFIType.i32,
-	},
-	ocsv_get_error_line: {
-		args: [FFIType.ptr],
-		returns: FFIType.i32,
-	},
-	ocsv_get_error_column: {
-		args: [FFIType.ptr],
-		returns: FFIType.i32,
-	},
-	ocsv_get_error_message: {
-		args: [FFIType.ptr],
-		returns: FFIType.cstring,
-	},
-	ocsv_get_error_count: {
-		args: [FFIType.ptr],
-		returns: FFIType.i32,
-	},
-	// Bulk extraction methods (Phase 1 & 2)
-	ocsv_rows_to_json: {
-		args: [FFIType.ptr],
-		returns: FFIType.cstring,
-	},
-	ocsv_rows_to_packed_buffer: {
-		args: [FFIType.ptr, FFIType.ptr],
-		returns: FFIType.ptr,
-	},
-});
+/**
+ * Load the native library
+ * @private
+ * @param {string} path - Library path from `getLibraryPath()`
+ * @returns {Object} Library handle from `dlopen()`
+ * @throws {Error} If the library cannot be opened or lacks a symbol (e.g. a prebuild older than these bindings)
+ */
+function _loadLibrary(path) {
+	return dlopen(path, {
+		ocsv_parser_create: {
+			returns: FFIType.ptr,
+		},
+		ocsv_parser_destroy: {
+			args: [FFIType.ptr],
+			returns: FFIType.void,
+		},
+		ocsv_parse_string: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_parse_file: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.bool, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_parse_parallel: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.i32, FFIType.i32, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_get_row_count: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_field_count: {
+			args: [FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_get_field: {
+			args: [FFIType.ptr, FFIType.i32, FFIType.i32],
+			returns: FFIType.cstring,
+		},
+		// Configuration setters (Phase 1)
+		ocsv_reset_config: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_set_delimiter: {
+			args: [FFIType.ptr, FFIType.u8],
+			returns: FFIType.i32,
+		},
+		ocsv_set_quote: {
+			args: [FFIType.ptr, FFIType.u8],
+			returns: FFIType.i32,
+		},
+		ocsv_set_escape: {
+			args: [FFIType.ptr, FFIType.u8],
+			returns: FFIType.i32,
+		},
+		ocsv_set_skip_empty_lines: {
+			args: [FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_set_comment: {
+			args: [FFIType.ptr, FFIType.u8],
+			returns: FFIType.i32,
+		},
+		ocsv_set_trim: {
+			args: [FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_set_relaxed: {
+			args: [FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_set_max_row_size: {
+			args: [FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_set_from_line: {
+			args: [FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_set_to_line: {
+			args: [FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_set_skip_lines_with_error: {
+			args: [FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_set_progress_callback: {
+			args: [FFIType.ptr, FFIType.function],
+			returns: FFIType.i32,
+		},
+		ocsv_set_columns: {
+			args: [FFIType.ptr, FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_set_strict_utf8: {
+			args: [FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		// Error getters (Phase 1)
+		ocsv_has_error: {
+			args: [FFIType.ptr],
+			returns: FFIType.bool,
+		},
+		ocsv_get_error_code: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_error_line: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_error_column: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_error_message: {
+			args: [FFIType.ptr],
+			returns: FFIType.cstring,
+		},
+		ocsv_get_error_context: {
+			args: [FFIType.ptr],
+			returns: FFIType.cstring,
+		},
+		ocsv_get_error_offset: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_error_count: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_parse_string_with_recovery: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.i32, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_get_rows_skipped: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_get_parse_errors_json: {
+			args: [FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_enforce_column_count: {
+			args: [FFIType.ptr, FFIType.i32, FFIType.i32, FFIType.ptr, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		// Bulk extraction methods (Phase 1 & 2)
+		ocsv_rows_to_json: {
+			args: [FFIType.ptr],
+			returns: FFIType.cstring,
+		},
+		ocsv_rows_to_packed_buffer: {
+			args: [FFIType.ptr, FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_rows_to_columnar: {
+			args: [FFIType.ptr, FFIType.ptr, FFIType.i32, FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_free_columnar: {
+			args: [FFIType.ptr, FFIType.ptr],
+			returns: FFIType.void,
+		},
+		ocsv_rows_to_json_objects: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.i32],
+			returns: FFIType.ptr,
+		},
+		ocsv_free_json_string: {
+			args: [FFIType.ptr],
+			returns: FFIType.void,
+		},
+		// Schema validation
+		ocsv_validate_rows: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.bool],
+			returns: FFIType.ptr,
+		},
+		ocsv_validate_json: {
+			args: [FFIType.cstring, FFIType.cstring],
+			returns: FFIType.ptr,
+		},
+		ocsv_infer_schema: {
+			args: [FFIType.ptr, FFIType.bool, FFIType.i32],
+			returns: FFIType.ptr,
+		},
+		// Row filtering (where predicates)
+		ocsv_filter_rows: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		// Field transforms
+		ocsv_transform_rows: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.bool],
+			returns: FFIType.i32,
+		},
+		ocsv_list_transforms: {
+			args: [],
+			returns: FFIType.ptr,
+		},
+		// Output plugins (format conversion)
+		ocsv_rows_to_output: {
+			args: [FFIType.ptr, FFIType.cstring, FFIType.ptr, FFIType.i32, FFIType.i32, FFIType.i32, FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_free_output: {
+			args: [FFIType.ptr, FFIType.ptr],
+			returns: FFIType.void,
+		},
+		ocsv_list_outputs: {
+			args: [],
+			returns: FFIType.ptr,
+		},
+		// Streaming parser (chunked input)
+		ocsv_stream_create: {
+			args: [FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_stream_destroy: {
+			args: [FFIType.ptr],
+			returns: FFIType.void,
+		},
+		ocsv_stream_write: {
+			args: [FFIType.ptr, FFIType.ptr, FFIType.i32],
+			returns: FFIType.i32,
+		},
+		ocsv_stream_finish: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_stream_take_rows: {
+			args: [FFIType.ptr, FFIType.ptr],
+			returns: FFIType.ptr,
+		},
+		ocsv_stream_get_error_code: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_stream_get_error_line: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_stream_get_error_column: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+		ocsv_stream_get_error_message: {
+			args: [FFIType.ptr],
+			returns: FFIType.cstring,
+		},
+		ocsv_stream_get_error_context: {
+			args: [FFIType.ptr],
+			returns: FFIType.cstring,
+		},
+		ocsv_stream_get_error_offset: {
+			args: [FFIType.ptr],
+			returns: FFIType.i32,
+		},
+	});
+}
 
 /**
- * Deserialize packed binary buffer to 2D array (internal helper)
+ * Values of the OCSV_BACKEND environment variable
  * @private
- * @param {bigint|number} bufferPtr - Pointer to packed buffer
- * @param {number} bufferSize - Size of buffer in bytes
- * @returns {string[][]} 2D array of strings [row][field]
  */
-function _deserializePackedBuffer(bufferPtr, bufferSize) {
-	// Convert pointer to ArrayBuffer (zero-copy)
-	const arrayBuffer = toArrayBuffer(bufferPtr, 0, bufferSize);
-	const view = new DataView(arrayBuffer);
-	const bytes = new Uint8Array(arrayBuffer);
+const BACKENDS = new Set(['auto', 'native', 'js']);
 
-	// Read header
-	const magic = view.getUint32(0, true);
-	if (magic !== 0x4F435356) {  // "OCSV"
-		throw new Error(`Invalid magic number: 0x${magic.toString(16)}`);
+/**
+ * Native library handle, or null when the JavaScript backend is used
+ * @private
+ */
+const lib = (() => {
+	const backend = process.env.OCSV_BACKEND || 'auto';
+	if (!BACKENDS.has(backend)) {
+		throw new Error(`OCSV_BACKEND must be 'auto', 'native' or 'js', got ${backend}`);
 	}
-
-	const version = view.getUint32(4, true);
-	if (version !== 1) {
-		throw new Error(`Unsupported version: ${version}`);
+	if (backend === 'js') {
+		return null;
 	}
 
-	const rowCount = view.getUint32(8, true);
-	const fieldCount = view.getUint32(12, true);
-	const totalBytes = view.getBigUint64(16, true);
-
-	// Validate buffer size
-	if (BigInt(bufferSize) !== totalBytes) {
-		throw new Error(`Buffer size mismatch: expected ${totalBytes}, got ${bufferSize}`);
+	// No Bun or no library for the platform: the JavaScript backend is expected
+	let path;
+	try {
+		if (!ffi) {
+			throw new Error("The native library requires Bun (bun:ffi is not available)");
+		}
+		path = getLibraryPath();
+	} catch (err) {
+		if (backend === 'native') {
+			throw err;
+		}
+		return null;
 	}
 
-	// Read row offsets
-	const rowOffsets = new Uint32Array(rowCount);
-	for (let i = 0; i < rowCount; i++) {
-		rowOffsets[i] = view.getUint32(24 + i * 4, true);
+	// A library that is present but does not load is a broken install: say so
+	try {
+		return _loadLibrary(path);
+	} catch (err) {
+		if (backend === 'native') {
+			throw err;
+		}
+		console.warn(`ocsv: could not load ${path}, using the JavaScript backend: ${err.message}\n(rebuild it with \`task build\`, or set OCSV_BACKEND=js to silence this warning)`);
+		return null;
 	}
+})();
 
-	// Deserialize rows
-	const rows = new Array(rowCount);
-	const decoder = new TextDecoder('utf-8');
-
-	for (let i = 0; i < rowCount; i++) {
-		const row = new Array(fieldCount);
-		let offset = rowOffsets[i];
-
-		for (let j = 0; j < fieldCount; j++) {
-			// Read field length (u16)
-			const length = view.getUint16(offset, true);
-			offset += 2;
+/**
+ * Backend in use: 'native' (the Odin library through Bun FFI) or 'js' (the JavaScript port of the parser)
+ *
+ * The JavaScript backend is used when `OCSV_BACKEND=js` is set, or when the
+ * native library is unavailable (no prebuild for the platform, or a runtime
+ * other than Bun) unless `OCSV_BACKEND=native` is set. A library file that
+ * exists but fails to load (e.g. an outdated build missing symbols) also
+ * falls back, with a warning; `OCSV_BACKEND=native` throws instead. It parses
+ * identically (same rows, null fields and OcsvError codes) but does not
+ * support lazy or columnar mode, `where`, `transforms`, `schema`,
+ * `inferTypes`, `columnCount`, `onError` recovery, `mmap`, `convertCSV()`
+ * or `validate()`.
+ * @type {'native'|'js'}
+ */
+export const BACKEND = lib ? 'native' : 'js';
 
-			// Zero-copy string extraction
-			if (length > 0) {
-				const fieldBytes = bytes.subarray(offset, offset + length);
-				row[j] = decoder.decode(fieldBytes);
-				offset += length;
-			} else {
-				row[j] = "";
-			}
-		}
+/**
+ * Where leaked parsers are reported: null (off), or a function given each leak
+ * @private
+ */
+let leakReporter = process.env.OCSV_DEBUG_LEAKS ? _warnLeak : null;
 
-		rows[i] = row;
+/**
+ * Safety net for parsers and lazy results that are garbage collected without `destroy()`
+ *
+ * The held value is the kind, the native pointer (null with the JavaScript
+ * backend) and the creation stack in leak debug mode.
+ * @private
+ */
+const PARSER_REGISTRY = new FinalizationRegistry(({ kind, pointer, stack }) => {
+	if (pointer) {
+		lib.symbols.ocsv_parser_destroy(pointer);
 	}
+	leakReporter?.({ kind, stack });
+});
 
-	return rows;
+/**
+ * Register an object owning a native parser with the safety net
+ * @private
+ * @param {Parser|LazyResult} owner - Object to track
+ * @param {'Parser'|'LazyResult'} kind - Name used in leak reports
+ * @param {bigint|null} pointer - Native parser freed if `owner` is collected
+ */
+function _trackNative(owner, kind, pointer) {
+	const stack = leakReporter ? new Error().stack.replace(/^(.*\n){2}/, "") : null;
+	PARSER_REGISTRY.register(owner, { kind, pointer, stack }, owner);
 }
 
 /**
- * Configuration options for CSV parsing
- * @typedef {Object} ParseOptions
- * @property {string} [delimiter=','] - Field delimiter character
- * @property {string} [quote='"'] - Quote character for escaping
- * @property {string} [escape='"'] - Escape character
- * @property {boolean} [skipEmptyLines=false] - Skip empty lines
- * @property {string} [comment='#'] - Comment line prefix (use empty string to disable)
- * @property {boolean} [trim=false] - Trim whitespace from fields
- * @property {boolean} [relaxed=false] - Enable relaxed parsing mode (allows some RFC violations)
- * @property {number} [maxRowSize=1048576] - Maximum row size in bytes (default: 1MB)
- * @property {number} [fromLine=0] - Start parsing from line N (0 = start from beginning)
- * @property {number} [toLine=-1] - Stop parsing at line N (-1 = parse all lines)
- * @property {boolean} [skipLinesWithError=false] - Skip lines that fail to parse
- * @property {boolean} [hasHeader=false] - Whether the first row is a header
- * @property {string} [mode='auto'] - Parsing mode: 'auto' (default), 'packed', 'bulk', 'field', or 'lazy'
- *   - 'auto': Automatically select best mode based on data size (recommended)
- *   - 'packed': Use packed buffer (fastest, 61.25 MB/s, best for >1K rows)
- *   - 'bulk': Use bulk JSON (fast, 40 MB/s, good for 100-1K rows)
- *   - 'field': Use field-by-field (slower, 30 MB/s, fine for <100 rows)
- *   - 'lazy': Use lazy evaluation (on-demand row access, requires manual cleanup)
+ * Leak reporter used by `debugLeaks(true)` and OCSV_DEBUG_LEAKS
+ * @private
+ * @param {LeakReport} report - Leaked parser
  */
+function _warnLeak({ kind, stack }) {
+	console.warn(`ocsv: ${kind} garbage collected without destroy() (native memory freed late)\n${stack ?? "(no stack: leak debugging was off when it was created)"}`);
+}
 
 /**
- * Result of CSV parsing
- * @typedef {Object} ParseResult
- * @property {string[]} [headers] - Header row (if hasHeader was true)
- * @property {string[][]} rows - Array of rows, each row is an array of fields
- * @property {number} rowCount - Total number of rows parsed (excluding header)
+ * Parser or lazy result that was garbage collected without `destroy()`
+ * @typedef {Object} LeakReport
+ * @property {'Parser'|'LazyResult'} kind - Leaked object
+ * @property {string|null} stack - Stack trace of where it was created
+ *   (null if leak debugging was off at the time)
  */
 
 /**
- * CSV Parser class with automatic memory management
+ * Report parsers and lazy results that are garbage collected without `destroy()`
+ *
+ * Native memory of such objects is freed on collection either way; this
+ * records where each one was created and reports it, to find the missing
+ * `destroy()`. Objects created while it is off are reported without a stack.
+ * Also enabled by setting the OCSV_DEBUG_LEAKS environment variable.
+ *
+ * @param {boolean|function(LeakReport): void} [reporter=true] - true to warn on the console,
+ *   a function to receive each report, or false to turn it off
+ * @throws {TypeError} If `reporter` is not a boolean or a function
  *
  * @example
- * const parser = new Parser();
- * try {
- *   const result = parser.parse('a,b,c\n1,2,3');
- *   console.log(result.rows); // [['a','b','c'], ['1','2','3']]
- * } finally {
- *   parser.destroy();
- * }
+ * import { debugLeaks } from 'ocsv';
+ *
+ * debugLeaks();
+ * // ocsv: Parser garbage collected without destroy() (native memory freed late)
+ * //     at new Parser (ocsv/bindings/index.js:...)
+ * //     at importOrders (./src/import.js:12:17)
  */
-export class Parser {
-	/**
-	 * Create a new CSV parser
-	 */
-	constructor() {
-		this.parser = lib.symbols.ocsv_parser_create();
-		if (!this.parser) {
-			throw new Error("Failed to create parser");
-		}
+export function debugLeaks(reporter = true) {
+	if (typeof reporter !== 'boolean' && typeof reporter !== 'function') {
+		throw new TypeError("debugLeaks() expects a boolean or a function");
 	}
+	leakReporter = reporter === true ? _warnLeak : (reporter || null);
+}
 
-	/**
-	 * Apply configuration options to the parser (Phase 1)
-	 * @private
-	 * @param {ParseOptions} options - Configuration options
-	 */
-	_applyConfig(options) {
-		if (options.delimiter !== undefined) {
-			const code = options.delimiter.charCodeAt(0);
-			lib.symbols.ocsv_set_delimiter(this.parser, code);
-		}
-
-		if (options.quote !== undefined) {
-			const code = options.quote.charCodeAt(0);
+/**
+ * Deserialize a native packed buffer (internal helper)
+ * @private
+ * @param {bigint|number} bufferPtr - Pointer to packed buffer
+ * @param {number} bufferSize - Size of buffer in bytes
+ * @param {number} [startRow=0] - First row to decode (1 skips the header row)
+ * @param {string[]|null} [keys=null] - Decode rows straight into objects with these keys
+ * @param {boolean} [nulls=false] - Decode null fields as `null` (`emptyAsNull`)
+ * @returns {Array<Array<string|null>|Object<string, string|null>>} Rows as arrays [row][field], or objects when `keys` is given
+ */
+function _deserializePackedBuffer(bufferPtr, bufferSize, startRow = 0, keys = null, nulls = false) {
+	// Convert pointer to ArrayBuffer (zero-copy)
+	const arrayBuffer = toArrayBuffer(bufferPtr, 0, bufferSize);
+	return decodePackedBuffer(arrayBuffer, { startRow, keys, nulls });
+}
+
+/**
+ * Turn raw header names into unique object keys (internal helper)
+ *
+ * Empty names become `column<N>` (1-indexed position). Repeated names get a
+ * `_2`, `_3`, ... suffix that does not clash with any other header.
+ *
+ * @private
+ * @param {string[]} headers - Raw header row
+ * @param {'suffix'|'error'} [duplicateHeaders='suffix'] - Rename or throw on empty/duplicate names
+ * @returns {string[]} Unique keys, one per column
+ * @throws {Error} On empty or duplicate names when duplicateHeaders is 'error'
+ */
+function _resolveHeaders(headers, duplicateHeaders = 'suffix') {
+	if (duplicateHeaders !== 'suffix' && duplicateHeaders !== 'error') {
+		throw new TypeError(`duplicateHeaders must be 'suffix' or 'error', got ${duplicateHeaders}`);
+	}
+
+	const names = headers.map((name, i) => {
+		if (name !== "") {
+			return name;
+		}
+		if (duplicateHeaders === 'error') {
+			throw new Error(`Empty header name in column ${i + 1}`);
+		}
+		return `column${i + 1}`;
+	});
+
+	const taken = new Set(names);
+	const assigned = new Set();
+	return names.map((name, i) => {
+		if (!assigned.has(name)) {
+			assigned.add(name);
+			return name;
+		}
+		if (duplicateHeaders === 'error') {
+			throw new Error(`Duplicate header name "${name}" in column ${i + 1}`);
+		}
+		let n = 2;
+		while (taken.has(`${name}_${n}`)) {
+			n++;
+		}
+		const unique = `${name}_${n}`;
+		taken.add(unique);
+		assigned.add(unique);
+		return unique;
+	});
+}
+
+/**
+ * Resolve the `columns` option to zero-based column indices (internal helper)
+ *
+ * Names are looked up in the raw header row first, then in the object keys
+ * (so `name_2` selects the second `name` column with `output: 'objects'`).
+ *
+ * @private
+ * @param {Array<number|string>} columns - Column indices and/or header names, in output order
+ * @param {string[]|null} headers - Raw header row, or null without a header
+ * @param {string[]|null} keys - Resolved object keys with `output: 'objects'`
+ * @returns {number[]} Column indices
+ * @throws {TypeError} If `columns` is not a non-empty array of indices and names
+ * @throws {Error} On unknown or repeated columns, or names without a header row
+ */
+function _resolveColumns(columns, headers, keys) {
+	if (!Array.isArray(columns) || columns.length === 0) {
+		throw new TypeError("columns must be a non-empty array of column indices or header names");
+	}
+
+	const indices = columns.map((column) => {
+		if (typeof column === 'number') {
+			if (!Number.isInteger(column) || column < 0) {
+				throw new TypeError(`Column index must be a non-negative integer, got ${column}`);
+			}
+			if (headers && column >= headers.length) {
+				throw new Error(`Column index ${column} is out of range (the header has ${headers.length} columns)`);
+			}
+			return column;
+		}
+		if (typeof column !== 'string') {
+			throw new TypeError(`Columns must be indices or header names, got ${typeof column}`);
+		}
+		if (!headers) {
+			throw new Error(`Column "${column}" can only be selected by name with hasHeader: true or output: 'objects'`);
+		}
+		let index = headers.indexOf(column);
+		if (index === -1 && keys) {
+			index = keys.indexOf(column);
+		}
+		if (index === -1) {
+			throw new Error(`Unknown column "${column}" (available: ${(keys ?? headers).join(', ')})`);
+		}
+		return index;
+	});
+
+	const seen = new Set();
+	indices.forEach((index, i) => {
+		if (seen.has(index)) {
+			throw new Error(`Column ${JSON.stringify(columns[i])} is selected more than once`);
+		}
+		seen.add(index);
+	});
+	return indices;
+}
+
+/**
+ * Encode the `where` option as native filter JSON (internal helper)
+ *
+ * Keys are header names or zero-based indices; values are conditions:
+ * a string/number/boolean (equals), an array (in set), `{ min, max }`
+ * (numeric range, bounds inclusive) or a RegExp.
+ *
+ * @private
+ * @param {Object<string, *>} where - Column conditions; a row must match all of them
+ * @param {string[]|null} headers - Raw header row, or null without a header
+ * @param {string[]|null} keys - Resolved object keys with `output: 'objects'`
+ * @returns {string} Filter JSON for ocsv_filter_rows
+ * @throws {TypeError} If a condition is not supported
+ * @throws {Error} On unknown columns (see `_resolveColumns`)
+ */
+function _encodeWhere(where, headers, keys) {
+	if (!where || typeof where !== 'object' || Array.isArray(where)) {
+		throw new TypeError("where must be an object mapping columns to conditions");
+	}
+
+	return JSON.stringify(Object.entries(where).map(([name, condition]) => {
+		const column = _resolveColumnKey(name, headers, keys);
+
+		if (condition instanceof RegExp) {
+			const flags = [...condition.flags].filter((flag) => flag !== 'g' && flag !== 'y');
+			const unsupported = flags.find((flag) => !'imu'.includes(flag));
+			if (unsupported) {
+				throw new TypeError(`Unsupported RegExp flag '${unsupported}' in where.${name}`);
+			}
+			return { column, op: 'regex', pattern: condition.source, flags: flags.join('') };
+		}
+		if (Array.isArray(condition)) {
+			return { column, op: 'in', values: condition.map(String) };
+		}
+		if (condition && typeof condition === 'object') {
+			const { min, max } = condition;
+			for (const bound of [min, max]) {
+				if (bound !== undefined && !Number.isFinite(bound)) {
+					throw new TypeError(`where.${name} range bounds must be finite numbers`);
+				}
+			}
+			if (min === undefined && max === undefined) {
+				throw new TypeError(`where.${name} range needs min and/or max`);
+			}
+			return { column, op: 'range', min, max };
+		}
+		if (['string', 'number', 'boolean'].includes(typeof condition)) {
+			return { column, op: 'eq', value: String(condition) };
+		}
+		throw new TypeError(`Unsupported where condition for ${name}: ${condition}`);
+	}));
+}
+
+/**
+ * Resolve an object key of a per-column option to a column index (internal helper)
+ * @private
+ * @param {string} name - Object key: a header name, or a zero-based index
+ * @param {string[]|null} headers - Raw header row, or null without a header
+ * @param {string[]|null} keys - Resolved object keys with `output: 'objects'`
+ * @returns {number} Column index
+ * @throws {Error} On unknown columns (see `_resolveColumns`)
+ */
+function _resolveColumnKey(name, headers, keys) {
+	// Object keys are always strings: numeric keys are indices unless a header has that name
+	const isHeader = (headers && headers.includes(name)) || (keys && keys.includes(name));
+	const [column] = _resolveColumns([!isHeader && /^\d+$/.test(name) ? Number(name) : name], headers, keys);
+	return column;
+}
+
+/**
+ * Encode a `transforms` option as the JSON steps expected by ocsv_transform_rows (internal helper)
+ *
+ * Keys are header names, zero-based indices or '*' (every column); values
+ * are a transform name or an array of names applied in order. '*' steps run
+ * first, so per-column steps see their result. Transforms registered with
+ * `registerTransform()` are returned separately: they run in JavaScript,
+ * after all built-in steps.
+ *
+ * @private
+ * @param {Object<string, string|string[]>} transforms - Transforms per column
+ * @param {string[]|null} headers - Raw header row, or null without a header
+ * @param {string[]|null} keys - Resolved object keys with `output: 'objects'`
+ * @returns {{json: string|null, js: Array<{column: number, fn: Function}>}} Transforms JSON for
+ *   ocsv_transform_rows (null without built-in steps) and the JavaScript steps
+ * @throws {TypeError} If the option is malformed or names an unknown transform
+ * @throws {Error} On unknown columns (see `_resolveColumns`)
+ */
+function _encodeTransforms(transforms, headers, keys) {
+	if (!transforms || typeof transforms !== 'object' || Array.isArray(transforms)) {
+		throw new TypeError("transforms must be an object mapping columns to transform names");
+	}
+
+	const builtins = listTransforms();
+	const entries = Object.entries(transforms).sort(([a], [b]) => (b === '*') - (a === '*'));
+	const steps = [];
+	const js = [];
+	for (const [name, names] of entries) {
+		const column = name === '*' ? -1 : _resolveColumnKey(name, headers, keys);
+		for (const transform of Array.isArray(names) ? names : [names]) {
+			if (JS_TRANSFORMS.has(transform)) {
+				js.push({ column, fn: JS_TRANSFORMS.get(transform) });
+			} else if (builtins.includes(transform)) {
+				steps.push({ column, transform });
+			} else {
+				const available = [...builtins, ...JS_TRANSFORMS.keys()].sort();
+				throw new TypeError(`Unknown transform '${transform}' for ${name} (available: ${available.join(', ')})`);
+			}
+		}
+	}
+	return { json: steps.length > 0 ? JSON.stringify(steps) : null, js };
+}
+
+/**
+ * Transforms registered with `registerTransform()`, by name
+ * @private
+ * @type {Map<string, function(string): string>}
+ */
+const JS_TRANSFORMS = new Map();
+
+/**
+ * Validators registered with `registerValidator()`, by name
+ * @private
+ * @type {Map<string, function(string): (boolean|string)>}
+ */
+const JS_VALIDATORS = new Map();
+
+/**
+ * Check the arguments of a plugin registration (internal helper)
+ * @private
+ * @param {string} kind - 'transform' or 'validator'
+ * @param {string} name - Plugin name
+ * @param {Function} fn - Plugin function
+ * @param {string[]} taken - Names already in use
+ * @throws {TypeError} If the name or function is invalid
+ * @throws {Error} If the name is already in use
+ */
+function _checkPlugin(kind, name, fn, taken) {
+	if (typeof name !== 'string' || name.length === 0) {
+		throw new TypeError(`${kind} name must be a non-empty string`);
+	}
+	if (typeof fn !== 'function') {
+		throw new TypeError(`${kind} '${name}' must be a function`);
+	}
+	if (taken.includes(name)) {
+		throw new Error(`A ${kind} named '${name}' is already registered`);
+	}
+}
+
+/**
+ * Run JavaScript transforms over extracted rows in place (internal helper)
+ * @private
+ * @param {Array<Array<string|null>|Object<string, string|null>>} rows - Extracted rows (arrays, or objects keyed by `keys`)
+ * @param {Array<{column: number, fn: Function}>} steps - Steps from `_encodeTransforms` (-1 = every column)
+ * @param {number[]|null} columns - Projected column indices, or null for all columns
+ * @param {string[]|null} keys - Object keys with `output: 'objects'`
+ */
+function _runTransforms(rows, steps, columns, keys) {
+	for (const row of rows) {
+		for (const { column, fn } of steps) {
+			const width = keys ? keys.length : row.length;
+			const positions = column === -1
+				? Array.from({ length: width }, (_, i) => i)
+				: [columns ? columns.indexOf(column) : column];
+			for (const position of positions) {
+				const field = keys ? keys[position] : position;
+				// Like native transforms, skip null fields and fields the row doesn't have
+				if (position >= 0 && position < width && row[field] != null) {
+					row[field] = String(fn(row[field]) ?? "");
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Run the validators named by schema columns over raw rows (internal helper)
+ *
+ * Failures are added to `result.errors` (rule 'custom') and clear `result.valid`.
+ * Empty values are skipped; use `required` for them.
+ *
+ * @private
+ * @param {Array<Array<string|null>>} rows - Raw data rows, in the same order as `result.rows`
+ * @param {Schema|ColumnSchema[]} schema - Schema definition
+ * @param {string[]|null} headers - Header row, used to name unnamed columns
+ * @param {ValidationResult} result - Native validation result to extend
+ * @param {number} [rowOffset=0] - Added to reported row numbers (1 when the header is row 1)
+ */
+function _runValidators(rows, schema, headers, result, rowOffset = 0) {
+	const columns = Array.isArray(schema) ? schema : schema.columns;
+	const errors = [];
+	columns.forEach((column, i) => {
+		if (column.validator === undefined) {
+			return;
+		}
+		const columnName = column.name ?? (headers && headers[i]) ?? `column${i + 1}`;
+		const names = Array.isArray(column.validator) ? column.validator : [column.validator];
+		// Strict mode stops converting at the first invalid row
+		for (let r = 0; r < result.rows.length; r++) {
+			const value = rows[r][i] == null ? "" : String(rows[r][i]);
+			if (value === "") {
+				continue;
+			}
+			for (const name of names) {
+				const outcome = JS_VALIDATORS.get(name)(value);
+				if (outcome !== true) {
+					errors.push({
+						row: r + 1 + rowOffset,
+						column: i + 1,
+						columnName,
+						value,
+						rule: 'custom',
+						validator: name,
+						message: typeof outcome === 'string' ? outcome : `${columnName}: '${value}' failed ${name} validation`,
+					});
+				}
+			}
+		}
+	});
+
+	if (errors.length > 0) {
+		result.valid = false;
+		result.errors = [...result.errors, ...errors].sort((a, b) => a.row - b.row || a.column - b.column);
+	}
+}
+
+/**
+ * Apply the `filter` callback to materialized rows (internal helper)
+ * @private
+ * @param {ParseResult} result - Result to filter in place
+ * @param {Function|undefined} filter - `(row, index) => boolean`
+ * @returns {ParseResult} The same result
+ */
+function _filterResult(result, filter) {
+	if (filter) {
+		result.rows = result.rows.filter((row, index) => filter(row, index));
+		result.rowCount = result.rows.length;
+	}
+	return result;
+}
+
+/**
+ * Keep only the selected columns of a row (internal helper)
+ * @private
+ * @param {string[]} row - Field values
+ * @param {number[]} columns - Column indices
+ * @param {*} [missing=""] - Value for columns past the end of the row
+ * @returns {string[]} Projected row
+ */
+function _projectRow(row, columns, missing = "") {
+	return columns.map((index) => (index < row.length ? row[index] : missing));
+}
+
+/**
+ * Validate and return the requested row shape (internal helper)
+ * @private
+ * @param {ParseOptions} options - Parse options
+ * @returns {'arrays'|'objects'} Row shape
+ * @throws {TypeError} If `output` is not a known value
+ */
+function _outputMode(options) {
+	const output = options.output ?? 'arrays';
+	if (output !== 'arrays' && output !== 'objects') {
+		throw new TypeError(`output must be 'arrays' or 'objects', got ${output}`);
+	}
+	return output;
+}
+
+/**
+ * Whether rows are keyed by header name, so the first row is always the header (internal helper)
+ * @private
+ * @param {ParseOptions} options - Parse options
+ * @returns {boolean} True with `output: 'objects'` or `mode: 'columnar'`
+ */
+function _keyedByHeader(options) {
+	return options.output === 'objects' || options.mode === 'columnar';
+}
+
+/**
+ * Encode `columnTypes` as one native type code per result column (internal helper)
+ * @private
+ * @param {Object<string, string>|undefined} columnTypes - Types by column name or index
+ * @param {string[]} keys - Result column names
+ * @returns {Uint8Array} Type codes (0 = infer); empty when nothing is forced
+ * @throws {TypeError} If a column or type is unknown
+ */
+function _encodeColumnTypes(columnTypes, keys) {
+	if (columnTypes === undefined) {
+		return new Uint8Array(0);
+	}
+
+	const codes = new Uint8Array(keys.length);
+	for (const [column, type] of Object.entries(columnTypes)) {
+		const index = /^\d+$/.test(column) && !keys.includes(column) ? Number(column) : keys.indexOf(column);
+		if (index < 0 || index >= keys.length) {
+			throw new TypeError(`Unknown column in columnTypes: ${column}`);
+		}
+		const code = COLUMN_TYPES.indexOf(type);
+		if (code < 0) {
+			throw new TypeError(`columnTypes.${column} must be one of ${COLUMN_TYPES.join(', ')}, got ${type}`);
+		}
+		codes[index] = code;
+	}
+	return codes;
+}
+
+/**
+ * Build an object row from an array row (internal helper)
+ * @private
+ * @param {Array<*>} row - Field values
+ * @param {string[]} keys - Unique keys, one per column
+ * @param {*} [missing=""] - Value for keys past the end of the row
+ * @returns {Object<string, *>} Object with every key; extra fields are dropped
+ */
+function _rowToObject(row, keys, missing = "") {
+	const obj = {};
+	for (let i = 0; i < keys.length; i++) {
+		obj[keys[i]] = i < row.length ? row[i] : missing;
+	}
+	return obj;
+}
+
+/**
+ * Assemble a ParseResult (internal helper)
+ * @private
+ * @param {Array<string[]|Object<string, string>>} rows - Data rows (header excluded)
+ * @param {string[]|null} headers - Header row, if any
+ * @returns {ParseResult} Parse result
+ */
+function _makeResult(rows, headers) {
+	const result = {
+		rows,
+		rowCount: rows.length,
+	};
+	if (headers) {
+		result.headers = headers;
+	}
+	return result;
+}
+
+/**
+ * Column types supported by schema validation
+ * @private
+ */
+const SCHEMA_TYPES = new Set(['string', 'int', 'float', 'bool', 'date']);
+
+/**
+ * Validate a schema and encode it as the JSON expected by native code (internal helper)
+ * @private
+ * @param {Schema|ColumnSchema[]} schema - Schema definition
+ * @param {string[]|null} headers - Header row, used to name unnamed columns
+ * @returns {{ json: string, types: string[] }} Encoded schema and column types
+ * @throws {TypeError} If the schema is malformed
+ */
+function _encodeSchema(schema, headers) {
+	const columns = Array.isArray(schema) ? schema : schema && schema.columns;
+	if (!Array.isArray(columns) || columns.length === 0) {
+		throw new TypeError("schema must define at least one column");
+	}
+
+	const types = [];
+	const encoded = columns.map((column, i) => {
+		const type = column.type || 'string';
+		if (!SCHEMA_TYPES.has(type)) {
+			throw new TypeError(`Unknown schema type '${type}' for column ${i}`);
+		}
+		types.push(type);
+		for (const name of [column.validator ?? []].flat()) {
+			if (!JS_VALIDATORS.has(name)) {
+				throw new TypeError(`Unknown validator '${name}' for column ${i} (register it with registerValidator())`);
+			}
+		}
+
+		const out = { name: column.name ?? (headers && headers[i]) ?? `column${i + 1}`, type };
+		for (const key of ['required', 'nullable', 'min', 'max', 'minLength', 'maxLength', 'allowedValues']) {
+			if (column[key] !== undefined) {
+				out[key] = key === 'allowedValues' ? column[key].map(String) : column[key];
+			}
+		}
+		if (column.default !== undefined) {
+			out.default = String(column.default);
+		}
+		return out;
+	});
+
+	return {
+		json: JSON.stringify({
+			columns: encoded,
+			strict: !Array.isArray(schema) && !!schema.strict,
+			allowExtraColumns: !Array.isArray(schema) && !!schema.allowExtraColumns,
+		}),
+		types,
+	};
+}
+
+/**
+ * Check a `sampleRows` value (internal helper)
+ * @private
+ * @param {number} [value=0] - Number of rows to scan (0 = all)
+ * @returns {number} The value
+ * @throws {TypeError} If the value is not a non-negative integer
+ */
+function _sampleRows(value = 0) {
+	if (!Number.isInteger(value) || value < 0) {
+		throw new TypeError(`sampleRows must be a non-negative integer, got ${value}`);
+	}
+	return value;
+}
+
+/**
+ * Read the sample size from an `inferTypes` option (internal helper)
+ * @private
+ * @param {boolean|{sampleRows?: number}} inferTypes - Option value
+ * @returns {number} Number of rows to scan (0 = all)
+ * @throws {TypeError} If the option is malformed
+ */
+function _inferSampleRows(inferTypes) {
+	if (inferTypes === true) {
+		return 0;
+	}
+	if (typeof inferTypes !== 'object') {
+		throw new TypeError("inferTypes must be true or { sampleRows }");
+	}
+	return _sampleRows(inferTypes.sampleRows);
+}
+
+/**
+ * Read a `columnCount` option (internal helper)
+ * @private
+ * @param {'strict'|'pad'|'truncate'|'ignore'|{mode: string, count?: number, fill?: string|null}} [columnCount] - Option value
+ * @returns {{mode: number, count: number, fill: string|null}} Native mode ordinal, expected field count
+ *   (0 = the first row's) and value of padded fields (null = empty)
+ * @throws {TypeError} If the option is malformed
+ */
+function _columnCountOption(columnCount = 'ignore') {
+	const { mode, count = 0, fill = null } = typeof columnCount === 'string' ? { mode: columnCount } : (columnCount ?? {});
+	if (COLUMN_COUNT_MODES[mode] === undefined) {
+		throw new TypeError(`columnCount must be 'strict', 'pad', 'truncate' or 'ignore', got ${mode}`);
+	}
+	if (!Number.isInteger(count) || count < 0) {
+		throw new TypeError(`columnCount.count must be a non-negative integer, got ${count}`);
+	}
+	if (fill !== null && typeof fill !== 'string') {
+		throw new TypeError("columnCount.fill must be a string or null");
+	}
+	return { mode: COLUMN_COUNT_MODES[mode], count, fill };
+}
+
+/**
+ * Check the `onProgress` and `signal` options (internal helper)
+ * @private
+ * @param {ParseOptions} options - Parsing options
+ * @throws {TypeError} If `onProgress` is not a function or `signal` is not an AbortSignal
+ */
+function _checkProgressOptions({ onProgress, signal }) {
+	if (onProgress !== undefined && typeof onProgress !== 'function') {
+		throw new TypeError("onProgress must be a function");
+	}
+	if (signal !== undefined && !(signal instanceof AbortSignal)) {
+		throw new TypeError("signal must be an AbortSignal");
+	}
+}
+
+/**
+ * Throw the error of a cancelled parse if `signal` is aborted (internal helper)
+ * @private
+ * @param {AbortSignal} [signal] - Signal given to the parse
+ * @throws {OcsvError} With code `ABORTED`
+ */
+function _throwIfAborted(signal) {
+	if (signal?.aborted) {
+		throw new OcsvError("Parse aborted", ParseErrorCode.ABORTED, 0, 0);
+	}
+}
+
+/**
+ * Check that the JavaScript backend supports the parse options (internal helper)
+ * @private
+ * @param {ParseOptions} options - Parsing options
+ * @throws {TypeError} If an option needs the native library
+ */
+function _checkFallbackOptions(options) {
+	let option = null;
+	if (options.mode === 'lazy' || options.mode === 'columnar') {
+		option = `mode '${options.mode}'`;
+	} else if ((options.onError ?? 'throw') !== 'throw') {
+		option = `onError '${options.onError}'`;
+	} else if (_columnCountOption(options.columnCount).mode !== COLUMN_COUNT_MODES.ignore) {
+		option = "columnCount";
+	} else {
+		option = ['where', 'transforms', 'schema', 'inferTypes', 'mmap'].find((name) => options[name] !== undefined && options[name] !== false) ?? null;
+	}
+	if (option !== null) {
+		throw new TypeError(`${option} is not supported by the JavaScript backend`);
+	}
+}
+
+/**
+ * Throw if the JavaScript backend is in use (internal helper)
+ * @private
+ * @param {string} feature - Name of the function or option that needs the native library
+ * @throws {Error} If the native library is not loaded
+ */
+function _requireNative(feature) {
+	if (!lib) {
+		throw new Error(`${feature} requires the native library (the JavaScript backend is in use)`);
+	}
+}
+
+/**
+ * Rebuild an error posted by a parse worker (internal helper)
+ * @private
+ * @param {{name: string, message: string}} json - `OcsvError.toJSON()`, or the name and message of another error
+ * @returns {Error} OcsvError, TypeError, RangeError or Error
+ */
+function _errorFromJSON(json) {
+	if (json.name === 'OcsvError') {
+		return new OcsvError(json.message, json.code, json.line, json.column, json.context, json.byteOffset);
+	}
+	const ErrorClass = { TypeError, RangeError }[json.name] ?? Error;
+	return new ErrorClass(json.message);
+}
+
+/**
+ * Worker pool shared by `parseCSVAsync()` and `Parser.parseAsync()`, started on first use
+ * @private
+ * @type {WorkerPool|null}
+ */
+let sharedPool = null;
+
+/**
+ * Parse on a pool worker and rebuild the result on this thread (internal helper)
+ *
+ * Rows come back in a packed buffer that is transferred, not copied, and are
+ * decoded here. Results of `schema`, `inferTypes` and columnar mode are
+ * copied as they are. `filter` and `onProgress` run on this thread; `signal`
+ * reaches the worker through shared memory, since the worker is busy in
+ * native code until its next progress checkpoint.
+ *
+ * @private
+ * @param {string|Uint8Array|ArrayBuffer|Blob} data - CSV data
+ * @param {AsyncParseOptions} options - Parsing options and worker pool
+ * @returns {Promise<ParseResult|ColumnarResult>} Parse result
+ * @throws {OcsvError} If parsing fails
+ * @throws {TypeError} If an option is not supported off the calling thread
+ */
+async function _parseOnWorker(data, options) {
+	const { pool, filter, onProgress, signal, ...workerOptions } = options;
+	_checkProgressOptions(options);
+	_throwIfAborted(signal);
+	if (pool !== undefined && !(pool instanceof WorkerPool)) {
+		throw new TypeError("pool must be a WorkerPool");
+	}
+	if (options.mode === 'lazy') {
+		throw new TypeError("lazy mode is not supported by parseAsync(); lazy rows stay in the parser that read them");
+	}
+	if (filter !== undefined && (typeof filter !== 'function' || options.mode === 'columnar')) {
+		throw new TypeError(typeof filter !== 'function' ? "filter must be a function" : "filter is not supported in columnar mode");
+	}
+
+	// Registered plugins are functions on this thread; workers only know the built-in ones
+	const transforms = options.transforms && typeof options.transforms === 'object' ? Object.values(options.transforms) : [];
+	const registered = transforms.flat().find((name) => JS_TRANSFORMS.has(name));
+	if (registered !== undefined) {
+		throw new TypeError(`Registered JavaScript transforms are not supported by parseAsync() ('${registered}')`);
+	}
+	const schemaColumns = Array.isArray(options.schema) ? options.schema : options.schema?.columns;
+	if (Array.isArray(schemaColumns) && schemaColumns.some((column) => column?.validator !== undefined)) {
+		throw new TypeError("Schema validators are not supported by parseAsync()");
+	}
+
+	// Strings are copied to the worker; bytes are copied once into a buffer the worker takes over
+	let input = data;
+	let transfer = [];
+	if (data instanceof Blob) {
+		input = await data.arrayBuffer();
+		transfer = [input];
+	} else if (typeof data !== 'string') {
+		input = toBytes(data).slice().buffer;
+		transfer = [input];
+	}
+
+	const abortFlag = signal ? new Int32Array(new SharedArrayBuffer(4)) : null;
+	const onAbort = () => Atomics.store(abortFlag, 0, 1);
+	signal?.addEventListener('abort', onAbort, { once: true });
+
+	const workers = pool ?? (sharedPool ??= new WorkerPool());
+	let reply;
+	try {
+		reply = await workers.run({ input, options: workerOptions, abortFlag, progress: Boolean(onProgress) }, transfer, onProgress);
+	} finally {
+		signal?.removeEventListener('abort', onAbort);
+	}
+	const { result, packed, error } = reply;
+	if (error) {
+		throw _errorFromJSON(error);
+	}
+	_throwIfAborted(signal);
+	if (packed) {
+		result.rows = packed.buffer ? decodePackedBuffer(packed.buffer, packed) : [];
+		result.rowCount = result.rows.length;
+	}
+	if (result.errors) {
+		result.errors = result.errors.map(_errorFromJSON);
+	}
+	return _filterResult(result, filter);
+}
+
+/**
+ * Strip an inferred schema down to column types (internal helper)
+ *
+ * The observed ranges only describe the sample, so they must not reject
+ * the rows being converted.
+ * @private
+ * @param {InferredSchema} schema - Inferred schema
+ * @returns {Schema} Schema with names and types only
+ */
+function _typesOnly(schema) {
+	return {
+		columns: schema.columns.map(({ name, type }) => ({ name, type })),
+		allowExtraColumns: true,
+	};
+}
+
+/**
+ * Read a native validation result and convert it to JS values (internal helper)
+ * @private
+ * @param {bigint|number|null} resultPtr - Pointer returned by ocsv_validate_*
+ * @param {string[]} types - Column types from the schema
+ * @returns {ValidationResult} Typed rows and validation errors
+ */
+function _readValidationResult(resultPtr, types) {
+	if (!resultPtr) {
+		throw new TypeError("Invalid schema or rows");
+	}
+
+	let result;
+	try {
+		result = JSON.parse(new CString(resultPtr).toString());
+	} finally {
+		lib.symbols.ocsv_free_json_string(resultPtr);
+	}
+
+	// Dates come back as strings; keep the original text if it cannot be parsed
+	const dateColumns = [];
+	types.forEach((type, i) => type === 'date' && dateColumns.push(i));
+	if (dateColumns.length > 0) {
+		for (const row of result.rows) {
+			for (const i of dateColumns) {
+				if (typeof row[i] === 'string') {
+					const date = new Date(row[i]);
+					if (!Number.isNaN(date.getTime())) {
+						row[i] = date;
+					}
+				}
+			}
+		}
+	}
+
+	return {
+		rows: result.rows,
+		valid: result.valid,
+		errors: result.errors,
+	};
+}
+
+/**
+ * Validate rows against a schema and convert values to their column types
+ *
+ * Uses the native schema validator (src/schema.odin). Values are converted to
+ * numbers (int/float), booleans (true/false, yes/no, 1/0, t/f) and Date objects.
+ * Empty values of non-string columns become `null` (or the column default).
+ *
+ * @param {Array<Array<string>>} rows - Data rows (without header)
+ * @param {Schema|ColumnSchema[]} schema - Schema definition
+ * @returns {ValidationResult} Typed rows and a list of validation errors
+ * @throws {TypeError} If the schema is malformed
+ *
+ * @example
+ * import { validate } from 'ocsv';
+ *
+ * const { rows, errors } = validate([['Alice', '30'], ['Bob', 'abc']], [
+ *   { name: 'name', required: true },
+ *   { name: 'age', type: 'int', min: 0 },
+ * ]);
+ * console.log(rows[0]);  // ['Alice', 30]
+ * console.log(errors);   // [{ row: 2, column: 2, columnName: 'age', rule: 'type', ... }]
+ */
+export function validate(rows, schema) {
+	_requireNative("validate()");
+	return _validateRows(rows, schema, null);
+}
+
+/**
+ * Validate rows given as JavaScript arrays, including registered validators (internal helper)
+ * @private
+ * @param {Array<Array<string|null>>} rows - Data rows (without header)
+ * @param {Schema|ColumnSchema[]} schema - Schema definition
+ * @param {string[]|null} headers - Header row, used to name unnamed columns
+ * @param {number} [rowOffset=0] - Added to reported row numbers (1 when the header is row 1)
+ * @returns {ValidationResult} Typed rows and validation errors
+ */
+function _validateRows(rows, schema, headers, rowOffset = 0) {
+	const { json, types } = _encodeSchema(schema, headers);
+	const rowsJson = JSON.stringify(rows.map((row) => row.map((field) => (field == null ? "" : String(field)))));
+	const rowsBuffer = Buffer.from(rowsJson + '\0');
+	const schemaBuffer = Buffer.from(json + '\0');
+	const resultPtr = lib.symbols.ocsv_validate_json(ptr(rowsBuffer), ptr(schemaBuffer));
+	const result = _readValidationResult(resultPtr, types);
+	for (const error of result.errors) {
+		error.row += rowOffset;
+	}
+	_runValidators(rows, schema, headers, result, rowOffset);
+	return result;
+}
+
+/**
+ * Output formats accepted by `convertCSV()` ('ndjson' is an alias of 'jsonl')
+ * @private
+ */
+const OUTPUT_FORMATS = new Set(['jsonl', 'ndjson', 'json', 'tsv', 'csv']);
+
+/**
+ * Rows converted per native call when writing output
+ * @private
+ */
+const OUTPUT_CHUNK_ROWS = 10000;
+
+/**
+ * Open a destination for converted output (internal helper)
+ * @private
+ * @param {string|BunFile|WritableStream|undefined} destination - File path, `Bun.file()`, stream,
+ *   or undefined to collect the output as a string
+ * @returns {{write: function(Uint8Array): (Promise|void), close: function(): Promise<string|undefined>, abort: function(Error): Promise}}
+ * @throws {TypeError} If the destination is not supported
+ */
+function _openOutput(destination) {
+	if (destination === undefined) {
+		const decoder = new TextDecoder();
+		let text = "";
+		return {
+			write: (bytes) => { text += decoder.decode(bytes, { stream: true }); },
+			close: async () => text + decoder.decode(),
+			abort: async () => {},
+		};
+	}
+	if (typeof destination === 'string' || typeof destination?.writer === 'function') {
+		const sink = (typeof destination === 'string' ? Bun.file(destination) : destination).writer();
+		return {
+			write: (bytes) => sink.write(bytes),
+			close: async () => { await sink.end(); },
+			abort: async () => { await sink.end(); },
+		};
+	}
+	if (destination instanceof WritableStream) {
+		const writer = destination.getWriter();
+		return {
+			write: (bytes) => writer.write(bytes),
+			close: async () => { await writer.close(); },
+			abort: (err) => writer.abort(err),
+		};
+	}
+	throw new TypeError("destination must be a file path, a Bun.file() or a WritableStream");
+}
+
+/**
+ * Convert parsed rows natively and write them to a destination in chunks (internal helper)
+ *
+ * Rows are never materialized as JS values: each chunk of up to
+ * OUTPUT_CHUNK_ROWS rows is converted by ocsv_rows_to_output and written as
+ * bytes, waiting for the destination before converting the next one.
+ *
+ * @private
+ * @param {bigint} parser - Native parser holding the rows (parsed or memory-mapped)
+ * @param {Object} spec - What to write
+ * @param {string} spec.format - 'jsonl', 'json', 'tsv' or 'csv'
+ * @param {string[]|null} [spec.keys=null] - Object keys for JSON formats (null writes arrays)
+ * @param {boolean} [spec.nulls=false] - Write null fields as `null` in JSON formats
+ * @param {string} [spec.delimiter=','] - Field delimiter for 'csv'
+ * @param {number} [spec.start=0] - First row to write
+ * @param {number} spec.end - End of the rows to write (exclusive)
+ * @param {Int32Array|null} [spec.rowIndices=null] - Rows to write instead of `start..end`
+ * @param {function(): void} [spec.check] - Called before each chunk; throws to stop writing
+ * @param {string|BunFile|WritableStream|undefined} destination - Where to write
+ * @returns {Promise<string|number>} The output without a destination, otherwise the number of rows written
+ * @throws {TypeError} If the destination is not supported
+ * @throws {Error} If a row cannot be converted
+ */
+async function _writeOutput(parser, spec, destination) {
+	const { format, keys = null, nulls = false, delimiter = ',', start = 0, end, rowIndices = null, check } = spec;
+	const optionsBuffer = Buffer.from(JSON.stringify({ format, ...(keys && { keys }), nulls, delimiter }) + '\0');
+	const total = rowIndices ? rowIndices.length : end - start;
+	const sizeBuffer = new Int32Array(1);
+	const json = format === 'json';
+	const output = _openOutput(destination);
+	let written = false;
+
+	try {
+		if (json) {
+			await output.write(Buffer.from('['));
+		}
+		for (let offset = 0; offset < total; offset += OUTPUT_CHUNK_ROWS) {
+			check?.();
+			const count = Math.min(OUTPUT_CHUNK_ROWS, total - offset);
+			const chunk = rowIndices ? rowIndices.subarray(offset, offset + count) : null;
+			const bytesPtr = lib.symbols.ocsv_rows_to_output(
+				parser, ptr(optionsBuffer), chunk ? ptr(chunk) : null, count, start + offset, start + offset + count, ptr(sizeBuffer));
+			if (sizeBuffer[0] < 0) {
+				throw new Error("Failed to convert rows");
+			}
+			if (!bytesPtr) {
+				continue;
+			}
+
+			// The native text is freed once the destination has released it
+			const bytes = new Uint8Array(toArrayBuffer(bytesPtr, 0, sizeBuffer[0], null, lib.symbols.ocsv_free_output.ptr));
+			if (json && written) {
+				await output.write(Buffer.from(','));
+			}
+			await output.write(bytes);
+			written = true;
+		}
+		if (json) {
+			await output.write(Buffer.from(']'));
+		}
+	} catch (err) {
+		await output.abort(err);
+		throw err;
+	}
+
+	const text = await output.close();
+	return destination === undefined ? text : total;
+}
+
+/**
+ * Schema column definition (mirrors Column_Schema in src/schema.odin)
+ * @typedef {Object} ColumnSchema
+ * @property {string} [name] - Column name (defaults to the header name when hasHeader is true)
+ * @property {'string'|'int'|'float'|'bool'|'date'} [type='string'] - Expected type
+ * @property {boolean} [required=false] - Field must be present and non-empty
+ * @property {boolean} [nullable=false] - Allow empty values for required columns
+ * @property {number} [min] - Minimum numeric value (int/float)
+ * @property {number} [max] - Maximum numeric value (int/float)
+ * @property {number} [minLength] - Minimum string length in bytes (string)
+ * @property {number} [maxLength] - Maximum string length in bytes (string)
+ * @property {string[]} [allowedValues] - Allowed values (enum)
+ * @property {string} [default] - Value used when the field is empty or missing
+ * @property {string|string[]} [validator] - Validators registered with `registerValidator()` to run on non-empty values
+ */
+
+/**
+ * Schema definition; columns are matched by position
+ * @typedef {Object} Schema
+ * @property {ColumnSchema[]} columns - Column definitions
+ * @property {boolean} [strict=false] - Stop at the first invalid row
+ * @property {boolean} [allowExtraColumns=false] - Allow rows with more columns than defined
+ */
+
+/**
+ * Schema validation failure
+ * @typedef {Object} ValidationError
+ * @property {number} row - Row number (1-indexed, the header counts as row 1 when hasHeader is true)
+ * @property {number} column - Column number (1-indexed)
+ * @property {string} columnName - Column name from the schema
+ * @property {string} value - Offending value
+ * @property {string} rule - Failed rule: 'required', 'type', 'min', 'max', 'minLength', 'maxLength', 'allowedValues',
+ *   'columnCount' or 'custom' (a registered validator)
+ * @property {string} [validator] - Name of the failed validator (only for rule 'custom')
+ * @property {string} message - Human-readable message
+ */
+
+/**
+ * Column description produced by type inference
+ * @typedef {Object} InferredColumn
+ * @property {string} name - Column name (header name, or `column<N>` without a header)
+ * @property {'string'|'int'|'float'|'bool'|'date'} type - Narrowest type holding every non-empty value
+ *   ('string' when the column has no values)
+ * @property {boolean} nullable - True if some values are empty or missing
+ * @property {number} count - Number of non-empty values scanned
+ * @property {number} [min] - Smallest value (int and float columns)
+ * @property {number} [max] - Largest value (int and float columns)
+ * @property {number} [minLength] - Shortest value in bytes (string columns with values)
+ * @property {number} [maxLength] - Longest value in bytes (string columns with values)
+ * @property {string} [earliest] - Earliest value as written in the input (date columns)
+ * @property {string} [latest] - Latest value as written in the input (date columns)
+ */
+
+/**
+ * Result of type inference; can be passed as `schema` to validate other data against the observed ranges
+ * @typedef {Object} InferredSchema
+ * @property {InferredColumn[]} columns - One entry per column, in order
+ */
+
+/**
+ * Result of schema validation
+ * @typedef {Object} ValidationResult
+ * @property {Array<Array<string|number|boolean|Date|null>>} rows - Converted rows
+ * @property {boolean} valid - True if no validation errors occurred
+ * @property {ValidationError[]} errors - All validation errors
+ */
+
+/**
+ * Largest input the native entry points accept (lengths are passed as a C int)
+ * @private
+ */
+const MAX_INPUT_BYTES = 0x7FFFFFFF;
+
+/**
+ * Bytes read from a memory-mapped file for `delimiter: 'auto'`
+ * @private
+ */
+const SNIFF_SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Native Recovery_Strategy ordinals for each onError mode (src/error.odin)
+ * @private
+ */
+const RECOVERY_STRATEGIES = {
+	throw: 0,    // Fail_Fast
+	skip: 1,     // Skip_Row
+	collect: 3,  // Collect_All_Errors
+};
+
+/**
+ * Native Column_Count_Mode ordinals for each columnCount mode (src/parser_error.odin)
+ * @private
+ */
+const COLUMN_COUNT_MODES = {
+	ignore: 0,
+	strict: 1,
+	pad: 2,
+	truncate: 3,
+};
+
+/**
+ * Configuration options for CSV parsing
+ * @typedef {Object} ParseOptions
+ * @property {string} [delimiter=','] - Field delimiter character, or 'auto' to detect it with `sniffCSV()`
+ *   ('auto' also picks the quote character, and `hasHeader` when it is not given)
+ * @property {string} [quote='"'] - Quote character for escaping
+ * @property {string} [escape='"'] - Escape character; when it differs from `quote`, it makes a following quote
+ *   or escape character literal inside quoted fields (anywhere else it is a plain character)
+ * @property {boolean} [skipEmptyLines=false] - Skip empty lines
+ * @property {string} [comment='#'] - Comment line prefix (use empty string to disable)
+ * @property {boolean} [trim=false] - Trim whitespace from fields
+ * @property {boolean} [relaxed=false] - Enable relaxed parsing mode (allows some RFC violations)
+ * @property {number} [maxRowSize=1048576] - Maximum row size in bytes (default: 1MB)
+ * @property {number} [fromLine=0] - Start parsing from line N (0 = start from beginning)
+ * @property {number} [toLine=-1] - Stop parsing at line N (-1 = parse all lines)
+ * @property {boolean} [skipLinesWithError=false] - Skip lines that fail to parse
+ * @property {boolean} [hasHeader=false] - Whether the first row is a header
+ * @property {'utf-8'|'utf-16le'|'utf-16be'|'latin1'|'windows-1252'|'auto'} [encoding='utf-8'] - Encoding of byte
+ *   input (files, Uint8Array, stream chunks); 'auto' uses the BOM, then `detectEncoding()` heuristics.
+ *   Other encodings are transcoded to UTF-8 before parsing; strings are already decoded
+ * @property {boolean} [stripBOM=true] - Remove a leading byte order mark, so it does not end up in the first header
+ * @property {boolean} [mmap=false] - `parseFile`/`parseCSVFile` only: memory-map the file and parse it in place
+ *   (UTF-8 only; no `onError` recovery or `parallel`). With `mode: 'lazy'` only row offsets stay in memory and rows
+ *   are parsed when accessed, so files larger than RAM can be read at random
+ * @property {boolean} [strictEncoding=false] - Throw an OcsvError with code `INVALID_UTF8` on malformed UTF-8
+ *   instead of replacing it with U+FFFD
+ * @property {'arrays'|'objects'} [output='arrays'] - Row shape: arrays of fields, or objects keyed by header name
+ *   ('objects' always treats the first row as the header; missing fields are "" and extra fields are dropped)
+ * @property {boolean} [emptyAsNull=false] - Return `null` for fields that are empty and unquoted in the input (`a,,b`) and for
+ *   fields missing from short rows, keeping `""` for explicitly quoted empty fields (`a,"",b`). Not supported in lazy mode;
+ *   `mode: 'bulk'` switches to packed
+ * @property {'suffix'|'error'} [duplicateHeaders='suffix'] - With `output: 'objects'`, rename empty (`column<N>`)
+ *   and repeated (`name_2`) header names, or throw
+ * @property {Array<number|string>} [columns] - Only return these columns, in this order. Accepts zero-based
+ *   indices and header names (names need `hasHeader` or `output: 'objects'`). Unselected fields are never
+ *   materialized or decoded
+ * @property {Object<string, string|number|boolean|Array<string|number>|{min?: number, max?: number}|RegExp>} [where] -
+ *   Keep only rows matching every condition, evaluated natively before rows reach JavaScript. Keys are header
+ *   names or indices; values test for equality, membership (array), a numeric range or a RegExp
+ * @property {Object<string, string|string[]>} [transforms] - Transforms applied natively to data fields before `where`
+ *   and extraction, e.g. `{ email: ['trim', 'lowercase'], 2: 'normalize_space', '*': 'trim' }`. Keys are header names,
+ *   indices or '*' (every column, applied first); see `listTransforms()` for the names. Null fields (`emptyAsNull`)
+ *   are left unchanged. Not supported by `stream()` or with `mmap` in lazy mode. Transforms added with
+ *   `registerTransform()` run in JavaScript after the built-in ones (see there for where they are supported)
+ * @property {function((string[]|Object<string, string>|LazyRow), number): boolean} [filter] - Keep only rows for which
+ *   the callback returns true. Runs in JavaScript after `where`; receives a LazyRow in lazy mode
+ * @property {'throw'|'skip'|'collect'} [onError='throw'] - How malformed rows are handled:
+ *   - 'throw': throw an OcsvError for the first problem (default)
+ *   - 'skip': drop malformed rows and keep parsing; `rowsSkipped` counts them
+ *   - 'collect': like 'skip', and also return every problem as `errors`
+ *   Recovery parsing is always sequential (`parallel` is ignored)
+ * @property {'strict'|'pad'|'truncate'|'ignore'|{mode: string, count?: number, fill?: string|null}} [columnCount='ignore'] -
+ *   Enforce the number of fields per row: `count`, or by default the first row's count. Applied before `transforms`:
+ *   - 'strict': throw an OcsvError with code `INCONSISTENT_COLUMN_COUNT` for a row with another count
+ *   - 'pad': append `fill` to short rows (default: empty fields, `null` with `emptyAsNull`); long rows are errors
+ *   - 'truncate': drop the extra fields of long rows; short rows are errors
+ *   - 'ignore': keep rows as parsed (default)
+ *   Errors give the row number (header included) as `line`. With `onError: 'skip'` or `'collect'` such rows are
+ *   dropped and reported after the parse errors. Blank lines are left as they are. Not supported by `stream()` or
+ *   with `mmap` in lazy mode
+ * @property {boolean} [parallel=false] - Parse with multiple native threads (inputs under 2 MB are still parsed sequentially; rows are identical to sequential parsing)
+ * @property {number} [threads=0] - Worker thread count for parallel parsing (0 = auto based on input size and CPU cores; a positive value implies `parallel`)
+ * @property {function(ProgressUpdate): void} [onProgress] - Called about every megabyte of input while parsing (after
+ *   each chunk with `stream()`) and once when parsing ends. If it throws, the parse is aborted and the error rethrown.
+ *   Parses with `onProgress` or `signal` are sequential (`parallel` is ignored)
+ * @property {AbortSignal} [signal] - Cancels the parse: native work stops at the next progress checkpoint, parsed rows
+ *   are freed and the call fails with an OcsvError with code `ABORTED`
+ * @property {Schema|ColumnSchema[]} [schema] - Validate rows and convert values to typed JS values (not supported in lazy mode)
+ * @property {boolean|{sampleRows?: number}} [inferTypes=false] - Infer each column's type (see `inferSchema()`) and
+ *   return converted values as with `schema`. The inferred schema is returned as `schema`. With `sampleRows`, only
+ *   the first N data rows are scanned; later values that don't fit are kept and reported in `validationErrors`.
+ *   Not supported in lazy or columnar mode
+ * @property {string} [mode='auto'] - Parsing mode: 'auto' (default), 'packed', 'bulk', 'field', 'lazy', or 'columnar'
+ *   - 'auto': Automatically select best mode based on data size (recommended)
+ *   - 'packed': Use packed buffer (fastest, 61.25 MB/s, best for >1K rows)
+ *   - 'bulk': Use bulk JSON (fast, 40 MB/s, good for 100-1K rows)
+ *   - 'field': Use field-by-field (slower, 30 MB/s, fine for <100 rows)
+ *   - 'lazy': Use lazy evaluation (on-demand row access, requires manual cleanup)
+ *   - 'columnar': Use typed column arrays (treats the first row as the header, returns a {@link ColumnarResult})
+ * @property {Object<string, 'auto'|'string'|'float64'|'int32'>} [columnTypes] - With `mode: 'columnar'`, the type of
+ *   columns by header name or result column index. Columns not listed are inferred: `int32` when every value is an
+ *   integer in range and none is empty, `float64` when every non-empty value is a number (empty values are NaN),
+ *   otherwise `string`. Forced numeric columns store NaN (`float64`) or 0 (`int32`) for values that don't convert
+ */
+
+/**
+ * Progress of a parse, passed to `onProgress`
+ * @typedef {Object} ProgressUpdate
+ * @property {number} bytesProcessed - Input bytes parsed so far
+ * @property {number|null} totalBytes - Input size in bytes (null when streaming from a source of unknown size)
+ * @property {number} rowsParsed - Rows parsed so far (header included, before `where` and `filter`)
+ */
+
+/**
+ * Result of CSV parsing
+ * @typedef {Object} ParseResult
+ * @property {string[]} [headers] - Header row (if hasHeader was true); the resolved object keys with `output: 'objects'`
+ * @property {Array<string[]|Object<string, string>>} rows - Array of rows: arrays of fields, or objects with `output: 'objects'`
+ * @property {number} rowCount - Total number of rows parsed (excluding header)
+ * @property {OcsvError[]} [errors] - Every malformed row, in input order (only with `onError: 'collect'`)
+ * @property {number} [rowsSkipped] - Number of malformed rows dropped (only with `onError: 'skip'` or `'collect'`)
+ * @property {Dialect} [dialect] - Detected dialect (only with `delimiter: 'auto'`)
+ * @property {string} [encoding] - Detected encoding (only with `encoding: 'auto'` and byte input)
+ * @property {boolean} [valid] - Schema validation outcome (only with `schema`)
+ * @property {ValidationError[]} [validationErrors] - Schema validation errors (only with `schema` or `inferTypes`)
+ * @property {InferredSchema} [schema] - Inferred column types (only with `inferTypes`)
+ */
+
+/**
+ * Result of CSV parsing with `mode: 'columnar'`
+ * @typedef {Object} ColumnarResult
+ * @property {string[]} headers - Column names (resolved like `output: 'objects'` keys), in order
+ * @property {Object<string, string[]|Float64Array|Int32Array>} columns - Values of each column, keyed by name.
+ *   Typed arrays are views over native memory that is freed when they are garbage collected
+ * @property {number} rowCount - Number of data rows (excluding header)
+ * @property {OcsvError[]} [errors] - Every malformed row, in input order (only with `onError: 'collect'`)
+ * @property {number} [rowsSkipped] - Number of malformed rows dropped (only with `onError: 'skip'` or `'collect'`)
+ * @property {Dialect} [dialect] - Detected dialect (only with `delimiter: 'auto'`)
+ * @property {string} [encoding] - Detected encoding (only with `encoding: 'auto'` and byte input)
+ */
+
+/**
+ * CSV Parser class with automatic memory management
+ *
+ * @example
+ * const parser = new Parser();
+ * try {
+ *   const result = parser.parse('a,b,c\n1,2,3');
+ *   console.log(result.rows); // [['a','b','c'], ['1','2','3']]
+ * } finally {
+ *   parser.destroy();
+ * }
+ */
+export class Parser {
+	/**
+	 * Create a new CSV parser
+	 *
+	 * Each call starts from the default configuration plus `defaultOptions`
+	 * and its own options (which take precedence), so options never carry
+	 * over from one call to the next.
+	 *
+	 * Native memory is freed by `destroy()` (or at the end of a `using`
+	 * block); a parser that is garbage collected first is freed then, see
+	 * `debugLeaks()`.
+	 *
+	 * @param {ParseOptions} [defaultOptions={}] - Options applied to every call of this parser
+	 * @throws {TypeError} If `defaultOptions` is not an object
+	 *
+	 * @example
+	 * const parser = new Parser({ delimiter: ';', hasHeader: true });
+	 * parser.parse('a;b\n1;2');                    // delimiter ';'
+	 * parser.parse('a|b\n1|2', { delimiter: '|' }); // delimiter '|' for this call only
+	 */
+	constructor(defaultOptions = {}) {
+		if (typeof defaultOptions !== 'object' || defaultOptions === null || Array.isArray(defaultOptions)) {
+			throw new TypeError("Parser defaults must be an options object");
+		}
+		this.defaults = Object.freeze({ ...defaultOptions });
+		this.parser = lib ? lib.symbols.ocsv_parser_create() : new FallbackParser();
+		if (!this.parser) {
+			throw new Error("Failed to create parser");
+		}
+		_trackNative(this, 'Parser', lib ? this.parser : null);
+	}
+
+	/**
+	 * Merge the options of a call over this parser's defaults
+	 * @private
+	 * @param {ParseOptions} options - Options of the call
+	 * @returns {ParseOptions} Effective options
+	 */
+	_withDefaults(options) {
+		return { ...this.defaults, ...options };
+	}
+
+	/**
+	 * Throw if the parser has been destroyed
+	 * @private
+	 * @throws {Error} If `destroy()` was called
+	 */
+	_checkAlive() {
+		if (!this.parser) {
+			throw new Error("Parser has been destroyed");
+		}
+	}
+
+	/**
+	 * Apply configuration options to the parser (Phase 1)
+	 *
+	 * The configuration is reset first, so options of an earlier call never
+	 * apply to this one.
+	 * @private
+	 * @param {ParseOptions} options - Configuration options
+	 */
+	_applyConfig(options) {
+		if (!lib) {
+			this.parser.reset();
+			this.parser.configure(options);
+			return;
+		}
+
+		lib.symbols.ocsv_reset_config(this.parser);
+
+		if (options.delimiter !== undefined) {
+			const code = options.delimiter.charCodeAt(0);
+			lib.symbols.ocsv_set_delimiter(this.parser, code);
+		}
+
+		if (options.quote !== undefined) {
+			const code = options.quote.charCodeAt(0);
 			lib.symbols.ocsv_set_quote(this.parser, code);
 		}
 
@@ -568,61 +2471,472 @@ export class Parser {
 			lib.symbols.ocsv_set_comment(this.parser, code);
 		}
 
-		if (options.trim !== undefined) {
-			lib.symbols.ocsv_set_trim(this.parser, options.trim);
-		}
+		if (options.trim !== undefined) {
+			lib.symbols.ocsv_set_trim(this.parser, options.trim);
+		}
+
+		if (options.relaxed !== undefined) {
+			lib.symbols.ocsv_set_relaxed(this.parser, options.relaxed);
+		}
+
+		if (options.maxRowSize !== undefined) {
+			lib.symbols.ocsv_set_max_row_size(this.parser, options.maxRowSize);
+		}
+
+		if (options.fromLine !== undefined) {
+			lib.symbols.ocsv_set_from_line(this.parser, options.fromLine);
+		}
+
+		if (options.toLine !== undefined) {
+			lib.symbols.ocsv_set_to_line(this.parser, options.toLine);
+		}
+
+		if (options.skipLinesWithError !== undefined) {
+			lib.symbols.ocsv_set_skip_lines_with_error(this.parser, options.skipLinesWithError);
+		}
+
+		if (options.strictEncoding !== undefined) {
+			lib.symbols.ocsv_set_strict_utf8(this.parser, options.strictEncoding);
+		}
+	}
+
+	/**
+	 * Parse CSV data and return the rows
+	 * @param {string|Uint8Array|ArrayBuffer} data - CSV data to parse (bytes are decoded with `options.encoding`)
+	 * @param {ParseOptions} [options={}] - Parsing options
+	 * @returns {ParseResult} Parsed CSV data
+	 * @throws {OcsvError} If parsing fails
+	 * @throws {TypeError} If the encoding is not supported
+	 */
+	parse(data, options = {}) {
+		const parsed = this._parseInput(data, this._withDefaults(options));
+		const result = this._finishParse(parsed.options, parsed.onError);
+		if (parsed.dialect) {
+			result.dialect = parsed.dialect;
+		}
+		if (parsed.encoding) {
+			result.encoding = parsed.encoding;
+		}
+
+		return result;
+	}
+
+	/**
+	 * Parse CSV data on a worker thread
+	 *
+	 * Like `parse()`, but the native parse and extraction run on a pooled
+	 * worker with its own native parser, so the calling thread stays
+	 * responsive. This parser is not used and may be destroyed meanwhile.
+	 * See `parseCSVAsync()` for the supported options.
+	 *
+	 * @param {string|Uint8Array|ArrayBuffer|Blob} data - CSV data to parse
+	 * @param {AsyncParseOptions} [options={}] - Parsing options and worker pool
+	 * @returns {Promise<ParseResult|ColumnarResult>} Parsed CSV data
+	 * @throws {OcsvError} If parsing fails
+	 * @throws {TypeError} If an option is not supported off the calling thread
+	 */
+	parseAsync(data, options = {}) {
+		return _parseOnWorker(data, this._withDefaults(options));
+	}
+
+	/**
+	 * Parse on a worker thread for `parseAsync()`, keeping the rows packed
+	 *
+	 * Data rows are serialized natively into a packed buffer copied out of
+	 * native memory, so the worker can transfer it. Errors are returned as
+	 * plain objects (see `OcsvError.toJSON()`). Results with `schema`,
+	 * `inferTypes` or `mode: 'columnar'` are built as usual.
+	 *
+	 * @private
+	 * @param {string|ArrayBuffer} data - CSV data to parse
+	 * @param {ParseOptions} options - Parsing options (no `filter`, lazy mode or registered plugins)
+	 * @returns {{result: Object, packed: {buffer: ArrayBuffer|null, startRow: number, keys: string[]|null, nulls: boolean}|null}}
+	 *   Result without rows and the packed rows with their decode options, or the complete result and null
+	 * @throws {OcsvError} If parsing fails
+	 */
+	_parseTransferable(data, options) {
+		if (!lib || options.schema || options.inferTypes || options.mode === 'columnar') {
+			const result = this.parse(data, options);
+			if (result.errors) {
+				result.errors = result.errors.map((err) => err.toJSON());
+			}
+			return { result, packed: null };
+		}
+
+		const parsed = this._parseInput(data, options);
+		options = parsed.options;
+		if (options.transforms !== undefined) {
+			this._applyTransforms(options);
+		}
+		if (options.where !== undefined) {
+			this._applyWhere(options);
+		}
+
+		const rowCount = this._rowCount();
+		const { headers, keys } = this._prepareColumns(rowCount, options);
+		const sizeBuffer = new Int32Array(1);
+		const bufferPtr = rowCount > 0 ? lib.symbols.ocsv_rows_to_packed_buffer(this.parser, ptr(sizeBuffer)) : null;
+		const buffer = bufferPtr && sizeBuffer[0] > 0 ? toArrayBuffer(bufferPtr, 0, sizeBuffer[0]).slice(0) : null;
+
+		const result = _makeResult([], headers);
+		if (parsed.onError === 'collect') {
+			result.errors = this._readParseErrors().map((err) => err.toJSON());
+		}
+		if (parsed.onError !== 'throw') {
+			result.rowsSkipped = lib.symbols.ocsv_get_rows_skipped(this.parser);
+		}
+		if (parsed.dialect) {
+			result.dialect = parsed.dialect;
+		}
+		if (parsed.encoding) {
+			result.encoding = parsed.encoding;
+		}
+		return { result, packed: { buffer, startRow: headers ? 1 : 0, keys, nulls: !!options.emptyAsNull } };
+	}
+
+	/**
+	 * Run the native parser over `data`, leaving the rows in native memory
+	 * @private
+	 * @param {string|Uint8Array|ArrayBuffer} data - CSV data to parse
+	 * @param {ParseOptions} options - Parsing options
+	 * @returns {{options: ParseOptions, onError: string, dialect: Dialect|null, encoding: string|null}}
+	 *   Options with the detected dialect applied, the error mode, and what was detected
+	 * @throws {OcsvError} If parsing fails
+	 * @throws {TypeError} If an option is invalid
+	 */
+	_parseInput(data, options) {
+		this._checkAlive();
+		// Native code reads UTF-8: transcode byte input and drop a leading BOM
+		const stripBOM = options.stripBOM ?? true;
+		const encodingOption = resolveEncoding(options.encoding);
+		let input;
+		let encoding = null;
+		if (typeof data === 'string') {
+			if (stripBOM && data.charCodeAt(0) === 0xFEFF) {
+				data = data.slice(1);
+			}
+			input = Buffer.from(data, 'utf8');
+		} else {
+			({ bytes: input, encoding } = toUTF8(data, encodingOption, { stripBOM }));
+		}
+		if (!lib) {
+			_checkFallbackOptions(options);
+		}
+		if (input.length > MAX_INPUT_BYTES) {
+			throw new RangeError(`Input is ${input.length} bytes; parse() accepts at most ${MAX_INPUT_BYTES} (use stream() for larger inputs)`);
+		}
+
+		// Detect the dialect first so it can be applied like explicit options
+		let dialect = null;
+		if (options.delimiter === 'auto') {
+			dialect = sniffCSV(typeof data === 'string' ? data : input);
+			options = {
+				...options,
+				delimiter: dialect.delimiter,
+				quote: options.quote ?? dialect.quote,
+				hasHeader: options.hasHeader ?? dialect.hasHeader,
+			};
+		}
+
+		// Apply configuration before parsing
+		this._applyConfig(options);
+
+		// Native code takes the exact UTF-8 byte length, so no NUL terminator is needed
+		const length = input.length;
+		const buffer = length > 0 ? input : new Uint8Array(1);
+		const threads = options.threads ?? 0;
+		if (!Number.isInteger(threads) || threads < 0) {
+			throw new TypeError(`threads must be a non-negative integer, got ${threads}`);
+		}
+		const onError = options.onError ?? 'throw';
+		const strategy = RECOVERY_STRATEGIES[onError];
+		if (strategy === undefined) {
+			throw new TypeError(`onError must be 'throw', 'skip' or 'collect', got ${onError}`);
+		}
+		if (options.filter !== undefined && typeof options.filter !== 'function') {
+			throw new TypeError("filter must be a function");
+		}
+		const columnCount = _columnCountOption(options.columnCount);
+		_checkProgressOptions(options);
+
+		// Parallel parses have no progress checkpoints, so tracked parses stay sequential
+		const tracked = options.onProgress !== undefined || options.signal !== undefined;
+		const parseResult = this._runWithProgress(options, length, (progress) => {
+			if (!lib) {
+				return this.parser.parse(input, progress);
+			}
+			if (onError !== 'throw') {
+				return lib.symbols.ocsv_parse_string_with_recovery(this.parser, ptr(buffer), length, strategy);
+			}
+			if ((options.parallel || threads > 0) && !tracked) {
+				return lib.symbols.ocsv_parse_parallel(this.parser, ptr(buffer), length, threads, 0);
+			}
+			return lib.symbols.ocsv_parse_string(this.parser, ptr(buffer), length);
+		});
+
+		// Check for errors after parsing
+		if (parseResult !== 0 || (lib && lib.symbols.ocsv_has_error(this.parser))) {
+			this._throwParseError();
+		}
+		this._enforceColumnCount(columnCount, onError);
+
+		return { options, onError, dialect, encoding: encodingOption === 'auto' ? encoding : null };
+	}
+
+	/**
+	 * Run a native parse with `onProgress` and `signal` attached to its progress checkpoints
+	 *
+	 * The native parser calls back about every megabyte; the parse stops at the
+	 * first checkpoint after `signal` is aborted or `onProgress` throws, and its
+	 * rows are freed. The JavaScript backend takes the checkpoint function directly.
+	 * @private
+	 * @param {ParseOptions} options - Parsing options
+	 * @param {number} totalBytes - Input size in bytes
+	 * @param {function(function(number, number): boolean=): number} parse - Runs the parse and returns its status
+	 *   (the JavaScript backend is given the checkpoint function)
+	 * @returns {number} Parse status (a parse stopped at a checkpoint fails with code `ABORTED`)
+	 * @throws {OcsvError} With code `ABORTED` if `signal` is aborted before the parse starts or by the time it ends
+	 * @throws {*} What `onProgress` threw
+	 */
+	_runWithProgress({ onProgress, signal }, totalBytes, parse) {
+		_throwIfAborted(signal);
+		if (!onProgress && !signal) {
+			return parse();
+		}
+
+		let failure = null;
+		const checkpoint = (bytesProcessed, rowsParsed) => {
+			try {
+				onProgress?.({ bytesProcessed: Number(bytesProcessed), totalBytes, rowsParsed: Number(rowsParsed) });
+			} catch (err) {
+				failure = err;
+				return false;
+			}
+			return !signal?.aborted;
+		};
+
+		let status;
+		if (lib) {
+			const callback = new JSCallback(checkpoint, { args: [FFIType.i64_fast, FFIType.i64_fast], returns: FFIType.bool });
+			lib.symbols.ocsv_set_progress_callback(this.parser, callback.ptr);
+			try {
+				status = parse();
+			} finally {
+				lib.symbols.ocsv_set_progress_callback(this.parser, null);
+				callback.close();
+			}
+		} else {
+			status = parse(checkpoint);
+		}
+		if (failure) {
+			throw failure;
+		}
+		if (status === 0) {
+			onProgress?.({ bytesProcessed: totalBytes, totalBytes, rowsParsed: this._rowCount() });
+		}
+		_throwIfAborted(signal);
+		return status;
+	}
+
+	/**
+	 * Number of parsed rows, header included
+	 * @private
+	 * @returns {number} Row count
+	 */
+	_rowCount() {
+		return lib ? lib.symbols.ocsv_get_row_count(this.parser) : this.parser.rows.length;
+	}
+
+	/**
+	 * Make every parsed row have the same number of fields (natively, in place)
+	 * @private
+	 * @param {{mode: number, count: number, fill: string|null}} columnCount - Option read by `_columnCountOption`
+	 * @param {'throw'|'skip'|'collect'} onError - Error mode; rows that cannot be fixed are dropped unless 'throw'
+	 * @throws {OcsvError} With code `INCONSISTENT_COLUMN_COUNT` for the first row that cannot be fixed
+	 */
+	_enforceColumnCount({ mode, count, fill }, onError) {
+		if (mode === COLUMN_COUNT_MODES.ignore) {
+			return;
+		}
+		const fillBuffer = fill === null ? null : Buffer.from(fill + '\0');
+		const status = lib.symbols.ocsv_enforce_column_count(
+			this.parser, mode, count, fillBuffer && ptr(fillBuffer), onError !== 'throw');
+		if (status !== 0) {
+			this._throwParseError();
+		}
+	}
+
+	/**
+	 * Throw the last native parse error as an OcsvError
+	 * @private
+	 * @throws {OcsvError}
+	 */
+	_throwParseError() {
+		if (!lib) {
+			const { message, code, line, column, context, byteOffset } = this.parser.error;
+			throw new OcsvError(message, code, line, column, context, byteOffset);
+		}
+
+		const errorCode = lib.symbols.ocsv_get_error_code(this.parser);
+		const errorLine = lib.symbols.ocsv_get_error_line(this.parser);
+		const errorColumn = lib.symbols.ocsv_get_error_column(this.parser);
+		const errorMessage = lib.symbols.ocsv_get_error_message(this.parser) || "CSV parsing failed";
+		const errorContext = lib.symbols.ocsv_get_error_context(this.parser) || "";
+		const errorOffset = lib.symbols.ocsv_get_error_offset(this.parser);
+		throw new OcsvError(errorMessage, errorCode, errorLine, errorColumn, errorContext, errorOffset);
+	}
+
+	/**
+	 * Filter and materialize the parsed rows, and report recovered errors
+	 * @private
+	 * @param {ParseOptions} options - Parsing options
+	 * @param {'throw'|'skip'|'collect'} onError - Error mode used for parsing
+	 * @returns {ParseResult|LazyResult} Parse result
+	 */
+	_finishParse(options, onError) {
+		const jsTransforms = options.transforms !== undefined ? this._applyTransforms(options) : [];
+		if (options.where !== undefined) {
+			this._applyWhere(options);
+		}
+
+		const rowCount = this._rowCount();
+		const result = this._buildResult(rowCount, options, jsTransforms);
 
-		if (options.relaxed !== undefined) {
-			lib.symbols.ocsv_set_relaxed(this.parser, options.relaxed);
+		// Report recovered rows (read before a lazy result takes the native parser)
+		if (onError === 'collect') {
+			result.errors = this._readParseErrors();
 		}
-
-		if (options.maxRowSize !== undefined) {
-			lib.symbols.ocsv_set_max_row_size(this.parser, options.maxRowSize);
+		if (onError !== 'throw') {
+			result.rowsSkipped = lib.symbols.ocsv_get_rows_skipped(this.parser);
+		}
+		if (result instanceof LazyResult) {
+			this._handOver();
 		}
+		return result;
+	}
 
-		if (options.fromLine !== undefined) {
-			lib.symbols.ocsv_set_from_line(this.parser, options.fromLine);
+	/**
+	 * Leave the native parser holding a lazy result's rows to the result
+	 *
+	 * Parsing continues with a new native parser, so reusing or destroying
+	 * this parser does not invalidate the result.
+	 * @private
+	 * @throws {Error} If the new native parser cannot be created
+	 */
+	_handOver() {
+		PARSER_REGISTRY.unregister(this);
+		this.parser = lib.symbols.ocsv_parser_create();
+		if (!this.parser) {
+			throw new Error("Failed to create parser");
 		}
+		_trackNative(this, 'Parser', this.parser);
+	}
 
-		if (options.toLine !== undefined) {
-			lib.symbols.ocsv_set_to_line(this.parser, options.toLine);
+	/**
+	 * Drop rows that do not match `options.where` (evaluated natively)
+	 * @private
+	 * @param {ParseOptions} options - Parsing options (with `where`)
+	 * @throws {Error} If the filter is rejected by native code
+	 */
+	_applyWhere(options) {
+		if (lib.symbols.ocsv_get_row_count(this.parser) === 0) {
+			return;
 		}
 
-		if (options.skipLinesWithError !== undefined) {
-			lib.symbols.ocsv_set_skip_lines_with_error(this.parser, options.skipLinesWithError);
+		const { hasHeader, headers, keys } = this._readColumnNames(options);
+		const whereBuffer = Buffer.from(_encodeWhere(options.where, headers, keys) + '\0');
+		if (lib.symbols.ocsv_filter_rows(this.parser, ptr(whereBuffer), hasHeader) < 0) {
+			throw new Error("Invalid where filter (unsupported regular expression?)");
 		}
 	}
 
 	/**
-	 * Parse a CSV string and return the data
-	 * @param {string} data - CSV data to parse
-	 * @param {ParseOptions} [options={}] - Parsing options
-	 * @returns {ParseResult} Parsed CSV data
-	 * @throws {OcsvError} If parsing fails
+	 * Apply the built-in steps of `options.transforms` to the parsed data rows (natively, in place)
+	 * @private
+	 * @param {ParseOptions} options - Parsing options (with `transforms`)
+	 * @returns {Array<{column: number, fn: Function}>} Steps using registered JavaScript transforms,
+	 *   to run on the extracted rows
+	 * @throws {TypeError} If the option is malformed or names an unknown transform
 	 */
-	parse(data, options = {}) {
-		// Apply configuration before parsing
-		this._applyConfig(options);
-		const buffer = Buffer.from(data + '\0');
-		const parseResult = lib.symbols.ocsv_parse_string(this.parser, ptr(buffer), data.length);
+	_applyTransforms(options) {
+		if (lib.symbols.ocsv_get_row_count(this.parser) === 0) {
+			return [];
+		}
 
-		// Check for errors after parsing
-		if (parseResult !== 0 || lib.symbols.ocsv_has_error(this.parser)) {
-			const errorCode = lib.symbols.ocsv_get_error_code(this.parser);
-			const errorLine = lib.symbols.ocsv_get_error_line(this.parser);
-			const errorColumn = lib.symbols.ocsv_get_error_column(this.parser);
-			const errorMessage = lib.symbols.ocsv_get_error_message(this.parser) || "CSV parsing failed";
-			throw new OcsvError(errorMessage, errorCode, errorLine, errorColumn);
+		const { hasHeader, headers, keys } = this._readColumnNames(options);
+		const { json, js } = _encodeTransforms(options.transforms, headers, keys);
+		if (json !== null && lib.symbols.ocsv_transform_rows(this.parser, ptr(Buffer.from(json + '\0')), hasHeader) < 0) {
+			throw new Error("Invalid transforms");
 		}
+		return js;
+	}
 
-		const rowCount = lib.symbols.ocsv_get_row_count(this.parser);
+	/**
+	 * Read the header row (if any) for resolving column names in per-column options
+	 * @private
+	 * @param {ParseOptions} options - Parsing options
+	 * @returns {{hasHeader: boolean, headers: string[]|null, keys: string[]|null}} Whether the first row is a
+	 *   header, the raw header row and the resolved object keys with `output: 'objects'`
+	 */
+	_readColumnNames(options) {
+		const keyed = _keyedByHeader(options);
+		const hasHeader = !!options.hasHeader || keyed;
+		const headers = hasHeader ? this._readHeaderRow() : null;
+		const keys = headers && keyed ? _resolveHeaders(headers, options.duplicateHeaders) : null;
+		return { hasHeader, headers, keys };
+	}
 
+	/**
+	 * Materialize parsed rows in the requested mode
+	 * @private
+	 * @param {number} rowCount - Total number of rows
+	 * @param {ParseOptions} options - Parsing options
+	 * @param {Array<{column: number, fn: Function}>} [jsTransforms=[]] - Registered JavaScript transforms to run
+	 *   on the extracted rows (see `_applyTransforms`)
+	 * @returns {ParseResult|LazyResult} Parse result
+	 */
+	_buildResult(rowCount, options, jsTransforms = []) {
 		// Determine parsing mode
 		const mode = options.mode || 'auto';
+		const { headers, keys, columns } = this._prepareColumns(rowCount, options);
+
+		// JavaScript transforms need materialized rows
+		if (jsTransforms.length > 0 && (mode === 'columnar' || mode === 'lazy' || options.inferTypes)) {
+			throw new TypeError(`Registered JavaScript transforms are not supported ${options.inferTypes ? "with inferTypes" : `in ${mode} mode`}`);
+		}
+
+		if (mode === 'columnar') {
+			return this._parseColumnar(rowCount, options, keys ?? []);
+		}
 
 		// Handle lazy mode (special case - no auto-selection)
 		if (mode === 'lazy') {
-			return this._parseLazy(rowCount, options);
+			if (options.schema) {
+				throw new Error("schema is not supported in lazy mode");
+			}
+			if (options.inferTypes) {
+				throw new TypeError("inferTypes is not supported in lazy mode");
+			}
+			if (options.emptyAsNull) {
+				throw new TypeError("emptyAsNull is not supported in lazy mode");
+			}
+			return this._parseLazy(rowCount, options, headers, columns);
+		}
+
+		// Inferred types are converted by the schema validator
+		if (options.inferTypes) {
+			if (options.schema) {
+				throw new TypeError("inferTypes cannot be combined with schema");
+			}
+			const schema = this._inferSchema(headers, _inferSampleRows(options.inferTypes));
+			const result = this._parseWithSchema(rowCount, { ...options, schema: _typesOnly(schema) }, headers, keys);
+			result.schema = schema;
+			return _filterResult(result, options.filter);
+		}
+
+		// Schema validation returns typed rows directly from native code
+		if (options.schema) {
+			return _filterResult(this._parseWithSchema(rowCount, options, headers, keys, columns, jsTransforms), options.filter);
 		}
 
 		// Auto-select best mode based on row count
@@ -636,19 +2950,130 @@ export class Parser {
 				selectedMode = 'field';   // Fine for small files
 			}
 		}
+		if (selectedMode === 'bulk' && options.emptyAsNull) {
+			selectedMode = 'packed';  // JSON rows have no null marker
+		}
+		if (!lib) {
+			selectedMode = 'fallback';  // Rows are already JS arrays
+		}
 
-		// Execute selected mode
+		// Execute selected mode (`filter` must see the output of JavaScript transforms)
+		const filter = jsTransforms.length > 0 ? undefined : options.filter;
+		let result;
 		switch (selectedMode) {
 			case 'packed':
-				return this._parsePacked();
+				result = _filterResult(this._parsePacked(headers, keys, options.emptyAsNull), filter);
+				break;
 			case 'bulk':
-				return this._parseBulk();
+				result = _filterResult(this._parseBulk(headers, keys), filter);
+				break;
 			case 'field':
-				return this._parseEager(rowCount, options);
+				result = this._parseEager(rowCount, headers, keys, columns, filter, options.emptyAsNull);
+				break;
+			case 'fallback':
+				result = this._parseFallbackRows(headers, keys, columns, filter, options.emptyAsNull);
+				break;
 			default:
 				// Fallback to eager mode for unknown modes
-				return this._parseEager(rowCount, options);
+				result = this._parseEager(rowCount, headers, keys, columns, filter, options.emptyAsNull);
 		}
+
+		if (jsTransforms.length > 0) {
+			_runTransforms(result.rows, jsTransforms, columns, keys);
+			_filterResult(result, options.filter);
+		}
+		return result;
+	}
+
+	/**
+	 * Read the header row and set the native column projection
+	 * @private
+	 * @param {number} rowCount - Total number of rows
+	 * @param {ParseOptions} options - Parsing options
+	 * @returns {{headers: string[]|null, keys: string[]|null, columns: number[]|null}} Header row (the resolved keys
+	 *   with `output: 'objects'`), object keys and projected column indices, all after projection
+	 */
+	_prepareColumns(rowCount, options) {
+		// Resolve the header row once for every extraction path
+		_outputMode(options);  // Validates `output`
+		const keyed = _keyedByHeader(options);
+		let headers = null;
+		let keys = null;
+		if ((options.hasHeader || keyed) && rowCount > 0) {
+			headers = this._readHeaderRow();
+			if (keyed) {
+				keys = _resolveHeaders(headers, options.duplicateHeaders);
+			}
+		}
+
+		// Column projection is applied natively by every serializer
+		let columns = null;
+		if (options.columns !== undefined && rowCount > 0) {
+			columns = _resolveColumns(options.columns, headers, keys);
+		}
+		this._setColumns(columns);
+		if (keys) {
+			headers = keys;
+		}
+		if (headers && columns) {
+			headers = _projectRow(headers, columns);
+			keys = keys && headers;
+		}
+
+		return { headers, keys, columns };
+	}
+
+	/**
+	 * Set (or clear) the native column projection
+	 * @private
+	 * @param {number[]|null} columns - Column indices, or null for all columns
+	 */
+	_setColumns(columns) {
+		if (!lib) {
+			return;  // The JavaScript backend projects rows while extracting them
+		}
+		const indices = new Int32Array(columns ?? []);
+		const status = lib.symbols.ocsv_set_columns(this.parser, indices.length > 0 ? ptr(indices) : null, indices.length);
+		if (status !== 0) {
+			throw new Error("Failed to set column projection");
+		}
+	}
+
+	/**
+	 * Read the first row as a header using direct FFI
+	 * @private
+	 * @returns {string[]} Raw header names
+	 */
+	_readHeaderRow() {
+		if (!lib) {
+			return this.parser.rows[0].map((field) => field ?? "");
+		}
+		const fieldCount = lib.symbols.ocsv_get_field_count(this.parser, 0);
+		const headers = new Array(fieldCount);
+		for (let i = 0; i < fieldCount; i++) {
+			headers[i] = lib.symbols.ocsv_get_field(this.parser, 0, i) || "";
+		}
+		return headers;
+	}
+
+	/**
+	 * Read the errors collected by a recovery parse
+	 * @private
+	 * @returns {OcsvError[]} Collected errors in input order
+	 */
+	_readParseErrors() {
+		const jsonPtr = lib.symbols.ocsv_get_parse_errors_json(this.parser);
+		if (!jsonPtr) {
+			return [];
+		}
+		let json;
+		try {
+			json = new CString(jsonPtr).toString();
+		} finally {
+			lib.symbols.ocsv_free_json_string(jsonPtr);
+		}
+		return JSON.parse(json).map((err) =>
+			new OcsvError(err.message, err.code, err.line, err.column, err.context, err.offset));
 	}
 
 	/**
@@ -656,143 +3081,648 @@ export class Parser {
 	 * @private
 	 * @param {number} rowCount - Total number of rows
 	 * @param {ParseOptions} options - Parsing options
+	 * @param {string[]|null} headers - Header row (resolved keys with `output: 'objects'`)
+	 * @param {number[]|null} columns - Projected column indices
 	 * @returns {LazyResult} Lazy result accessor
 	 */
-	_parseLazy(rowCount, options) {
-		let headers = null;
+	_parseLazy(rowCount, options, headers, columns) {
+		// Create LazyResult starting from row 1 (data rows only) when there is a header
+		// Note: User will call getRow(0) to access first data row
+		const result = new LazyResult(
+			this.parser,
+			headers ? rowCount - 1 : rowCount,  // Exclude header from count
+			headers,
+			options,
+			columns
+		);
+		if (options.filter) {
+			result._applyFilter(options.filter);
+		}
+		return result;
+	}
+
+	/**
+	 * Parse with schema validation - returns typed rows and validation errors
+	 * @private
+	 * @param {number} rowCount - Total number of rows
+	 * @param {ParseOptions} options - Parsing options (with `schema`)
+	 * @param {string[]|null} headers - Header row
+	 * @param {string[]|null} keys - Object keys with `output: 'objects'`
+	 * @param {number[]|null} [columns=null] - Projected column indices
+	 * @param {Array<{column: number, fn: Function}>} [jsTransforms=[]] - Registered JavaScript transforms
+	 * @returns {ParseResult} Result with typed rows, `valid` and `validationErrors`
+	 */
+	_parseWithSchema(rowCount, options, headers, keys, columns = null, jsTransforms = []) {
+		const schemaColumns = Array.isArray(options.schema) ? options.schema : options.schema && options.schema.columns;
+		const validators = Array.isArray(schemaColumns) && schemaColumns.some((column) => column.validator !== undefined);
+
+		let validation;
+		if (jsTransforms.length > 0 || validators) {
+			// JavaScript plugins need the raw values: extract, transform, then validate
+			const { rows } = this._parsePacked(headers, null);
+			_runTransforms(rows, jsTransforms, columns, null);
+			validation = _validateRows(rows, options.schema, headers, headers ? 1 : 0);
+		} else {
+			const { json, types } = _encodeSchema(options.schema, headers);
+			const schemaBuffer = Buffer.from(json + '\0');
+			const resultPtr = lib.symbols.ocsv_validate_rows(this.parser, ptr(schemaBuffer), headers !== null);
+			validation = _readValidationResult(resultPtr, types);
+		}
+
+		const result = {
+			rows: keys ? validation.rows.map((row) => _rowToObject(row, keys)) : validation.rows,
+			rowCount: validation.rows.length,
+			valid: validation.valid,
+			validationErrors: validation.errors,
+		};
+		if (headers) {
+			result.headers = headers;
+		}
+		return result;
+	}
+
+	/**
+	 * Infer column types from the parsed rows natively (src/infer.odin)
+	 * @private
+	 * @param {string[]|null} headers - Header row (after projection), or null when there is none
+	 * @param {number} sampleRows - Number of data rows to scan (0 = all)
+	 * @returns {InferredSchema} Inferred schema
+	 */
+	_inferSchema(headers, sampleRows) {
+		const resultPtr = lib.symbols.ocsv_infer_schema(this.parser, headers !== null, sampleRows);
+		if (!resultPtr) {
+			throw new Error("Failed to infer column types");
+		}
+
+		let columns;
+		try {
+			columns = JSON.parse(new CString(resultPtr).toString());
+		} finally {
+			lib.symbols.ocsv_free_json_string(resultPtr);
+		}
+
+		// Name columns like _encodeSchema does, using resolved keys with `output: 'objects'`
+		columns.forEach((column, i) => {
+			column.name = headers ? headers[i] : `column${i + 1}`;
+		});
+		return { columns };
+	}
+
+	/**
+	 * Parse in eager mode - materializes all rows into arrays
+	 * @private
+	 * @param {number} rowCount - Total number of rows
+	 * @param {string[]|null} headers - Header row
+	 * @param {string[]|null} keys - Object keys with `output: 'objects'`
+	 * @param {number[]|null} columns - Projected column indices (only these fields are read)
+	 * @param {Function} [filter] - `(row, index) => boolean`; rejected rows are dropped immediately
+	 * @param {boolean} [nulls=false] - Keep null fields as `null` (`emptyAsNull`)
+	 * @returns {ParseResult} Eager result with all rows
+	 */
+	_parseEager(rowCount, headers, keys, columns, filter, nulls = false) {
+		const rows = [];
+		const start = headers ? 1 : 0;
+		const missing = nulls ? null : "";
+
+		for (let i = start; i < rowCount; i++) {
+			const fieldCount = lib.symbols.ocsv_get_field_count(this.parser, i);
+			const width = columns ? columns.length : fieldCount;
+			const row = [];
+
+			for (let j = 0; j < width; j++) {
+				const column = columns ? columns[j] : j;
+				// ocsv_get_field returns a cstring which Bun automatically converts to string
+				// (null for fields that were empty and unquoted in the input)
+				const field = column < fieldCount ? lib.symbols.ocsv_get_field(this.parser, i, column) : missing;
+				row.push(field ?? missing);
+			}
+
+			const value = keys ? _rowToObject(row, keys, missing) : row;
+			if (!filter || filter(value, i - start)) {
+				rows.push(value);
+			}
+		}
+
+		return _makeResult(rows, headers);
+	}
+
+	/**
+	 * Extract the rows parsed by the JavaScript backend (its counterpart of every eager mode)
+	 * @private
+	 * @param {string[]|null} headers - Header row
+	 * @param {string[]|null} keys - Object keys with `output: 'objects'`
+	 * @param {number[]|null} columns - Projected column indices
+	 * @param {Function} [filter] - `(row, index) => boolean`; rejected rows are dropped immediately
+	 * @param {boolean} [nulls=false] - Keep null fields as `null` (`emptyAsNull`)
+	 * @returns {ParseResult} Eager result with all rows
+	 */
+	_parseFallbackRows(headers, keys, columns, filter, nulls = false) {
+		const parsed = this.parser.rows;
+		const start = headers ? 1 : 0;
+		const missing = nulls ? null : "";
+		const rows = [];
+
+		for (let i = start; i < parsed.length; i++) {
+			let row = parsed[i];
+			if (columns) {
+				row = _projectRow(row, columns, null);
+			}
+			if (!nulls) {
+				row = row.map((field) => field ?? "");
+			}
+
+			const value = keys ? _rowToObject(row, keys, missing) : row;
+			if (!filter || filter(value, i - start)) {
+				rows.push(value);
+			}
+		}
+
+		return _makeResult(rows, headers);
+	}
+
+	/**
+	 * Parse using packed buffer format (Phase 2 - fastest)
+	 * @private
+	 * @param {string[]|null} headers - Header row
+	 * @param {string[]|null} keys - Object keys with `output: 'objects'` (rows are decoded straight into objects)
+	 * @param {boolean} [nulls=false] - Decode null fields as `null` (`emptyAsNull`)
+	 * @returns {ParseResult} Parsed result with all rows
+	 */
+	_parsePacked(headers, keys, nulls = false) {
+		const sizeBuffer = new Int32Array(1);
+		const bufferPtr = lib.symbols.ocsv_rows_to_packed_buffer(this.parser, ptr(sizeBuffer));
+
+		if (!bufferPtr || sizeBuffer[0] <= 0) {
+			return _makeResult([], headers);
+		}
+
+		const rows = _deserializePackedBuffer(bufferPtr, sizeBuffer[0], headers ? 1 : 0, keys, Boolean(nulls));
+		return _makeResult(rows, headers);
+	}
+
+	/**
+	 * Transpose rows into columns natively (`mode: 'columnar'`)
+	 * @private
+	 * @param {number} rowCount - Total number of rows (including the header)
+	 * @param {ParseOptions} options - Parsing options
+	 * @param {string[]} keys - Column names (after projection)
+	 * @returns {ColumnarResult} Columnar result
+	 * @throws {TypeError} If combined with an unsupported option or `columnTypes` is invalid
+	 */
+	_parseColumnar(rowCount, options, keys) {
+		for (const option of ['schema', 'inferTypes', 'filter', 'emptyAsNull']) {
+			if (options[option]) {
+				throw new TypeError(`${option} is not supported in columnar mode`);
+			}
+		}
+
+		const types = _encodeColumnTypes(options.columnTypes, keys);
+		const sizeBuffer = new Int32Array(1);
+		const bufferPtr = rowCount > 0
+			? lib.symbols.ocsv_rows_to_columnar(this.parser, types.length > 0 ? ptr(types) : null, types.length, ptr(sizeBuffer))
+			: null;
+
+		if (!bufferPtr || sizeBuffer[0] <= 0) {
+			return { headers: keys, columns: {}, rowCount: 0 };
+		}
+
+		// Typed arrays view the native buffer directly; it is freed once they are all collected
+		const buffer = toArrayBuffer(bufferPtr, 0, sizeBuffer[0], null, lib.symbols.ocsv_free_columnar.ptr);
+		const { columns, rowCount: dataRows } = decodeColumnarBuffer(buffer, keys);
+		return { headers: keys, columns, rowCount: dataRows };
+	}
+
+	/**
+	 * Parse using bulk JSON serialization (Phase 1 - fast)
+	 * @private
+	 * @param {string[]|null} headers - Header row
+	 * @param {string[]|null} keys - Object keys with `output: 'objects'` (objects are serialized natively)
+	 * @returns {ParseResult} Parsed result with all rows
+	 */
+	_parseBulk(headers, keys) {
+		if (keys) {
+			const keysBuffer = Buffer.from(JSON.stringify(keys) + '\0');
+			const jsonPtr = lib.symbols.ocsv_rows_to_json_objects(this.parser, ptr(keysBuffer), 1);
+			if (!jsonPtr) {
+				throw new Error("Failed to serialize rows as objects");
+			}
+			let json;
+			try {
+				json = new CString(jsonPtr).toString();
+			} finally {
+				lib.symbols.ocsv_free_json_string(jsonPtr);
+			}
+			return _makeResult(JSON.parse(json), headers);
+		}
+
+		const jsonStr = lib.symbols.ocsv_rows_to_json(this.parser);
+
+		if (!jsonStr) {
+			return _makeResult([], headers);
+		}
+
+		const rows = JSON.parse(jsonStr);
+		if (headers) {
+			rows.shift();
+		}
+		return _makeResult(rows, headers);
+	}
+
+	/**
+	 * Infer the type of each column without converting any rows
+	 *
+	 * Parses `data` like `parse()` and scans the data rows natively. Each column
+	 * is classified as the narrowest of int, float, bool, date (YYYY-MM-DD or
+	 * YYYY/MM/DD) or string that holds all of its non-empty values.
+	 *
+	 * @param {string|Uint8Array|ArrayBuffer} data - CSV data to scan
+	 * @param {ParseOptions & {sampleRows?: number}} [options={}] - Parsing options; `hasHeader` defaults to true,
+	 *   and `sampleRows` limits the scan to the first N data rows (0 = all)
+	 * @returns {InferredSchema} One entry per column, usable as a `schema`
+	 * @throws {OcsvError} If parsing fails
+	 * @throws {TypeError} If `sampleRows` is invalid
+	 *
+	 * @example
+	 * const parser = new Parser();
+	 * const { columns } = parser.inferSchema('id,price\n1,9.99\n2,', { sampleRows: 100 });
+	 * // [{ name: 'id', type: 'int', nullable: false, count: 2, min: 1, max: 2 },
+	 * //  { name: 'price', type: 'float', nullable: true, count: 1, min: 9.99, max: 9.99 }]
+	 */
+	inferSchema(data, options = {}) {
+		_requireNative("inferSchema()");
+		options = this._withDefaults(options);
+		const sampleRows = _sampleRows(options.sampleRows);
+		const parsed = this._parseInput(data, options);
+		options = { ...parsed.options, hasHeader: parsed.options.hasHeader ?? true };
+		if (options.transforms !== undefined && this._applyTransforms(options).length > 0) {
+			throw new TypeError("Registered JavaScript transforms are not supported by inferSchema()");
+		}
+		if (options.where !== undefined) {
+			this._applyWhere(options);
+		}
+
+		const rowCount = lib.symbols.ocsv_get_row_count(this.parser);
+		const { headers } = this._prepareColumns(rowCount, options);
+		return this._inferSchema(headers, sampleRows);
+	}
+
+	/**
+	 * Parse CSV bytes without converting them to a string first
+	 *
+	 * UTF-8 input (the default `encoding`) is handed to the native parser
+	 * as-is, so large inputs skip the decode/encode round-trip of `parse()`
+	 * with a string. The bytes are not modified and may be reused once this
+	 * returns (lazy results copy the fields they need).
+	 *
+	 * @param {Uint8Array|ArrayBuffer|ArrayBufferView} bytes - CSV data, e.g. a Buffer
+	 * @param {ParseOptions} [options={}] - Parsing options
+	 * @returns {ParseResult|LazyResult} Parsed CSV data
+	 * @throws {OcsvError} If parsing fails
+	 * @throws {TypeError} If `bytes` is not binary data
+	 *
+	 * @example
+	 * const parser = new Parser();
+	 * const bytes = new Uint8Array(await Bun.file('./data.csv').arrayBuffer());
+	 * const result = parser.parseBytes(bytes, { hasHeader: true });
+	 */
+	parseBytes(bytes, options = {}) {
+		return this.parse(toBytes(bytes), options);
+	}
+
+	/**
+	 * Parse a CSV file
+	 * @param {string} path - Path to CSV file
+	 * @param {ParseOptions} [options={}] - Parsing options (`encoding` applies to the file contents)
+	 * @returns {Promise<ParseResult>} Parsed CSV data
+	 */
+	async parseFile(path, options = {}) {
+		options = this._withDefaults(options);
+		if (!lib) {
+			_checkFallbackOptions(options);
+		}
+		if (options.mmap) {
+			return this._parseMappedFile(path, options);
+		}
+
+		// The file is parsed from its bytes, never decoded into a JS string
+		let bytes;
+		try {
+			bytes = await (globalThis.Bun ? Bun.file(path).arrayBuffer() : readFile(path));
+		} catch (err) {
+			throw new OcsvError(`Cannot read file: ${path} (${err.code ?? err.message})`, ParseErrorCode.IO_ERROR, 0, 0);
+		}
+		return this.parseBytes(bytes, options);
+	}
+
+	/**
+	 * Parse a file memory-mapped by native code (`parseFile` with `mmap: true`)
+	 *
+	 * The file is parsed in place, so it is never copied into JS memory. In
+	 * lazy mode only row offsets are kept and each row is parsed again when
+	 * it is accessed.
+	 *
+	 * @private
+	 * @param {string} path - Path to CSV file
+	 * @param {ParseOptions} options - Parsing options
+	 * @returns {Promise<ParseResult|LazyResult>} Parsed CSV data
+	 * @throws {OcsvError} If the file cannot be mapped (`IO_ERROR`) or parsing fails
+	 * @throws {TypeError} If an option cannot be combined with `mmap`
+	 */
+	async _parseMappedFile(path, options) {
+		this._checkAlive();
+		const lazy = options.mode === 'lazy';
+		if (resolveEncoding(options.encoding) !== 'utf-8') {
+			throw new TypeError("mmap only supports UTF-8 files; other encodings must be transcoded (omit mmap)");
+		}
+		if ((options.onError ?? 'throw') !== 'throw' || options.parallel || options.threads) {
+			throw new TypeError("mmap does not support onError recovery or parallel parsing");
+		}
+		if (lazy && options.where !== undefined) {
+			throw new TypeError("where is not supported with mmap in lazy mode; use filter instead");
+		}
+		if (lazy && options.transforms !== undefined) {
+			throw new TypeError("transforms is not supported with mmap in lazy mode");
+		}
+		if (lazy && options.columnCount !== undefined) {
+			throw new TypeError("columnCount is not supported with mmap in lazy mode");
+		}
+		const columnCount = _columnCountOption(options.columnCount);
+		if (options.filter !== undefined && typeof options.filter !== 'function') {
+			throw new TypeError("filter must be a function");
+		}
+		_checkProgressOptions(options);
 
-		// Handle header row if requested
-		if (options.hasHeader && rowCount > 0) {
-			// Extract headers eagerly using direct FFI
-			// This is a small overhead (~50-100μs) but ensures reliability
-			const fieldCount = lib.symbols.ocsv_get_field_count(this.parser, 0);
-			headers = new Array(fieldCount);
-			for (let i = 0; i < fieldCount; i++) {
-				headers[i] = lib.symbols.ocsv_get_field(this.parser, 0, i) || "";
+		// Sniff the dialect from the beginning of the file only
+		let dialect = null;
+		if (options.delimiter === 'auto') {
+			let sample;
+			try {
+				sample = await Bun.file(path).slice(0, SNIFF_SAMPLE_BYTES).arrayBuffer();
+			} catch (err) {
+				throw new OcsvError(`Cannot read file: ${path} (${err.code ?? err.message})`, ParseErrorCode.IO_ERROR, 0, 0);
 			}
+			dialect = sniffCSV(sample);
+			options = {
+				...options,
+				delimiter: dialect.delimiter,
+				quote: options.quote ?? dialect.quote,
+				hasHeader: options.hasHeader ?? dialect.hasHeader,
+			};
+		}
 
-			// Create LazyResult starting from row 1 (data rows only)
-			// Note: User will call getRow(0) to access first data row
-			return new LazyResult(
-				this.parser,
-				rowCount - 1,  // Exclude header from count
-				headers,
-				options
-			);
+		this._applyConfig(options);
+		const pathBuffer = Buffer.from(path + '\0');
+		const totalBytes = options.onProgress ? Bun.file(path).size : 0;
+		const status = this._runWithProgress(options, totalBytes, () =>
+			lib.symbols.ocsv_parse_file(this.parser, ptr(pathBuffer), lazy, options.stripBOM ?? true));
+		if (status !== 0) {
+			if (lib.symbols.ocsv_get_error_code(this.parser) === ParseErrorCode.FILE_NOT_FOUND) {
+				const message = lib.symbols.ocsv_get_error_message(this.parser) || `Cannot read file: ${path}`;
+				throw new OcsvError(message, ParseErrorCode.IO_ERROR, 0, 0);
+			}
+			this._throwParseError();
 		}
+		this._enforceColumnCount(columnCount, 'throw');
 
-		// No header
-		return new LazyResult(
-			this.parser,
-			rowCount,
-			null,
-			options
-		);
+		const result = this._finishParse(options, 'throw');
+		if (dialect) {
+			result.dialect = dialect;
+		}
+		return result;
 	}
 
 	/**
-	 * Parse in eager mode - materializes all rows into arrays
-	 * @private
-	 * @param {number} rowCount - Total number of rows
-	 * @param {ParseOptions} options - Parsing options
-	 * @returns {ParseResult} Eager result with all rows
+	 * Parse CSV incrementally from a stream of chunks
+	 *
+	 * The parser's configuration is copied into a native streaming parser,
+	 * so this parser can be reused or destroyed right away. Supports
+	 * delimiter, quote, comment, trim, relaxed, fromLine/toLine (1-indexed
+	 * records, header included), hasHeader and encoding ('auto' detects the
+	 * encoding from the first 4 KB).
+	 *
+	 * @param {ReadableStream|Blob|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source - Chunk source, e.g. `Bun.file(path)`
+	 * @param {ParseOptions} [options={}] - Parsing options (`mode` is ignored)
+	 * @returns {StreamResult} Async iterable of rows
+	 *
+	 * @example
+	 * const parser = new Parser();
+	 * const stream = parser.stream(Bun.file('./huge.csv'), { delimiter: ';' });
+	 * parser.destroy();
+	 * for await (const row of stream) {
+	 *   console.log(row);
+	 * }
 	 */
-	_parseEager(rowCount, options) {
-		const rows = [];
-
-		for (let i = 0; i < rowCount; i++) {
-			const fieldCount = lib.symbols.ocsv_get_field_count(this.parser, i);
-			const row = [];
+	stream(source, options = {}) {
+		this._checkAlive();
+		options = this._withDefaults(options);
+		_outputMode(options);
+		if (options.delimiter === 'auto') {
+			throw new TypeError("delimiter 'auto' is not supported by stream(); call sniffCSV() on the first chunk instead");
+		}
+		if (options.where !== undefined) {
+			throw new TypeError("where is not supported by stream(); use filter instead");
+		}
+		if (options.transforms !== undefined) {
+			throw new TypeError("transforms is not supported by stream()");
+		}
+		if (options.columnCount !== undefined) {
+			throw new TypeError("columnCount is not supported by stream()");
+		}
+		if (options.filter !== undefined && typeof options.filter !== 'function') {
+			throw new TypeError("filter must be a function");
+		}
+		_checkProgressOptions(options);
+		resolveEncoding(options.encoding);
+		this._applyConfig(options);
+		const stream = lib ? lib.symbols.ocsv_stream_create(this.parser) : new FallbackStream(this.parser.config);
+		if (!stream) {
+			throw new Error("Failed to create streaming parser");
+		}
+		return new StreamResult(stream, source, options);
+	}
 
-			for (let j = 0; j < fieldCount; j++) {
-				// ocsv_get_field returns a cstring which Bun automatically converts to string
-				const field = lib.symbols.ocsv_get_field(this.parser, i, j);
-				row.push(field || "");
+	/**
+	 * Destroy the parser and free all memory
+	 * Must be called when done with the parser
+	 *
+	 * Lazy results of this parser stay valid and are destroyed on their own.
+	 * Safe to call multiple times.
+	 */
+	destroy() {
+		if (this.parser) {
+			PARSER_REGISTRY.unregister(this);
+			if (lib) {
+				lib.symbols.ocsv_parser_destroy(this.parser);
 			}
-
-			rows.push(row);
+			this.parser = null;
 		}
+	}
 
-		const result = {
-			rows,
-			rowCount: options.hasHeader ? rowCount - 1 : rowCount,
-		};
+	/**
+	 * Destroy the parser at the end of a `using` block
+	 *
+	 * @example
+	 * {
+	 *   using parser = new Parser();
+	 *   const result = parser.parse('a,b\n1,2');
+	 * } // parser.destroy() is called here
+	 */
+	[Symbol.dispose]() {
+		this.destroy();
+	}
+}
 
-		if (options.hasHeader && rows.length > 0) {
-			result.headers = rows.shift();
+/**
+ * Pool of reusable parsers, for servers parsing many small inputs
+ *
+ * Parsers are created up front and handed out by `acquire()`. Every call
+ * of a pooled parser starts from the default configuration plus the pool's
+ * `defaultOptions`, and lazy results keep their rows when the parser is
+ * reused, so a parser carries nothing over from one user to the next.
+ * Parsers acquired while every pooled parser is in use are created on
+ * demand and destroyed on release once `size` parsers are idle.
+ *
+ * @example
+ * import { ParserPool } from 'ocsv';
+ *
+ * const pool = new ParserPool(8, { hasHeader: true });
+ * const result = pool.parse(body, { delimiter: ';' });
+ *
+ * @example Holding a parser across several calls
+ * const rows = await pool.use(async (parser) => {
+ *   const schema = parser.inferSchema(sample);
+ *   return (await parser.parseFile(path, { schema })).rows;
+ * });
+ */
+export class ParserPool {
+	/**
+	 * Create a pool and its parsers
+	 * @param {number} [size=DEFAULT_POOL_SIZE] - Number of parsers kept for reuse
+	 * @param {ParseOptions} [defaultOptions={}] - Defaults of every pooled parser (see `new Parser()`)
+	 * @throws {TypeError} If size is not a positive integer or `defaultOptions` is not an object
+	 */
+	constructor(size = DEFAULT_POOL_SIZE, defaultOptions = {}) {
+		if (!Number.isInteger(size) || size < 1) {
+			throw new TypeError(`size must be a positive integer, got ${size}`);
+		}
+		if (typeof defaultOptions !== 'object' || defaultOptions === null || Array.isArray(defaultOptions)) {
+			throw new TypeError("Parser defaults must be an options object");
+		}
+		this.size = size;
+		this.defaults = Object.freeze({ ...defaultOptions });
+		this.idle = [];
+		this.busy = new Set();
+		this.destroyed = false;
+		for (let i = 0; i < size; i++) {
+			this.idle.push(new Parser(this.defaults));
 		}
-
-		return result;
 	}
 
 	/**
-	 * Parse using packed buffer format (Phase 2 - fastest)
-	 * @private
-	 * @returns {ParseResult} Parsed result with all rows
+	 * Take a parser from the pool; give it back with `release()`
+	 * @returns {Parser} An idle parser, or a new one if all are in use
+	 * @throws {Error} If the pool has been destroyed
 	 */
-	_parsePacked() {
-		const sizeBuffer = new Int32Array(1);
-		const bufferPtr = lib.symbols.ocsv_rows_to_packed_buffer(this.parser, ptr(sizeBuffer));
-
-		if (!bufferPtr || sizeBuffer[0] <= 0) {
-			return { rows: [], rowCount: 0 };
+	acquire() {
+		if (this.destroyed) {
+			throw new Error("Parser pool has been destroyed");
 		}
-
-		const rows = _deserializePackedBuffer(bufferPtr, sizeBuffer[0]);
-		return {
-			rows,
-			rowCount: rows.length,
-		};
+		const parser = this.idle.pop() ?? new Parser(this.defaults);
+		this.busy.add(parser);
+		return parser;
 	}
 
 	/**
-	 * Parse using bulk JSON serialization (Phase 1 - fast)
-	 * @private
-	 * @returns {ParseResult} Parsed result with all rows
+	 * Give back a parser taken with `acquire()`
+	 *
+	 * The parser must not be used afterwards; results it returned stay valid.
+	 * Parsers that were destroyed, or are not needed to keep `size` parsers
+	 * idle, are destroyed instead of being reused.
+	 *
+	 * @param {Parser} parser - Parser returned by `acquire()`
+	 * @throws {Error} If the parser was not acquired from this pool or was already released
 	 */
-	_parseBulk() {
-		const jsonStr = lib.symbols.ocsv_rows_to_json(this.parser);
+	release(parser) {
+		if (!this.busy.delete(parser)) {
+			throw new Error("Parser was not acquired from this pool or was already released");
+		}
+		if (this.destroyed || !parser.parser || this.idle.length >= this.size) {
+			parser.destroy();
+		} else {
+			this.idle.push(parser);
+		}
+	}
 
-		if (!jsonStr) {
-			return { rows: [], rowCount: 0 };
+	/**
+	 * Run `fn` with a pooled parser, releasing it when `fn` returns (or its promise settles)
+	 * @template T
+	 * @param {function(Parser): T} fn - Function using the parser
+	 * @returns {T} What `fn` returns
+	 * @throws {Error} If the pool has been destroyed, or what `fn` throws
+	 */
+	use(fn) {
+		const parser = this.acquire();
+		let result;
+		try {
+			result = fn(parser);
+		} catch (err) {
+			this.release(parser);
+			throw err;
+		}
+		if (typeof result?.then === 'function') {
+			return Promise.resolve(result).finally(() => this.release(parser));
 		}
+		this.release(parser);
+		return result;
+	}
 
-		const rows = JSON.parse(jsonStr);
-		return {
-			rows,
-			rowCount: rows.length,
-		};
+	/**
+	 * Parse CSV data with a pooled parser (see `Parser.parse()`)
+	 * @param {string|Uint8Array|ArrayBuffer} data - CSV data to parse
+	 * @param {ParseOptions} [options={}] - Parsing options, over the pool's defaults
+	 * @returns {ParseResult|LazyResult} Parsed CSV data
+	 * @throws {OcsvError} If parsing fails
+	 */
+	parse(data, options = {}) {
+		return this.use((parser) => parser.parse(data, options));
 	}
 
 	/**
-	 * Parse a CSV file
+	 * Parse a CSV file with a pooled parser (see `Parser.parseFile()`)
 	 * @param {string} path - Path to CSV file
-	 * @param {ParseOptions} [options={}] - Parsing options
-	 * @returns {Promise<ParseResult>} Parsed CSV data
+	 * @param {ParseOptions} [options={}] - Parsing options, over the pool's defaults
+	 * @returns {Promise<ParseResult|LazyResult>} Parsed CSV data
 	 */
-	async parseFile(path, options = {}) {
-		const file = Bun.file(path);
-		const text = await file.text();
-		return this.parse(text, options);
+	parseFile(path, options = {}) {
+		return this.use((parser) => parser.parseFile(path, options));
 	}
 
 	/**
-	 * Destroy the parser and free all memory
-	 * Must be called when done with the parser
+	 * Destroy the idle parsers; parsers in use are destroyed when released
+	 *
+	 * Results already returned stay valid. Safe to call multiple times.
 	 */
 	destroy() {
-		if (this.parser) {
-			lib.symbols.ocsv_parser_destroy(this.parser);
-			this.parser = null;
+		this.destroyed = true;
+		for (const parser of this.idle) {
+			parser.destroy();
 		}
+		this.idle = [];
+	}
+
+	/**
+	 * Destroy the pool at the end of a `using` block
+	 */
+	[Symbol.dispose]() {
+		this.destroy();
 	}
 }
 
 /**
  * Convenience function to parse CSV string
- * Automatically manages parser lifecycle (except in lazy mode)
+ * Automatically manages parser lifecycle (lazy results must still be destroyed)
  *
- * @param {string} data - CSV data
+ * @param {string|Uint8Array|ArrayBuffer} data - CSV data (bytes are decoded with `options.encoding`)
  * @param {ParseOptions} [options={}] - Parsing options
  * @returns {ParseResult | LazyResult} Parsed CSV data
  *
@@ -815,14 +3745,7 @@ export class Parser {
 export function parseCSV(data, options = {}) {
 	const parser = new Parser();
 
-	// Check for lazy mode
-	if (options.mode === 'lazy') {
-		// IMPORTANT: Do NOT destroy parser!
-		// LazyResult owns it now - user must call result.destroy()
-		return parser.parse(data, options);
-	}
-
-	// Eager mode: cleanup immediately
+	// A lazy result keeps its rows when the parser is destroyed
 	try {
 		return parser.parse(data, options);
 	} finally {
@@ -836,13 +3759,21 @@ export function parseCSV(data, options = {}) {
  *
  * @param {string} path - Path to CSV file
  * @param {ParseOptions} [options={}] - Parsing options
- * @returns {Promise<ParseResult>} Parsed CSV data
+ * @returns {Promise<ParseResult|LazyResult>} Parsed CSV data
  *
  * @example
  * import { parseCSVFile } from 'ocsv';
  *
  * const result = await parseCSVFile('./data.csv', { hasHeader: true });
  * console.log(`Parsed ${result.rowCount} rows`);
+ *
+ * @example Random access to a huge file (manual cleanup required)
+ * const result = await parseCSVFile('./huge.csv', { mmap: true, mode: 'lazy' });
+ * try {
+ *   console.log(result.getRow(150_000_000).toArray());
+ * } finally {
+ *   result.destroy();
+ * }
  */
 export async function parseCSVFile(path, options = {}) {
 	const parser = new Parser();
@@ -853,8 +3784,347 @@ export async function parseCSVFile(path, options = {}) {
 	}
 }
 
+/**
+ * Options for `parseCSVAsync()` and `Parser.parseAsync()` (given alongside the parsing options)
+ * @typedef {Object} AsyncParseOptions
+ * @property {WorkerPool} [pool] - Pool to parse on (default: a shared pool of `DEFAULT_POOL_SIZE` workers)
+ */
+
+/**
+ * Parse CSV on a worker thread without blocking the calling thread
+ *
+ * The native parse and extraction run on a pooled Bun Worker, and the rows
+ * come back in a packed buffer that is transferred rather than copied, then
+ * decoded into the same `ParseResult` as `parseCSV()`. Workers are shared
+ * and bounded (see `WorkerPool`), so concurrent calls queue instead of
+ * starting unbounded threads. Byte input is copied once; a Blob is read
+ * into a buffer the worker takes over.
+ *
+ * Every option of `parseCSV()` works, except lazy mode, `registerTransform()`
+ * transforms and schema validators, which need this thread. `filter` runs on
+ * this thread after the rows arrive.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} data - CSV data, or a Blob such as `Bun.file(path)`
+ * @param {ParseOptions & AsyncParseOptions} [options={}] - Parsing options and worker pool
+ * @returns {Promise<ParseResult|ColumnarResult>} Parsed CSV data
+ * @throws {OcsvError} If parsing fails
+ * @throws {TypeError} If an option is not supported off the calling thread
+ *
+ * @example
+ * import { parseCSVAsync } from 'ocsv';
+ *
+ * Bun.serve({
+ *   async fetch(req) {
+ *     const { rows } = await parseCSVAsync(await req.arrayBuffer(), { hasHeader: true });
+ *     return Response.json({ imported: rows.length });
+ *   },
+ * });
+ */
+export function parseCSVAsync(data, options = {}) {
+	return _parseOnWorker(data, options);
+}
+
+/**
+ * Convenience function to parse CSV from a stream of chunks
+ * Rows are yielded as they are parsed, so the input never has to fit in memory
+ *
+ * @param {ReadableStream|Blob|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source - Chunk source, e.g. `Bun.file(path)`
+ * @param {ParseOptions} [options={}] - Parsing options
+ * @returns {StreamResult} Async iterable of rows
+ *
+ * @example
+ * import { streamCSV } from 'ocsv';
+ *
+ * const stream = streamCSV(Bun.file('./export.csv'), { hasHeader: true });
+ * for await (const row of stream) {
+ *   console.log(row.length === stream.headers.length);
+ * }
+ */
+export function streamCSV(source, options = {}) {
+	const parser = new Parser();
+	try {
+		return parser.stream(source, options);
+	} finally {
+		parser.destroy();
+	}
+}
+
+/**
+ * Convenience function to infer column types from CSV data
+ * Automatically manages parser lifecycle
+ *
+ * @param {string|Uint8Array|ArrayBuffer} data - CSV data (bytes are decoded with `options.encoding`)
+ * @param {ParseOptions & {sampleRows?: number}} [options={}] - Parsing options; `hasHeader` defaults to true,
+ *   and `sampleRows` limits the scan to the first N data rows (0 = all)
+ * @returns {InferredSchema} One entry per column, usable as a `schema`
+ *
+ * @example
+ * import { inferSchema, parseCSV } from 'ocsv';
+ *
+ * const { columns } = inferSchema(upload, { sampleRows: 1000 });
+ * console.log(columns.map((c) => `${c.name}: ${c.type}`));  // ['id: int', 'joined: date', ...]
+ *
+ * // Once the user confirms, import with converted values
+ * const { rows } = parseCSV(upload, { hasHeader: true, inferTypes: true });
+ */
+export function inferSchema(data, options = {}) {
+	const parser = new Parser();
+	try {
+		return parser.inferSchema(data, options);
+	} finally {
+		parser.destroy();
+	}
+}
+
+/**
+ * Output options for `convertCSV()` (given alongside the parsing options)
+ * @typedef {Object} ConvertOptions
+ * @property {'jsonl'|'ndjson'|'json'|'tsv'|'csv'} to - Output format
+ * @property {string|BunFile|WritableStream} [destination] - File path, `Bun.file()` or stream to write to
+ *   (a stream is closed when done); omit it to get the output as a string
+ * @property {string} [outputDelimiter=','] - Field delimiter for `to: 'csv'`
+ */
+
+/**
+ * Convert CSV to JSON Lines, JSON, TSV or CSV without materializing rows in JS
+ *
+ * The input is parsed natively and written by the native output plugins
+ * (src/output.odin) in chunks, straight to `destination`. With the JSON
+ * formats `hasHeader` defaults to true and rows become objects keyed by the
+ * header (arrays without a header); `emptyAsNull` writes null fields as
+ * `null`. TSV and CSV keep the header as their first line. `columns`,
+ * `where` and built-in `transforms` are applied before writing; `mode`,
+ * `output`, `schema`, `inferTypes` and `filter` are not supported.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - CSV data, or a Blob such as `Bun.file(path)`
+ * @param {ParseOptions & ConvertOptions} options - Output format, destination and parsing options
+ * @returns {Promise<string|number>} The converted text without a destination, otherwise the number of rows written
+ * @throws {OcsvError} If parsing fails
+ * @throws {TypeError} If the format, destination or an option is invalid
+ *
+ * @example
+ * import { convertCSV } from 'ocsv';
+ *
+ * // Vendor export to NDJSON, written as it is converted
+ * await convertCSV(Bun.file('./vendor.csv'), { to: 'jsonl', destination: './vendor.ndjson', delimiter: ';' });
+ *
+ * // Small inputs can be converted in memory
+ * await convertCSV('id,name\n1,Ann', { to: 'json' });  // '[{"id":"1","name":"Ann"}]'
+ */
+export async function convertCSV(input, options = {}) {
+	_requireNative("convertCSV()");
+	const { to, destination, outputDelimiter = ',', ...parseOptions } = options;
+	if (!OUTPUT_FORMATS.has(to)) {
+		throw new TypeError(`to must be one of ${[...OUTPUT_FORMATS].join(', ')}, got ${to}`);
+	}
+	for (const option of ['mode', 'output', 'schema', 'inferTypes', 'filter']) {
+		if (parseOptions[option] !== undefined) {
+			throw new TypeError(`${option} is not supported by convertCSV()`);
+		}
+	}
+	if (typeof outputDelimiter !== 'string' || outputDelimiter.length !== 1) {
+		throw new TypeError(`outputDelimiter must be a single character, got ${outputDelimiter}`);
+	}
+
+	const format = to === 'ndjson' ? 'jsonl' : to;
+	const json = format === 'jsonl' || format === 'json';
+	const data = input instanceof Blob ? await input.arrayBuffer() : input;
+	const parser = new Parser();
+	try {
+		const parsed = parser._parseInput(data, parseOptions);
+		const hasHeader = parsed.options.hasHeader ?? json;
+		// JSON keys are the resolved header names, like `output: 'objects'`
+		const opts = { ...parsed.options, hasHeader, output: json && hasHeader ? 'objects' : undefined };
+		if (opts.transforms !== undefined && parser._applyTransforms(opts).length > 0) {
+			throw new TypeError("Registered JavaScript transforms are not supported by convertCSV()");
+		}
+		if (opts.where !== undefined) {
+			parser._applyWhere(opts);
+		}
+
+		const rowCount = lib.symbols.ocsv_get_row_count(parser.parser);
+		const { keys } = parser._prepareColumns(rowCount, opts);
+		return await _writeOutput(parser.parser, {
+			format,
+			keys,
+			nulls: json && !!opts.emptyAsNull,
+			delimiter: outputDelimiter,
+			start: keys ? 1 : 0,
+			end: rowCount,
+		}, destination);
+	} finally {
+		parser.destroy();
+	}
+}
+
+/**
+ * List the built-in transforms available to the `transforms` option
+ * (see `listPlugins()` for registered JavaScript transforms)
+ *
+ * @returns {string[]} Transform names, sorted (none with the JavaScript backend)
+ *
+ * @example
+ * import { listTransforms } from 'ocsv';
+ *
+ * listTransforms(); // ['capitalize', 'date_iso8601', 'lowercase', 'normalize_space', ...]
+ */
+export function listTransforms() {
+	if (!lib) {
+		return [];
+	}
+	const jsonPtr = lib.symbols.ocsv_list_transforms();
+	if (!jsonPtr) {
+		throw new Error("Failed to list transforms");
+	}
+	try {
+		return JSON.parse(new CString(jsonPtr).toString()).sort();
+	} finally {
+		lib.symbols.ocsv_free_json_string(jsonPtr);
+	}
+}
+
+/**
+ * Register a JavaScript transform for use by name in `transforms`
+ *
+ * Registered transforms run in JavaScript on the extracted rows, after the
+ * built-in (native) transforms of the same option and before `filter`. They
+ * are not supported in lazy or columnar mode, with `inferTypes`, or by
+ * `inferSchema()`. Null fields (`emptyAsNull`) are passed over.
+ *
+ * @param {string} name - Transform name (must not clash with a built-in or registered transform)
+ * @param {function(string): string} fn - Receives a field value and returns the new value
+ * @throws {TypeError} If the name or function is invalid
+ * @throws {Error} If the name is already in use
+ *
+ * @example
+ * import { registerTransform, parseCSV } from 'ocsv';
+ *
+ * registerTransform('iban_compact', (value) => value.replace(/\s+/g, '').toUpperCase());
+ * parseCSV(data, { hasHeader: true, transforms: { iban: ['trim', 'iban_compact'] } });
+ */
+export function registerTransform(name, fn) {
+	_checkPlugin('transform', name, fn, [...listTransforms(), ...JS_TRANSFORMS.keys()]);
+	JS_TRANSFORMS.set(name, fn);
+}
+
+/**
+ * Register a JavaScript validator for use by name in schema columns (`validator`)
+ *
+ * Validators run on the raw (string) values of non-empty fields, after the
+ * built-in schema rules, in `parseCSV()` with `schema` and in `validate()`.
+ * A failure is reported as a ValidationError with rule 'custom' and the
+ * validator name.
+ *
+ * @param {string} name - Validator name (must not clash with a registered validator)
+ * @param {function(string): (boolean|string)} fn - Returns true for valid values, and false or an error message otherwise
+ * @throws {TypeError} If the name or function is invalid
+ * @throws {Error} If the name is already in use
+ *
+ * @example
+ * import { registerValidator, parseCSV } from 'ocsv';
+ *
+ * registerValidator('iban', (value) => isValidIban(value) || `Invalid IBAN: ${value}`);
+ * const { valid, validationErrors } = parseCSV(data, {
+ *   hasHeader: true,
+ *   schema: [{ name: 'name', required: true }, { name: 'iban', validator: 'iban' }],
+ * });
+ */
+export function registerValidator(name, fn) {
+	_checkPlugin('validator', name, fn, [...JS_VALIDATORS.keys()]);
+	JS_VALIDATORS.set(name, fn);
+}
+
+/**
+ * Plugin description returned by `listPlugins()`
+ * @typedef {Object} PluginInfo
+ * @property {string} name - Name used in `transforms`, a schema column's `validator` or `convertCSV()`'s `to`
+ * @property {'output'|'transform'|'validator'} type - Plugin type
+ * @property {'native'|'js'} source - Built into the native library, or registered from JavaScript
+ */
+
+/**
+ * List the built-in output formats and transforms, and the registered JavaScript transforms and validators
+ *
+ * The JavaScript backend has no built-in plugins.
+ *
+ * @returns {PluginInfo[]} Plugins, sorted by type and name
+ *
+ * @example
+ * import { listPlugins } from 'ocsv';
+ *
+ * listPlugins().filter((plugin) => plugin.source === 'js');
+ * // [{ name: 'iban_compact', type: 'transform', source: 'js' }, { name: 'iban', type: 'validator', source: 'js' }]
+ */
+export function listPlugins() {
+	let outputs = [];
+	if (lib) {
+		const jsonPtr = lib.symbols.ocsv_list_outputs();
+		if (!jsonPtr) {
+			throw new Error("Failed to list output plugins");
+		}
+		try {
+			outputs = JSON.parse(new CString(jsonPtr).toString());
+		} finally {
+			lib.symbols.ocsv_free_json_string(jsonPtr);
+		}
+	}
+
+	const plugins = [
+		...outputs.map((name) => ({ name, type: 'output', source: 'native' })),
+		...listTransforms().map((name) => ({ name, type: 'transform', source: 'native' })),
+		...[...JS_TRANSFORMS.keys()].map((name) => ({ name, type: 'transform', source: 'js' })),
+		...[...JS_VALIDATORS.keys()].map((name) => ({ name, type: 'validator', source: 'js' })),
+	];
+	return plugins.sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Parse CSV data into rows using the packed buffer format (Phase 2)
+ *
+ * @param {string} data - CSV data
+ * @returns {string[][]} Every row, the first one included [row][field]
+ * @throws {OcsvError} If parsing fails
+ *
+ * @example
+ * const rows = parseCSVPacked("name,age\nAlice,30\nBob,25");
+ * // [["name", "age"], ["Alice", "30"], ["Bob", "25"]]
+ */
+export function parseCSVPacked(data) {
+	return parseCSV(data, { mode: 'packed' }).rows;
+}
+
+/**
+ * Parse CSV data into rows using bulk JSON serialization (Phase 2)
+ *
+ * @param {string} data - CSV data
+ * @returns {string[][]} Every row, the first one included [row][field]
+ * @throws {OcsvError} If parsing fails
+ *
+ * @example
+ * const rows = parseCSVBulk("name,age\nAlice,30\nBob,25");
+ * // [["name", "age"], ["Alice", "30"], ["Bob", "25"]]
+ */
+export function parseCSVBulk(data) {
+	return parseCSV(data, { mode: 'bulk' }).rows;
+}
+
 // Export for backwards compatibility
 export { Parser as OCSVParser };
 
-// Export advanced performance functions (Phase 2)
-export { parseCSVPacked, parseCSVBulk } from "./simple.ts";
+// Export CSV serialization
+export { Writer, stringifyCSV } from "./writer.js";
+
+// Export dialect detection
+export { sniffCSV, SNIFF_DELIMITERS } from "./sniff.js";
+
+// Export encoding detection
+export { detectEncoding, decodeBytes, ENCODINGS } from "./encoding.js";
+
+// Export packed buffer decoding
+export { decodePackedBuffer, PACKED_MAGIC, PACKED_VERSIONS } from "./packed.js";
+
+// Export columnar buffer decoding
+export { decodeColumnarBuffer, COLUMN_TYPES } from "./columnar.js";
+
+// Export the worker pool behind parseCSVAsync()
+export { WorkerPool, DEFAULT_POOL_SIZE } from "./pool.js";
@@ -0,0 +1,194 @@
+/**
+ * OCSV - Packed Buffer Decoding
+ *
+ * Decodes the packed binary format written by the native serializer
+ * (`ocsv_rows_to_packed_buffer`, `ocsv_stream_take_rows`). The layout is
+ * described in docs/BINARY_FORMAT.md; the version in the header selects the
+ * decoder, so buffers from older native libraries still decode.
+ *
+ * @module ocsv/packed
+ */
+
+/**
+ * Magic number at the start of every packed buffer ("OCSV")
+ * @type {number}
+ */
+export const PACKED_MAGIC = 0x4F435356;
+
+/**
+ * Packed format versions this module can decode
+ * @type {number[]}
+ */
+export const PACKED_VERSIONS = [1, 2];
+
+/**
+ * Size of the fixed header in bytes
+ * @private
+ * @type {number}
+ */
+const HEADER_SIZE = 24;
+
+/**
+ * @typedef {Object} DecodeOptions
+ * @property {number} [startRow=0] - First row to decode (1 skips the header row)
+ * @property {string[]|null} [keys=null] - Decode rows straight into objects with these keys
+ * @property {boolean} [nulls=false] - Decode null fields (empty and unquoted in the CSV) as `null` instead of `""` (version 2 only)
+ */
+
+/**
+ * Decode a packed buffer into rows
+ *
+ * Rows keep their own length (version 2 stores a field count per row).
+ * Objects always carry every key; keys past the end of a row map to `""`,
+ * or to `null` with `nulls`.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Packed buffer
+ * @param {DecodeOptions} [options={}] - Decoding options
+ * @returns {Array<Array<string|null>|Object<string, string|null>>} Rows as arrays, or objects when `keys` is given
+ * @throws {Error} If the magic number, version or size in the header is invalid
+ *
+ * @example
+ * const rows = decodePackedBuffer(buffer, { startRow: 1 });
+ */
+export function decodePackedBuffer(buffer, options = {}) {
+	const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const { startRow = 0, keys = null, nulls = false } = options;
+
+	if (bytes.length < HEADER_SIZE) {
+		throw new Error(`Buffer too small: ${bytes.length} bytes`);
+	}
+
+	// Read header
+	const magic = view.getUint32(0, true);
+	if (magic !== PACKED_MAGIC) {
+		throw new Error(`Invalid magic number: 0x${magic.toString(16)}`);
+	}
+
+	const version = view.getUint32(4, true);
+	if (!PACKED_VERSIONS.includes(version)) {
+		throw new Error(`Unsupported version: ${version}`);
+	}
+
+	const rowCount = view.getUint32(8, true);
+	const fieldCount = view.getUint32(12, true);
+	const totalBytes = view.getBigUint64(16, true);
+
+	// Validate buffer size
+	if (BigInt(bytes.length) !== totalBytes) {
+		throw new Error(`Buffer size mismatch: expected ${totalBytes}, got ${bytes.length}`);
+	}
+
+	const decodeRow = version === 1 ? _decodeRowV1 : _decodeRowV2;
+	const decoder = new TextDecoder('utf-8');
+	const empty = keys && nulls ? null : "";
+
+	// Deserialize rows
+	const firstRow = Math.min(startRow, rowCount);
+	const rows = new Array(rowCount - firstRow);
+
+	for (let i = firstRow; i < rowCount; i++) {
+		const offset = view.getUint32(HEADER_SIZE + i * 4, true);
+		const fields = decodeRow(bytes, view, offset, fieldCount, decoder, nulls);
+
+		if (keys) {
+			const row = {};
+			for (let j = 0; j < keys.length; j++) {
+				row[keys[j]] = j < fields.length ? fields[j] : empty;
+			}
+			rows[i - firstRow] = row;
+		} else {
+			rows[i - firstRow] = fields;
+		}
+	}
+
+	return rows;
+}
+
+/**
+ * Decode one version 1 row: `field_count` × [length: u16][UTF-8 bytes]
+ * @private
+ * @param {Uint8Array} bytes - Buffer bytes
+ * @param {DataView} view - View over the same bytes
+ * @param {number} offset - Start of the row
+ * @param {number} fieldCount - Field count from the header (every row has it)
+ * @param {TextDecoder} decoder - UTF-8 decoder
+ * @returns {string[]} Row fields
+ */
+function _decodeRowV1(bytes, view, offset, fieldCount, decoder) {
+	const row = new Array(fieldCount);
+
+	for (let j = 0; j < fieldCount; j++) {
+		const length = view.getUint16(offset, true);
+		offset += 2;
+
+		row[j] = length > 0 ? decoder.decode(bytes.subarray(offset, offset + length)) : "";
+		offset += length;
+	}
+
+	return row;
+}
+
+/**
+ * Decode one version 2 row: [field count: varint] then, per field,
+ * [(length << 1) | null flag: varint][UTF-8 bytes]
+ * @private
+ * @param {Uint8Array} bytes - Buffer bytes
+ * @param {DataView} view - View over the same bytes (unused)
+ * @param {number} offset - Start of the row
+ * @param {number} fieldCount - Widest row from the header (unused)
+ * @param {TextDecoder} decoder - UTF-8 decoder
+ * @param {boolean} nulls - Decode null fields as `null`
+ * @returns {Array<string|null>} Row fields
+ */
+function _decodeRowV2(bytes, view, offset, fieldCount, decoder, nulls) {
+	const cursor = { offset };
+	const count = _readVarint(bytes, cursor);
+	const row = new Array(count);
+
+	for (let j = 0; j < count; j++) {
+		const header = _readVarint(bytes, cursor);
+		const length = Math.floor(header / 2);
+
+		if (length > 0) {
+			row[j] = decoder.decode(bytes.subarray(cursor.offset, cursor.offset + length));
+			cursor.offset += length;
+		} else {
+			row[j] = nulls && header % 2 === 1 ? null : "";
+		}
+	}
+
+	return row;
+}
+
+/**
+ * Read an unsigned LEB128 varint and advance the cursor
+ *
+ * Uses multiplication rather than bit shifts so values above 2^31 stay exact.
+ *
+ * @private
+ * @param {Uint8Array} bytes - Buffer bytes
+ * @param {{offset: number}} cursor - Read position, updated in place
+ * @returns {number} Decoded value
+ * @throws {Error} If the varint runs past the end of the buffer
+ */
+function _readVarint(bytes, cursor) {
+	let value = 0;
+	let scale = 1;
+	let offset = cursor.offset;
+
+	while (true) {
+		if (offset >= bytes.length) {
+			throw new Error(`Truncated varint at offset ${cursor.offset}`);
+		}
+		const byte = bytes[offset++];
+		value += (byte & 0x7F) * scale;
+		if (byte < 0x80) {
+			break;
+		}
+		scale *= 128;
+	}
+
+	cursor.offset = offset;
+	return value;
+}
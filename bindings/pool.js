@@ -0,0 +1,159 @@
+/**
+ * OCSV - Worker Pool
+ *
+ * A bounded pool of Bun Workers used by `parseCSVAsync()` and
+ * `Parser.parseAsync()` to parse off the calling thread. Workers are started
+ * on demand, handle one task at a time and are reused; when every worker is
+ * busy, tasks wait in a FIFO queue. Idle workers do not keep the process
+ * alive.
+ *
+ * @module ocsv/pool
+ */
+
+import os from "os";
+
+/**
+ * Default pool size: one worker per CPU core, leaving one core for the
+ * calling thread (between 1 and 4 workers)
+ * @type {number}
+ */
+export const DEFAULT_POOL_SIZE = Math.max(1, Math.min((os.availableParallelism?.() ?? os.cpus().length) - 1, 4));
+
+/**
+ * Script run by pool workers unless another one is given: the parse worker
+ * @type {URL}
+ */
+export const PARSE_WORKER_URL = new URL("./worker.js", import.meta.url);
+
+/**
+ * Bounded pool of workers running the same script
+ *
+ * The worker script must answer every message with exactly one message.
+ * Before that, it may post any number of `{ progress }` messages; they are
+ * passed to the task's `onProgress` and do not complete the task.
+ *
+ * @example
+ * import { parseCSVAsync, WorkerPool } from 'ocsv';
+ *
+ * const pool = new WorkerPool(8);
+ * const result = await parseCSVAsync(data, { pool });
+ * pool.terminate();
+ */
+export class WorkerPool {
+	/**
+	 * Create a pool (no worker is started until the first task)
+	 * @param {number} [size=DEFAULT_POOL_SIZE] - Maximum number of workers
+	 * @param {string|URL} [url=PARSE_WORKER_URL] - Worker script
+	 * @throws {TypeError} If size is not a positive integer
+	 */
+	constructor(size = DEFAULT_POOL_SIZE, url = PARSE_WORKER_URL) {
+		if (!Number.isInteger(size) || size < 1) {
+			throw new TypeError(`size must be a positive integer, got ${size}`);
+		}
+		this.url = url;
+		this.size = size;
+		this.workers = [];
+		this.idle = [];
+		this.queue = [];
+		this.running = new Map();  // worker -> task
+		this.terminated = false;
+	}
+
+	/**
+	 * Run a task on the next free worker
+	 * @param {*} message - Message posted to the worker
+	 * @param {Transferable[]} [transfer=[]] - Objects transferred (not copied) with the message
+	 * @param {function(*): void} [onProgress] - Called with the payload of each `{ progress }` message
+	 * @returns {Promise<*>} The worker's reply
+	 * @throws {Error} If the worker fails or the pool is terminated first
+	 */
+	run(message, transfer = [], onProgress) {
+		if (this.terminated) {
+			return Promise.reject(new Error("Worker pool has been terminated"));
+		}
+		return new Promise((resolve, reject) => {
+			this.queue.push({ message, transfer, onProgress, resolve, reject });
+			this._dispatch();
+		});
+	}
+
+	/**
+	 * Stop every worker; running and queued tasks are rejected
+	 */
+	terminate() {
+		this.terminated = true;
+		const error = new Error("Worker pool has been terminated");
+		for (const [worker, task] of this.running) {
+			worker.terminate();
+			task.reject(error);
+		}
+		for (const worker of this.idle) {
+			worker.terminate();
+		}
+		for (const task of this.queue) {
+			task.reject(error);
+		}
+		this.workers = [];
+		this.idle = [];
+		this.queue = [];
+		this.running.clear();
+	}
+
+	/**
+	 * Hand queued tasks to idle workers, starting workers up to `size`
+	 * @private
+	 */
+	_dispatch() {
+		while (this.queue.length > 0) {
+			let worker = this.idle.pop();
+			if (!worker) {
+				if (this.workers.length >= this.size) {
+					return;
+				}
+				worker = this._spawn();
+			}
+
+			const task = this.queue.shift();
+			this.running.set(worker, task);
+			worker.ref();
+			worker.postMessage(task.message, task.transfer);
+		}
+	}
+
+	/**
+	 * Start a worker
+	 * @private
+	 * @returns {Worker} The new worker
+	 */
+	_spawn() {
+		const worker = new Worker(this.url);
+
+		worker.onmessage = ({ data }) => {
+			const task = this.running.get(worker);
+			if (data?.progress !== undefined) {
+				task?.onProgress?.(data.progress);
+				return;
+			}
+			this.running.delete(worker);
+			worker.unref();
+			this.idle.push(worker);
+			task?.resolve(data);
+			this._dispatch();
+		};
+
+		// A failed worker is dropped; its task is rejected and a new worker takes its place
+		worker.onerror = (event) => {
+			event.preventDefault?.();
+			const task = this.running.get(worker);
+			this.running.delete(worker);
+			this.workers = this.workers.filter((w) => w !== worker);
+			this.idle = this.idle.filter((w) => w !== worker);
+			worker.terminate();
+			task?.reject(new Error(`Worker failed: ${event.message ?? event}`));
+			this._dispatch();
+		};
+
+		this.workers.push(worker);
+		return worker;
+	}
+}
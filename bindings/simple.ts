@@ -12,6 +12,7 @@
 import { dlopen, FFIType, suffix, toArrayBuffer, ptr } from "bun:ffi";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { decodePackedBuffer } from "./packed.js";
 
 // Get library path relative to this file
 const __filename = fileURLToPath(import.meta.url);
@@ -20,19 +21,15 @@ const __dirname = dirname(__filename);
 // Determine prebuilds directory based on platform and architecture
 const getPrebuildPath = (): string => {
   const platform = process.platform;
-  const arch = process.arch;
+  const prebuildDir = `${platform}-${process.arch}`;
 
-  let prebuildDir: string;
   let libName: string;
 
   if (platform === "darwin") {
-    prebuildDir = arch === "arm64" ? "darwin-arm64" : "darwin-x64";
     libName = "libocsv.dylib";
   } else if (platform === "linux") {
-    prebuildDir = "linux-x64";
     libName = "libocsv.so";
   } else if (platform === "win32") {
-    prebuildDir = "win32-x64";
     libName = "ocsv.dll";
   } else {
     throw new Error(`Unsupported platform: ${platform}`);
@@ -41,10 +38,8 @@ const getPrebuildPath = (): string => {
   return join(__dirname, "..", "prebuilds", prebuildDir, libName);
 };
 
-const libPath = getPrebuildPath();
-
 // Load OCSV library
-const lib = dlopen(libPath, {
+const loadLibrary = () => dlopen(getPrebuildPath(), {
   ocsv_parser_create: {
     returns: FFIType.ptr,
   },
@@ -82,8 +77,23 @@ const lib = dlopen(libPath, {
   },
 });
 
+let lib: ReturnType<typeof loadLibrary> | null = null;
+let loadError: unknown = null;
+try {
+  lib = loadLibrary();
+} catch (err) {
+  // Reported on first use, so importing never throws (index.js falls back to its JavaScript backend)
+  loadError = err;
+}
+
 // Direct FFI exports (for advanced users)
-export const ffi = lib.symbols;
+export const ffi = lib
+  ? lib.symbols
+  : (new Proxy({}, {
+      get() {
+        throw loadError;
+      },
+    }) as ReturnType<typeof loadLibrary>["symbols"]);
 
 /**
  * Parse CSV data and return all rows as a 2D array
@@ -346,88 +356,6 @@ export function parseCSVBulk(csvData: string): string[][] {
   }
 }
 
-/**
- * Deserialize packed binary buffer to 2D array (internal helper)
- *
- * @param bufferPtr - Pointer to packed buffer
- * @param bufferSize - Size of buffer in bytes
- * @returns 2D array of strings [row][field]
- *
- * Binary format:
- *   Header (24 bytes):
- *     0-3:   magic (0x4F435356 "OCSV")
- *     4-7:   version (1)
- *     8-11:  row_count (u32)
- *     12-15: field_count (u32)
- *     16-23: total_bytes (u64)
- *
- *   Row Offsets (row_count × 4 bytes):
- *     24+i*4: offset to row i data
- *
- *   Field Data (variable length):
- *     [length: u16][data: UTF-8 bytes]
- */
-function deserializePackedBuffer(bufferPtr: number | bigint, bufferSize: number): string[][] {
-  // Convert pointer to ArrayBuffer (zero-copy)
-  const arrayBuffer = toArrayBuffer(bufferPtr, 0, bufferSize);
-  const view = new DataView(arrayBuffer);
-  const bytes = new Uint8Array(arrayBuffer);
-
-  // Read header
-  const magic = view.getUint32(0, true);
-  if (magic !== 0x4F435356) {
-    throw new Error(`Invalid magic number: 0x${magic.toString(16)}`);
-  }
-
-  const version = view.getUint32(4, true);
-  if (version !== 1) {
-    throw new Error(`Unsupported version: ${version}`);
-  }
-
-  const rowCount = view.getUint32(8, true);
-  const fieldCount = view.getUint32(12, true);
-  const totalBytes = view.getBigUint64(16, true);
-
-  // Validate buffer size
-  if (BigInt(bufferSize) !== totalBytes) {
-    throw new Error(`Buffer size mismatch: expected ${totalBytes}, got ${bufferSize}`);
-  }
-
-  // Read row offsets
-  const rowOffsets = new Uint32Array(rowCount);
-  for (let i = 0; i < rowCount; i++) {
-    rowOffsets[i] = view.getUint32(24 + i * 4, true);
-  }
-
-  // Deserialize rows
-  const rows: string[][] = new Array(rowCount);
-  const decoder = new TextDecoder('utf-8');
-
-  for (let i = 0; i < rowCount; i++) {
-    const row: string[] = new Array(fieldCount);
-    let offset = rowOffsets[i];
-
-    for (let j = 0; j < fieldCount; j++) {
-      // Read field length (u16)
-      const length = view.getUint16(offset, true);
-      offset += 2;
-
-      // Zero-copy string extraction
-      if (length > 0) {
-        const fieldBytes = bytes.subarray(offset, offset + length);
-        row[j] = decoder.decode(fieldBytes);
-        offset += length;
-      } else {
-        row[j] = "";
-      }
-    }
-
-    rows[i] = row;
-  }
-
-  return rows;
-}
-
 /**
  * Parse CSV data using packed buffer (zero-copy, highest performance)
  *
@@ -461,8 +389,8 @@ export function parseCSVPacked(csvData: string): string[][] {
       return [];
     }
 
-    // Deserialize in JavaScript (zero-copy)
-    return deserializePackedBuffer(bufferPtr, sizeBuffer[0]);
+    // Decode in JavaScript (zero-copy view of the native buffer)
+    return decodePackedBuffer(toArrayBuffer(bufferPtr, 0, sizeBuffer[0])) as string[][];
   } finally {
     ffi.ocsv_parser_destroy(parser);
   }
@@ -0,0 +1,325 @@
+/**
+ * OCSV - Dialect Sniffing
+ *
+ * Guesses the delimiter, quote character, line terminator, comment character
+ * and header row of a CSV sample, so files of unknown origin can be parsed
+ * without configuration (`delimiter: 'auto'`).
+ *
+ * @module ocsv/sniff
+ */
+
+/**
+ * Delimiters tried by default, in order of preference for ties
+ * @type {string[]}
+ */
+export const SNIFF_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Quote characters tried, in order of preference for ties
+ * @private
+ * @type {string[]}
+ */
+const QUOTES = ['"', "'"];
+
+/**
+ * Characters recognized as comment markers at the start of the sample
+ * @private
+ * @type {string[]}
+ */
+const COMMENTS = ['#'];
+
+/**
+ * Maximum number of characters and records examined
+ * @private
+ */
+const SAMPLE_CHARS = 64 * 1024;
+const SAMPLE_RECORDS = 100;
+
+/**
+ * Detected CSV dialect
+ * @typedef {Object} Dialect
+ * @property {string} delimiter - Field delimiter (',' when nothing better was found)
+ * @property {string} quote - Quote character
+ * @property {boolean} hasHeader - Whether the first record looks like a header
+ * @property {'\n'|'\r\n'|'\r'} lineTerminator - Record terminator
+ * @property {string} comment - Comment character, or '' if the sample has no comment lines
+ * @property {number} confidence - 0..1: share of records with the most common field count
+ *   (0 when no candidate delimiter splits the sample)
+ */
+
+/**
+ * Options for dialect sniffing
+ * @typedef {Object} SniffOptions
+ * @property {string[]} [delimiters] - Candidate delimiters (defaults to `SNIFF_DELIMITERS`)
+ */
+
+/**
+ * Split a sample into records using one delimiter/quote pair (internal helper)
+ *
+ * Quotes are only recognized at the start of a field and doubled quotes are
+ * literal, as in the native parser, so delimiters inside quoted fields do not
+ * count. The last record is dropped when the sample was truncated or ends
+ * inside a quoted field.
+ *
+ * @private
+ * @param {string} text - Sample text (comment lines already removed)
+ * @param {string} delimiter - Candidate delimiter
+ * @param {string} quote - Candidate quote character
+ * @param {boolean} truncated - Whether the sample was cut from a longer input
+ * @returns {{records: string[][], quotedFields: number}} Records, and how many fields were quoted
+ */
+function _tokenize(text, delimiter, quote, truncated) {
+	const records = [];
+	let record = [];
+	let field = '';
+	let inQuotes = false;
+	let atFieldStart = true;
+	let quotedFields = 0;
+
+	for (let i = 0; i < text.length && records.length < SAMPLE_RECORDS; i++) {
+		const ch = text[i];
+		if (inQuotes) {
+			if (ch === quote) {
+				if (text[i + 1] === quote) {
+					field += quote;
+					i++;
+				} else {
+					inQuotes = false;
+					quotedFields++;
+				}
+			} else {
+				field += ch;
+			}
+			continue;
+		}
+
+		if (ch === quote && atFieldStart) {
+			inQuotes = true;
+			atFieldStart = false;
+		} else if (ch === delimiter) {
+			record.push(field);
+			field = '';
+			atFieldStart = true;
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+			record.push(field);
+			if (record.length > 1 || record[0] !== '') {
+				records.push(record);
+			}
+			record = [];
+			field = '';
+			atFieldStart = true;
+		} else {
+			field += ch;
+			atFieldStart = false;
+		}
+	}
+
+	if (!inQuotes && !truncated && records.length < SAMPLE_RECORDS && (record.length > 0 || field !== '')) {
+		record.push(field);
+		records.push(record);
+	}
+	return { records, quotedFields };
+}
+
+/**
+ * Score how consistently a candidate dialect splits the records (internal helper)
+ * @private
+ * @param {string[][]} records - Tokenized records
+ * @returns {{consistency: number, fieldCount: number}} Share of records with the modal field count, and that count
+ */
+function _score(records) {
+	const counts = new Map();
+	for (const record of records) {
+		counts.set(record.length, (counts.get(record.length) || 0) + 1);
+	}
+
+	let fieldCount = 0;
+	let modal = 0;
+	for (const [count, occurrences] of counts) {
+		if (occurrences > modal || (occurrences === modal && count > fieldCount)) {
+			fieldCount = count;
+			modal = occurrences;
+		}
+	}
+	return { consistency: records.length > 0 ? modal / records.length : 0, fieldCount };
+}
+
+/**
+ * Detect the record terminator of a sample (internal helper)
+ * @private
+ * @param {string} text - Sample text
+ * @param {string} quote - Quote character (newlines inside quoted fields are skipped)
+ * @returns {'\n'|'\r\n'|'\r'} Line terminator
+ */
+function _detectLineTerminator(text, quote) {
+	let inQuotes = false;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (ch === quote) {
+			inQuotes = !inQuotes;
+		} else if (!inQuotes && ch === '\r') {
+			return text[i + 1] === '\n' ? '\r\n' : '\r';
+		} else if (!inQuotes && ch === '\n') {
+			return '\n';
+		}
+	}
+	return '\n';
+}
+
+/**
+ * Test whether a field looks like a number (internal helper)
+ * @private
+ * @param {string} value - Field value
+ * @returns {boolean}
+ */
+function _isNumeric(value) {
+	const trimmed = value.trim();
+	return trimmed !== '' && Number.isFinite(Number(trimmed));
+}
+
+/**
+ * Decide whether the first record is a header (internal helper)
+ *
+ * Each column votes: a non-numeric first value above numeric data, or a first
+ * value whose length differs from fixed-length data, suggests a header; the
+ * opposite suggests data. Without votes, unique non-empty non-numeric names
+ * that never reappear in their column are taken as a header.
+ *
+ * @private
+ * @param {string[][]} records - Tokenized records
+ * @param {number} fieldCount - Modal field count
+ * @returns {boolean}
+ */
+function _detectHeader(records, fieldCount) {
+	if (records.length < 2 || fieldCount < 1) {
+		return false;
+	}
+
+	const [first, ...rest] = records;
+	const data = rest.filter((record) => record.length === fieldCount);
+	if (first.length !== fieldCount || data.length === 0) {
+		return false;
+	}
+	if (first.some((name) => name.trim() === '') || new Set(first).size !== first.length) {
+		return false;
+	}
+
+	let votes = 0;
+	for (let column = 0; column < fieldCount; column++) {
+		const values = data.map((record) => record[column]).filter((value) => value !== '');
+		if (values.length === 0) {
+			continue;
+		}
+
+		if (values.every(_isNumeric)) {
+			votes += _isNumeric(first[column]) ? -1 : 1;
+			continue;
+		}
+
+		// Fixed-length text (codes, dates) only says something with several values
+		const length = values[0].length;
+		if (values.length > 1 && values.every((value) => value.length === length)) {
+			votes += first[column].length === length ? -1 : 1;
+		}
+	}
+
+	if (votes !== 0) {
+		return votes > 0;
+	}
+	return first.every((name, column) => !_isNumeric(name) && !data.some((record) => record[column] === name));
+}
+
+/**
+ * Guess the dialect of a CSV sample
+ *
+ * Only the first 64 KB / 100 records are examined. For each candidate
+ * delimiter, the quote character that closes the most quoted fields is used
+ * (`"` if there are none). The delimiter that splits the most records into
+ * the same number of fields (at least two) wins; ties go to the delimiter
+ * producing more fields, then to the earlier candidate.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} sample - Beginning of the CSV data (bytes are decoded as UTF-8)
+ * @param {SniffOptions} [options={}] - Sniffing options
+ * @returns {Dialect} Detected dialect
+ * @throws {TypeError} If the sample is not a string or bytes
+ *
+ * @example
+ * import { sniffCSV } from 'ocsv';
+ *
+ * const dialect = sniffCSV('name;city\nAlice;"Paris; France"\nBob;Berlin');
+ * // { delimiter: ';', quote: '"', hasHeader: true, lineTerminator: '\n', comment: '', confidence: 1 }
+ */
+export function sniffCSV(sample, options = {}) {
+	if (sample instanceof ArrayBuffer || ArrayBuffer.isView(sample)) {
+		const bytes = sample instanceof ArrayBuffer ? new Uint8Array(sample) : new Uint8Array(sample.buffer, sample.byteOffset, sample.byteLength);
+		sample = new TextDecoder('utf-8').decode(bytes.subarray(0, SAMPLE_CHARS * 4));
+	}
+	if (typeof sample !== 'string') {
+		throw new TypeError("sniffCSV expects a string or bytes");
+	}
+
+	const delimiters = options.delimiters ?? SNIFF_DELIMITERS;
+	if (!Array.isArray(delimiters) || delimiters.length === 0 || delimiters.some((d) => typeof d !== 'string' || d.length !== 1)) {
+		throw new TypeError("delimiters must be a non-empty array of single characters");
+	}
+
+	// Strip a UTF-8 BOM and cap the sample
+	let text = sample.charCodeAt(0) === 0xFEFF ? sample.slice(1) : sample;
+	const truncated = text.length > SAMPLE_CHARS;
+	if (truncated) {
+		text = text.slice(0, SAMPLE_CHARS);
+	}
+
+	// Comment lines are only recognized at the start of a record
+	let comment = '';
+	for (const marker of COMMENTS) {
+		const lines = text.split(/\r\n|\n|\r/);
+		if (lines.some((line) => line.startsWith(marker))) {
+			comment = marker;
+			text = lines.filter((line) => !line.startsWith(marker)).join('\n');
+			break;
+		}
+	}
+
+	let best = null;
+	for (const delimiter of delimiters) {
+		let candidate = null;
+		for (const quote of QUOTES) {
+			const { records, quotedFields } = _tokenize(text, delimiter, quote, truncated);
+			if (!candidate || quotedFields > candidate.quotedFields) {
+				candidate = { delimiter, quote, records, quotedFields };
+			}
+		}
+
+		const { consistency, fieldCount } = _score(candidate.records);
+		if (fieldCount < 2) {
+			continue;
+		}
+		if (!best || consistency > best.consistency || (consistency === best.consistency && fieldCount > best.fieldCount)) {
+			best = { ...candidate, consistency, fieldCount };
+		}
+	}
+
+	if (!best) {
+		return {
+			delimiter: delimiters[0],
+			quote: QUOTES[0],
+			hasHeader: false,
+			lineTerminator: _detectLineTerminator(sample, QUOTES[0]),
+			comment,
+			confidence: 0,
+		};
+	}
+
+	return {
+		delimiter: best.delimiter,
+		quote: best.quote,
+		hasHeader: _detectHeader(best.records, best.fieldCount),
+		lineTerminator: _detectLineTerminator(sample, best.quote),
+		comment,
+		confidence: best.consistency,
+	};
+}
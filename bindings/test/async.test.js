@@ -0,0 +1,110 @@
+import { describe, test, expect, afterAll } from "bun:test";
+import { BACKEND, parseCSV, parseCSVAsync, Parser, WorkerPool, OcsvError, ParseErrorCode, registerTransform } from "../index.js";
+
+const native = BACKEND === "native";
+
+registerTransform("test_async_shout", (value) => `${value}!`);
+
+const DATA = "id,name,note\n1,Ann,\n2,Bob,\"a, b\"\n3,Cy,x\n";
+const pool = new WorkerPool(2);
+
+afterAll(() => {
+    pool.terminate();
+});
+
+describe("parseCSVAsync", () => {
+    test("should resolve with the same result as parseCSV", async () => {
+        for (const options of [
+            {},
+            { hasHeader: true },
+            { output: "objects", columns: ["name", "id"] },
+            ...(native ? [
+                { hasHeader: true, emptyAsNull: true, where: { id: { min: 2 } }, transforms: { name: "uppercase" } },
+                { hasHeader: true, schema: [{ type: "int" }, { type: "string" }, { type: "string" }] },
+                { mode: "columnar" },
+            ] : []),
+        ]) {
+            expect(await parseCSVAsync(DATA, { ...options, pool })).toEqual(parseCSV(DATA, options));
+        }
+    });
+
+    test("should accept bytes and Blobs without detaching the caller's buffer", async () => {
+        const bytes = new TextEncoder().encode(DATA);
+        const result = await parseCSVAsync(bytes, { hasHeader: true, pool });
+        expect(result.rowCount).toBe(3);
+        expect(bytes.byteLength).toBe(DATA.length);
+
+        const blob = await parseCSVAsync(new Blob([DATA]), { hasHeader: true, pool });
+        expect(blob.rows).toEqual(result.rows);
+    });
+
+    test("should run filter on the calling thread", async () => {
+        const result = await parseCSVAsync(DATA, { output: "objects", filter: (row) => row.note !== "", pool });
+        expect(result.rows.map((row) => row.id)).toEqual(["2", "3"]);
+        expect(result.rowCount).toBe(2);
+    });
+
+    test("should reject with OcsvError", async () => {
+        const bad = 'a,b\n1,"x"y\n2,3\n';
+        const error = await parseCSVAsync(bad, { pool }).catch((err) => err);
+        expect(error).toBeInstanceOf(OcsvError);
+        expect(error.code).toBe(ParseErrorCode.INVALID_CHARACTER_AFTER_QUOTE);
+        try {
+            parseCSV(bad);
+        } catch (err) {
+            expect(error.format()).toBe(err.format());
+        }
+    });
+
+    test.skipIf(!native)("should rebuild collected errors", async () => {
+        const bad = 'a,b\n1,"x"y\n2,3\n';
+        const result = await parseCSVAsync(bad, { onError: "collect", pool });
+        expect(result.rows).toEqual([["a", "b"], ["2", "3"]]);
+        expect(result.errors[0]).toBeInstanceOf(OcsvError);
+        expect(result.rowsSkipped).toBe(1);
+    });
+
+    test("should queue concurrent calls on a bounded pool", async () => {
+        const lines = ["n"];
+        for (let i = 0; i < 5000; i++) {
+            lines.push(String(i));
+        }
+        const data = lines.join("\n");
+        const results = await Promise.all(Array.from({ length: 6 }, () => parseCSVAsync(data, { hasHeader: true, pool })));
+        expect(results.map((r) => r.rowCount)).toEqual([5000, 5000, 5000, 5000, 5000, 5000]);
+        expect(pool.workers.length).toBeLessThanOrEqual(2);
+    });
+
+    test("Parser.parseAsync should use the shared pool", async () => {
+        const parser = new Parser();
+        try {
+            expect((await parser.parseAsync(DATA, { hasHeader: true })).rows[1]).toEqual(["2", "Bob", "a, b"]);
+        } finally {
+            parser.destroy();
+        }
+    });
+
+    test("should reject options that need the calling thread", async () => {
+        await expect(parseCSVAsync(DATA, { mode: "lazy", pool })).rejects.toThrow(TypeError);
+        await expect(parseCSVAsync(DATA, { hasHeader: true, transforms: { name: "test_async_shout" }, pool })).rejects.toThrow(TypeError);
+        await expect(parseCSVAsync(DATA, { schema: [{ validator: "x" }], pool })).rejects.toThrow(TypeError);
+        await expect(parseCSVAsync(DATA, { pool: {} })).rejects.toThrow("pool must be a WorkerPool");
+        await expect(parseCSVAsync(DATA, { threads: -1, pool })).rejects.toThrow(TypeError);
+    });
+
+    test("OcsvError.toJSON should keep every detail", () => {
+        const err = new OcsvError("Bad", ParseErrorCode.UNTERMINATED_QUOTE, 2, 3, '1,"x', 6);
+        expect(JSON.parse(JSON.stringify(err))).toEqual({
+            name: "OcsvError", message: "Bad", code: 3, line: 2, column: 3, context: '1,"x', byteOffset: 6,
+        });
+    });
+});
+
+describe("WorkerPool", () => {
+    test("should reject invalid sizes and tasks after terminate", async () => {
+        expect(() => new WorkerPool(0)).toThrow(TypeError);
+        const closed = new WorkerPool(1);
+        closed.terminate();
+        await expect(closed.run({ input: "a", options: {} })).rejects.toThrow("terminated");
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from "bun:test";
+import { writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { BACKEND, Parser, parseCSV, parseCSVFile } from "../index.js";
+import { forEachMode } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const TEXT = "城市,人口,备注\n東京,13960000,\"首都, 日本\"\nSão Paulo,12330000,café ☕\n";
+const ROWS = [
+    ["城市", "人口", "备注"],
+    ["東京", "13960000", "首都, 日本"],
+    ["São Paulo", "12330000", "café ☕"],
+];
+
+describe("Byte Input", () => {
+    describe("multi-byte strings", () => {
+        test("should parse every byte of non-ASCII input in every mode", () => {
+            forEachMode(TEXT, {}, (rows) => {
+                expect(rows).toEqual(ROWS);
+            });
+        });
+
+        test("should keep the last field of a multi-byte string", () => {
+            expect(parseCSV("a,ü\nb,😀").rows).toEqual([["a", "ü"], ["b", "😀"]]);
+        });
+    });
+
+    describe("parse / parseBytes", () => {
+        test("should accept Uint8Array, Buffer and ArrayBuffer", () => {
+            const bytes = new TextEncoder().encode(TEXT);
+            expect(parseCSV(bytes).rows).toEqual(ROWS);
+            expect(parseCSV(Buffer.from(TEXT)).rows).toEqual(ROWS);
+            expect(parseCSV(bytes.buffer).rows).toEqual(ROWS);
+        });
+
+        test("should respect the offset and length of views", () => {
+            const bytes = Buffer.from(`garbage${TEXT}trailing`);
+            const view = bytes.subarray(7, bytes.length - 8);
+            expect(parseCSV(view).rows).toEqual(ROWS);
+            expect(parseCSV(new DataView(bytes.buffer, bytes.byteOffset + 7, view.length)).rows).toEqual(ROWS);
+        });
+
+        test.skipIf(!native)("should parse bytes in lazy mode", () => {
+            const bytes = Buffer.from(TEXT);
+            const result = parseCSV(bytes, { mode: "lazy", hasHeader: true });
+            try {
+                bytes.fill(0);
+                expect(result.rowCount).toBe(2);
+                expect(result.getRow(1).toArray()).toEqual(ROWS[2]);
+            } finally {
+                result.destroy();
+            }
+        });
+
+        test.skipIf(!native)("should combine with other options", () => {
+            const result = parseCSV(Buffer.from(TEXT), { output: "objects", columns: ["城市"], where: { 人口: { min: 13000000 } } });
+            expect(result.rows).toEqual([{ 城市: "東京" }]);
+        });
+
+        test("should parse empty input", () => {
+            expect(parseCSV(new Uint8Array(0)).rows).toEqual([]);
+        });
+
+        test("parseBytes should reject strings", () => {
+            const parser = new Parser();
+            try {
+                expect(parser.parseBytes(Buffer.from("a,b")).rows).toEqual([["a", "b"]]);
+                expect(() => parser.parseBytes("a,b")).toThrow(TypeError);
+            } finally {
+                parser.destroy();
+            }
+        });
+    });
+
+    describe("parseCSVFile", () => {
+        test("should parse multi-byte files exactly", async () => {
+            const path = join(tmpdir(), `ocsv-bytes-${process.pid}.csv`);
+            writeFileSync(path, TEXT);
+            try {
+                const result = await parseCSVFile(path, { hasHeader: true });
+                expect(result.headers).toEqual(ROWS[0]);
+                expect(result.rows).toEqual(ROWS.slice(1));
+            } finally {
+                unlinkSync(path);
+            }
+        });
+    });
+});
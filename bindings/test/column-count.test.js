@@ -0,0 +1,97 @@
+import { describe, test, expect } from "bun:test";
+import { tmpdir } from "os";
+import { join } from "path";
+import { rmSync } from "fs";
+import { BACKEND, parseCSV, parseCSVFile, streamCSV, OcsvError, ParseErrorCode } from "../index.js";
+import { forEachMode } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const DATA = "id,name,city\n1,Ann\n2,Bob,Oslo,extra\n3,Cy,Rome\n";
+
+describe("columnCount", () => {
+    test("should keep ragged rows by default", () => {
+        expect(parseCSV(DATA).rows[2]).toEqual(["2", "Bob", "Oslo", "extra"]);
+        expect(parseCSV(DATA, { columnCount: "ignore" }).rows[1]).toEqual(["1", "Ann"]);
+    });
+
+    test.skipIf(!native)("strict should throw with the row number", () => {
+        let error;
+        try {
+            parseCSV(DATA, { columnCount: "strict" });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(OcsvError);
+        expect(error.code).toBe(ParseErrorCode.INCONSISTENT_COLUMN_COUNT);
+        expect(error.line).toBe(2);
+        expect(error.format()).toBe("OcsvError [INCONSISTENT_COLUMN_COUNT] at line 2: Row 2 has 2 fields, expected 3");
+    });
+
+    test.skipIf(!native)("should apply in every extraction mode", () => {
+        const options = { hasHeader: true, columnCount: { mode: "pad", fill: "-" }, onError: "skip" };
+        forEachMode(DATA, options, (rows, result) => {
+            expect(rows).toEqual([["1", "Ann", "-"], ["3", "Cy", "Rome"]]);
+            expect(result.rowsSkipped).toBe(1);
+        });
+    });
+
+    test.skipIf(!native)("should apply in columnar mode", () => {
+        const columnar = parseCSV(DATA, { mode: "columnar", columnCount: "truncate", onError: "skip" });
+        expect(columnar.columns.city).toEqual(["Oslo", "Rome"]);
+    });
+
+    test.skipIf(!native)("pad should add empty or null fields", () => {
+        const data = "a,b,c\n1\n";
+        expect(parseCSV(data, { columnCount: "pad" }).rows[1]).toEqual(["1", "", ""]);
+        expect(parseCSV(data, { columnCount: "pad", emptyAsNull: true }).rows[1]).toEqual(["1", null, null]);
+        expect(parseCSV(data, { columnCount: { mode: "pad", count: 4 }, output: "objects" }).rows).toEqual([
+            { a: "1", b: "", c: "", column4: "" },
+        ]);
+    });
+
+    test.skipIf(!native)("truncate should drop extra fields to an explicit count", () => {
+        const result = parseCSV(DATA, { columnCount: { mode: "truncate", count: 2 } });
+        expect(result.rows).toEqual([["id", "name"], ["1", "Ann"], ["2", "Bob"], ["3", "Cy"]]);
+        expect(() => parseCSV(DATA, { columnCount: "truncate" })).toThrow("Row 2 has 2 fields, expected 3");
+    });
+
+    test.skipIf(!native)("should collect rows that cannot be fixed", () => {
+        const result = parseCSV(DATA, { columnCount: "strict", onError: "collect", hasHeader: true });
+        expect(result.rows).toEqual([["3", "Cy", "Rome"]]);
+        expect(result.rowsSkipped).toBe(2);
+        expect(result.errors.map((err) => [err.code, err.line])).toEqual([
+            [ParseErrorCode.INCONSISTENT_COLUMN_COUNT, 2],
+            [ParseErrorCode.INCONSISTENT_COLUMN_COUNT, 3],
+        ]);
+    });
+
+    test.skipIf(!native)("should run before transforms and where", () => {
+        const result = parseCSV(DATA, {
+            hasHeader: true,
+            columnCount: { mode: "pad", fill: " none " },
+            onError: "skip",
+            transforms: { city: "trim" },
+            where: { city: "none" },
+        });
+        expect(result.rows).toEqual([["1", "Ann", "none"]]);
+    });
+
+    test.skipIf(!native)("should apply to memory-mapped files", async () => {
+        const path = join(tmpdir(), `ocsv-column-count-${process.pid}.csv`);
+        await Bun.write(path, DATA);
+        try {
+            await expect(parseCSVFile(path, { mmap: true, columnCount: "strict" })).rejects.toThrow(OcsvError);
+            await expect(parseCSVFile(path, { mmap: true, mode: "lazy", columnCount: "pad" })).rejects.toThrow(TypeError);
+        } finally {
+            rmSync(path, { force: true });
+        }
+    });
+
+    test("should reject invalid options", () => {
+        expect(() => parseCSV(DATA, { columnCount: "exact" })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { columnCount: { mode: "pad", count: -1 } })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { columnCount: { mode: "pad", fill: 0 } })).toThrow(TypeError);
+        expect(() => streamCSV([DATA], { columnCount: "strict" })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV, decodeColumnarBuffer } from "../index.js";
+
+const native = BACKEND === "native";
+
+const DATA = "city,population,area,code\nTokyo,13960000,2194.07,013\nParis,2161000,105.4,75\nLima,9751000,,15\n";
+
+describe("Columnar Output", () => {
+    test.skipIf(!native)("should return one typed array or string array per column", () => {
+        const result = parseCSV(DATA, { mode: "columnar" });
+
+        expect(result.headers).toEqual(["city", "population", "area", "code"]);
+        expect(result.rowCount).toBe(3);
+        expect(result.columns.city).toEqual(["Tokyo", "Paris", "Lima"]);
+        expect(result.columns.population).toBeInstanceOf(Int32Array);
+        expect([...result.columns.population]).toEqual([13960000, 2161000, 9751000]);
+        expect(result.columns.area).toBeInstanceOf(Float64Array);
+        expect(result.columns.area[0]).toBeCloseTo(2194.07);
+        expect(Number.isNaN(result.columns.area[2])).toBe(true);
+    });
+
+    test.skipIf(!native)("should share one native buffer between numeric columns", () => {
+        const { columns } = parseCSV(DATA, { mode: "columnar" });
+        expect(columns.population.buffer).toBe(columns.area.buffer);
+    });
+
+    test.skipIf(!native)("should outlive the parser", () => {
+        const parser = new Parser();
+        const result = parser.parse(DATA, { mode: "columnar" });
+        parser.parse("a,b\n1,2", { mode: "columnar" });
+        parser.destroy();
+        expect([...result.columns.population]).toEqual([13960000, 2161000, 9751000]);
+    });
+
+    test.skipIf(!native)("should keep columns with text or out-of-range integers", () => {
+        const result = parseCSV("id,big,mixed\n1,3000000000,5\n2,1,n/a\n", { mode: "columnar" });
+        expect(result.columns.id).toBeInstanceOf(Int32Array);
+        expect(result.columns.big).toBeInstanceOf(Float64Array);
+        expect(result.columns.big[0]).toBe(3000000000);
+        expect(result.columns.mixed).toEqual(["5", "n/a"]);
+    });
+
+    test.skipIf(!native)("should apply columnTypes by name or index", () => {
+        const result = parseCSV(DATA, { mode: "columnar", columnTypes: { code: "string", 1: "float64", city: "int32" } });
+        expect(result.columns.code).toEqual(["013", "75", "15"]);
+        expect(result.columns.population).toBeInstanceOf(Float64Array);
+        expect([...result.columns.city]).toEqual([0, 0, 0]);
+    });
+
+    test.skipIf(!native)("should combine with columns and where", () => {
+        const result = parseCSV(DATA, {
+            mode: "columnar",
+            columns: ["population", "city"],
+            where: { population: { min: 5000000 } },
+        });
+        expect(result.headers).toEqual(["population", "city"]);
+        expect(Object.keys(result.columns)).toEqual(["population", "city"]);
+        expect(result.columns.city).toEqual(["Tokyo", "Lima"]);
+    });
+
+    test.skipIf(!native)("should pad short rows and resolve duplicate headers", () => {
+        const result = parseCSV("a,a,b\n1,2\n3,4,x", { mode: "columnar" });
+        expect(result.headers).toEqual(["a", "a_2", "b"]);
+        expect(result.columns.b).toEqual(["", "x"]);
+    });
+
+    test.skipIf(!native)("should handle header-only and empty input", () => {
+        const headerOnly = parseCSV("a,b\n", { mode: "columnar" });
+        expect(headerOnly.rowCount).toBe(0);
+        expect(headerOnly.columns.a).toEqual([]);
+
+        expect(parseCSV("", { mode: "columnar" })).toEqual({ headers: [], columns: {}, rowCount: 0 });
+    });
+
+    test("should reject unsupported options", () => {
+        expect(() => parseCSV(DATA, { mode: "columnar", filter: () => true })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { mode: "columnar", columnTypes: { nope: "int32" } })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { mode: "columnar", columnTypes: { city: "date" } })).toThrow(TypeError);
+    });
+
+    test("decodeColumnarBuffer should decode hand-built buffers", () => {
+        // 2 rows: int32 column "n" at 56, string column "s" at 64 (offsets [0, 2, 2] then "hi")
+        const buffer = new ArrayBuffer(80);
+        const view = new DataView(buffer);
+        view.setUint32(0, 0x4F434F4C, true);
+        view.setUint32(4, 1, true);
+        view.setUint32(8, 2, true);
+        view.setUint32(12, 2, true);
+        view.setBigUint64(16, 80n, true);
+        view.setUint32(24, 3, true);
+        view.setBigUint64(32, 56n, true);
+        view.setUint32(40, 1, true);
+        view.setBigUint64(48, 64n, true);
+        new Int32Array(buffer, 56, 2).set([7, -1]);
+        new Uint32Array(buffer, 64, 3).set([0, 2, 2]);
+        new Uint8Array(buffer, 76, 2).set([0x68, 0x69]);
+
+        const { rowCount, columns } = decodeColumnarBuffer(buffer, ["n", "s"]);
+        expect(rowCount).toBe(2);
+        expect([...columns.n]).toEqual([7, -1]);
+        expect(columns.s).toEqual(["hi", ""]);
+        expect(() => decodeColumnarBuffer(buffer, ["n"])).toThrow("Column count mismatch");
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV } from "../index.js";
+import { forEachMode, generateCSV } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+describe("Column Projection", () => {
+    const data = generateCSV("id,name,email,score,city", 1500, (i) => `${i},user${i},user${i}@example.com,${i % 100},"City, ${i % 7}"`);
+
+    test("should select and reorder columns by name in every mode", () => {
+        forEachMode(data, { hasHeader: true, columns: ["score", "id"] }, (rows, result) => {
+            expect(result.headers).toEqual(["score", "id"]);
+            expect(result.rowCount).toBe(1500);
+            expect(rows[0]).toEqual(["0", "0"]);
+            expect(rows[1499]).toEqual(["99", "1499"]);
+        });
+    });
+
+    test("should select columns by index in every mode", () => {
+        forEachMode(data, { columns: [4, 1] }, (rows) => {
+            expect(rows[0]).toEqual(["city", "name"]);
+            expect(rows[1]).toEqual(["City, 0", "user0"]);
+        });
+    });
+
+    test("should project object output in every mode", () => {
+        forEachMode(data, { output: "objects", columns: ["city", 0] }, (rows, result) => {
+            expect(result.headers).toEqual(["city", "id"]);
+            expect(rows[3]).toEqual({ city: "City, 3", id: "3" });
+        });
+    });
+
+    test.skipIf(!native)("should hide unselected fields of lazy rows", () => {
+        const result = parseCSV(data, { mode: "lazy", hasHeader: true, columns: ["email", "name"] });
+        try {
+            const row = result.getRow(10);
+            expect(row.fieldCount).toBe(2);
+            expect(row.getField(1)).toBe("user10");
+            expect(row.getField(2)).toBeNull();
+        } finally {
+            result.destroy();
+        }
+    });
+
+    test.skipIf(!native)("should validate the projected columns against a schema", () => {
+        const result = parseCSV(data, {
+            hasHeader: true,
+            columns: ["score", "name"],
+            schema: [{ type: "int", max: 99 }, { type: "string", required: true }],
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.rows[5]).toEqual([5, "user5"]);
+    });
+
+    test("should fill columns missing from short rows with empty strings", () => {
+        forEachMode("a,b,c\n1\n1,2,3", { hasHeader: true, columns: ["c", "a"] }, (rows) => {
+            expect(rows).toEqual([["", "1"], ["3", "1"]]);
+        });
+    });
+
+    test("should select duplicate headers by their resolved key", () => {
+        const result = parseCSV("name,name\nfirst,second", { output: "objects", columns: ["name_2"] });
+        expect(result.rows).toEqual([{ name_2: "second" }]);
+    });
+
+    test("should not keep the projection when the parser is reused", () => {
+        const parser = new Parser();
+        try {
+            expect(parser.parse("a,b\n1,2", { mode: "packed", columns: [1] }).rows).toEqual([["b"], ["2"]]);
+            expect(parser.parse("a,b\n1,2", { mode: "packed" }).rows).toEqual([["a", "b"], ["1", "2"]]);
+        } finally {
+            parser.destroy();
+        }
+    });
+
+    test("should project streamed rows", async () => {
+        const parser = new Parser();
+        try {
+            const stream = parser.stream(["id,name,ci", "ty\n1,Alice,Paris\n2,Bob,Berlin\n"], {
+                hasHeader: true,
+                columns: ["city", "id"],
+            });
+            const rows = [];
+            for await (const row of stream) {
+                rows.push(row);
+            }
+
+            expect(stream.headers).toEqual(["city", "id"]);
+            expect(rows).toEqual([["Paris", "1"], ["Berlin", "2"]]);
+        } finally {
+            parser.destroy();
+        }
+    });
+
+    describe("errors", () => {
+        test("should reject unknown header names", () => {
+            expect(() => parseCSV(data, { hasHeader: true, columns: ["nope"] })).toThrow(/Unknown column "nope"/);
+        });
+
+        test("should require a header row for names", () => {
+            expect(() => parseCSV(data, { columns: ["id"] })).toThrow(/hasHeader/);
+        });
+
+        test("should reject out-of-range indices when the header is known", () => {
+            expect(() => parseCSV(data, { hasHeader: true, columns: [5] })).toThrow(/out of range/);
+        });
+
+        test("should reject repeated columns", () => {
+            expect(() => parseCSV(data, { hasHeader: true, columns: ["id", 0] })).toThrow(/more than once/);
+        });
+
+        test("should reject invalid column values", () => {
+            expect(() => parseCSV(data, { columns: [] })).toThrow(TypeError);
+            expect(() => parseCSV(data, { columns: [-1] })).toThrow(TypeError);
+            expect(() => parseCSV(data, { columns: [{}] })).toThrow(TypeError);
+        });
+    });
+});
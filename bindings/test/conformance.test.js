@@ -0,0 +1,179 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, parseCSV, streamCSV } from "../index.js";
+import { FallbackParser, FallbackStream } from "../fallback.js";
+
+// Every case runs through index.js (native, or the JavaScript backend when the
+// library is unavailable or OCSV_BACKEND=js) and through fallback.js directly,
+// so the two backends are held to the same expectations.
+
+const encoder = new TextEncoder();
+
+function toBytes(chunk) {
+    return typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+}
+
+function errorFields(err) {
+    const { message, code, line, column, context, byteOffset } = err;
+    return { error: { message, code, line, column, context, byteOffset } };
+}
+
+const backends = [
+    {
+        name: `index.js (${BACKEND})`,
+        parse(input, options) {
+            try {
+                return { rows: parseCSV(input, { ...options, emptyAsNull: true, mode: "packed" }).rows };
+            } catch (err) {
+                return errorFields(err);
+            }
+        },
+        async stream(chunks, options) {
+            const rows = [];
+            try {
+                for await (const row of streamCSV(chunks, { ...options, emptyAsNull: true })) {
+                    rows.push(row);
+                }
+            } catch (err) {
+                return { rows, ...errorFields(err) };
+            }
+            return { rows };
+        },
+    },
+    {
+        name: "fallback.js",
+        parse(input, options) {
+            const parser = new FallbackParser();
+            parser.configure(options);
+            if (parser.parse(toBytes(input)) !== 0) {
+                return errorFields(parser.error);
+            }
+            return { rows: parser.rows };
+        },
+        async stream(chunks, options) {
+            const parser = new FallbackParser();
+            parser.configure(options);
+            const stream = new FallbackStream(parser.config);
+            const rows = [];
+            let status = 0;
+            for (const chunk of chunks) {
+                status = stream.write(toBytes(chunk));
+                rows.push(...stream.takeRows());
+                if (status !== 0) {
+                    break;
+                }
+            }
+            if (status === 0) {
+                status = stream.finish();
+                rows.push(...stream.takeRows());
+            }
+            return status < 0 ? { rows, ...errorFields(stream.error) } : { rows };
+        },
+    },
+];
+
+// [name, input, options, expected rows]
+const PARSE_CASES = [
+    ["simple rows", "a,b,c\n1,2,3", {}, [["a", "b", "c"], ["1", "2", "3"]]],
+    ["trailing newline", "a,b\n1,2\n", {}, [["a", "b"], ["1", "2"]]],
+    ["CRLF line endings", "a,b\r\n1,2\r\n", {}, [["a", "b"], ["1", "2"]]],
+    ["custom delimiter", "a;b\n1;2", { delimiter: ";" }, [["a", "b"], ["1", "2"]]],
+    ["tab delimiter", "a\tb,c", { delimiter: "\t" }, [["a", "b,c"]]],
+    ["custom quote", "'a,b',c", { quote: "'" }, [["a,b", "c"]]],
+    ["doubled quotes", "\"say \"\"hi\"\"\",x", {}, [["say \"hi\"", "x"]]],
+    ["custom escape", "\"a\\\"b\\\\c\\d\",e\\f", { escape: "\\" }, [["a\"b\\c\\d", "e\\f"]]],
+    ["trailing custom escape", "\"a\\", { escape: "\\", relaxed: true }, [["a\\"]]],
+    ["newline in quotes", "\"line1\nline2\",x\ny,z", {}, [["line1\nline2", "x"], ["y", "z"]]],
+    ["CRLF in quotes", "\"a\r\nb\"\r\n", {}, [["a\r\nb"]]],
+    ["null and quoted empty fields", "a,,\"\",b\n,", {}, [["a", null, "", "b"], [null, null]]],
+    ["trailing delimiter", "a,b,\n", {}, [["a", "b", null]]],
+    ["empty lines", "a\n\nb\n", {}, [["a"], [], ["b"]]],
+    ["leading newline", "\na", {}, [["a"]]],
+    ["comment lines", "#skip\na,b\n# also\nc,d", {}, [["a", "b"], ["c", "d"]]],
+    ["comment character inside a row", "a,#b", {}, [["a", "#b"]]],
+    ["custom comment", ";x\n#a", { comment: ";" }, [["#a"]]],
+    ["comments disabled", "#a,b", { comment: "" }, [["#a", "b"]]],
+    ["multi-byte characters", "café,naïve\n日本,語", {}, [["café", "naïve"], ["日本", "語"]]],
+    ["non-ASCII delimiter never matches", "a§b", { delimiter: "§" }, [["a§b"]]],
+    ["whitespace kept", " a , b ", {}, [[" a ", " b "]]],
+    ["trim", " a , b \n \t,\" c \"", { trim: true }, [["a", "b"], [null, "c"]]],
+    ["relaxed text after a quote", "a,\"b\"c,d", { relaxed: true }, [["a", "b\"c,d"]]],
+    ["relaxed unterminated quote", "x\n\"abc", { relaxed: true }, [["x"], ["abc"]]],
+    ["empty input", "", {}, []],
+];
+
+// [name, input, options, expected error]
+const PARSE_ERRORS = [
+    ["text after a closing quote", "id,name\n1,\"Ann\"x\n", {}, {
+        message: "Invalid character after closing quote (strict mode)",
+        code: 4, line: 2, column: 8, context: "1,\"Ann\"x", byteOffset: 15,
+    }],
+    ["column in characters", "é,\"x\"y\r\n", {}, {
+        message: "Invalid character after closing quote (strict mode)",
+        code: 4, line: 1, column: 6, context: "é,\"x\"y", byteOffset: 6,
+    }],
+    ["unterminated quote", "a,b\n1,\"open\nmore", {}, {
+        message: "Unterminated quoted field at end of input",
+        code: 3, line: 2, column: 3, context: "1,\"open", byteOffset: 6,
+    }],
+    ["strict UTF-8", new Uint8Array([0x61, 0x0A, 0x62, 0xC3, 0x28]), { strictEncoding: true }, {
+        message: "Invalid UTF-8 byte 0xC3",
+        code: 2, line: 2, column: 2, context: "b�(", byteOffset: 3,
+    }],
+];
+
+// [name, chunks, options, expected rows, expected error]
+const STREAM_CASES = [
+    ["rows split across chunks", ["a,\"b", "\"\"c\",d\n1", ",2\n"], {}, [["a", "b\"c", "d"], ["1", "2"]]],
+    ["multi-byte characters split across chunks", [encoder.encode("é,x\n").subarray(0, 1), encoder.encode("é,x\n").subarray(1)], {},
+        [["é", "x"]]],
+    ["empty line at a chunk start", ["a\n", "\nb"], {}, [["a"], [], ["b"]]],
+    ["custom escape split across chunks", ["\"a\\", "\"b\\", "\\\",c\n"], { escape: "\\" }, [["a\"b\\", "c"]]],
+    ["trim", [" a , b \n", " , c"], { trim: true }, [["a", "b"], [null, "c"]]],
+    ["fromLine", ["h\n1\n", "2\n3\n"], { fromLine: 3 }, [["2"], ["3"]]],
+    ["toLine", ["h\n1\n", "2\n3\n"], { toLine: 2 }, [["h"], ["1"]]],
+    ["fromLine and toLine", ["h\n1\n2\n3\n"], { fromLine: 2, toLine: 3 }, [["1"], ["2"]]],
+    ["text after a closing quote", ["id,name\n1,\"An", "n\"x\n"], {}, [["id", "name"]], {
+        message: "Invalid character after closing quote (strict mode)",
+        code: 4, line: 2, column: 8, context: "1,\"Ann\"x", byteOffset: 15,
+    }],
+    ["unterminated quote", ["a,b\n1,\"op", "en\nmore"], {}, [["a", "b"]], {
+        message: "Unterminated quoted field at end of input",
+        code: 3, line: 2, column: 3, context: "1,\"op", byteOffset: 6,
+    }],
+    ["strict UTF-8", [new Uint8Array([0x61, 0x0A, 0x62]), new Uint8Array([0xC3, 0x28])], { strictEncoding: true }, [["a"]], {
+        message: "Invalid UTF-8 byte 0xC3",
+        code: 2, line: 2, column: 2, context: "b�(", byteOffset: 3,
+    }],
+    ["truncated UTF-8 in strict mode", [new Uint8Array([0x61, 0x0A, 0xC3])], { strictEncoding: true }, [["a"]], {
+        message: "Invalid UTF-8 byte 0xC3",
+        code: 2, line: 2, column: 1, context: "�", byteOffset: 2,
+    }],
+];
+
+for (const backend of backends) {
+    describe(`Conformance: ${backend.name}`, () => {
+        describe("parse", () => {
+            for (const [name, input, options, rows] of PARSE_CASES) {
+                test(name, () => {
+                    expect(backend.parse(input, options)).toEqual({ rows });
+                });
+            }
+        });
+
+        describe("parse errors", () => {
+            for (const [name, input, options, error] of PARSE_ERRORS) {
+                test(name, () => {
+                    expect(backend.parse(input, options)).toEqual({ error });
+                });
+            }
+        });
+
+        describe("stream", () => {
+            for (const [name, chunks, options, rows, error] of STREAM_CASES) {
+                test(name, async () => {
+                    expect(await backend.stream(chunks, options)).toEqual(error ? { rows, error } : { rows });
+                });
+            }
+        });
+    });
+}
@@ -0,0 +1,134 @@
+import { describe, test, expect, afterAll } from "bun:test";
+import { tmpdir } from "os";
+import { join } from "path";
+import { rmSync } from "fs";
+import { BACKEND, convertCSV, parseCSV, parseCSVFile, listPlugins } from "../index.js";
+
+const native = BACKEND === "native";
+
+const DATA = "id,name,note\n1,Ann,\"a, b\"\n2,Bob,\n3,Cy,\"line\nbreak\"\n";
+const tmpFiles = [];
+
+function tmpPath(name) {
+    const path = join(tmpdir(), `ocsv-convert-${process.pid}-${name}`);
+    tmpFiles.push(path);
+    return path;
+}
+
+afterAll(() => {
+    for (const path of tmpFiles) {
+        rmSync(path, { force: true });
+    }
+});
+
+describe.skipIf(!native)("convertCSV", () => {
+    test("should convert to JSON Lines keyed by the header", async () => {
+        const text = await convertCSV(DATA, { to: "jsonl" });
+        expect(text.split("\n")).toEqual([
+            '{"id":"1","name":"Ann","note":"a, b"}',
+            '{"id":"2","name":"Bob","note":""}',
+            '{"id":"3","name":"Cy","note":"line\\nbreak"}',
+            "",
+        ]);
+        expect(await convertCSV(DATA, { to: "ndjson" })).toBe(text);
+    });
+
+    test("should convert to a JSON array", async () => {
+        const text = await convertCSV(DATA, { to: "json", emptyAsNull: true });
+        expect(JSON.parse(text)).toEqual([
+            { id: "1", name: "Ann", note: "a, b" },
+            { id: "2", name: "Bob", note: null },
+            { id: "3", name: "Cy", note: "line\nbreak" },
+        ]);
+        expect(await convertCSV("a\n", { to: "json" })).toBe("[]");
+        expect(await convertCSV("1,2\n3,4\n", { to: "json", hasHeader: false })).toBe('[["1","2"],["3","4"]]');
+    });
+
+    test("should convert to TSV and CSV", async () => {
+        expect(await convertCSV(DATA, { to: "tsv" })).toBe("id\tname\tnote\n1\tAnn\ta, b\n2\tBob\t\n3\tCy\tline\\nbreak\n");
+        expect(await convertCSV("a;b\n\"x;y\";2\n", { to: "csv", delimiter: ";" })).toBe('a,b\nx;y,2\n');
+        expect(await convertCSV("a,b\n\"x;y\",2\n", { to: "csv", outputDelimiter: ";" })).toBe('a;b\n"x;y";2\n');
+    });
+
+    test("should apply columns, where and transforms", async () => {
+        const text = await convertCSV(DATA, {
+            to: "jsonl",
+            columns: ["name", "id"],
+            where: { id: { min: 2 } },
+            transforms: { name: "uppercase" },
+        });
+        expect(text).toBe('{"name":"BOB","id":"2"}\n{"name":"CY","id":"3"}\n');
+    });
+
+    test("should write to a file path and a WritableStream", async () => {
+        const path = tmpPath("out.ndjson");
+        expect(await convertCSV(DATA, { to: "jsonl", destination: path })).toBe(3);
+        expect(await Bun.file(path).text()).toBe(await convertCSV(DATA, { to: "jsonl" }));
+
+        const input = tmpPath("in.csv");
+        await Bun.write(input, DATA);
+        const chunks = [];
+        const stream = new WritableStream({ write: (chunk) => { chunks.push(Buffer.from(chunk).toString()); } });
+        expect(await convertCSV(Bun.file(input), { to: "tsv", destination: stream })).toBe(4);
+        expect(chunks.join("")).toBe(await convertCSV(DATA, { to: "tsv" }));
+    });
+
+    test("should convert large inputs in chunks", async () => {
+        const lines = ["n"];
+        for (let i = 0; i < 25000; i++) {
+            lines.push(String(i));
+        }
+        const values = JSON.parse(await convertCSV(lines.join("\n"), { to: "json" }));
+        expect(values.length).toBe(25000);
+        expect(values[24999]).toEqual({ n: "24999" });
+    });
+
+    test("should reject unsupported options", async () => {
+        await expect(convertCSV(DATA, { to: "xml" })).rejects.toThrow(TypeError);
+        await expect(convertCSV(DATA, { to: "json", mode: "lazy" })).rejects.toThrow("mode is not supported");
+        await expect(convertCSV(DATA, { to: "json", filter: () => true })).rejects.toThrow(TypeError);
+        await expect(convertCSV(DATA, { to: "csv", outputDelimiter: "::" })).rejects.toThrow(TypeError);
+        await expect(convertCSV(DATA, { to: "json", destination: 42 })).rejects.toThrow("destination must be");
+    });
+
+    test("listPlugins should list the output formats", () => {
+        const outputs = listPlugins().filter((p) => p.type === "output").map((p) => p.name);
+        expect(outputs).toEqual(["csv", "json", "jsonl", "tsv"]);
+    });
+});
+
+describe.skipIf(!native)("LazyResult.toJSONLines", () => {
+    test("should write projected and filtered rows", async () => {
+        const result = parseCSV(DATA, {
+            mode: "lazy",
+            hasHeader: true,
+            columns: ["id", "note"],
+            filter: (row) => row.getField(0) !== "2",
+        });
+        try {
+            expect(await result.toJSONLines()).toBe('{"id":"1","note":"a, b"}\n{"id":"3","note":"line\\nbreak"}\n');
+        } finally {
+            result.destroy();
+        }
+    });
+
+    test("should stream a memory-mapped file to a file", async () => {
+        const input = tmpPath("lazy.csv");
+        const output = tmpPath("lazy.ndjson");
+        await Bun.write(input, DATA);
+
+        const result = await parseCSVFile(input, { mode: "lazy", mmap: true });
+        try {
+            expect(await result.toJSONLines(output)).toBe(4);
+        } finally {
+            result.destroy();
+        }
+        expect((await Bun.file(output).text()).split("\n")[0]).toBe('["id","name","note"]');
+    });
+
+    test("should throw after destroy", async () => {
+        const result = parseCSV(DATA, { mode: "lazy" });
+        result.destroy();
+        await expect(result.toJSONLines()).rejects.toThrow("destroyed");
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, test, expect } from "bun:test";
+import { writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { BACKEND, Parser, parseCSV, parseCSVFile, streamCSV, detectEncoding, decodeBytes, OcsvError, ParseErrorCode } from "../index.js";
+import { collect, forEachMode } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+function utf16(text, bigEndian, bom = true) {
+    const bytes = [];
+    if (bom) {
+        bytes.push(...(bigEndian ? [0xFE, 0xFF] : [0xFF, 0xFE]));
+    }
+    for (let i = 0; i < text.length; i++) {
+        const unit = text.charCodeAt(i);
+        bytes.push(...(bigEndian ? [unit >> 8, unit & 0xFF] : [unit & 0xFF, unit >> 8]));
+    }
+    return new Uint8Array(bytes);
+}
+
+// "nom;ville\nRené;Besançon\nZoë;Dünkirchen €\n" as exported by Windows tools
+const WINDOWS_1252 = new Uint8Array([
+    ...Buffer.from("nom;ville\nRen"), 0xE9, ...Buffer.from(";Besan"), 0xE7, ...Buffer.from("on\nZo"), 0xEB,
+    ...Buffer.from(";D"), 0xFC, ...Buffer.from("nkirchen "), 0x80, 0x0A,
+]);
+
+describe("Encodings", () => {
+    describe("detectEncoding / decodeBytes", () => {
+        test("should detect BOMs and UTF-16 without a BOM", () => {
+            expect(detectEncoding(Buffer.from("﻿a,b"))).toBe("utf-8");
+            expect(detectEncoding(utf16("a,b", false))).toBe("utf-16le");
+            expect(detectEncoding(utf16("a,b", true))).toBe("utf-16be");
+            expect(detectEncoding(utf16("name,city\nAl,Paris", false, false))).toBe("utf-16le");
+            expect(detectEncoding(utf16("name,city\nAl,Paris", true, false))).toBe("utf-16be");
+        });
+
+        test("should fall back to windows-1252 for invalid UTF-8", () => {
+            expect(detectEncoding(Buffer.from("né,a"))).toBe("utf-8");
+            expect(detectEncoding(WINDOWS_1252)).toBe("windows-1252");
+        });
+
+        test("should tell latin1 and windows-1252 apart", () => {
+            const bytes = new Uint8Array([0x80, 0xE9]);
+            expect(decodeBytes(bytes, "windows-1252")).toBe("€é");
+            expect(decodeBytes(bytes, "latin1")).toBe("\u0080é");
+        });
+    });
+
+    describe("parse", () => {
+        test("should transcode windows-1252 bytes", () => {
+            const result = parseCSV(WINDOWS_1252, { encoding: "windows-1252", delimiter: ";", hasHeader: true });
+            expect(result.headers).toEqual(["nom", "ville"]);
+            expect(result.rows).toEqual([["René", "Besançon"], ["Zoë", "Dünkirchen €"]]);
+        });
+
+        test("should parse UTF-16 input in every mode", () => {
+            const text = "name,city\nJosé,São Paulo\n李,北京\n";
+            for (const bigEndian of [false, true]) {
+                forEachMode(utf16(text, bigEndian), { encoding: "auto", hasHeader: true }, (rows, result) => {
+                    expect(result.headers).toEqual(["name", "city"]);
+                    expect(rows).toEqual([["José", "São Paulo"], ["李", "北京"]]);
+                    expect(result.encoding).toBe(bigEndian ? "utf-16be" : "utf-16le");
+                });
+            }
+        });
+
+        test("should strip BOMs from the first header", () => {
+            expect(parseCSV("﻿id,name\n1,a", { hasHeader: true }).headers).toEqual(["id", "name"]);
+            expect(parseCSV(Buffer.from("﻿id,name\n1,a"), { hasHeader: true }).headers).toEqual(["id", "name"]);
+            expect(parseCSV(Buffer.from("﻿id,name\n1,a"), { hasHeader: true, stripBOM: false }).headers[0]).toBe("﻿id");
+        });
+
+        test("should replace invalid UTF-8 unless strictEncoding is set", () => {
+            const bytes = new Uint8Array([...Buffer.from("a,b\nc,d"), 0xFF, ...Buffer.from("\n")]);
+            expect(parseCSV(bytes).rows).toEqual([["a", "b"], ["c", "d�"]]);
+
+            try {
+                parseCSV(bytes, { strictEncoding: true });
+                throw new Error("expected an OcsvError");
+            } catch (err) {
+                expect(err).toBeInstanceOf(OcsvError);
+                expect(err.code).toBe(ParseErrorCode.INVALID_UTF8);
+                expect(err.line).toBe(2);
+                expect(err.column).toBe(4);
+            }
+        });
+
+        test.skipIf(!native)("should reject strict invalid UTF-8 in every error mode", () => {
+            const bytes = new Uint8Array([...Buffer.from("a\n"), 0xC3, 0x28]);
+            const parser = new Parser();
+            try {
+                expect(() => parser.parse(bytes, { strictEncoding: true, onError: "skip" })).toThrow(OcsvError);
+                expect(parser.parse(bytes, { strictEncoding: false, onError: "skip" }).rows[0]).toEqual(["a"]);
+            } finally {
+                parser.destroy();
+            }
+        });
+
+        test("should reject unknown encodings", () => {
+            expect(() => parseCSV(WINDOWS_1252, { encoding: "ebcdic" })).toThrow(TypeError);
+        });
+    });
+
+    describe("parseCSVFile", () => {
+        test("should decode files with the requested encoding", async () => {
+            const path = join(tmpdir(), `ocsv-encoding-${process.pid}.csv`);
+            writeFileSync(path, WINDOWS_1252);
+            try {
+                const result = await parseCSVFile(path, { encoding: "auto", delimiter: ";", output: "objects" });
+                expect(result.encoding).toBe("windows-1252");
+                expect(result.rows[0]).toEqual({ nom: "René", ville: "Besançon" });
+            } finally {
+                unlinkSync(path);
+            }
+        });
+    });
+
+    describe("stream", () => {
+        test("should transcode chunks split inside characters", async () => {
+            const bytes = utf16("name,city\nJosé,São Paulo\n", true);
+            const chunks = [];
+            for (let i = 0; i < bytes.length; i += 3) {
+                chunks.push(bytes.subarray(i, i + 3));
+            }
+
+            const stream = streamCSV(chunks, { encoding: "utf-16be", hasHeader: true });
+            expect(await collect(stream)).toEqual([["José", "São Paulo"]]);
+            expect(stream.headers).toEqual(["name", "city"]);
+        });
+
+        test("should strip a UTF-8 BOM split across chunks", async () => {
+            const bytes = Buffer.from("﻿id\n1\n");
+            const stream = streamCSV([bytes.subarray(0, 1), bytes.subarray(1)], { hasHeader: true });
+            expect(await collect(stream)).toEqual([["1"]]);
+            expect(stream.headers).toEqual(["id"]);
+        });
+
+        test("should reject invalid UTF-8 with strictEncoding", async () => {
+            const chunks = [Buffer.from("a\nb"), new Uint8Array([0xE2, 0x28, 0x0A])];
+            try {
+                await collect(streamCSV(chunks, { strictEncoding: true }));
+                throw new Error("expected an OcsvError");
+            } catch (err) {
+                expect(err).toBeInstanceOf(OcsvError);
+                expect(err.code).toBe(ParseErrorCode.INVALID_UTF8);
+                expect(err.line).toBe(2);
+            }
+        });
+    });
+});
@@ -0,0 +1,155 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, OcsvError, ParseErrorCode, parseCSV } from "../index.js";
+import { forEachMode } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const data = [
+    "id,name,city",
+    '1,"Alice",Paris',
+    '2,"Bob"x,Berlin',
+    "3,Carol,Rome",
+    '4,"Dan"?,Oslo',
+    "5,Eve,Lima",
+].join("\n");
+
+describe("Error Recovery", () => {
+    test("should throw on the first error by default", () => {
+        expect(() => parseCSV(data)).toThrow(OcsvError);
+        expect(() => parseCSV(data, { onError: "throw" })).toThrow(OcsvError);
+    });
+
+    test.skipIf(!native)("should drop malformed rows with onError: 'skip'", () => {
+        const result = parseCSV(data, { onError: "skip", hasHeader: true });
+
+        expect(result.rows).toEqual([
+            ["1", "Alice", "Paris"],
+            ["3", "Carol", "Rome"],
+            ["5", "Eve", "Lima"],
+        ]);
+        expect(result.rowsSkipped).toBe(2);
+        expect(result.errors).toBeUndefined();
+    });
+
+    test.skipIf(!native)("should report every error with onError: 'collect'", () => {
+        const result = parseCSV(data, { onError: "collect", hasHeader: true });
+
+        expect(result.rows.length).toBe(3);
+        expect(result.rowsSkipped).toBe(2);
+        expect(result.errors).toHaveLength(2);
+
+        const [first, second] = result.errors;
+        expect(first).toBeInstanceOf(OcsvError);
+        expect(first.line).toBe(3);
+        expect(first.column).toBeGreaterThan(0);
+        expect(first.code).toBeGreaterThan(0);
+        expect(first.message).toContain("closing quote");
+        expect(first.context).toContain('"Bob"x');
+        expect(second.line).toBe(5);
+    });
+
+    test.skipIf(!native)("should report an unterminated quote at the line it started", () => {
+        const result = parseCSV('a,b\n1,"open\n2,3', { onError: "collect" });
+        expect(result.rows).toEqual([["a", "b"]]);
+        expect(result.rowsSkipped).toBe(1);
+        expect(result.errors[0].line).toBe(2);
+    });
+
+    test.skipIf(!native)("should return the same rows as a normal parse for valid input", () => {
+        const valid = 'a,b,\n\n"multi\nline",x\n# comment\nlast,"q"';
+        const expected = parseCSV(valid, { mode: "field" }).rows;
+
+        for (const onError of ["skip", "collect"]) {
+            const result = parseCSV(valid, { onError, mode: "field" });
+            expect(result.rows).toEqual(expected);
+            expect(result.rowsSkipped).toBe(0);
+        }
+        expect(parseCSV(valid, { onError: "collect" }).errors).toEqual([]);
+    });
+
+    test.skipIf(!native)("should work with every output mode", () => {
+        const rows = Array(1500).fill(0).map((_, i) => (i % 500 === 7 ? `${i},"bad"x` : `${i},ok`));
+        const csv = rows.join("\n");
+
+        forEachMode(csv, { onError: "collect" }, (parsed, result) => {
+            expect(parsed.length).toBe(1497);
+            expect(result.rowsSkipped).toBe(3);
+            expect(result.errors.map((e) => e.line)).toEqual([8, 508, 1008]);
+        });
+    });
+
+    test.skipIf(!native)("should reset collected errors between parses", () => {
+        const parser = new Parser();
+        try {
+            expect(parser.parse(data, { onError: "collect" }).errors).toHaveLength(2);
+            const clean = parser.parse("a,b\n1,2", { onError: "collect" });
+            expect(clean.errors).toEqual([]);
+            expect(clean.rowsSkipped).toBe(0);
+        } finally {
+            parser.destroy();
+        }
+    });
+
+    test("should reject unknown onError values", () => {
+        expect(() => parseCSV(data, { onError: "ignore" })).toThrow(TypeError);
+    });
+});
+
+describe("Error details", () => {
+    function parseError(input, options) {
+        try {
+            parseCSV(input, options);
+        } catch (err) {
+            return err;
+        }
+        throw new Error("expected parseCSV to throw");
+    }
+
+    test("should report the code, byte offset and offending line", () => {
+        const err = parseError(data);
+        expect(err.code).toBe(ParseErrorCode.INVALID_CHARACTER_AFTER_QUOTE);
+        expect(err.line).toBe(3);
+        expect(err.column).toBe(8);
+        expect(err.byteOffset).toBe(data.indexOf("x,Berlin"));
+        expect(err.context).toBe('2,"Bob"x,Berlin');
+    });
+
+    test("format() should put a caret under the column", () => {
+        const err = parseError('id,name\n1,"Ann\n');
+        expect(err.code).toBe(ParseErrorCode.UNTERMINATED_QUOTE);
+        expect(err.format()).toBe([
+            "OcsvError [UNTERMINATED_QUOTE] at line 2, column 3: Unterminated quoted field at end of input",
+            ' 2 | 1,"Ann',
+            "   |   ^",
+        ].join("\n"));
+    });
+
+    test("format() should count characters and cut long lines", () => {
+        const err = parseError(`${"é".repeat(100)},"x"!`);
+        expect(err.column).toBe(105);
+        expect(err.byteOffset).toBe(204);
+        const [, line, caret] = err.format().split("\n");
+        expect(line).toStartWith(" 1 | ...éé");
+        expect(caret.indexOf("^")).toBe(line.indexOf("!"));
+    });
+
+    test.skipIf(!native)("collected errors should have offsets and format()", () => {
+        const [first] = parseCSV(data, { onError: "collect" }).errors;
+        expect(first.byteOffset).toBe(data.indexOf("x,Berlin"));
+        expect(first.format()).toContain("\n 3 | 2,\"Bob\"x,Berlin\n");
+    });
+
+    test("errors without a position should format on one line", () => {
+        const err = new OcsvError("Cannot read file: nope.csv", ParseErrorCode.IO_ERROR, 0, 0);
+        expect(err.byteOffset).toBe(-1);
+        expect(err.format()).toBe("OcsvError [FILE_NOT_FOUND]: Cannot read file: nope.csv");
+    });
+
+    test("ParseErrorCode should match the native error codes", () => {
+        expect(ParseErrorCode.UNTERMINATED_QUOTE).toBe(3);
+        expect(ParseErrorCode.EMPTY_INPUT).toBe(9);
+        expect(ParseErrorCode.MEMORY_ALLOCATION_FAILED).toBe(10);
+        expect(ParseErrorCode.IO_ERROR).toBe(ParseErrorCode.FILE_NOT_FOUND);
+        expect(ParseErrorCode.INVALID_INPUT).toBe(ParseErrorCode.EMPTY_INPUT);
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV } from "../index.js";
+import { forEachMode, generateCSV } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const CUSTOMERS = ["acme", "globex", "initech"];
+
+describe("Row Filtering", () => {
+    const data = generateCSV("id,customer,amount,email", 3000, (i) => {
+        const customer = CUSTOMERS[i % 3];
+        return `${i},${customer},${i % 50},${customer}${i}@example.com`;
+    });
+
+    describe("where", () => {
+        test.skipIf(!native)("should keep matching rows in every mode", () => {
+            forEachMode(data, { hasHeader: true, where: { customer: "acme" } }, (rows, result) => {
+                expect(result.headers).toEqual(["id", "customer", "amount", "email"]);
+                expect(result.rowCount).toBe(1000);
+                expect(rows.every((row) => row[1] === "acme")).toBe(true);
+                expect(rows[1]).toEqual(["3", "acme", "3", "acme3@example.com"]);
+            });
+        });
+
+        test.skipIf(!native)("should support sets, ranges and regular expressions", () => {
+            const result = parseCSV(data, {
+                hasHeader: true,
+                where: {
+                    customer: ["acme", "initech"],
+                    amount: { min: 10, max: 12 },
+                    email: /^ACME/i,
+                },
+            });
+
+            expect(result.rows.length).toBeGreaterThan(0);
+            for (const [, customer, amount, email] of result.rows) {
+                expect(customer).toBe("acme");
+                expect(Number(amount)).toBeGreaterThanOrEqual(10);
+                expect(Number(amount)).toBeLessThanOrEqual(12);
+                expect(email.startsWith("acme")).toBe(true);
+            }
+        });
+
+        test.skipIf(!native)("should select columns by index without a header", () => {
+            const result = parseCSV("a,1\nb,2\nc,3", { where: { 1: { min: 2 } } });
+            expect(result.rows).toEqual([["b", "2"], ["c", "3"]]);
+        });
+
+        test.skipIf(!native)("should never match non-numeric fields with a range", () => {
+            const result = parseCSV("v\n1\nx\n\n3", { hasHeader: true, where: { v: { max: 10 } } });
+            expect(result.rows).toEqual([["1"], ["3"]]);
+        });
+
+        test.skipIf(!native)("should combine with columns and object output", () => {
+            const result = parseCSV(data, {
+                output: "objects",
+                columns: ["email"],
+                where: { customer: "initech", id: ["2", "5"] },
+            });
+            expect(result.rows).toEqual([{ email: "initech2@example.com" }, { email: "initech5@example.com" }]);
+        });
+
+        test.skipIf(!native)("should not affect the next parse", () => {
+            const parser = new Parser();
+            try {
+                expect(parser.parse("a\nb", { where: { 0: "b" } }).rows).toEqual([["b"]]);
+                expect(parser.parse("a\nb").rows).toEqual([["a"], ["b"]]);
+            } finally {
+                parser.destroy();
+            }
+        });
+
+        test.skipIf(!native)("should reject unknown columns and unsupported conditions", () => {
+            expect(() => parseCSV(data, { hasHeader: true, where: { nope: "x" } })).toThrow(/Unknown column "nope"/);
+            expect(() => parseCSV(data, { where: { customer: "acme" } })).toThrow(/hasHeader/);
+            expect(() => parseCSV(data, { hasHeader: true, where: { amount: {} } })).toThrow(TypeError);
+            expect(() => parseCSV(data, { hasHeader: true, where: { email: /a/s } })).toThrow(TypeError);
+            expect(() => parseCSV(data, { where: "id = 1" })).toThrow(TypeError);
+        });
+    });
+
+    describe("filter callback", () => {
+        test("should keep rows accepted by the callback in every mode", () => {
+            let seen = [];
+            const filter = (row, index) => {
+                seen.push(index);
+                // Lazy mode passes LazyRow accessors instead of arrays
+                return (Array.isArray(row) ? row[2] : row.getField(2)) === "7";
+            };
+            forEachMode(data, { hasHeader: true, filter }, (rows, result) => {
+                expect(result.rowCount).toBe(60);
+                expect(rows.every((row) => row[2] === "7")).toBe(true);
+                expect(seen.length).toBe(3000);
+                expect(seen[2999]).toBe(2999);
+                seen = [];
+            });
+        });
+
+        test.skipIf(!native)("should run after where", () => {
+            const result = parseCSV(data, {
+                hasHeader: true,
+                where: { customer: "acme" },
+                filter: (row, index) => index < 2,
+            });
+            expect(result.rows.map((row) => row[0])).toEqual(["0", "3"]);
+        });
+
+        test("should pass object rows with output: 'objects'", () => {
+            const result = parseCSV("name,age\nAl,30\nBo,17", { output: "objects", filter: (row) => Number(row.age) >= 18 });
+            expect(result.rows).toEqual([{ name: "Al", age: "30" }]);
+        });
+
+        test.skipIf(!native)("should pass LazyRow accessors in lazy mode", () => {
+            const result = parseCSV(data, {
+                mode: "lazy",
+                hasHeader: true,
+                filter: (row) => row.getField(0).endsWith("99"),
+            });
+            try {
+                expect(result.rowCount).toBe(30);
+                expect(result.getRow(0).getField(0)).toBe("99");
+                expect([...result].map((row) => row.getField(0)).at(-1)).toBe("2999");
+            } finally {
+                result.destroy();
+            }
+        });
+
+        test("should filter streamed rows", async () => {
+            const parser = new Parser();
+            try {
+                const stream = parser.stream(["a\n1\n2", "\n3\n4\n"], { hasHeader: true, filter: (row, i) => i % 2 === 1 });
+                const rows = [];
+                for await (const row of stream) {
+                    rows.push(row);
+                }
+                expect(rows).toEqual([["2"], ["4"]]);
+                expect(() => parser.stream([], { where: { a: "1" } })).toThrow(TypeError);
+            } finally {
+                parser.destroy();
+            }
+        });
+
+        test("should reject non-function values", () => {
+            expect(() => parseCSV(data, { filter: "row[0] > 1" })).toThrow(TypeError);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+import { BACKEND, parseCSV } from "../index.js";
+
+// Shared by the test files; not a test file itself (bun only runs *.test.js)
+
+/**
+ * Extraction modes that return rows: field, bulk and packed, plus lazy when
+ * the native library is in use (the JavaScript backend has no lazy mode)
+ */
+export const ROW_MODES = BACKEND === "native" ? ["field", "bulk", "packed", "lazy"] : ["field", "bulk", "packed"];
+
+/**
+ * Parse the same input in every mode of ROW_MODES and check each result
+ *
+ * Lazy rows are read with `toArray()` (or `toObject()` for object output)
+ * before the lazy result is destroyed, so `check` sees plain rows in every mode.
+ * @param {string|Uint8Array} input - CSV input
+ * @param {Object} options - parseCSV options, without `mode`
+ * @param {function(Array, Object, string): void} check - Called with the data rows, the result and the mode
+ */
+export function forEachMode(input, options, check) {
+    for (const mode of ROW_MODES) {
+        const result = parseCSV(input, { ...options, mode });
+        try {
+            const rows = mode === "lazy"
+                ? Array.from(result, (row) => (options.output === "objects" ? row.toObject() : row.toArray()))
+                : result.rows;
+            check(rows, result, mode);
+        } finally {
+            if (mode === "lazy") {
+                result.destroy();
+            }
+        }
+    }
+}
+
+/**
+ * Generate a CSV fixture: a header line followed by `rowCount` generated rows
+ * @param {string} header - Header line
+ * @param {number} rowCount - Number of data rows
+ * @param {function(number): string} row - Returns the line of data row `i`
+ * @returns {string} CSV text, without a trailing newline
+ */
+export function generateCSV(header, rowCount, row) {
+    const lines = [header];
+    for (let i = 0; i < rowCount; i++) {
+        lines.push(row(i));
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Read every row of a stream
+ * @param {AsyncIterable} stream - Stream to drain
+ * @returns {Promise<Array>} The rows, in order
+ */
+export async function collect(stream) {
+    const rows = [];
+    for await (const row of stream) {
+        rows.push(row);
+    }
+    return rows;
+}
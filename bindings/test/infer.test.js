@@ -0,0 +1,90 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV, inferSchema } from "../index.js";
+
+const native = BACKEND === "native";
+
+const DATA = [
+    "id,price,active,joined,name,flag",
+    "1,9.99,yes,2024-01-15,Ann,1",
+    "2,,no,2023-06-01,Bob,0",
+    "3,12,true,,Carmen,1",
+].join("\n");
+
+describe("Type Inference", () => {
+    test.skipIf(!native)("inferSchema should classify each column", () => {
+        const { columns } = inferSchema(DATA);
+
+        expect(columns.map((c) => c.name)).toEqual(["id", "price", "active", "joined", "name", "flag"]);
+        expect(columns.map((c) => c.type)).toEqual(["int", "float", "bool", "date", "string", "int"]);
+        expect(columns[0]).toEqual({ name: "id", type: "int", nullable: false, count: 3, min: 1, max: 3 });
+        expect(columns[1]).toMatchObject({ nullable: true, count: 2, min: 9.99, max: 12 });
+        expect(columns[3]).toMatchObject({ nullable: true, earliest: "2023-06-01", latest: "2024-01-15" });
+        expect(columns[4]).toMatchObject({ minLength: 3, maxLength: 6 });
+    });
+
+    test.skipIf(!native)("inferSchema should only scan sampleRows", () => {
+        const data = "code\n1\n2\nA-3\n";
+        expect(inferSchema(data).columns[0].type).toBe("string");
+        expect(inferSchema(data, { sampleRows: 2 }).columns[0]).toMatchObject({ type: "int", count: 2 });
+        expect(() => inferSchema(data, { sampleRows: -1 })).toThrow(TypeError);
+    });
+
+    test.skipIf(!native)("inferSchema should name headerless columns and respect projection", () => {
+        const headerless = inferSchema("1,x\n2,y,3.5", { hasHeader: false });
+        expect(headerless.columns.map((c) => [c.name, c.type])).toEqual([
+            ["column1", "int"],
+            ["column2", "string"],
+            ["column3", "float"],
+        ]);
+        expect(headerless.columns[2].nullable).toBe(true);
+
+        const projected = inferSchema(DATA, { columns: ["joined", "id"] });
+        expect(projected.columns.map((c) => c.name)).toEqual(["joined", "id"]);
+    });
+
+    test.skipIf(!native)("inferSchema should treat empty columns as nullable strings", () => {
+        const { columns } = inferSchema("a,b\n,1\n,2");
+        expect(columns[0]).toEqual({ name: "a", type: "string", nullable: true, count: 0 });
+        expect(inferSchema("a,b\n").columns.map((c) => c.count)).toEqual([0, 0]);
+    });
+
+    test.skipIf(!native)("inferTypes should return converted values and the schema", () => {
+        const result = parseCSV(DATA, { hasHeader: true, inferTypes: true });
+
+        expect(result.valid).toBe(true);
+        expect(result.schema.columns[1].type).toBe("float");
+        expect(result.rows[0].slice(0, 3)).toEqual([1, 9.99, true]);
+        expect(result.rows[0][3]).toBeInstanceOf(Date);
+        expect(result.rows[1][1]).toBeNull();
+        expect(result.rows[2][5]).toBe(1);
+    });
+
+    test.skipIf(!native)("inferTypes should work with objects output", () => {
+        const result = parseCSV(DATA, { output: "objects", inferTypes: true, columns: ["name", "price"] });
+        expect(result.rows[2]).toEqual({ name: "Carmen", price: 12 });
+    });
+
+    test.skipIf(!native)("inferTypes should report values outside the sample", () => {
+        const result = parseCSV("n\n1\n2\nthree", { hasHeader: true, inferTypes: { sampleRows: 2 } });
+        expect(result.valid).toBe(false);
+        expect(result.rows.map((r) => r[0])).toEqual([1, 2, "three"]);
+        expect(result.validationErrors[0]).toMatchObject({ columnName: "n", rule: "type" });
+    });
+
+    test("should reject unsupported combinations", () => {
+        expect(() => parseCSV(DATA, { mode: "lazy", inferTypes: true })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { mode: "columnar", inferTypes: true })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { inferTypes: true, schema: [{ type: "int" }] })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { inferTypes: "yes" })).toThrow(TypeError);
+    });
+
+    test.skipIf(!native)("Parser.inferSchema should leave the parser reusable", () => {
+        const parser = new Parser();
+        try {
+            expect(parser.inferSchema("a\n1").columns[0].type).toBe("int");
+            expect(parser.parse("x,y\n1,2").rows).toEqual([["x", "y"], ["1", "2"]]);
+        } finally {
+            parser.destroy();
+        }
+    });
+});
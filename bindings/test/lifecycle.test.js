@@ -0,0 +1,104 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV, debugLeaks } from "../index.js";
+
+const DATA = "name,age\nAlice,30\nBob,25\n";
+const native = BACKEND === "native";
+
+function leakParser() {
+    new Parser().parse(DATA);
+}
+
+describe("Parser lifecycle", () => {
+    test("should destroy the parser at the end of a using block", () => {
+        let parser;
+        {
+            using scoped = new Parser();
+            parser = scoped;
+            expect(scoped.parse(DATA).rowCount).toBe(3);
+        }
+        expect(parser.parser).toBeNull();
+        expect(() => parser.parse(DATA)).toThrow("Parser has been destroyed");
+        parser.destroy();  // Still safe
+    });
+
+    test.skipIf(!native)("should destroy lazy results at the end of a using block", () => {
+        let result;
+        {
+            using scoped = parseCSV(DATA, { mode: "lazy", hasHeader: true });
+            result = scoped;
+            expect(scoped.getRow(1).toArray()).toEqual(["Bob", "25"]);
+        }
+        expect(() => result.getRow(0)).toThrow("LazyResult has been destroyed");
+    });
+
+    test.skipIf(!native)("should make rows of a destroyed result throw", () => {
+        const result = parseCSV(DATA, { mode: "lazy", hasHeader: true });
+        const row = result.getRow(0);
+        const projected = parseCSV(DATA, { mode: "lazy", columns: [1] });
+        const projectedRow = projected.getRow(0);
+        result.destroy();
+        projected.destroy();
+
+        expect(() => row.getField(0)).toThrow("LazyRow belongs to a destroyed LazyResult");
+        expect(() => row.toArray()).toThrow("LazyRow belongs to a destroyed LazyResult");
+        expect(() => projectedRow.toArray()).toThrow("LazyRow belongs to a destroyed LazyResult");
+    });
+
+    test.skipIf(!native)("should keep lazy results valid after their parser is reused or destroyed", () => {
+        const parser = new Parser();
+        const result = parser.parse(DATA, { mode: "lazy" });
+        const row = result.getRow(2);
+        expect(row.getField(0)).toBe("Bob");
+
+        expect(parser.parse("x;y\n", { delimiter: ";" }).rows).toEqual([["x", "y"]]);
+        parser.destroy();
+        expect(row.getField(0)).toBe("Bob");
+        expect(result.getRow(1).toArray()).toEqual(["Alice", "30"]);
+
+        result.destroy();
+        expect(() => result.getRow(0)).toThrow("LazyResult has been destroyed");
+        expect(() => row.getField(0)).toThrow("LazyRow belongs to a destroyed LazyResult");
+        result.destroy();  // No double free
+    });
+
+    test("should report parsers collected without destroy() with their creation stack", async () => {
+        const reports = [];
+        debugLeaks((report) => reports.push(report));
+        try {
+            leakParser();
+            for (let i = 0; i < 50 && !reports.some((report) => report.stack?.includes("leakParser")); i++) {
+                Bun.gc(true);
+                await Bun.sleep(10);
+            }
+        } finally {
+            debugLeaks(false);
+        }
+
+        const leak = reports.find((report) => report.stack?.includes("leakParser"));
+        expect(leak).toBeDefined();
+        expect(leak.kind).toBe("Parser");
+        expect(leak.stack).toContain("lifecycle.test.js");
+    });
+
+    test("should not report destroyed parsers", async () => {
+        const reports = [];
+        debugLeaks((report) => reports.push(report));
+        try {
+            (function destroyedParser() {
+                using parser = new Parser();
+                parser.parse(DATA);
+            })();
+            for (let i = 0; i < 5; i++) {
+                Bun.gc(true);
+                await Bun.sleep(10);
+            }
+        } finally {
+            debugLeaks(false);
+        }
+        expect(reports.some((report) => report.stack?.includes("destroyedParser"))).toBe(false);
+    });
+
+    test("should reject invalid leak reporters", () => {
+        expect(() => debugLeaks("yes")).toThrow(TypeError);
+    });
+});
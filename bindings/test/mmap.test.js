@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { BACKEND, Parser, parseCSV, parseCSVFile, OcsvError, ParseErrorCode } from "../index.js";
+import { generateCSV } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+describe("Memory-Mapped Files", () => {
+    const data = generateCSV("id,name,note", 5000, (i) => {
+        const note = i % 10 === 0 ? `"multi\nline, ${i}"` : `note ${i}`;
+        return `${i},user${i},${note}`;
+    }) + "\n";
+    const path = join(tmpdir(), `ocsv-mmap-${process.pid}.csv`);
+    const tricky = join(tmpdir(), `ocsv-mmap-tricky-${process.pid}.csv`);
+    const empty = join(tmpdir(), `ocsv-mmap-empty-${process.pid}.csv`);
+    const trickyData = "﻿# exported\nid,name\n\n1,\"a\"\"b\"\r\n# skipped\n2,\"x\ny\"\n3,";
+
+    beforeAll(() => {
+        writeFileSync(path, data);
+        writeFileSync(tricky, trickyData);
+        writeFileSync(empty, "");
+    });
+
+    afterAll(() => {
+        unlinkSync(path);
+        unlinkSync(tricky);
+        unlinkSync(empty);
+    });
+
+    for (const mode of ["auto", "field", "packed"]) {
+        test.skipIf(!native)(`should match string parsing in ${mode} mode`, async () => {
+            const mapped = await parseCSVFile(path, { mmap: true, mode, hasHeader: true });
+            const expected = parseCSV(data, { mode, hasHeader: true });
+            expect(mapped.headers).toEqual(expected.headers);
+            expect(mapped.rows).toEqual(expected.rows);
+        });
+    }
+
+    test.skipIf(!native)("should index rows lazily", async () => {
+        const result = await parseCSVFile(path, { mmap: true, mode: "lazy", hasHeader: true });
+        try {
+            expect(result.rowCount).toBe(5000);
+            expect(result.headers).toEqual(["id", "name", "note"]);
+            expect(result.getRow(4990).toArray()).toEqual(["4990", "user4990", "multi\nline, 4990"]);
+            expect(result.getRow(3).toObject()).toEqual({ id: "3", name: "user3", note: "note 3" });
+            expect(result.getRow(4999).getField(1)).toBe("user4999");
+            expect(result.getRow(5000)).toBeNull();
+        } finally {
+            result.destroy();
+        }
+    });
+
+    test.skipIf(!native)("should handle comments, empty lines, CRLF and BOMs like the string parser", async () => {
+        const expected = parseCSV(trickyData).rows;
+        const eager = await parseCSVFile(tricky, { mmap: true, mode: "field" });
+        expect(eager.rows).toEqual(expected);
+
+        const lazy = await parseCSVFile(tricky, { mmap: true, mode: "lazy" });
+        try {
+            expect(lazy.rowCount).toBe(expected.length);
+            expect([...lazy].map((row) => row.toArray())).toEqual(expected);
+        } finally {
+            lazy.destroy();
+        }
+    });
+
+    test.skipIf(!native)("should filter and project lazy rows", async () => {
+        const result = await parseCSVFile(path, {
+            mmap: true,
+            mode: "lazy",
+            hasHeader: true,
+            columns: ["name"],
+            filter: (row) => row.getField(0).endsWith("777"),
+        });
+        try {
+            expect(result.rowCount).toBe(5);
+            expect(result.getRow(0).toArray()).toEqual(["user777"]);
+        } finally {
+            result.destroy();
+        }
+    });
+
+    test.skipIf(!native)("should parse empty files", async () => {
+        expect((await parseCSVFile(empty, { mmap: true })).rows).toEqual([]);
+    });
+
+    test.skipIf(!native)("should report missing files as IO_ERROR", async () => {
+        for (const mmap of [true, false]) {
+            try {
+                await parseCSVFile(join(tmpdir(), "ocsv-does-not-exist.csv"), { mmap });
+                throw new Error("expected an OcsvError");
+            } catch (err) {
+                expect(err).toBeInstanceOf(OcsvError);
+                expect(err.code).toBe(ParseErrorCode.IO_ERROR);
+            }
+        }
+    });
+
+    test.skipIf(!native)("should release the mapping when the parser is reused", async () => {
+        const parser = new Parser();
+        try {
+            const lazy = await parser.parseFile(path, { mmap: true, mode: "lazy" });
+            expect(lazy.rowCount).toBe(5001);
+            expect(parser.parse("a,b").rows).toEqual([["a", "b"]]);
+        } finally {
+            parser.destroy();
+        }
+    });
+
+    test("should reject options that need a copy of the file", async () => {
+        await expect(parseCSVFile(path, { mmap: true, encoding: "latin1" })).rejects.toThrow(TypeError);
+        await expect(parseCSVFile(path, { mmap: true, onError: "skip" })).rejects.toThrow(TypeError);
+        await expect(parseCSVFile(path, { mmap: true, mode: "lazy", where: { 0: "1" } })).rejects.toThrow(TypeError);
+    });
+});
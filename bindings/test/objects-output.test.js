@@ -0,0 +1,139 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, parseCSV } from "../index.js";
+import { forEachMode, generateCSV } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const small = "name,age,city\nAlice,30,Paris\nBob,25,Berlin";
+
+const users = generateCSV("id,name,score", 1500, (i) => `${i},user${i},${i % 100}`);
+
+describe("Object Output", () => {
+    describe("hasHeader in every mode", () => {
+        const data = users;
+
+        test("should exclude the header row in every mode", () => {
+            forEachMode(data, { hasHeader: true }, (rows, result) => {
+                expect(result.headers).toEqual(["id", "name", "score"]);
+                expect(result.rowCount).toBe(1500);
+                expect(rows.length).toBe(1500);
+                expect(rows[0]).toEqual(["0", "user0", "0"]);
+                expect(rows[1499]).toEqual(["1499", "user1499", "99"]);
+            });
+        });
+
+        test("should exclude the header row in auto mode", () => {
+            const result = parseCSV(data, { mode: "auto", hasHeader: true });
+            expect(result.rows.length).toBe(1500);
+            expect(result.rows[0]).toEqual(["0", "user0", "0"]);
+        });
+
+        test("should handle a header-only input", () => {
+            const result = parseCSV("a,b", { mode: "packed", hasHeader: true });
+            expect(result.headers).toEqual(["a", "b"]);
+            expect(result.rows).toEqual([]);
+            expect(result.rowCount).toBe(0);
+        });
+    });
+
+    describe("output: 'objects'", () => {
+        const data = users;
+
+        test("should return keyed rows in every mode", () => {
+            forEachMode(data, { output: "objects" }, (rows, result) => {
+                expect(result.headers).toEqual(["id", "name", "score"]);
+                expect(result.rowCount).toBe(1500);
+                expect(rows[0]).toEqual({ id: "0", name: "user0", score: "0" });
+                expect(rows[1499]).toEqual({ id: "1499", name: "user1499", score: "99" });
+            });
+        });
+
+        test("should return keyed rows in auto mode", () => {
+            const result = parseCSV(data, { mode: "auto", output: "objects" });
+            expect(result.rows[1499]).toEqual({ id: "1499", name: "user1499", score: "99" });
+        });
+
+        test("should imply hasHeader", () => {
+            const result = parseCSV(small, { output: "objects" });
+            expect(result.rows).toEqual([
+                { name: "Alice", age: "30", city: "Paris" },
+                { name: "Bob", age: "25", city: "Berlin" },
+            ]);
+        });
+
+        test("should escape keys and values in bulk mode", () => {
+            const result = parseCSV('"say ""hi""",b\\c\n"line\nbreak",x', { mode: "bulk", output: "objects" });
+            expect(result.rows).toEqual([{ 'say "hi"': "line\nbreak", "b\\c": "x" }]);
+        });
+
+        test.skipIf(!native)("should default toObject() to the headers in lazy mode", () => {
+            const result = parseCSV(small, { mode: "lazy", output: "objects" });
+            try {
+                expect(result.rowCount).toBe(2);
+                expect(result.getRow(1).toObject()).toEqual({ name: "Bob", age: "25", city: "Berlin" });
+            } finally {
+                result.destroy();
+            }
+        });
+
+        test("should fill missing fields and drop extra fields", () => {
+            const data = "a,b,c\n1,2\n1,2,3,4";
+            forEachMode(data, { output: "objects" }, (rows) => {
+                expect(rows).toEqual([
+                    { a: "1", b: "2", c: "" },
+                    { a: "1", b: "2", c: "3" },
+                ]);
+            });
+        });
+
+        test("should reject unknown output values", () => {
+            expect(() => parseCSV(small, { output: "maps" })).toThrow(TypeError);
+        });
+    });
+
+    describe("duplicate and empty headers", () => {
+        const data = "id,name,,name,name_2\n1,a,b,c,d";
+
+        test("should rename them with the default 'suffix' mode", () => {
+            forEachMode(data, { output: "objects" }, (rows, result) => {
+                expect(result.headers).toEqual(["id", "name", "column3", "name_3", "name_2"]);
+                expect(rows[0]).toEqual({ id: "1", name: "a", column3: "b", name_3: "c", name_2: "d" });
+            });
+        });
+
+        test("should throw with duplicateHeaders: 'error'", () => {
+            expect(() => parseCSV("a,a\n1,2", { output: "objects", duplicateHeaders: "error" })).toThrow(/Duplicate header/);
+            expect(() => parseCSV("a,\n1,2", { output: "objects", duplicateHeaders: "error" })).toThrow(/Empty header/);
+        });
+
+        test("should leave raw headers untouched with output: 'arrays'", () => {
+            const result = parseCSV(data, { hasHeader: true });
+            expect(result.headers).toEqual(["id", "name", "", "name", "name_2"]);
+        });
+
+        test("should reject unknown duplicateHeaders values", () => {
+            expect(() => parseCSV(small, { output: "objects", duplicateHeaders: "ignore" })).toThrow(TypeError);
+        });
+    });
+
+    describe("streaming", () => {
+        test("should yield objects keyed by the first row", async () => {
+            const parser = new Parser();
+            try {
+                const stream = parser.stream(["name,age\nAl", "ice,30\nBob,25\n"], { output: "objects" });
+                const rows = [];
+                for await (const row of stream) {
+                    rows.push(row);
+                }
+
+                expect(stream.headers).toEqual(["name", "age"]);
+                expect(rows).toEqual([
+                    { name: "Alice", age: "30" },
+                    { name: "Bob", age: "25" },
+                ]);
+            } finally {
+                parser.destroy();
+            }
+        });
+    });
+});
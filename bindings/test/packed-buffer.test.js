@@ -1,5 +1,5 @@
 import { describe, test, expect, beforeEach, afterEach } from "bun:test";
-import { Parser } from "../index.js";
+import { Parser, parseCSV, streamCSV, decodePackedBuffer, PACKED_VERSIONS } from "../index.js";
 import { ptr, toArrayBuffer } from "bun:ffi";
 
 describe("Packed Buffer Format Validation", () => {
@@ -58,7 +58,7 @@ describe("Packed Buffer Format Validation", () => {
     });
 
     describe("Version Validation", () => {
-        test("should accept version 1", () => {
+        test("should accept the current version", () => {
             const data = "a,b,c\n1,2,3";
             const result = parser.parse(data, { mode: "packed" });
 
@@ -79,7 +79,7 @@ describe("Packed Buffer Format Validation", () => {
             expect(view.getUint32(4, true)).toBe(2);
         });
 
-        test("should work with current version 1", () => {
+        test("should work with the current version", () => {
             const data = "name,age\nAlice,30\nBob,25";
             const result = parser.parse(data, { mode: "packed" });
 
@@ -474,3 +474,112 @@ describe("Performance Regression", () => {
         parser2.destroy();
     });
 });
+
+/**
+ * Build a packed buffer by hand
+ * @param {number} version - Format version
+ * @param {number} fieldCount - Header field count
+ * @param {number[][]} rowBytes - Encoded row data, one array per row
+ */
+function buildBuffer(version, fieldCount, rowBytes) {
+    const dataStart = 24 + rowBytes.length * 4;
+    const size = dataStart + rowBytes.reduce((sum, row) => sum + row.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x4F435356, true);
+    view.setUint32(4, version, true);
+    view.setUint32(8, rowBytes.length, true);
+    view.setUint32(12, fieldCount, true);
+    view.setBigUint64(16, BigInt(size), true);
+
+    let offset = dataStart;
+    rowBytes.forEach((row, i) => {
+        view.setUint32(24 + i * 4, offset, true);
+        bytes.set(row, offset);
+        offset += row.length;
+    });
+    return bytes;
+}
+
+describe("Packed Format Version 2", () => {
+    describe("decodePackedBuffer", () => {
+        test("should decode version 1 buffers", () => {
+            // u16 lengths, every row has the header's field count
+            const buffer = buildBuffer(1, 2, [
+                [1, 0, 0x61, 2, 0, 0x62, 0x63],
+                [0, 0, 3, 0, 0x78, 0x79, 0x7A],
+            ]);
+            expect(decodePackedBuffer(buffer)).toEqual([["a", "bc"], ["", "xyz"]]);
+            expect(decodePackedBuffer(buffer.buffer, { startRow: 1, keys: ["k", "v"] })).toEqual([{ k: "", v: "xyz" }]);
+        });
+
+        test("should decode version 2 buffers with ragged rows and nulls", () => {
+            const buffer = buildBuffer(2, 3, [
+                [3, 0x02, 0x61, 0x01, 0x00],
+                [1, 0x06, 0x78, 0x79, 0x7A],
+            ]);
+            expect(decodePackedBuffer(buffer)).toEqual([["a", "", ""], ["xyz"]]);
+            expect(decodePackedBuffer(buffer, { nulls: true })).toEqual([["a", null, ""], ["xyz"]]);
+            expect(decodePackedBuffer(buffer, { keys: ["p", "q", "r"], nulls: true })).toEqual([
+                { p: "a", q: null, r: "" },
+                { p: "xyz", q: null, r: null },
+            ]);
+        });
+
+        test("should decode multi-byte varint lengths", () => {
+            const field = "x".repeat(70000);
+            // 70000 << 1 = 140000 = E0 C5 08
+            const row = [1, 0xE0, 0xC5, 0x08, ...Buffer.from(field)];
+            expect(decodePackedBuffer(buildBuffer(2, 1, [row]))[0][0]).toBe(field);
+        });
+
+        test("should reject unknown versions and truncated buffers", () => {
+            expect(PACKED_VERSIONS).toEqual([1, 2]);
+            expect(() => decodePackedBuffer(buildBuffer(3, 0, []))).toThrow("Unsupported version: 3");
+            expect(() => decodePackedBuffer(buildBuffer(2, 1, [[1, 0x80]]))).toThrow("Truncated varint");
+            expect(() => decodePackedBuffer(new Uint8Array(8))).toThrow("Buffer too small");
+        });
+    });
+
+    describe("native buffers", () => {
+        test("should keep fields larger than 64 KB", () => {
+            const doc = JSON.stringify({ items: Array.from({ length: 5000 }, (_, i) => ({ id: i, tags: ["a", "b"] })) });
+            expect(doc.length).toBeGreaterThan(65535);
+
+            const data = `id,doc\n1,"${doc.replaceAll('"', '""')}"\n2,{}`;
+            const result = parseCSV(data, { mode: "packed", hasHeader: true });
+            expect(result.rows[0][1]).toBe(doc);
+            expect(JSON.parse(result.rows[0][1]).items).toHaveLength(5000);
+            expect(result.rows[1]).toEqual(["2", "{}"]);
+        });
+
+        test("should keep the length of ragged rows", () => {
+            const data = "a,b,c\n1\n1,2,3,4\n";
+            expect(parseCSV(data, { mode: "packed" }).rows).toEqual(parseCSV(data, { mode: "field" }).rows);
+            expect(parseCSV(data, { mode: "packed" }).rows).toEqual([["a", "b", "c"], ["1"], ["1", "2", "3", "4"]]);
+        });
+
+        test("should tell quoted empty fields from empty ones with emptyAsNull", () => {
+            const data = 'a,b,c\n1,,""\n"",2,\n3';
+            const expected = [["1", null, ""], ["", "2", null], ["3"]];
+            for (const mode of ["field", "bulk", "packed"]) {
+                expect(parseCSV(data, { mode, hasHeader: true, emptyAsNull: true }).rows).toEqual(expected);
+                expect(parseCSV(data, { mode, hasHeader: true }).rows).toEqual([["1", "", ""], ["", "2", ""], ["3"]]);
+            }
+            expect(parseCSV(data, { mode: "packed", output: "objects", emptyAsNull: true }).rows[2]).toEqual({ a: "3", b: null, c: null });
+            expect(parseCSV(data, { mode: "packed", columns: [2, 0], emptyAsNull: true }).rows[3]).toEqual([null, "3"]);
+        });
+
+        test("should decode nulls in streams", async () => {
+            const rows = [];
+            for await (const row of streamCSV(['a,b\n1,', '\n,""\n'], { emptyAsNull: true, hasHeader: true })) {
+                rows.push(row);
+            }
+            expect(rows).toEqual([["1", null], [null, ""]]);
+        });
+
+        test("should reject emptyAsNull in lazy mode", () => {
+            expect(() => parseCSV("a,,b", { mode: "lazy", emptyAsNull: true })).toThrow(TypeError);
+        });
+    });
+});
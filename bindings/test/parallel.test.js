@@ -0,0 +1,107 @@
+import { describe, test, expect, afterAll } from "bun:test";
+import { parseCSV, parseCSVFile } from "../index.js";
+import { tmpdir } from "os";
+import { join } from "path";
+import { unlinkSync } from "fs";
+
+/**
+ * Build a ~2.6 MB CSV that exercises everything chunk splitting has to get
+ * right: quoted newlines, escaped quotes, quotes inside unquoted fields,
+ * comment lines containing quotes, CRLF and empty lines.
+ */
+function buildLargeCSV() {
+    const lines = ["id,name,notes,amount"];
+    for (let i = 0; lines.length < 60000; i++) {
+        switch (i % 7) {
+            case 0:
+                lines.push(`${i},"multi\nline ${i}","said ""hi""\nthen left",${i * 1.5}`);
+                break;
+            case 1:
+                lines.push(`${i},5" screen,plain text,${i}`);
+                break;
+            case 2:
+                lines.push(`# comment with "unbalanced quote ${i}`);
+                break;
+            case 3:
+                lines.push("");
+                break;
+            case 4:
+                lines.push(`${i},"a, b, c",,${i}\r`);
+                break;
+            default:
+                lines.push(`${i},name${i},"${"x".repeat(40)}\n\n${"y".repeat(10)}",${i}`);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+describe("Parallel Parsing", () => {
+    const data = buildLargeCSV();
+    const sequential = parseCSV(data, { mode: "field" });
+    const tempFiles = [];
+
+    afterAll(() => {
+        for (const file of tempFiles) {
+            try { unlinkSync(file); } catch {}
+        }
+    });
+
+    test("input should be above the parallel threshold", () => {
+        expect(data.length).toBeGreaterThan(2 * 1024 * 1024);
+    });
+
+    for (const threads of [2, 3, 4, 8]) {
+        test(`should match sequential parsing with ${threads} threads`, () => {
+            const result = parseCSV(data, { mode: "field", threads });
+            expect(result.rowCount).toBe(sequential.rowCount);
+            expect(result.rows).toEqual(sequential.rows);
+        });
+    }
+
+    test("should match sequential parsing with automatic thread count", () => {
+        const result = parseCSV(data, { parallel: true, mode: "packed" });
+        expect(result.rows).toEqual(parseCSV(data, { mode: "packed" }).rows);
+    });
+
+    test("should respect parser configuration in every worker", () => {
+        const custom = data.replaceAll(",", ";").replaceAll("#", "%");
+        const options = { delimiter: ";", comment: "%", mode: "field" };
+        const result = parseCSV(custom, { ...options, threads: 4 });
+        expect(result.rows).toEqual(parseCSV(custom, options).rows);
+    });
+
+    test("should apply hasHeader once", () => {
+        const result = parseCSV(data, { hasHeader: true, threads: 4, mode: "field" });
+        expect(result.headers).toEqual(["id", "name", "notes", "amount"]);
+        expect(result.rowCount).toBe(sequential.rowCount - 1);
+    });
+
+    test("should parse small inputs sequentially", () => {
+        const result = parseCSV("a,b\n1,2", { parallel: true });
+        expect(result.rows).toEqual([["a", "b"], ["1", "2"]]);
+    });
+
+    test("should report the same error as sequential parsing", () => {
+        const broken = data + '1,"oops"x,2\n';
+        const seqError = (() => { try { parseCSV(broken); } catch (e) { return e; } })();
+        const parError = (() => { try { parseCSV(broken, { threads: 4 }); } catch (e) { return e; } })();
+
+        expect(parError).toBeDefined();
+        expect(parError.code).toBe(seqError.code);
+        expect(parError.line).toBe(seqError.line);
+    });
+
+    test("should reject invalid thread counts", () => {
+        expect(() => parseCSV("a", { threads: -1 })).toThrow(TypeError);
+        expect(() => parseCSV("a", { threads: 1.5 })).toThrow(TypeError);
+    });
+
+    test("should support parseCSVFile", async () => {
+        const path = join(tmpdir(), `ocsv-parallel-${process.pid}.csv`);
+        tempFiles.push(path);
+        await Bun.write(path, data);
+
+        const result = await parseCSVFile(path, { parallel: true, threads: 4, mode: "field" });
+        expect(result.rows).toEqual(sequential.rows);
+    });
+});
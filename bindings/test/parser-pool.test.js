@@ -0,0 +1,191 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, Parser, ParserPool, OcsvError } from "../index.js";
+
+const native = BACKEND === "native";
+
+describe("Per-call configuration", () => {
+    test("should not carry options over to the next call", () => {
+        using parser = new Parser();
+        expect(parser.parse("a;b,c", { delimiter: ";" }).rows).toEqual([["a", "b,c"]]);
+        expect(parser.parse("a;b,c").rows).toEqual([["a;b", "c"]]);
+
+        expect(parser.parse("#a\nb", { comment: "" }).rows).toEqual([["#a"], ["b"]]);
+        expect(parser.parse("#a\nb").rows).toEqual([["b"]]);
+
+        expect(parser.parse("a,\"b\"c", { relaxed: true }).rows).toEqual([["a", "b\"c"]]);
+        expect(() => parser.parse("a,\"b\"c")).toThrow(OcsvError);
+    });
+
+    test("should not carry options over to a stream", async () => {
+        using parser = new Parser();
+        parser.parse("a;b", { delimiter: ";", trim: true });
+        const rows = [];
+        for await (const row of parser.stream(["a;b, c \n"])) {
+            rows.push(row);
+        }
+        expect(rows).toEqual([["a;b", " c "]]);
+    });
+
+    test("should clear the error of a failed parse", () => {
+        using parser = new Parser();
+        expect(() => parser.parse("a,\"b\"x\n")).toThrow(OcsvError);
+        expect(parser.parse("a,b\n").rows).toEqual([["a", "b"]]);
+        expect(parser.parse("").rows).toEqual([]);
+    });
+});
+
+describe("Parser defaults", () => {
+    test("should apply constructor defaults to every call", () => {
+        using parser = new Parser({ delimiter: ";", hasHeader: true });
+        const result = parser.parse("x;y\n1;2");
+        expect(result.headers).toEqual(["x", "y"]);
+        expect(result.rows).toEqual([["1", "2"]]);
+        expect(parser.parse("x;y\n3;4").rows).toEqual([["3", "4"]]);
+    });
+
+    test("should let call options override defaults for that call only", () => {
+        using parser = new Parser({ delimiter: ";" });
+        expect(parser.parse("a|b;c", { delimiter: "|" }).rows).toEqual([["a", "b;c"]]);
+        expect(parser.parse("a|b;c").rows).toEqual([["a|b", "c"]]);
+    });
+
+    test("should apply defaults to streams", async () => {
+        using parser = new Parser({ trim: true });
+        const rows = [];
+        for await (const row of parser.stream([" a , b \n"])) {
+            rows.push(row);
+        }
+        expect(rows).toEqual([["a", "b"]]);
+    });
+
+    test("should not be affected by later changes to the given object", () => {
+        const defaults = { delimiter: ";" };
+        using parser = new Parser(defaults);
+        defaults.delimiter = "|";
+        expect(parser.parse("a;b").rows).toEqual([["a", "b"]]);
+        expect(Object.isFrozen(parser.defaults)).toBe(true);
+    });
+
+    test("should reject defaults that are not an object", () => {
+        expect(() => new Parser(";")).toThrow(TypeError);
+        expect(() => new Parser(null)).toThrow(TypeError);
+        expect(() => new Parser([])).toThrow(TypeError);
+    });
+});
+
+describe("ParserPool", () => {
+    test("should create its parsers up front and reuse them", () => {
+        using pool = new ParserPool(2);
+        expect(pool.idle.length).toBe(2);
+
+        const parser = pool.acquire();
+        expect(pool.idle.length).toBe(1);
+        pool.release(parser);
+        expect(pool.acquire()).toBe(parser);
+        pool.release(parser);
+    });
+
+    test("should isolate the configuration of consecutive users", () => {
+        using pool = new ParserPool(1, { hasHeader: true });
+        expect(pool.parse("a;b\n1;2", { delimiter: ";" }).rows).toEqual([["1", "2"]]);
+        const result = pool.parse("a;b\n1;2");
+        expect(result.headers).toEqual(["a;b"]);
+        expect(result.rows).toEqual([["1;2"]]);
+    });
+
+    test("should create parsers on demand and keep at most size idle", () => {
+        using pool = new ParserPool(1);
+        const first = pool.acquire();
+        const second = pool.acquire();
+        expect(second).not.toBe(first);
+        expect(pool.idle.length).toBe(0);
+
+        pool.release(first);
+        pool.release(second);
+        expect(pool.idle).toEqual([first]);
+        expect(second.parser).toBeNull();
+    });
+
+    test("should reject parsers it did not hand out", () => {
+        using pool = new ParserPool(1);
+        using stranger = new Parser();
+        expect(() => pool.release(stranger)).toThrow("Parser was not acquired from this pool or was already released");
+
+        const parser = pool.acquire();
+        pool.release(parser);
+        expect(() => pool.release(parser)).toThrow("Parser was not acquired from this pool or was already released");
+    });
+
+    test("should not reuse a parser destroyed by its user", () => {
+        using pool = new ParserPool(1);
+        const parser = pool.acquire();
+        parser.destroy();
+        pool.release(parser);
+        expect(pool.idle.length).toBe(0);
+        expect(pool.parse("a,b").rows).toEqual([["a", "b"]]);
+    });
+
+    test("should release the parser after use(), also on errors and async work", async () => {
+        using pool = new ParserPool(1);
+        expect(pool.use((parser) => parser.parse("a").rows)).toEqual([["a"]]);
+        expect(pool.idle.length).toBe(1);
+
+        expect(() => pool.use(() => {
+            throw new Error("boom");
+        })).toThrow("boom");
+        expect(pool.idle.length).toBe(1);
+
+        const pending = pool.use(async (parser) => {
+            await Bun.sleep(1);
+            return parser.parse("b").rows;
+        });
+        expect(pool.idle.length).toBe(0);
+        expect(await pending).toEqual([["b"]]);
+        expect(pool.idle.length).toBe(1);
+    });
+
+    test("should destroy idle parsers, and busy ones when released", () => {
+        const pool = new ParserPool(2);
+        const busy = pool.acquire();
+        const [idle] = pool.idle;
+        pool.destroy();
+        expect(idle.parser).toBeNull();
+        expect(busy.parse("a").rows).toEqual([["a"]]);
+
+        pool.release(busy);
+        expect(busy.parser).toBeNull();
+        expect(() => pool.acquire()).toThrow("Parser pool has been destroyed");
+        pool.destroy();  // Still safe
+    });
+
+    test("should reject invalid sizes and defaults", () => {
+        expect(() => new ParserPool(0)).toThrow(TypeError);
+        expect(() => new ParserPool(1.5)).toThrow(TypeError);
+        expect(() => new ParserPool(1, ";")).toThrow(TypeError);
+        expect(() => new ParserPool(1, null)).toThrow(TypeError);
+    });
+
+    test("should not be affected by later changes to the given defaults", () => {
+        const defaults = { delimiter: ";" };
+        using pool = new ParserPool(1, defaults);
+        defaults.delimiter = "|";
+        const pooled = pool.acquire();
+        const extra = pool.acquire();
+        expect(pooled.parse("a;b|c").rows).toEqual([["a", "b|c"]]);
+        expect(extra.parse("a;b|c").rows).toEqual([["a", "b|c"]]);
+        pool.release(pooled);
+        pool.release(extra);
+        expect(Object.isFrozen(pool.defaults)).toBe(true);
+    });
+
+    test.skipIf(!native)("should keep lazy results valid after the parser is reused", () => {
+        using pool = new ParserPool(1);
+        using result = pool.parse("name\nAlice\nBob", { mode: "lazy", hasHeader: true });
+        const row = result.getRow(1);
+
+        expect(pool.parse("other\nrows").rows).toEqual([["other"], ["rows"]]);
+        pool.destroy();
+        expect(row.getField(0)).toBe("Bob");
+        expect(result.getRow(0).toArray()).toEqual(["Alice"]);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, parseCSV, validate, registerTransform, registerValidator, listPlugins } from "../index.js";
+
+const native = BACKEND === "native";
+
+// Registrations are global, so every test uses its own names
+registerTransform("test_compact", (value) => value.replace(/\s+/g, ""));
+registerTransform("test_reverse", (value) => [...value].reverse().join(""));
+registerValidator("test_iban", (value) => /^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(value) || `Invalid IBAN: ${value}`);
+registerValidator("test_even", (value) => Number(value) % 2 === 0);
+
+const DATA = "name,iban\nann, de89 3704 0044 0532 0130 00 \nbob,xx00\n";
+
+describe("Plugins", () => {
+    test.skipIf(!native)("listPlugins should list native and JavaScript plugins", () => {
+        const plugins = listPlugins();
+        expect(plugins).toContainEqual({ name: "trim", type: "transform", source: "native" });
+        expect(plugins).toContainEqual({ name: "test_compact", type: "transform", source: "js" });
+        expect(plugins).toContainEqual({ name: "test_iban", type: "validator", source: "js" });
+        expect(plugins.findIndex((p) => p.type === "validator")).toBeGreaterThan(plugins.findIndex((p) => p.name === "uppercase"));
+    });
+
+    test.skipIf(!native)("registered transforms should run after built-in ones", () => {
+        const options = { hasHeader: true, transforms: { iban: ["test_compact", "uppercase"], name: "test_reverse" } };
+        for (const mode of ["field", "packed", "bulk"]) {
+            expect(parseCSV(DATA, { ...options, mode }).rows).toEqual([
+                ["nna", "DE89370400440532013000"],
+                ["bob", "XX00"],
+            ]);
+        }
+    });
+
+    test.skipIf(!native)("registered transforms should support objects, projection and filter", () => {
+        const result = parseCSV(DATA, {
+            output: "objects",
+            columns: ["iban"],
+            transforms: { "*": "test_compact", name: "test_reverse" },
+            filter: (row) => row.iban.length > 4,
+        });
+        expect(result.rows).toEqual([{ iban: "de89370400440532013000" }]);
+        expect(result.rowCount).toBe(1);
+    });
+
+    test.skipIf(!native)("validators should report failures as custom errors", () => {
+        const result = parseCSV(DATA, {
+            hasHeader: true,
+            transforms: { iban: ["uppercase", "test_compact"] },
+            schema: [{ name: "name", required: true }, { name: "iban", validator: "test_iban" }],
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.rows[0]).toEqual(["ann", "DE89370400440532013000"]);
+        expect(result.validationErrors).toEqual([{
+            row: 3,
+            column: 2,
+            columnName: "iban",
+            value: "XX00",
+            rule: "custom",
+            validator: "test_iban",
+            message: "Invalid IBAN: XX00",
+        }]);
+    });
+
+    test.skipIf(!native)("validators should combine with built-in rules and validate()", () => {
+        const schema = [{ name: "n", type: "int", max: 10, validator: ["test_even"] }];
+        const { valid, rows, errors } = validate([["4"], ["7"], ["12"], [""]], schema);
+
+        expect(valid).toBe(false);
+        expect(rows).toEqual([[4], [7], [12], [null]]);
+        expect(errors.map((e) => [e.row, e.rule])).toEqual([[2, "custom"], [3, "max"]]);
+        expect(errors[0].message).toContain("test_even");
+    });
+
+    test.skipIf(!native)("should reject invalid registrations and unknown names", () => {
+        expect(() => registerTransform("trim", (v) => v)).toThrow("already registered");
+        expect(() => registerTransform("test_compact", (v) => v)).toThrow("already registered");
+        expect(() => registerValidator("", () => true)).toThrow(TypeError);
+        expect(() => registerValidator("test_missing_fn")).toThrow(TypeError);
+        expect(() => validate([["a"]], [{ validator: "nope" }])).toThrow("Unknown validator 'nope'");
+        expect(() => parseCSV(DATA, { hasHeader: true, transforms: { name: "nope" } })).toThrow("Unknown transform 'nope'");
+    });
+
+    test("registered transforms should be rejected where rows are not materialized", () => {
+        const transforms = { name: "test_reverse" };
+        expect(() => parseCSV(DATA, { hasHeader: true, mode: "lazy", transforms })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { mode: "columnar", transforms })).toThrow(TypeError);
+        expect(() => parseCSV(DATA, { hasHeader: true, inferTypes: true, transforms })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { BACKEND, parseCSV, parseCSVFile, parseCSVAsync, streamCSV, WorkerPool, OcsvError, ParseErrorCode } from "../index.js";
+
+const native = BACKEND === "native";
+
+// About 3 MB, so the native parser reaches a few progress checkpoints
+const ROW = "1234567890,abcdefghij,\"quoted, field\"\n";
+const ROWS = Math.ceil((3 * 1024 * 1024) / ROW.length);
+const DATA = ROW.repeat(ROWS);
+
+const pool = new WorkerPool(1);
+
+afterAll(() => {
+    pool.terminate();
+});
+
+async function expectAborted(promise) {
+    const error = await promise.catch((err) => err);
+    expect(error).toBeInstanceOf(OcsvError);
+    expect(error.code).toBe(ParseErrorCode.ABORTED);
+}
+
+describe("onProgress", () => {
+    const path = join(tmpdir(), `ocsv-progress-${process.pid}.csv`);
+
+    beforeAll(() => {
+        writeFileSync(path, DATA);
+    });
+
+    afterAll(() => {
+        unlinkSync(path);
+    });
+
+    test("should report checkpoints and a final update", () => {
+        const updates = [];
+        const result = parseCSV(DATA, { onProgress: (update) => updates.push(update) });
+        expect(result.rowCount).toBe(ROWS);
+        expect(updates.length).toBeGreaterThan(2);
+        for (let i = 1; i < updates.length; i++) {
+            expect(updates[i].bytesProcessed).toBeGreaterThan(updates[i - 1].bytesProcessed);
+            expect(updates[i].rowsParsed).toBeGreaterThanOrEqual(updates[i - 1].rowsParsed);
+        }
+        expect(updates.at(-1)).toEqual({ bytesProcessed: DATA.length, totalBytes: DATA.length, rowsParsed: ROWS });
+    });
+
+    test("should stay sequential and give the same rows with parallel", () => {
+        let calls = 0;
+        expect(parseCSV(DATA, { onProgress: () => calls++, parallel: true }).rows).toEqual(parseCSV(DATA).rows);
+        expect(calls).toBeGreaterThan(2);
+    });
+
+    test.skipIf(!native)("should report recovery parses", () => {
+        let calls = 0;
+        expect(parseCSV(DATA, { onProgress: () => calls++, onError: "skip" }).rowCount).toBe(ROWS);
+        expect(calls).toBeGreaterThan(2);
+    });
+
+    test("should report file parses with and without mmap", async () => {
+        for (const mmap of native ? [false, true] : [false]) {
+            const updates = [];
+            const result = await parseCSVFile(path, { mmap, onProgress: (update) => updates.push(update) });
+            expect(result.rowCount).toBe(ROWS);
+            expect(updates.length).toBeGreaterThan(2);
+            expect(updates.at(-1).totalBytes).toBe(DATA.length);
+        }
+    });
+
+    test("should report after each streamed chunk", async () => {
+        const updates = [];
+        let rows = 0;
+        for await (const _ of streamCSV(new Blob([DATA]), { onProgress: (update) => updates.push(update) })) {
+            rows++;
+        }
+        expect(rows).toBe(ROWS);
+        expect(updates.at(-1)).toEqual({ bytesProcessed: DATA.length, totalBytes: DATA.length, rowsParsed: ROWS });
+
+        const chunks = [];
+        await Array.fromAsync(streamCSV(["a,b\n", "1,2\n"], { onProgress: (update) => chunks.push(update) }));
+        expect(chunks.at(-1)).toEqual({ bytesProcessed: 8, totalBytes: null, rowsParsed: 2 });
+    });
+
+    test("should be called on the calling thread for async parses", async () => {
+        const updates = [];
+        const result = await parseCSVAsync(DATA, { pool, onProgress: (update) => updates.push(update) });
+        expect(result.rowCount).toBe(ROWS);
+        expect(updates.length).toBeGreaterThan(2);
+        expect(updates.at(-1).rowsParsed).toBe(ROWS);
+    });
+
+    test("should abort the parse and rethrow when it throws", () => {
+        const error = new Error("stop");
+        expect(() => parseCSV(DATA, { onProgress: () => { throw error; } })).toThrow(error);
+    });
+
+    test("should reject invalid options", () => {
+        expect(() => parseCSV("a,b", { onProgress: 1 })).toThrow("onProgress must be a function");
+        expect(() => parseCSV("a,b", { signal: {} })).toThrow("signal must be an AbortSignal");
+        expect(() => streamCSV(["a,b"], { signal: true })).toThrow(TypeError);
+    });
+});
+
+describe("signal", () => {
+    test("should reject a signal that is already aborted", async () => {
+        const signal = AbortSignal.abort();
+        for (const mode of native ? ["auto", "lazy"] : ["auto"]) {
+            expect(() => parseCSV(DATA, { signal, mode })).toThrow(OcsvError);
+        }
+        await expectAborted(parseCSVAsync(DATA, { signal, pool }));
+        await expectAborted(Array.fromAsync(streamCSV([DATA], { signal })));
+    });
+
+    test("should stop the native parse at the next checkpoint", () => {
+        const controller = new AbortController();
+        let calls = 0;
+        const onProgress = () => {
+            calls++;
+            controller.abort();
+        };
+        let error;
+        try {
+            parseCSV(DATA, { signal: controller.signal, onProgress });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(OcsvError);
+        expect(error.code).toBe(ParseErrorCode.ABORTED);
+        expect(calls).toBe(1);
+    });
+
+    test("should stop a worker parse", async () => {
+        const controller = new AbortController();
+        const promise = parseCSVAsync(DATA, { signal: controller.signal, pool, onProgress: () => controller.abort() });
+        await expectAborted(promise);
+
+        // The worker is free for the next task
+        expect((await parseCSVAsync("a,b\n1,2\n", { pool })).rowCount).toBe(2);
+    });
+
+    test("should stop a stream between chunks", async () => {
+        const controller = new AbortController();
+        const stream = streamCSV(["a,b\n", "1,2\n", "3,4\n"], { signal: controller.signal });
+        const rows = [];
+        const error = await (async () => {
+            for await (const row of stream) {
+                rows.push(row);
+                controller.abort();
+            }
+        })().catch((err) => err);
+        expect(error.code).toBe(ParseErrorCode.ABORTED);
+        expect(rows).toEqual([["a", "b"]]);
+        expect(stream.stream).toBeNull();
+    });
+});
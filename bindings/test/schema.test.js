@@ -0,0 +1,127 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, parseCSV, validate } from "../index.js";
+
+const native = BACKEND === "native";
+
+const data = [
+    "name,age,score,active,joined,tier",
+    "Alice,30,91.5,yes,2024-01-15,gold",
+    "Bob,abc,78,no,2023-06-01,silver",
+    "Carol,,88.25,1,2022-12-31,platinum",
+].join("\n");
+
+const schema = {
+    columns: [
+        { name: "name", type: "string", required: true, maxLength: 10 },
+        { name: "age", type: "int", min: 0, max: 150 },
+        { name: "score", type: "float" },
+        { name: "active", type: "bool" },
+        { name: "joined", type: "date" },
+        { name: "tier", allowedValues: ["gold", "silver"] },
+    ],
+};
+
+describe("Schema Validation", () => {
+    describe("parseCSV with schema", () => {
+        test.skipIf(!native)("should convert values to typed JS values", () => {
+            const result = parseCSV(data, { hasHeader: true, schema });
+
+            expect(result.headers).toEqual(["name", "age", "score", "active", "joined", "tier"]);
+            expect(result.rowCount).toBe(3);
+
+            const [alice] = result.rows;
+            expect(alice[0]).toBe("Alice");
+            expect(alice[1]).toBe(30);
+            expect(alice[2]).toBe(91.5);
+            expect(alice[3]).toBe(true);
+            expect(alice[4]).toBeInstanceOf(Date);
+            expect(alice[4].toISOString().slice(0, 10)).toBe("2024-01-15");
+        });
+
+        test.skipIf(!native)("should return null for empty non-string values", () => {
+            const result = parseCSV(data, { hasHeader: true, schema });
+            expect(result.rows[2][1]).toBe(null);
+            expect(result.rows[2][3]).toBe(true);
+        });
+
+        test.skipIf(!native)("should report every validation error with row, column name and rule", () => {
+            const result = parseCSV(data, { hasHeader: true, schema });
+
+            expect(result.valid).toBe(false);
+            expect(result.validationErrors).toHaveLength(2);
+
+            const [typeError, enumError] = result.validationErrors;
+            expect(typeError).toMatchObject({ row: 3, column: 2, columnName: "age", value: "abc", rule: "type" });
+            expect(enumError).toMatchObject({ row: 4, column: 6, columnName: "tier", value: "platinum", rule: "allowedValues" });
+            expect(typeof typeError.message).toBe("string");
+        });
+
+        test.skipIf(!native)("should name unnamed columns from the header", () => {
+            const result = parseCSV("id,qty\n1,x", {
+                hasHeader: true,
+                schema: [{ type: "int" }, { type: "int" }],
+            });
+            expect(result.validationErrors[0].columnName).toBe("qty");
+        });
+
+        test.skipIf(!native)("should apply required, min/max and length rules", () => {
+            const result = parseCSV(",-5\nabcdefghijkl,200", {
+                schema: [
+                    { name: "name", required: true, maxLength: 10 },
+                    { name: "n", type: "int", min: 0, max: 100 },
+                ],
+            });
+            const rules = result.validationErrors.map((e) => `${e.row}:${e.rule}`);
+            expect(rules).toEqual(["1:required", "1:min", "2:maxLength", "2:max"]);
+        });
+
+        test.skipIf(!native)("should use default values for empty fields", () => {
+            const result = parseCSV("a,\nb,7", {
+                schema: [{ name: "id" }, { name: "qty", type: "int", required: true, default: "0" }],
+            });
+            expect(result.valid).toBe(true);
+            expect(result.rows).toEqual([["a", 0], ["b", 7]]);
+        });
+
+        test.skipIf(!native)("should report extra columns", () => {
+            const result = parseCSV("1,2,3", { schema: [{ type: "int" }, { type: "int" }] });
+            expect(result.validationErrors[0].rule).toBe("columnCount");
+
+            const allowed = parseCSV("1,2,3", {
+                schema: { columns: [{ type: "int" }, { type: "int" }], allowExtraColumns: true },
+            });
+            expect(allowed.valid).toBe(true);
+        });
+
+        test("should reject unknown types", () => {
+            expect(() => parseCSV("1", { schema: [{ type: "decimal" }] })).toThrow(TypeError);
+        });
+
+        test("should not be supported in lazy mode", () => {
+            expect(() => parseCSV("1", { mode: "lazy", schema: [{ type: "int" }] })).toThrow();
+        });
+    });
+
+    describe("validate()", () => {
+        test.skipIf(!native)("should validate plain string rows", () => {
+            const { rows, valid, errors } = validate([["1", "true"], ["2", "maybe"]], [
+                { name: "id", type: "int" },
+                { name: "flag", type: "bool" },
+            ]);
+
+            expect(rows[0]).toEqual([1, true]);
+            expect(valid).toBe(false);
+            expect(errors).toHaveLength(1);
+            expect(errors[0]).toMatchObject({ row: 2, columnName: "flag", rule: "type" });
+        });
+
+        test.skipIf(!native)("should stop at the first invalid row in strict mode", () => {
+            const { rows, errors } = validate([["1"], ["x"], ["3"]], {
+                columns: [{ name: "n", type: "int" }],
+                strict: true,
+            });
+            expect(rows).toEqual([[1]]);
+            expect(errors).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect } from "bun:test";
+import { Parser, parseCSV, sniffCSV } from "../index.js";
+
+describe("Dialect Sniffing", () => {
+    describe("sniffCSV", () => {
+        test("should detect common delimiters", () => {
+            expect(sniffCSV("a,b,c\n1,2,3\n4,5,6").delimiter).toBe(",");
+            expect(sniffCSV("a;b;c\n1;2;3\n4;5;6").delimiter).toBe(";");
+            expect(sniffCSV("a\tb\tc\n1\t2\t3\n4\t5\t6").delimiter).toBe("\t");
+            expect(sniffCSV("a|b|c\n1|2|3\n4|5|6").delimiter).toBe("|");
+        });
+
+        test("should ignore candidate delimiters inside quoted fields", () => {
+            const sample = 'name;address;city\nAlice;"1 Main St, Apt 2";Paris\nBob;"5 Elm, Suite 9, 2nd floor";Berlin\n';
+            const dialect = sniffCSV(sample);
+
+            expect(dialect.delimiter).toBe(";");
+            expect(dialect.quote).toBe('"');
+            expect(dialect.confidence).toBe(1);
+        });
+
+        test("should detect single-quoted fields", () => {
+            const dialect = sniffCSV("id|note\n1|'a|b'\n2|'c'\n");
+            expect(dialect.delimiter).toBe("|");
+            expect(dialect.quote).toBe("'");
+        });
+
+        test("should detect a header row", () => {
+            expect(sniffCSV("id,name,score\n1,Alice,30\n2,Bob,25").hasHeader).toBe(true);
+            expect(sniffCSV("1,Alice,30\n2,Bob,25\n3,Carol,41").hasHeader).toBe(false);
+            expect(sniffCSV("Alice,30,Paris\nBob,25,Berlin").hasHeader).toBe(false);
+            expect(sniffCSV("code,name\nFR,France\nDE,Germany").hasHeader).toBe(true);
+        });
+
+        test("should detect line terminators and comments", () => {
+            expect(sniffCSV("a,b\r\n1,2\r\n").lineTerminator).toBe("\r\n");
+            expect(sniffCSV("a,b\n1,2\n").lineTerminator).toBe("\n");
+            expect(sniffCSV('a,"x\r\ny"\n1,2').lineTerminator).toBe("\n");
+
+            const dialect = sniffCSV("# exported by erp\nsku;qty\nA1;3\nB2;4");
+            expect(dialect.comment).toBe("#");
+            expect(dialect.delimiter).toBe(";");
+            expect(dialect.hasHeader).toBe(true);
+            expect(sniffCSV("a,b\n1,2").comment).toBe("");
+        });
+
+        test("should accept bytes and strip a BOM", () => {
+            const bytes = new TextEncoder().encode("﻿name;age\nAlice;30");
+            const dialect = sniffCSV(bytes);
+            expect(dialect.delimiter).toBe(";");
+            expect(dialect.hasHeader).toBe(true);
+        });
+
+        test("should report zero confidence without a delimiter", () => {
+            const dialect = sniffCSV("one column\nvalue");
+            expect(dialect.delimiter).toBe(",");
+            expect(dialect.confidence).toBe(0);
+        });
+
+        test("should lower confidence for ragged samples", () => {
+            const dialect = sniffCSV("a,b,c\n1,2,3\n4,5\n6,7,8");
+            expect(dialect.delimiter).toBe(",");
+            expect(dialect.confidence).toBe(0.75);
+        });
+
+        test("should honor custom candidate delimiters", () => {
+            expect(sniffCSV("a:b\n1:2", { delimiters: [":"] }).delimiter).toBe(":");
+            expect(() => sniffCSV("a,b", { delimiters: [";;"] })).toThrow(TypeError);
+            expect(() => sniffCSV(42)).toThrow(TypeError);
+        });
+    });
+
+    describe("delimiter: 'auto'", () => {
+        test("should parse with the detected dialect", () => {
+            const result = parseCSV('name;city\nAlice;"Paris; France"\nBob;Berlin', { delimiter: "auto" });
+
+            expect(result.headers).toEqual(["name", "city"]);
+            expect(result.rows).toEqual([["Alice", "Paris; France"], ["Bob", "Berlin"]]);
+            expect(result.dialect.delimiter).toBe(";");
+        });
+
+        test("should keep an explicit hasHeader", () => {
+            const result = parseCSV("id\tname\n1\tAlice", { delimiter: "auto", hasHeader: false });
+            expect(result.headers).toBeUndefined();
+            expect(result.rows).toEqual([["id", "name"], ["1", "Alice"]]);
+        });
+
+        test("should not leak the detected delimiter into the next parse", () => {
+            const parser = new Parser();
+            try {
+                expect(parser.parse("a|b\n1|2", { delimiter: "auto" }).rows).toEqual([["1", "2"]]);
+                expect(parser.parse("a|b\n1|2", { delimiter: "," }).rows).toEqual([["a|b"], ["1|2"]]);
+                expect(() => parser.stream([], { delimiter: "auto" })).toThrow(TypeError);
+            } finally {
+                parser.destroy();
+            }
+        });
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, test, expect, afterAll } from "bun:test";
+import { Parser, StreamResult, OcsvError, parseCSV, streamCSV } from "../index.js";
+import { tmpdir } from "os";
+import { join } from "path";
+import { unlinkSync } from "fs";
+import { collect } from "./helpers.js";
+
+const encoder = new TextEncoder();
+
+/**
+ * Split a string into byte chunks of the given size (splits may land inside
+ * quotes, CRLF pairs and multi-byte UTF-8 sequences on purpose)
+ */
+function byteChunks(data, size) {
+    const bytes = encoder.encode(data);
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) {
+        chunks.push(bytes.subarray(i, i + size));
+    }
+    return chunks;
+}
+
+describe("Streaming API", () => {
+    const tempFiles = [];
+
+    afterAll(() => {
+        for (const file of tempFiles) {
+            try { unlinkSync(file); } catch {}
+        }
+    });
+
+    describe("Sources", () => {
+        test("should accept an array of string chunks", async () => {
+            const rows = await collect(streamCSV(["a,b\n1,", "2\n3,4"]));
+            expect(rows).toEqual([["a", "b"], ["1", "2"], ["3", "4"]]);
+        });
+
+        test("should accept an async iterable of Uint8Array chunks", async () => {
+            async function* source() {
+                yield* byteChunks("x,y\n1,2\n", 3);
+            }
+            const rows = await collect(streamCSV(source()));
+            expect(rows).toEqual([["x", "y"], ["1", "2"]]);
+        });
+
+        test("should accept a ReadableStream", async () => {
+            const readable = new ReadableStream({
+                start(controller) {
+                    for (const chunk of byteChunks("a,b\n1,2\n3,4\n", 5)) {
+                        controller.enqueue(chunk);
+                    }
+                    controller.close();
+                },
+            });
+            const rows = await collect(streamCSV(readable));
+            expect(rows).toEqual([["a", "b"], ["1", "2"], ["3", "4"]]);
+        });
+
+        test("should accept Bun.file()", async () => {
+            const path = join(tmpdir(), `ocsv-stream-${process.pid}.csv`);
+            tempFiles.push(path);
+            const lines = Array(5000).fill(0).map((_, i) => `row${i},"value, ${i}"`);
+            await Bun.write(path, "name,value\n" + lines.join("\n"));
+
+            const stream = streamCSV(Bun.file(path), { hasHeader: true });
+            let count = 0;
+            let last = null;
+            for await (const row of stream) {
+                count++;
+                last = row;
+            }
+
+            expect(stream.headers).toEqual(["name", "value"]);
+            expect(count).toBe(5000);
+            expect(stream.rowCount).toBe(5000);
+            expect(last).toEqual(["row4999", "value, 4999"]);
+        });
+
+        test("should reject unsupported sources", async () => {
+            await expect(collect(streamCSV("a,b\n1,2"))).rejects.toThrow(TypeError);
+        });
+    });
+
+    describe("Chunk Boundaries", () => {
+        const data = 'id,text\n1,"multi\nline, with ""quotes"""\n2,"ünïcødé 😀"\r\n3,plain\n';
+
+        for (const size of [1, 2, 3, 7, 16]) {
+            test(`should match parseCSV with ${size}-byte chunks`, async () => {
+                const expected = parseCSV(data, { mode: "field", comment: "" }).rows;
+                const rows = await collect(streamCSV(byteChunks(data, size), { comment: "" }));
+                expect(rows).toEqual(expected);
+            });
+        }
+
+        test("should keep empty lines that start a chunk", async () => {
+            const rows = await collect(streamCSV(["a\n", "\nb"]));
+            const expected = parseCSV("a\n\nb", { mode: "field" }).rows;
+            expect(rows).toEqual(expected);
+        });
+    });
+
+    describe("Options", () => {
+        test("should apply delimiter and comment", async () => {
+            const rows = await collect(streamCSV(["# note\na;b\n", "1;2\n"], { delimiter: ";" }));
+            expect(rows).toEqual([["a", "b"], ["1", "2"]]);
+        });
+
+        test("should apply trim", async () => {
+            const rows = await collect(streamCSV(["  a ,b  \n", " 1, 2"], { trim: true }));
+            expect(rows).toEqual([["a", "b"], ["1", "2"]]);
+        });
+
+        test("should apply fromLine and toLine", async () => {
+            const chunks = ["r1\nr2\nr3\n", "r4\nr5\n"];
+            const rows = await collect(streamCSV(chunks, { fromLine: 2, toLine: 4 }));
+            expect(rows).toEqual([["r2"], ["r3"], ["r4"]]);
+        });
+
+        test("should stop reading the source once toLine is reached", async () => {
+            let pulled = 0;
+            function* source() {
+                for (let i = 0; i < 1000; i++) {
+                    pulled++;
+                    yield `row${i}\n`;
+                }
+            }
+            const rows = await collect(streamCSV(source(), { toLine: 3 }));
+            expect(rows.length).toBe(3);
+            expect(pulled).toBeLessThan(1000);
+        });
+
+        test("should expose headers with hasHeader", async () => {
+            const stream = streamCSV(["name,age\nAl", "ice,30\n"], { hasHeader: true });
+            const rows = await collect(stream);
+            expect(stream.headers).toEqual(["name", "age"]);
+            expect(rows).toEqual([["Alice", "30"]]);
+        });
+    });
+
+    describe("Errors and Lifecycle", () => {
+        test("should throw OcsvError on unterminated quote", async () => {
+            const error = await collect(streamCSV(['a,"b\n', "c"])).catch((err) => err);
+            expect(error).toBeInstanceOf(OcsvError);
+        });
+
+        test("should yield rows before a later error", async () => {
+            const rows = [];
+            const error = await (async () => {
+                for await (const row of streamCSV(["a,b\n", '1,"2"x\n'])) {
+                    rows.push(row);
+                }
+            })().catch((err) => err);
+
+            expect(rows).toEqual([["a", "b"]]);
+            expect(error).toBeInstanceOf(OcsvError);
+        });
+
+        test("should only iterate once", async () => {
+            const stream = streamCSV(["a\n"]);
+            await collect(stream);
+            await expect(collect(stream)).rejects.toThrow();
+        });
+
+        test("should be independent of the creating parser", async () => {
+            const parser = new Parser();
+            const stream = parser.stream(["a|b\n1|2"], { delimiter: "|" });
+            parser.destroy();
+
+            expect(stream).toBeInstanceOf(StreamResult);
+            expect(await collect(stream)).toEqual([["a", "b"], ["1", "2"]]);
+        });
+
+        test("should free native memory when destroyed without iterating", () => {
+            const stream = streamCSV(["a\n"]);
+            stream.destroy();
+            stream.destroy();
+            expect(stream.stream).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect } from "bun:test";
+import { BACKEND, parseCSV, listTransforms, inferSchema, streamCSV } from "../index.js";
+import { forEachMode } from "./helpers.js";
+
+const native = BACKEND === "native";
+
+const DATA = "name,email,city\n  ann   lee ,  Ann@Example.COM ,paris\nbob,BOB@X.IO,  new   york \n";
+
+describe.skipIf(!native)("Transforms", () => {
+    test("listTransforms should list the built-in transforms", () => {
+        const names = listTransforms();
+        expect(names).toContain("trim");
+        expect(names).toContain("normalize_space");
+        expect(names).toEqual([...names].sort());
+    });
+
+    test("should apply transforms by header name, index and '*'", () => {
+        const result = parseCSV(DATA, {
+            hasHeader: true,
+            transforms: { email: "lowercase", 2: ["normalize_space", "capitalize"], "*": "trim" },
+        });
+
+        expect(result.headers).toEqual(["name", "email", "city"]);
+        expect(result.rows).toEqual([
+            ["ann   lee", "ann@example.com", "Paris"],
+            ["bob", "bob@x.io", "New york"],
+        ]);
+    });
+
+    test("should apply in every extraction mode", () => {
+        forEachMode(DATA, { hasHeader: true, transforms: { "*": "trim", email: "lowercase" } }, (rows) => {
+            expect(rows).toEqual([
+                ["ann   lee", "ann@example.com", "paris"],
+                ["bob", "bob@x.io", "new   york"],
+            ]);
+        });
+    });
+
+    test("should apply in columnar mode", () => {
+        const columnar = parseCSV(DATA, { mode: "columnar", transforms: { email: ["trim", "uppercase"] } });
+        expect(columnar.columns.email).toEqual(["ANN@EXAMPLE.COM", "BOB@X.IO"]);
+    });
+
+    test("should run before where, schema and inference", () => {
+        const data = "id,status\n 1 , Open\n2,closed\n";
+        const transforms = { "*": ["trim", "lowercase"] };
+
+        expect(parseCSV(data, { hasHeader: true, transforms, where: { status: "open" } }).rows).toEqual([["1", "open"]]);
+        expect(parseCSV(data, { hasHeader: true, transforms, schema: [{ type: "int" }] }).rows[0][0]).toBe(1);
+        expect(inferSchema(data, { transforms }).columns[0].type).toBe("int");
+    });
+
+    test("should work with objects output and projection", () => {
+        const result = parseCSV(DATA, {
+            output: "objects",
+            columns: ["city"],
+            transforms: { city: ["normalize_space", "uppercase"] },
+        });
+        expect(result.rows).toEqual([{ city: "PARIS" }, { city: "NEW YORK" }]);
+    });
+
+    test("should leave null fields null", () => {
+        const result = parseCSV('a,b\n,""\n', { hasHeader: true, emptyAsNull: true, transforms: { "*": "date_iso8601" } });
+        expect(result.rows).toEqual([[null, ""]]);
+    });
+
+    test("should reject unknown transforms and columns", () => {
+        expect(() => parseCSV(DATA, { hasHeader: true, transforms: { name: "rot13" } })).toThrow("Unknown transform 'rot13'");
+        expect(() => parseCSV(DATA, { hasHeader: true, transforms: { nope: "trim" } })).toThrow("Unknown column");
+        expect(() => parseCSV(DATA, { transforms: ["trim"] })).toThrow(TypeError);
+        expect(() => streamCSV([DATA], { transforms: { "*": "trim" } })).toThrow(TypeError);
+    });
+});
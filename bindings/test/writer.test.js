@@ -0,0 +1,125 @@
+import { describe, test, expect } from "bun:test";
+import { parseCSV, stringifyCSV, Writer } from "../index.js";
+
+describe("CSV Writer", () => {
+    describe("Quoting", () => {
+        test("should only quote fields that need it", () => {
+            const csv = stringifyCSV([
+                ["plain", "with,comma", 'with "quote"', "multi\nline", "cr\rfield"],
+                [" leading", "trailing ", "", 42, true],
+            ]);
+            expect(csv).toBe(
+                'plain,"with,comma","with ""quote""","multi\nline","cr\rfield"\n' +
+                '" leading","trailing ",,42,true\n'
+            );
+        });
+
+        test("should quote a lone empty field and comment-like first fields", () => {
+            expect(stringifyCSV([[""], ["#tag", "#ok"]])).toBe('""\n"#tag",#ok\n');
+            expect(stringifyCSV([["#tag"]], { comment: "" })).toBe("#tag\n");
+        });
+
+        test("should quote every field with quoteAll", () => {
+            expect(stringifyCSV([["a", 1, ""]], { quoteAll: true })).toBe('"a","1",""\n');
+        });
+
+        test("should use custom delimiter, quote and escape", () => {
+            expect(stringifyCSV([["a;b", "c'd"]], { delimiter: ";", quote: "'" })).toBe("'a;b';'c''d'\n");
+            expect(stringifyCSV([['say "hi"']], { escape: "\\" })).toBe('"say \\"hi\\""\n');
+            expect(stringifyCSV([['a\\"b', "x\\,y"]], { escape: "\\" })).toBe('"a\\\\\\"b","x\\\\,y"\n');
+        });
+
+        test("should write null, undefined and Date values", () => {
+            const date = new Date(Date.UTC(2024, 0, 15, 12, 30));
+            expect(stringifyCSV([[null, undefined, date]])).toBe(",,2024-01-15T12:30:00.000Z\n");
+        });
+
+        test("should reject multi-character delimiters", () => {
+            expect(() => stringifyCSV([["a"]], { delimiter: "::" })).toThrow(TypeError);
+        });
+    });
+
+    describe("Headers and Line Terminators", () => {
+        test("should emit a header from object keys", () => {
+            const csv = stringifyCSV([
+                { id: 1, city: "Paris" },
+                { id: 2, city: "São Paulo", extra: "ignored" },
+                { id: 3 },
+            ]);
+            expect(csv).toBe("id,city\n1,Paris\n2,São Paulo\n3,\n");
+        });
+
+        test("should select and order object fields with columns", () => {
+            const csv = stringifyCSV([{ a: 1, b: 2, c: 3 }], { columns: ["c", "a"] });
+            expect(csv).toBe("c,a\n3,1\n");
+        });
+
+        test("should allow disabling the header for objects", () => {
+            expect(stringifyCSV([{ a: 1 }], { header: false })).toBe("1\n");
+        });
+
+        test("should emit an explicit header for array rows", () => {
+            expect(stringifyCSV([[1, 2]], { header: ["x", "y"] })).toBe("x,y\n1,2\n");
+            expect(stringifyCSV([], { header: ["x", "y"] })).toBe("x,y\n");
+        });
+
+        test("should use a custom line terminator", () => {
+            expect(stringifyCSV([["a"], ["b"]], { lineTerminator: "\r\n" })).toBe("a\r\nb\r\n");
+        });
+    });
+
+    describe("Writer", () => {
+        test("should write rows incrementally", () => {
+            const writer = new Writer({ header: ["name", "age"] });
+            expect(writer.write(["Alice", 30])).toBe("name,age\nAlice,30\n");
+            expect(writer.write(["Bob", 25])).toBe("Bob,25\n");
+            expect(writer.rowCount).toBe(2);
+            expect(writer.end()).toBe("name,age\nAlice,30\nBob,25\n");
+        });
+
+        test("should write to a sink", () => {
+            const written = [];
+            let flushed = false;
+            const writer = new Writer({
+                sink: { write: (text) => written.push(text), flush: () => { flushed = true; } },
+            });
+            writer.writeAll([{ a: 1 }, { a: 2 }]);
+
+            expect(writer.end()).toBe("");
+            expect(written.join("")).toBe("a\n1\n2\n");
+            expect(flushed).toBe(true);
+        });
+
+        test("should not accept rows after end()", () => {
+            const writer = new Writer();
+            writer.end();
+            expect(() => writer.write(["a"])).toThrow();
+        });
+    });
+
+    describe("Round-trip", () => {
+        const rows = [
+            ["id", "text", "empty", "spaces"],
+            ["1", 'quote " inside', "", "  padded  "],
+            ["2", "comma, and\nnewline", "", "x"],
+            ["#3", "crlf\r\nvalue", "", ""],
+        ];
+
+        test("should parse back to the same rows", () => {
+            const csv = stringifyCSV(rows);
+            expect(parseCSV(csv, { mode: "field" }).rows).toEqual(rows);
+        });
+
+        test("should round-trip with custom delimiter and quote", () => {
+            const options = { delimiter: "\t", quote: "'" };
+            const csv = stringifyCSV(rows, options);
+            expect(parseCSV(csv, { ...options, mode: "field" }).rows).toEqual(rows);
+        });
+
+        test("should round-trip with a custom escape", () => {
+            const escaped = [...rows, ['back\\slash "q"', "C:\\dir\\", '\\"', "x\\,y"]];
+            const csv = stringifyCSV(escaped, { escape: "\\" });
+            expect(parseCSV(csv, { escape: "\\", mode: "field" }).rows).toEqual(escaped);
+        });
+    });
+});
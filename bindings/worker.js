@@ -0,0 +1,51 @@
+/**
+ * OCSV - Parse Worker
+ *
+ * Worker script of the pool behind `parseCSVAsync()` and
+ * `Parser.parseAsync()`. Each worker keeps one native parser and answers
+ * every `{ input, options, abortFlag, progress }` message with
+ * `{ result, packed }` (rows stay in a packed buffer that is transferred
+ * back, see `Parser._parseTransferable`) or `{ error }`, after posting
+ * `{ progress }` updates if asked to.
+ *
+ * @module ocsv/worker
+ * @private
+ */
+
+import { Parser, OcsvError } from "./index.js";
+
+const parser = new Parser();
+
+self.onmessage = ({ data: { input, options, abortFlag, progress } }) => {
+	if (abortFlag || progress) {
+		// The caller's signal can't cross threads: its abort sets abortFlag, which is
+		// read at every progress checkpoint. Progress updates are posted as they come.
+		const controller = new AbortController();
+		const aborted = () => abortFlag && Atomics.load(abortFlag, 0) === 1;
+		if (aborted()) {
+			controller.abort();
+		}
+		options = {
+			...options,
+			signal: controller.signal,
+			onProgress: (update) => {
+				if (aborted()) {
+					controller.abort();
+				}
+				if (progress) {
+					self.postMessage({ progress: update });
+				}
+			},
+		};
+	}
+
+	let reply;
+	try {
+		reply = parser._parseTransferable(input, options);
+	} catch (err) {
+		const error = err instanceof OcsvError ? err.toJSON() : { name: err.name, message: err.message };
+		self.postMessage({ error });
+		return;
+	}
+	self.postMessage(reply, reply.packed?.buffer ? [reply.packed.buffer] : []);
+};
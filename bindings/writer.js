@@ -0,0 +1,291 @@
+/**
+ * OCSV - CSV Writer
+ *
+ * Serializes rows back to CSV using the same delimiter/quote/escape/comment
+ * conventions as ParseOptions, so output parsed by ocsv round-trips exactly.
+ *
+ * @module ocsv/writer
+ */
+
+/**
+ * Options for CSV serialization
+ * @typedef {Object} StringifyOptions
+ * @property {string} [delimiter=','] - Field delimiter character
+ * @property {string} [quote='"'] - Quote character
+ * @property {string} [escape='"'] - Character placed before a quote inside a quoted field (same as `quote` = RFC 4180 doubling);
+ *   a different character is also placed before itself
+ * @property {string} [comment='#'] - Comment character of the reader; a first field starting with it is quoted (empty string to disable)
+ * @property {string} [lineTerminator='\n'] - Row terminator, e.g. '\r\n' for strict RFC 4180 output
+ * @property {boolean} [quoteAll=false] - Quote every field, not only the ones that need it
+ * @property {boolean|string[]} [header] - Emit a header row: `true` uses `columns` or the keys of the first object row,
+ *   an array is used as-is. Defaults to `true` for object rows and `false` for array rows
+ * @property {string[]} [columns] - Keys (and their order) to write for object rows; defaults to the keys of the first object row
+ * @property {{write: function(string): *, flush?: function(): *}} [sink] - Destination for incremental output,
+ *   e.g. `Bun.file(path).writer()`. Without a sink the output is buffered and returned by `end()`
+ */
+
+/**
+ * Validate a single-character option (internal helper)
+ * @private
+ * @param {string} name - Option name (for error messages)
+ * @param {string} value - Option value
+ * @param {boolean} [allowEmpty=false] - Accept an empty string (disables the feature)
+ * @returns {string} The validated value
+ */
+function _singleChar(name, value, allowEmpty = false) {
+	if (typeof value !== 'string' || value.length > 1 || (value.length === 0 && !allowEmpty)) {
+		throw new TypeError(`${name} must be a single character, got ${JSON.stringify(value)}`);
+	}
+	return value;
+}
+
+/**
+ * Incremental CSV writer
+ *
+ * Fields are quoted only when needed: when they contain the delimiter, the
+ * quote character, CR or LF, have leading/trailing whitespace, would be read
+ * back as a comment line, or are the only (empty) field of a row.
+ *
+ * @example Buffered
+ * const writer = new Writer({ header: ['name', 'age'] });
+ * writer.write(['Alice', 30]);
+ * writer.write(['Bob, Jr.', 25]);
+ * console.log(writer.end()); // 'name,age\nAlice,30\n"Bob, Jr.",25\n'
+ *
+ * @example Streaming to a file
+ * const writer = new Writer({ sink: Bun.file('./out.csv').writer() });
+ * for (const record of records) {
+ *   writer.write(record); // objects: header comes from the first record's keys
+ * }
+ * writer.end();
+ */
+export class Writer {
+	/**
+	 * Create a new CSV writer
+	 * @param {StringifyOptions} [options={}] - Serialization options
+	 */
+	constructor(options = {}) {
+		this.delimiter = _singleChar('delimiter', options.delimiter ?? ',');
+		this.quote = _singleChar('quote', options.quote ?? '"');
+		this.escape = _singleChar('escape', options.escape ?? this.quote);
+		this.comment = _singleChar('comment', options.comment ?? '#', true);
+		this.lineTerminator = options.lineTerminator ?? '\n';
+		this.quoteAll = options.quoteAll ?? false;
+		this.columns = options.columns ?? (Array.isArray(options.header) ? options.header : null);
+		this.header = options.header;
+		this.sink = options.sink ?? null;
+		this.rowCount = 0;
+		this._chunks = [];
+		this._started = false;
+		this._ended = false;
+	}
+
+	/**
+	 * Write a row (array of values or object keyed by column name)
+	 *
+	 * `null`/`undefined` become empty fields, Dates are written as ISO 8601
+	 * and every other value with `String(value)`.
+	 *
+	 * @param {Array<*>|Object<string, *>} row - Row to write
+	 * @returns {string} The CSV text written for this call (including the header row, if emitted now)
+	 */
+	write(row) {
+		if (this._ended) {
+			throw new Error("Writer has already been ended");
+		}
+
+		let text = '';
+		if (!this._started) {
+			this._started = true;
+			text = this._startRows(row);
+		}
+
+		const values = Array.isArray(row) ? row : this._objectValues(row);
+		text += this.formatRow(values);
+		this.rowCount++;
+
+		this._emit(text);
+		return text;
+	}
+
+	/**
+	 * Write multiple rows
+	 * @param {Iterable<Array<*>|Object<string, *>>} rows - Rows to write
+	 * @returns {Writer} This writer, for chaining
+	 */
+	writeAll(rows) {
+		for (const row of rows) {
+			this.write(row);
+		}
+		return this;
+	}
+
+	/**
+	 * Finish writing
+	 *
+	 * Emits the header if `header` was given explicitly but no rows were
+	 * written, flushes the sink (if it supports it) and returns the buffered
+	 * output. The sink itself is not closed.
+	 *
+	 * @returns {string} The complete CSV text (empty string when writing to a sink)
+	 */
+	end() {
+		if (!this._ended) {
+			if (!this._started && Array.isArray(this.header)) {
+				this._started = true;
+				this._emit(this.formatRow(this.header));
+			}
+			this._ended = true;
+			this.sink?.flush?.();
+		}
+		return this.sink ? '' : this._chunks.join('');
+	}
+
+	/**
+	 * Format a single row of values as a CSV line (including the line terminator)
+	 * @param {Array<*>} values - Field values
+	 * @returns {string} Encoded CSV line
+	 */
+	formatRow(values) {
+		if (values.length === 1 && this._toText(values[0]) === '') {
+			// A lone empty field would be read back as an empty line
+			return this.quote + this.quote + this.lineTerminator;
+		}
+
+		let line = '';
+		for (let i = 0; i < values.length; i++) {
+			if (i > 0) line += this.delimiter;
+			line += this.formatField(values[i], i === 0);
+		}
+		return line + this.lineTerminator;
+	}
+
+	/**
+	 * Encode a single field, quoting it only when needed (or always with `quoteAll`)
+	 * @param {*} value - Field value
+	 * @param {boolean} [isFirst=false] - Whether this is the first field of the row (comment detection)
+	 * @returns {string} Encoded field
+	 */
+	formatField(value, isFirst = false) {
+		const text = this._toText(value);
+		if (!this.quoteAll && !this._needsQuotes(text, isFirst)) {
+			return text;
+		}
+		let escaped = text;
+		if (this.escape !== this.quote && escaped.includes(this.escape)) {
+			// Escape the escape character first, so it is not read as escaping what follows
+			escaped = escaped.split(this.escape).join(this.escape + this.escape);
+		}
+		if (escaped.includes(this.quote)) {
+			escaped = escaped.split(this.quote).join(this.escape + this.quote);
+		}
+		return this.quote + escaped + this.quote;
+	}
+
+	/**
+	 * Resolve columns from the first row and build the header line (internal helper)
+	 * @private
+	 * @param {Array<*>|Object<string, *>} row - First row
+	 * @returns {string} Header line, or empty string when no header is emitted
+	 */
+	_startRows(row) {
+		const isObject = !Array.isArray(row);
+		if (isObject && !this.columns) {
+			if (row === null || typeof row !== 'object') {
+				throw new TypeError(`Writer rows must be arrays or objects, got ${row === null ? 'null' : typeof row}`);
+			}
+			this.columns = Object.keys(row);
+		}
+
+		const emitHeader = this.header ?? isObject;
+		if (!emitHeader) {
+			return '';
+		}
+		if (!this.columns) {
+			throw new Error("header: true requires `columns` when writing array rows");
+		}
+		return this.formatRow(this.columns);
+	}
+
+	/**
+	 * Map an object row to values in column order (internal helper)
+	 * @private
+	 * @param {Object<string, *>} row - Object row
+	 * @returns {Array<*>} Values in column order
+	 */
+	_objectValues(row) {
+		if (row === null || typeof row !== 'object') {
+			throw new TypeError(`Writer rows must be arrays or objects, got ${row === null ? 'null' : typeof row}`);
+		}
+		if (!this.columns) {
+			this.columns = Object.keys(row);
+		}
+		return this.columns.map((key) => row[key]);
+	}
+
+	/**
+	 * Convert a value to field text (internal helper)
+	 * @private
+	 * @param {*} value - Field value
+	 * @returns {string} Field text
+	 */
+	_toText(value) {
+		if (value === null || value === undefined) return '';
+		if (value instanceof Date) return value.toISOString();
+		return String(value);
+	}
+
+	/**
+	 * Check whether field text must be quoted to round-trip (internal helper)
+	 * @private
+	 * @param {string} text - Field text
+	 * @param {boolean} isFirst - Whether this is the first field of the row
+	 * @returns {boolean} True if the field needs quotes
+	 */
+	_needsQuotes(text, isFirst) {
+		if (text.length === 0) return false;
+		if (text.includes(this.delimiter) || text.includes(this.quote) ||
+			text.includes('\n') || text.includes('\r')) {
+			return true;
+		}
+		if (text !== text.trim()) return true;
+		return isFirst && this.comment !== '' && text.startsWith(this.comment);
+	}
+
+	/**
+	 * Send text to the sink or the internal buffer (internal helper)
+	 * @private
+	 * @param {string} text - CSV text
+	 */
+	_emit(text) {
+		if (text.length === 0) return;
+		if (this.sink) {
+			this.sink.write(text);
+		} else {
+			this._chunks.push(text);
+		}
+	}
+}
+
+/**
+ * Serialize rows to a CSV string
+ *
+ * @param {Iterable<Array<*>|Object<string, *>>} rows - Array rows or objects keyed by column name
+ * @param {StringifyOptions} [options={}] - Serialization options (`sink` is ignored)
+ * @returns {string} CSV text
+ *
+ * @example Arrays
+ * import { stringifyCSV } from 'ocsv';
+ *
+ * stringifyCSV([['name', 'note'], ['Alice', 'says "hi"']]);
+ * // 'name,note\nAlice,"says ""hi"""\n'
+ *
+ * @example Objects (header from keys)
+ * stringifyCSV([{ id: 1, city: 'Paris' }, { id: 2, city: 'São Paulo' }], { delimiter: ';' });
+ * // 'id;city\n1;Paris\n2;São Paulo\n'
+ */
+export function stringifyCSV(rows, options = {}) {
+	const writer = new Writer({ ...options, sink: null });
+	writer.writeAll(rows);
+	return writer.end();
+}
@@ -0,0 +1,194 @@
+package ocsv
+
+// Columnar output
+// Rows are transposed into one block per column. Numeric columns are stored as
+// raw f64/i32 arrays (native byte order) so JavaScript can view them as typed
+// arrays without copying; other columns are stored as UTF-8 strings.
+//
+// Buffer Format:
+//   Header (24 bytes):
+//     0-3:   magic (0x4F434F4C "OCOL")
+//     4-7:   version (1)
+//     8-11:  row_count (u32, data rows only)
+//     12-15: column_count (u32)
+//     16-23: total_bytes (u64)
+//
+//   Column Directory (column_count × 16 bytes):
+//     type (u32, Columnar_Type), reserved (u32), data offset (u64)
+//
+//   Column Data (each column starts on an 8-byte boundary):
+//     Float64: row_count × f64 (NaN for empty or invalid values)
+//     Int32:   row_count × i32 (0 for invalid values)
+//     String:  (row_count + 1) × u32 offsets into the bytes that follow, then UTF-8 bytes
+
+import "core:encoding/endian"
+import "core:math"
+
+COLUMNAR_MAGIC :: 0x4F434F4C
+COLUMNAR_VERSION :: 1
+
+// Columnar_Type is the storage type of a column (Auto is only used in requests)
+Columnar_Type :: enum u8 {
+    Auto,     // Infer from the values (infer_column_type)
+    String,   // UTF-8 strings
+    Float64,  // f64 values
+    Int32,    // i32 values
+}
+
+// columnar_field returns field i of a row after column projection
+// Parameters:
+//   row: CSV row
+//   columns: selected column indices (empty = all columns)
+//   i: projected field index
+// Returns: the field, or "" when the column is past the end of the row
+columnar_field :: proc(row: []string, columns: []int, i: int) -> string {
+    index := len(columns) > 0 ? columns[i] : i
+    return index < len(row) ? row[index] : ""
+}
+
+// infer_column_type picks the narrowest type that holds every value of a column
+// Parameters:
+//   rows: data rows
+//   columns: selected column indices (empty = all columns)
+//   column: projected column index
+// Returns: Int32 if every value is an integer in i32 range and none is empty,
+//   Float64 if every non-empty value is a number, String otherwise (or if all values are empty)
+infer_column_type :: proc(rows: [][]string, columns: []int, column: int) -> Columnar_Type {
+    is_int := true
+    has_empty := false
+    has_value := false
+
+    for row in rows {
+        field := columnar_field(row, columns, column)
+        if len(field) == 0 {
+            has_empty = true
+            continue
+        }
+        has_value = true
+
+        if is_int {
+            value, ok := convert_value(.Int, field)
+            is_int = ok && value.(i64) >= i64(min(i32)) && value.(i64) <= i64(max(i32))
+        }
+        if !is_int {
+            if _, ok := convert_value(.Float, field); !ok {
+                return .String
+            }
+        }
+    }
+
+    if !has_value {
+        return .String
+    }
+    // Int32 has no missing-value marker, so columns with gaps use NaN
+    return is_int && !has_empty ? .Int32 : .Float64
+}
+
+// columnar_data_size returns the number of bytes a column takes (before alignment)
+columnar_data_size :: proc(rows: [][]string, columns: []int, column: int, col_type: Columnar_Type) -> int {
+    #partial switch col_type {
+    case .Float64:
+        return len(rows) * 8
+    case .Int32:
+        return len(rows) * 4
+    }
+
+    size := (len(rows) + 1) * 4
+    for row in rows {
+        size += len(columnar_field(row, columns, column))
+    }
+    return size
+}
+
+// align8 rounds an offset up to the next multiple of 8
+align8 :: proc(offset: int) -> int {
+    return (offset + 7) &~ 7
+}
+
+// pack_columns transposes rows into the columnar buffer format
+// Parameters:
+//   rows: data rows (header excluded)
+//   columns: selected column indices (empty = all columns)
+//   column_count: number of output columns (fields past it are dropped)
+//   requested: requested type per column (missing entries or Auto = infer)
+// Returns: newly allocated buffer (caller owns it)
+pack_columns :: proc(rows: [][]string, columns: []int, column_count: int, requested: []Columnar_Type = nil) -> []u8 {
+    types := make([]Columnar_Type, column_count)
+    defer delete(types)
+    offsets := make([]int, column_count)
+    defer delete(offsets)
+
+    // Resolve types and lay out the columns
+    total := 24 + column_count * 16
+    for i in 0..<column_count {
+        types[i] = i < len(requested) ? requested[i] : .Auto
+        if types[i] == .Auto {
+            types[i] = infer_column_type(rows, columns, i)
+        }
+        offsets[i] = align8(total)
+        total = offsets[i] + columnar_data_size(rows, columns, i, types[i])
+    }
+    total = align8(total)
+
+    buffer := make([]u8, total)
+
+    endian.put_u32(buffer[0:4], .Little, COLUMNAR_MAGIC)
+    endian.put_u32(buffer[4:8], .Little, COLUMNAR_VERSION)
+    endian.put_u32(buffer[8:12], .Little, u32(len(rows)))
+    endian.put_u32(buffer[12:16], .Little, u32(column_count))
+    endian.put_u64(buffer[16:24], .Little, u64(total))
+
+    for i in 0..<column_count {
+        entry := buffer[24 + i * 16:][:16]
+        endian.put_u32(entry[0:4], .Little, u32(types[i]))
+        endian.put_u64(entry[8:16], .Little, u64(offsets[i]))
+        write_column(buffer[offsets[i]:], rows, columns, i, types[i])
+    }
+
+    return buffer
+}
+
+// write_column writes the values of one column
+// Parameters:
+//   dest: buffer starting at the column's (8-byte aligned) offset
+//   rows: data rows
+//   columns: selected column indices (empty = all columns)
+//   column: projected column index
+//   col_type: storage type (not Auto)
+write_column :: proc(dest: []u8, rows: [][]string, columns: []int, column: int, col_type: Columnar_Type) {
+    if len(rows) == 0 && col_type != .String {
+        return
+    }
+
+    switch col_type {
+    case .Float64:
+        values := ([^]f64)(raw_data(dest))
+        for row, r in rows {
+            value, ok := convert_value(.Float, columnar_field(row, columns, column))
+            number, is_number := value.(f64)
+            values[r] = ok && is_number ? number : math.nan_f64()
+        }
+
+    case .Int32:
+        values := ([^]i32)(raw_data(dest))
+        for row, r in rows {
+            value, ok := convert_value(.Int, columnar_field(row, columns, column))
+            number, is_number := value.(i64)
+            in_range := is_number && number >= i64(min(i32)) && number <= i64(max(i32))
+            values[r] = ok && in_range ? i32(number) : 0
+        }
+
+    case .String, .Auto:
+        // Offsets are relative to the first string byte
+        string_offsets := ([^]u32)(raw_data(dest))
+        bytes := dest[(len(rows) + 1) * 4:]
+        position := 0
+        for row, r in rows {
+            field := columnar_field(row, columns, column)
+            string_offsets[r] = u32(position)
+            copy(bytes[position:], field)
+            position += len(field)
+        }
+        string_offsets[len(rows)] = u32(position)
+    }
+}
@@ -13,6 +13,7 @@ Config :: struct {
     from_line:               int,     // Start parsing from line N (0 = start)
     to_line:                 int,     // Stop parsing at line N (-1 = end)
     skip_lines_with_error:   bool,    // Skip lines that fail to parse
+    strict_utf8:             bool,    // Reject invalid UTF-8 with Invalid_UTF8 (default: replace with U+FFFD)
 }
 
 // default_config returns a Config with sensible defaults
@@ -29,5 +30,6 @@ default_config :: proc() -> Config {
         from_line            = 0,
         to_line              = -1,           // Parse all lines
         skip_lines_with_error = false,
+        strict_utf8          = false,
     }
 }
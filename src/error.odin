@@ -5,6 +5,7 @@ package ocsv
 
 import "core:fmt"
 import "core:strings"
+import "core:unicode/utf8"
 
 // Parse_Error represents the type of parsing error that occurred
 Parse_Error :: enum {
@@ -19,6 +20,7 @@ Parse_Error :: enum {
     Invalid_Escape_Sequence,  // Invalid escape sequence
     Empty_Input,              // Input data is empty
     Memory_Allocation_Failed, // Failed to allocate memory
+    Aborted,                  // Parse stopped by its progress callback
 }
 
 // Error_Info contains detailed information about a parsing error
@@ -28,8 +30,17 @@ Error_Info :: struct {
     column:  int,             // Column number where error occurred (1-indexed)
     message: string,          // Human-readable error message
     ctx:     string,          // Context around the error (e.g., problematic text)
+    offset:  int,             // Byte offset of the error in the input (-1 if unknown)
 }
 
+// ERROR_CONTEXT_BEFORE is the most characters of the offending line that
+// error_location keeps before the error (the bindings rely on it to place carets)
+ERROR_CONTEXT_BEFORE :: 60
+
+// ERROR_CONTEXT_AFTER is the most bytes of the offending line that
+// error_location keeps from the error onwards
+ERROR_CONTEXT_AFTER :: 40
+
 // error_to_string converts an error code to a human-readable string
 error_to_string :: proc(err: Parse_Error) -> string {
     switch err {
@@ -55,22 +66,73 @@ error_to_string :: proc(err: Parse_Error) -> string {
         return "Empty input data"
     case .Memory_Allocation_Failed:
         return "Memory allocation failed"
+    case .Aborted:
+        return "Parse aborted"
     }
     return "Unknown error"
 }
 
 // make_error creates an Error_Info with the given parameters
 // IMPORTANT: Always clones strings (even empty ones) so all Error_Info strings are owned and can be freed
-make_error :: proc(code: Parse_Error, line: int, column: int, message: string, ctx: string = "") -> Error_Info {
+// Note: The clones are NUL-terminated, so the FFI can return them as cstrings
+make_error :: proc(code: Parse_Error, line: int, column: int, message: string, ctx: string = "", offset: int = -1) -> Error_Info {
     return Error_Info{
         code = code,
         line = line,
         column = column,
-        message = strings.clone(message),  // Always clone to ensure consistent ownership
-        ctx = strings.clone(ctx),          // Always clone, even if empty, for consistent ownership
+        message = string(strings.clone_to_cstring(message)),  // Always clone to ensure consistent ownership
+        ctx = string(strings.clone_to_cstring(ctx)),          // Always clone, even if empty, for consistent ownership
+        offset = offset,
     }
 }
 
+// make_error_at creates an Error_Info for a byte offset of the input, with the
+// line, column and context computed by error_location
+make_error_at :: proc(code: Parse_Error, data: string, offset: int, message: string) -> Error_Info {
+    line, column, ctx := error_location(data, offset)
+    return make_error(code, line, column, message, ctx, offset)
+}
+
+// error_location finds the physical line and column of a byte offset, and the
+// part of that line around it
+// Parameters:
+//   data: parsed input
+//   offset: byte offset of the error (clamped to the input)
+// Returns: line and column (1-indexed; the column counts characters), and a
+//          substring of data (not allocated) holding the offending line from at
+//          most ERROR_CONTEXT_BEFORE characters before the error to at most
+//          ERROR_CONTEXT_AFTER bytes after it, without line breaks or a
+//          trailing incomplete character
+error_location :: proc(data: string, offset: int) -> (line: int, column: int, ctx: string) {
+    offset := clamp(offset, 0, len(data))
+    line_start := strings.last_index_byte(data[:offset], '\n') + 1
+    line = strings.count(data[:line_start], "\n") + 1
+    column = utf8.rune_count_in_string(data[line_start:offset]) + 1
+
+    // Step back whole characters so the caret column within ctx is min(column - 1, ERROR_CONTEXT_BEFORE)
+    start := offset
+    for n := 0; n < ERROR_CONTEXT_BEFORE && start > line_start; n += 1 {
+        start -= 1
+        for start > line_start && data[start] & 0xC0 == 0x80 {
+            start -= 1
+        }
+    }
+
+    end := len(data)
+    if line_end := strings.index_byte(data[offset:], '\n'); line_end >= 0 {
+        end = offset + line_end
+    }
+    end = min(end, offset + ERROR_CONTEXT_AFTER)
+    for end > offset && end < len(data) && data[end] & 0xC0 == 0x80 {
+        end -= 1
+    }
+    for end > offset && data[end - 1] == '\r' {
+        end -= 1
+    }
+
+    return line, column, data[start:end]
+}
+
 // format_error formats an error for display to the user
 // Note: Returns an allocated string that must be freed by the caller with delete()
 format_error :: proc(err: Error_Info, allocator := context.allocator) -> string {
@@ -276,7 +338,9 @@ parser_extended_destroy :: proc(parser: ^Parser_Extended) {
 // record_error records an error in the extended parser
 // Takes ownership of err strings in last_error
 record_error :: proc(parser: ^Parser_Extended, err: Error_Info) -> bool {
-    // Store in last_error - takes ownership of err strings
+    // Store in last_error - takes ownership of err strings (frees the previous ones)
+    delete(parser.last_error.message)
+    delete(parser.last_error.ctx)
     parser.last_error = err
     parser.error_count += 1
 
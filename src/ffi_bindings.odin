@@ -4,7 +4,11 @@ import "base:runtime"
 import "core:c"
 import "core:strings"
 import "core:fmt"
+import "core:math"
+import "core:time"
 import "core:encoding/endian"
+import "core:encoding/json"
+import "core:text/regex"
 
 // FFI Bindings for Bun
 // These functions are exported with C ABI for use with Bun's FFI
@@ -42,6 +46,9 @@ ocsv_parse_string :: proc "c" (parser: ^Parser, data: cstring, len: c.int) -> c.
         return -1
     }
 
+    // Drop the previous parse, including its error, even for an empty input
+    parser_reset_results(parser)
+
     // Handle empty string
     if len == 0 {
         return 0
@@ -55,6 +62,139 @@ ocsv_parse_string :: proc "c" (parser: ^Parser, data: cstring, len: c.int) -> c.
     return ok ? 0 : -1
 }
 
+// ocsv_parse_file memory-maps a file and parses it in place
+// Parameters:
+//   parser: pointer to Parser
+//   path: null-terminated file path
+//   indexed: only index row offsets and keep the file mapped; rows are parsed
+//            when accessed with ocsv_get_field_count/ocsv_get_field
+//   strip_bom: skip a leading UTF-8 byte order mark
+// Returns: 0 on success, -1 on error (File_Not_Found if the file cannot be opened or mapped)
+// Note: An indexed parser only supports row access; the mapping is released by
+//       the next parse or ocsv_parser_destroy
+@(export, link_name="ocsv_parse_file")
+ocsv_parse_file :: proc "c" (parser: ^Parser, path: cstring, indexed: c.bool, strip_bom: c.bool) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || path == nil {
+        return -1
+    }
+
+    clear_parse_errors(parser)
+    error_info_destroy(&parser.last_error)
+
+    ok := parse_mapped_file(parser, string(path), bool(indexed), bool(strip_bom))
+    return ok ? 0 : -1
+}
+
+// ocsv_parse_parallel parses a CSV string using multiple threads
+// Rows are identical to ocsv_parse_string; inputs under min_file_size are parsed sequentially
+// Parameters:
+//   parser: pointer to Parser (its config is used by every worker)
+//   data: C string containing CSV data
+//   len: length of the data in bytes
+//   num_threads: number of worker threads (0 = auto via get_optimal_thread_count)
+//   min_file_size: minimum input size in bytes for threading (0 = 2 MB default)
+// Returns: 0 on success, -1 on error
+@(export, link_name="ocsv_parse_parallel")
+ocsv_parse_parallel :: proc "c" (parser: ^Parser, data: cstring, len: c.int, num_threads: c.int, min_file_size: c.int) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || data == nil || len < 0 {
+        return -1
+    }
+
+    parser_reset_results(parser)
+
+    if len == 0 {
+        return 0
+    }
+
+    data_bytes := transmute([^]u8)data
+    data_str := string(data_bytes[:len])
+
+    config := Parallel_Config{
+        num_threads   = int(num_threads),
+        min_file_size = int(min_file_size),
+    }
+    ok := parse_parallel_into(parser, data_str, config)
+    return ok ? 0 : -1
+}
+
+// ocsv_parse_string_with_recovery parses a CSV string, recovering from malformed rows
+// Parameters:
+//   parser: pointer to Parser
+//   data: C string containing CSV data
+//   len: length of the data in bytes
+//   strategy: Recovery_Strategy ordinal (0 = Fail_Fast, 1 = Skip_Row, 2 = Best_Effort, 3 = Collect_All_Errors)
+// Returns: 0 on success, -1 if parsing stopped (error available via ocsv_get_error_*)
+// Note: Recovered errors are available via ocsv_get_parse_errors_json and ocsv_get_rows_skipped
+@(export, link_name="ocsv_parse_string_with_recovery")
+ocsv_parse_string_with_recovery :: proc "c" (parser: ^Parser, data: cstring, len: c.int, strategy: c.int) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || data == nil || len < 0 || strategy < 0 || strategy > c.int(max(Recovery_Strategy)) {
+        return -1
+    }
+
+    parser_reset_results(parser)
+
+    if len == 0 {
+        return 0
+    }
+
+    data_bytes := transmute([^]u8)data
+    data_str := string(data_bytes[:len])
+
+    ext := parser_extended_create()
+    defer parser_extended_destroy(ext)
+    ext.config = parser.config
+    ext.progress = parser.progress
+    ext.recovery_strategy = Recovery_Strategy(strategy)
+
+    result := parse_csv_with_errors(ext, data_str)
+    defer parse_result_destroy(&result)
+
+    // Move rows and collected errors into the FFI parser (the emptied arrays are freed with ext/result)
+    parser.all_rows, ext.all_rows = ext.all_rows, parser.all_rows
+    parser.parse_errors, result.warnings = result.warnings, parser.parse_errors
+    parser.rows_skipped = result.rows_skipped
+    parser.error_count = ext.error_count
+
+    if !result.success {
+        parser.last_error = make_error(result.error.code, result.error.line, result.error.column,
+            result.error.message, result.error.ctx, result.error.offset)
+        return -1
+    }
+
+    return 0
+}
+
+// ocsv_enforce_column_count makes every parsed row have the same number of fields
+// Parameters:
+//   parser: pointer to Parser (after a successful parse)
+//   mode: Column_Count_Mode ordinal (0 = Ignore, 1 = Strict, 2 = Pad, 3 = Truncate)
+//   expected: expected field count (0 = the count of the first row with fields)
+//   fill: null-terminated value of padded fields (nil = null fields)
+//   recover: drop rows that cannot be fixed and collect them like recovered parse errors
+// Returns: 0 on success, -1 on error (Inconsistent_Column_Count available via ocsv_get_error_*)
+@(export, link_name="ocsv_enforce_column_count")
+ocsv_enforce_column_count :: proc "c" (parser: ^Parser, mode: c.int, expected: c.int, fill: cstring, recover: c.bool) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || mode < 0 || mode > c.int(max(Column_Count_Mode)) || expected < 0 {
+        return -1
+    }
+
+    fill_value: Maybe(string)
+    if fill != nil {
+        fill_value = string(fill)
+    }
+
+    ok := enforce_column_count(parser, Column_Count_Mode(mode), int(expected), fill_value, bool(recover))
+    return ok ? 0 : -1
+}
+
 // ocsv_get_row_count returns the number of rows parsed
 // Parameters:
 //   parser: pointer to Parser
@@ -62,7 +202,7 @@ ocsv_parse_string :: proc "c" (parser: ^Parser, data: cstring, len: c.int) -> c.
 @(export, link_name="ocsv_get_row_count")
 ocsv_get_row_count :: proc "c" (parser: ^Parser) -> c.int {
     context = runtime.default_context()
-    return c.int(len(parser.all_rows))
+    return c.int(parser_row_count(parser))
 }
 
 // ocsv_get_row gets a specific row by index
@@ -93,11 +233,12 @@ ocsv_get_row :: proc "c" (parser: ^Parser, row_index: c.int) -> [^]cstring {
 ocsv_get_field_count :: proc "c" (parser: ^Parser, row_index: c.int) -> c.int {
     context = runtime.default_context()
 
-    if row_index < 0 || int(row_index) >= len(parser.all_rows) {
+    row, ok := parser_row(parser, int(row_index))
+    if !ok {
         return -1
     }
 
-    return c.int(len(parser.all_rows[row_index]))
+    return c.int(len(row))
 }
 
 // ocsv_get_field gets a specific field value from a row
@@ -110,18 +251,15 @@ ocsv_get_field_count :: proc "c" (parser: ^Parser, row_index: c.int) -> c.int {
 ocsv_get_field :: proc "c" (parser: ^Parser, row_index: c.int, field_index: c.int) -> cstring {
     context = runtime.default_context()
 
-    if row_index < 0 || int(row_index) >= len(parser.all_rows) {
-        return nil
-    }
-
-    row := parser.all_rows[row_index]
-    if field_index < 0 || int(field_index) >= len(row) {
+    row, ok := parser_row(parser, int(row_index))
+    if !ok || field_index < 0 || int(field_index) >= len(row) {
         return nil
     }
 
     // Return the field as cstring
     // Note: This is safe because the strings are managed by the parser
     // and will remain valid until parser_destroy is called
+    // (fields of a memory-mapped row only until another row is accessed)
     return cstring(raw_data(row[field_index]))
 }
 
@@ -130,6 +268,24 @@ ocsv_get_field :: proc "c" (parser: ^Parser, row_index: c.int, field_index: c.in
 // ============================================================================
 // These functions allow JavaScript to configure the parser before parsing
 
+// ocsv_reset_config restores the default configuration before a parse
+// Parameters:
+//   parser: pointer to Parser
+// Returns: 0 on success, -1 on error
+// Note: Also clears the column projection and frees the packed buffer; the
+//       progress callback and parsed rows are kept
+@(export, link_name="ocsv_reset_config")
+ocsv_reset_config :: proc "c" (parser: ^Parser) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return -1
+    }
+
+    parser_reset_config(parser)
+    return 0
+}
+
 // ocsv_set_delimiter sets the field delimiter character
 // Parameters:
 //   parser: pointer to Parser
@@ -317,6 +473,69 @@ ocsv_set_skip_lines_with_error :: proc "c" (parser: ^Parser, skip: c.bool) -> c.
     return 0
 }
 
+// ocsv_set_strict_utf8 enables or disables strict UTF-8 validation
+// Parameters:
+//   parser: pointer to Parser
+//   strict: true to fail with Invalid_UTF8 on malformed input, false to replace it with U+FFFD
+// Returns: 0 on success, -1 on error
+@(export, link_name="ocsv_set_strict_utf8")
+ocsv_set_strict_utf8 :: proc "c" (parser: ^Parser, strict: c.bool) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return -1
+    }
+
+    parser.config.strict_utf8 = bool(strict)
+    return 0
+}
+
+// ocsv_set_progress_callback sets the callback called during long parses
+// Parameters:
+//   parser: pointer to Parser
+//   callback: called every PROGRESS_INTERVAL bytes with the bytes and rows parsed so
+//             far; returning false aborts the parse with Aborted (nil = no callback)
+// Returns: 0 on success, -1 on error
+// Note: Used by ocsv_parse_string, ocsv_parse_string_with_recovery and ocsv_parse_file;
+//       parallel parses never call it
+@(export, link_name="ocsv_set_progress_callback")
+ocsv_set_progress_callback :: proc "c" (parser: ^Parser, callback: Progress_Callback) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return -1
+    }
+
+    parser.progress = callback
+    return 0
+}
+
+// ocsv_set_columns sets the column projection used when serializing rows
+// Parameters:
+//   parser: pointer to Parser
+//   columns: array of zero-based column indices, in output order
+//   count: number of indices (0 clears the projection)
+// Returns: 0 on success, -1 on error (nil parser or negative index)
+// Note: Applies to ocsv_rows_to_packed_buffer, ocsv_rows_to_json and ocsv_rows_to_json_objects
+@(export, link_name="ocsv_set_columns")
+ocsv_set_columns :: proc "c" (parser: ^Parser, columns: [^]c.int, count: c.int) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || count < 0 || (count > 0 && columns == nil) {
+        return -1
+    }
+
+    clear(&parser.columns)
+    for i in 0..<int(count) {
+        if columns[i] < 0 {
+            clear(&parser.columns)
+            return -1
+        }
+        append(&parser.columns, int(columns[i]))
+    }
+    return 0
+}
+
 // ============================================================================
 // Error Getter FFI Functions
 // ============================================================================
@@ -402,6 +621,38 @@ ocsv_get_error_message :: proc "c" (parser: ^Parser) -> cstring {
     return cstring(raw_data(parser.last_error.message))
 }
 
+// ocsv_get_error_offset returns the byte offset of the error in the input
+// Parameters:
+//   parser: pointer to Parser
+// Returns: byte offset (0-based), or -1 if there is no error or its position is unknown
+@(export, link_name="ocsv_get_error_offset")
+ocsv_get_error_offset :: proc "c" (parser: ^Parser) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || parser.last_error.code == .None {
+        return -1
+    }
+
+    return c.int(parser.last_error.offset)
+}
+
+// ocsv_get_error_context returns the part of the offending line around the error
+// Parameters:
+//   parser: pointer to Parser
+// Returns: cstring with the line from at most ERROR_CONTEXT_BEFORE characters before
+//          the error (see error_location), or empty string if there is none
+// Note: The returned string is owned by the parser and valid until parser_destroy
+@(export, link_name="ocsv_get_error_context")
+ocsv_get_error_context :: proc "c" (parser: ^Parser) -> cstring {
+    context = runtime.default_context()
+
+    if parser == nil || parser.last_error.code == .None || len(parser.last_error.ctx) == 0 {
+        return ""
+    }
+
+    return cstring(raw_data(parser.last_error.ctx))
+}
+
 // ocsv_get_error_count returns the total number of errors encountered
 // Parameters:
 //   parser: pointer to Parser
@@ -417,6 +668,53 @@ ocsv_get_error_count :: proc "c" (parser: ^Parser) -> c.int {
     return c.int(parser.error_count)
 }
 
+// ocsv_get_rows_skipped returns the number of rows dropped by the last recovery parse
+// Parameters:
+//   parser: pointer to Parser
+// Returns: number of skipped rows
+@(export, link_name="ocsv_get_rows_skipped")
+ocsv_get_rows_skipped :: proc "c" (parser: ^Parser) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return 0
+    }
+
+    return c.int(parser.rows_skipped)
+}
+
+// ocsv_get_parse_errors_json returns the errors collected by the last recovery parse
+// Parameters:
+//   parser: pointer to Parser
+// Returns: cstring containing a JSON array, must be freed with ocsv_free_json_string
+//
+// Example output: [{"code":4,"line":3,"column":9,"offset":27,"message":"...","context":"..."}]
+@(export, link_name="ocsv_get_parse_errors_json")
+ocsv_get_parse_errors_json :: proc "c" (parser: ^Parser) -> cstring {
+    context = runtime.default_context()
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+
+    strings.write_byte(&builder, '[')
+    if parser != nil {
+        for err, i in parser.parse_errors {
+            if i > 0 {
+                strings.write_byte(&builder, ',')
+            }
+            fmt.sbprintf(&builder, "{\"code\":%d,\"line\":%d,\"column\":%d,\"offset\":%d,\"message\":",
+                int(err.code), err.line, err.column, err.offset)
+            json_escape_string(err.message, &builder)
+            strings.write_string(&builder, ",\"context\":")
+            json_escape_string(err.ctx, &builder)
+            strings.write_byte(&builder, '}')
+        }
+    }
+    strings.write_byte(&builder, ']')
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
 // ============================================================================
 // Bulk Memory Access FFI Functions (Performance Optimization)
 // ============================================================================
@@ -451,6 +749,7 @@ json_escape_string :: proc(s: string, builder: ^strings.Builder) {
 //   parser: pointer to Parser
 // Returns: cstring containing JSON array of arrays, or nil on error
 // Note: The returned string is owned by the parser and valid until parser_destroy
+// Note: Only the projected columns are written when ocsv_set_columns was called
 //
 // Example output: [["name","age"],["Alice","30"],["Bob","25"]]
 @(export, link_name="ocsv_rows_to_json")
@@ -474,11 +773,11 @@ ocsv_rows_to_json :: proc "c" (parser: ^Parser) -> cstring {
 
         strings.write_byte(&builder, '[')
 
-        for field, field_idx in row {
+        for field_idx in 0..<projected_width(row, parser.columns[:]) {
             if field_idx > 0 {
                 strings.write_byte(&builder, ',')
             }
-            json_escape_string(field, &builder)
+            json_escape_string(projected_field(row, parser.columns[:], field_idx), &builder)
         }
 
         strings.write_byte(&builder, ']')
@@ -496,6 +795,80 @@ ocsv_rows_to_json :: proc "c" (parser: ^Parser) -> cstring {
     return cstring(raw_data(json_clone))
 }
 
+// ocsv_rows_to_json_objects serializes rows to a JSON array of objects
+// Parameters:
+//   parser: pointer to Parser
+//   keys_json: JSON array of unique object keys, one per column (e.g. ["name","age"])
+//   start_row: first row to serialize (1 skips the header row)
+// Returns: cstring containing the JSON array, or nil on invalid keys; free with ocsv_free_json_string
+// Note: Missing fields are written as "" and fields beyond the last key are dropped
+// Note: Keys map to the projected columns when ocsv_set_columns was called
+//
+// Example output: [{"name":"Alice","age":"30"},{"name":"Bob","age":"25"}]
+@(export, link_name="ocsv_rows_to_json_objects")
+ocsv_rows_to_json_objects :: proc "c" (parser: ^Parser, keys_json: cstring, start_row: c.int) -> cstring {
+    context = runtime.default_context()
+
+    if parser == nil || keys_json == nil || start_row < 0 {
+        return nil
+    }
+
+    value, err := json.parse_string(string(keys_json))
+    defer json.destroy_value(value)
+    if err != .None {
+        return nil
+    }
+
+    keys_array, is_array := value.(json.Array)
+    if !is_array {
+        return nil
+    }
+
+    // Escape every key once, including the trailing ':'
+    keys := make([]string, len(keys_array))
+    defer {
+        for key in keys {
+            delete(key)
+        }
+        delete(keys)
+    }
+    for key_value, i in keys_array {
+        key, key_ok := key_value.(json.String)
+        if !key_ok {
+            return nil
+        }
+        key_builder := strings.builder_make()
+        json_escape_string(key, &key_builder)
+        strings.write_byte(&key_builder, ':')
+        keys[i] = strings.to_string(key_builder)
+    }
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+
+    strings.write_byte(&builder, '[')
+    for row_idx := int(start_row); row_idx < len(parser.all_rows); row_idx += 1 {
+        row := parser.all_rows[row_idx]
+        if row_idx > int(start_row) {
+            strings.write_byte(&builder, ',')
+        }
+
+        strings.write_byte(&builder, '{')
+        width := projected_width(row, parser.columns[:])
+        for key, i in keys {
+            if i > 0 {
+                strings.write_byte(&builder, ',')
+            }
+            strings.write_string(&builder, key)
+            json_escape_string(i < width ? projected_field(row, parser.columns[:], i) : "", &builder)
+        }
+        strings.write_byte(&builder, '}')
+    }
+    strings.write_byte(&builder, ']')
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
 // ocsv_free_json_string frees a JSON string allocated by ocsv_rows_to_json
 // Parameters:
 //   json_str: cstring returned by ocsv_rows_to_json
@@ -525,34 +898,118 @@ cstring_to_string :: proc(s: cstring) -> string {
 // These functions serialize CSV data to a packed binary format for minimal
 // FFI overhead and zero-copy deserialization in JavaScript.
 //
-// Binary Format:
+// Binary Format (version 2, see docs/BINARY_FORMAT.md):
 //   Header (24 bytes):
 //     0-3:   magic (0x4F435356 "OCSV")
-//     4-7:   version (1)
+//     4-7:   version (2)
 //     8-11:  row_count (u32)
-//     12-15: field_count (u32)
+//     12-15: field_count (u32, widest row)
 //     16-23: total_bytes (u64)
 //
 //   Row Offsets (row_count × 4 bytes):
 //     24+i*4: offset to row i data
 //
-//   Field Data (variable length):
-//     [length: u16][data: UTF-8 bytes]
+//   Row Data (variable length):
+//     [field count: varint]
+//     per field: [(byte length << 1) | null flag: varint][data: UTF-8 bytes]
+//
+// Varints are unsigned LEB128 (7 bits per byte, low bits first).
+
+PACKED_VERSION :: 2
+
+// projected_width returns the number of fields in a row after column projection
+// Parameters:
+//   row: CSV row
+//   columns: selected column indices (empty = all columns)
+projected_width :: proc(row: []string, columns: []int) -> int {
+    return len(columns) > 0 ? len(columns) : len(row)
+}
+
+// projected_field returns field i of a row after column projection
+// Parameters:
+//   row: CSV row
+//   columns: selected column indices (empty = all columns)
+//   i: projected field index (< projected_width)
+// Returns: the field, or "" when a selected column is past the end of the row
+projected_field :: proc(row: []string, columns: []int, i: int) -> string {
+    if len(columns) == 0 {
+        return row[i]
+    }
+    index := columns[i]
+    return index < len(row) ? row[index] : ""
+}
+
+// project_rows builds rows holding only the selected columns
+// Parameters:
+//   rows: array of CSV rows
+//   columns: selected column indices
+// Returns: new row slices that share field strings with rows (delete the slices, not the fields)
+project_rows :: proc(rows: [][]string, columns: []int) -> [][]string {
+    projected := make([][]string, len(rows))
+    for row, i in rows {
+        projected[i] = make([]string, len(columns))
+        for j in 0..<len(columns) {
+            projected[i][j] = projected_field(row, columns, j)
+        }
+    }
+    return projected
+}
+
+// varint_size returns the number of bytes needed to encode value as a varint
+varint_size :: proc(value: u64) -> int {
+    size := 1
+    for v := value >> 7; v != 0; v >>= 7 {
+        size += 1
+    }
+    return size
+}
+
+// write_varint appends value as an unsigned LEB128 varint
+// Parameters:
+//   buffer: dynamic byte array to write to
+//   value: value to encode
+write_varint :: proc(buffer: ^[dynamic]u8, value: u64) {
+    v := value
+    for v >= 0x80 {
+        append(buffer, u8(v & 0x7F) | 0x80)
+        v >>= 7
+    }
+    append(buffer, u8(v))
+}
+
+// packed_field_header returns the varint header of a field: its byte length
+// shifted left by one, with the low bit set for null fields
+packed_field_header :: proc(field: string) -> u64 {
+    return u64(len(field)) << 1 | (is_null_field(field) ? 1 : 0)
+}
+
+// packed_row_size returns the number of bytes a row takes in the row data section
+// Parameters:
+//   row: CSV row
+//   columns: selected column indices (empty = all columns)
+packed_row_size :: proc(row: []string, columns: []int = nil) -> int {
+    width := projected_width(row, columns)
+    size := varint_size(u64(width))  // Field count
+    for i in 0..<width {
+        field := projected_field(row, columns, i)
+        size += varint_size(packed_field_header(field)) // Length/null header
+        size += len(field)                               // UTF-8 bytes
+    }
+    return size
+}
 
 // calculate_packed_buffer_size calculates total buffer size needed for packed format
 // Parameters:
 //   rows: array of CSV rows (each row is array of strings)
+//   columns: selected column indices (empty = all columns)
 // Returns: total size in bytes
-calculate_packed_buffer_size :: proc(rows: [][]string) -> int {
+calculate_packed_buffer_size :: proc(rows: [][]string, columns: []int = nil) -> int {
     size := 24  // Header (24 bytes)
     size += len(rows) * 4  // Row offsets array (4 bytes per row)
 
-    // Calculate field data size
+    // Calculate row data size
     for row in rows {
-        for field in row {
-            size += 2           // u16 length prefix per field
-            size += len(field)  // UTF-8 bytes
-        }
+        size += packed_row_size(row, columns)
     }
 
     return size
@@ -563,20 +1020,24 @@ calculate_packed_buffer_size :: proc(rows: [][]string) -> int {
 //   buffer: dynamic byte array to write to
 //   rows: array of CSV rows
 //   total_bytes: total buffer size
-write_header :: proc(buffer: ^[dynamic]u8, rows: [][]string, total_bytes: int) {
+//   columns: selected column indices (empty = all columns)
+write_header :: proc(buffer: ^[dynamic]u8, rows: [][]string, total_bytes: int, columns: []int = nil) {
     header: [24]u8
 
     // Magic: "OCSV" (0x4F435356)
     endian.put_u32(header[0:4], .Little, 0x4F435356)
 
-    // Version: 1
-    endian.put_u32(header[4:8], .Little, 1)
+    // Version
+    endian.put_u32(header[4:8], .Little, PACKED_VERSION)
 
     // Row count
     endian.put_u32(header[8:12], .Little, u32(len(rows)))
 
-    // Field count (assume all rows have same number of fields as first row)
-    field_count := len(rows) > 0 ? len(rows[0]) : 0
+    // Field count of the widest row (each row also stores its own count)
+    field_count := 0
+    for row in rows {
+        field_count = max(field_count, projected_width(row, columns))
+    }
     endian.put_u32(header[12:16], .Little, u32(field_count))
 
     // Total bytes
@@ -589,8 +1050,9 @@ write_header :: proc(buffer: ^[dynamic]u8, rows: [][]string, total_bytes: int) {
 // Parameters:
 //   buffer: dynamic byte array to write to
 //   rows: array of CSV rows
+//   columns: selected column indices (empty = all columns)
 // Returns: array of computed offsets (for reference)
-write_row_offsets :: proc(buffer: ^[dynamic]u8, rows: [][]string) -> []u32 {
+write_row_offsets :: proc(buffer: ^[dynamic]u8, rows: [][]string, columns: []int = nil) -> []u32 {
     offsets := make([]u32, len(rows))
 
     // Calculate offsets
@@ -599,12 +1061,7 @@ write_row_offsets :: proc(buffer: ^[dynamic]u8, rows: [][]string) -> []u32 {
 
     for row, i in rows {
         offsets[i] = u32(current_offset)
-
-        // Calculate size of this row's data
-        for field in row {
-            current_offset += 2           // u16 length prefix
-            current_offset += len(field)  // UTF-8 bytes
-        }
+        current_offset += packed_row_size(row, columns)
     }
 
     // Write offsets to buffer
@@ -617,21 +1074,21 @@ write_row_offsets :: proc(buffer: ^[dynamic]u8, rows: [][]string) -> []u32 {
     return offsets
 }
 
-// write_field_data writes all field data to the buffer
+// write_field_data writes all row data to the buffer
 // Parameters:
 //   buffer: dynamic byte array to write to
 //   rows: array of CSV rows
-write_field_data :: proc(buffer: ^[dynamic]u8, rows: [][]string) {
-    len_bytes: [2]u8
-
+//   columns: selected column indices (empty = all columns)
+write_field_data :: proc(buffer: ^[dynamic]u8, rows: [][]string, columns: []int = nil) {
     for row in rows {
-        for field in row {
-            // Write length as u16 little-endian
-            field_len := u16(len(field))
-            endian.put_u16(len_bytes[:], .Little, field_len)
-            append(buffer, ..len_bytes[:])
+        width := projected_width(row, columns)
+        write_varint(buffer, u64(width))
 
-            // Write UTF-8 bytes
+        for i in 0..<width {
+            field := projected_field(row, columns, i)
+
+            // Length and null flag, then the UTF-8 bytes
+            write_varint(buffer, packed_field_header(field))
             if len(field) > 0 {
                 append(buffer, ..transmute([]u8)field)
             }
@@ -641,33 +1098,48 @@ write_field_data :: proc(buffer: ^[dynamic]u8, rows: [][]string) {
 
 // pack_rows_to_buffer serializes all rows to packed binary format
 // Parameters:
-//   parser: pointer to Parser
+//   parser: pointer to Parser (only parser.columns are written when a projection is set)
 // Returns: byte slice containing packed data (stored in parser.packed_buffer)
 pack_rows_to_buffer :: proc(parser: ^Parser) -> []u8 {
     if len(parser.all_rows) == 0 {
         return nil
     }
 
+    // Free the buffer from a previous call before replacing it
+    if len(parser.packed_buffer) > 0 {
+        delete(parser.packed_buffer)
+    }
+
+    // Convert to slice and store in parser
+    result := pack_rows(parser.all_rows[:], parser.columns[:])
+    parser.packed_buffer = result
+
+    return result
+}
+
+// pack_rows serializes rows to packed binary format
+// Parameters:
+//   rows: array of CSV rows
+//   columns: selected column indices (empty = all columns)
+// Returns: newly allocated byte slice (caller owns it)
+pack_rows :: proc(rows: [][]string, columns: []int = nil) -> []u8 {
     // Calculate total size
-    total_size := calculate_packed_buffer_size(parser.all_rows[:])
+    total_size := calculate_packed_buffer_size(rows, columns)
 
     // Allocate buffer
     buffer := make([dynamic]u8, 0, total_size)
 
     // Write header
-    write_header(&buffer, parser.all_rows[:], total_size)
+    write_header(&buffer, rows, total_size, columns)
 
     // Write row offsets
-    _ = write_row_offsets(&buffer, parser.all_rows[:])  // offsets computed inline
+    offsets := write_row_offsets(&buffer, rows, columns)
+    delete(offsets)
 
     // Write field data
-    write_field_data(&buffer, parser.all_rows[:])
+    write_field_data(&buffer, rows, columns)
 
-    // Convert to slice and store in parser
-    result := buffer[:]
-    parser.packed_buffer = result
-
-    return result
+    return buffer[:]
 }
 
 // ocsv_rows_to_packed_buffer serializes all rows to packed binary format
@@ -675,7 +1147,8 @@ pack_rows_to_buffer :: proc(parser: ^Parser) -> []u8 {
 //   parser: pointer to Parser
 //   out_size: pointer to int where buffer size will be written
 // Returns: pointer to packed buffer, or nil on error
-// Note: The returned buffer is owned by the parser and valid until parser_destroy
+// Note: The returned buffer is owned by the parser and valid until the next call,
+//       ocsv_reset_config or parser_destroy
 //
 // Binary format specification:
 //   See comments above for detailed format description
@@ -705,3 +1178,1037 @@ ocsv_rows_to_packed_buffer :: proc "c" (parser: ^Parser, out_size: ^c.int) -> ^u
     out_size^ = c.int(len(buffer))
     return raw_data(buffer)
 }
+
+// ocsv_rows_to_columnar transposes the parsed rows into columns (see columnar.odin)
+// Parameters:
+//   parser: pointer to Parser
+//   types: requested type per output column (Columnar_Type values; 0 = infer), or nil to infer all
+//   type_count: number of entries in types
+//   out_size: pointer to int where buffer size will be written
+// Returns: pointer to the columnar buffer, or nil if there are no rows
+// Note: The first row is the header: it sets the column count and is not included
+// Note: Only parser.columns are written when a projection is set
+// Note: The caller owns the buffer and must free it with ocsv_free_columnar
+@(export, link_name="ocsv_rows_to_columnar")
+ocsv_rows_to_columnar :: proc "c" (parser: ^Parser, types: [^]u8, type_count: c.int, out_size: ^c.int) -> ^u8 {
+    context = runtime.default_context()
+
+    if parser == nil || out_size == nil {
+        return nil
+    }
+    out_size^ = 0
+    if len(parser.all_rows) == 0 {
+        return nil
+    }
+
+    requested: []Columnar_Type
+    if types != nil && type_count > 0 {
+        requested = transmute([]Columnar_Type)types[:type_count]
+        for t in requested {
+            if t > max(Columnar_Type) {
+                return nil
+            }
+        }
+    }
+
+    columns := parser.columns[:]
+    column_count := len(columns) > 0 ? len(columns) : len(parser.all_rows[0])
+    buffer := pack_columns(parser.all_rows[1:], columns, column_count, requested)
+
+    out_size^ = c.int(len(buffer))
+    return raw_data(buffer)
+}
+
+// ocsv_free_columnar frees a buffer returned by ocsv_rows_to_columnar
+// Parameters:
+//   bytes: buffer pointer
+//   ctx: unused (matches the typed array deallocator signature, so JavaScript
+//        can free the buffer when its ArrayBuffer is garbage collected)
+@(export, link_name="ocsv_free_columnar")
+ocsv_free_columnar :: proc "c" (bytes: rawptr, ctx: rawptr) {
+    context = runtime.default_context()
+
+    if bytes != nil {
+        free(bytes)
+    }
+}
+
+// ============================================================================
+// Row Filter FFI Functions
+// ============================================================================
+// Declarative "where" predicates from JavaScript, evaluated natively so rows
+// that do not match are never packed or serialized.
+//
+// Filter JSON format (a row must pass every entry):
+//   [{"column":0,"op":"eq","value":"acme"},
+//    {"column":1,"op":"in","values":["open","pending"]},
+//    {"column":2,"op":"range","min":10,"max":null},
+//    {"column":3,"op":"regex","pattern":"@acme\\.com$","flags":"i"}]
+
+// filters_from_json builds Row_Filters from their JSON description
+// All strings are cloned; free each filter with row_filter_destroy
+// Returns: (filters, true) on success, (nil, false) if the JSON or a regex is malformed
+filters_from_json :: proc(data: string) -> (filters: [dynamic]Row_Filter, ok: bool) {
+    value, err := json.parse_string(data)
+    defer json.destroy_value(value)
+    if err != .None {
+        return nil, false
+    }
+
+    entries, is_array := value.(json.Array)
+    if !is_array {
+        return nil, false
+    }
+
+    filters = make([dynamic]Row_Filter, 0, len(entries))
+    for entry_value in entries {
+        entry, entry_ok := entry_value.(json.Object)
+        column, column_ok := entry["column"].(json.Float)
+        op, op_ok := entry["op"].(json.String)
+        if !entry_ok || !column_ok || !op_ok || column < 0 {
+            filters_destroy(&filters)
+            return nil, false
+        }
+
+        filter := Row_Filter{column = int(column)}
+        switch op {
+        case "eq":
+            expected, has := entry["value"].(json.String)
+            if !has {
+                filters_destroy(&filters)
+                return nil, false
+            }
+            filter.op = .Equals
+            filter.value = strings.clone(expected)
+        case "in":
+            accepted, has := entry["values"].(json.Array)
+            if !has {
+                filters_destroy(&filters)
+                return nil, false
+            }
+            filter.op = .In_Set
+            filter.values = make(map[string]bool, len(accepted))
+            for accepted_value in accepted {
+                accepted_string, _ := accepted_value.(json.String)
+                if accepted_string not_in filter.values {
+                    filter.values[strings.clone(accepted_string)] = true
+                }
+            }
+        case "range":
+            filter.op = .Range
+            if min_value, has := entry["min"].(json.Float); has {
+                filter.min = min_value
+            }
+            if max_value, has := entry["max"].(json.Float); has {
+                filter.max = max_value
+            }
+        case "regex":
+            pattern, has := entry["pattern"].(json.String)
+            if !has {
+                filters_destroy(&filters)
+                return nil, false
+            }
+            flags := regex.Flags{.No_Capture}
+            flag_string, _ := entry["flags"].(json.String)
+            for flag in flag_string {
+                switch flag {
+                case 'i': flags += {.Case_Insensitive}
+                case 'm': flags += {.Multiline}
+                case 'u': flags += {.Unicode}
+                case:
+                    filters_destroy(&filters)
+                    return nil, false
+                }
+            }
+            compiled, regex_err := regex.create(pattern, flags)
+            if regex_err != nil {
+                filters_destroy(&filters)
+                return nil, false
+            }
+            filter.op = .Pattern
+            filter.pattern = compiled
+            filter.capture = regex.preallocate_capture()
+        case:
+            filters_destroy(&filters)
+            return nil, false
+        }
+        append(&filters, filter)
+    }
+
+    return filters, true
+}
+
+// filters_destroy frees filters created by filters_from_json
+filters_destroy :: proc(filters: ^[dynamic]Row_Filter) {
+    for &filter in filters {
+        row_filter_destroy(&filter)
+    }
+    delete(filters^)
+}
+
+// ocsv_filter_rows drops parsed rows that do not match the filters
+// Parameters:
+//   parser: pointer to Parser (after a successful parse)
+//   filters_json: JSON filter description (see format above)
+//   skip_header: true if the first row is a header and must be kept
+// Returns: number of rows removed, or -1 if the filter JSON is invalid
+@(export, link_name="ocsv_filter_rows")
+ocsv_filter_rows :: proc "c" (parser: ^Parser, filters_json: cstring, skip_header: c.bool) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || filters_json == nil {
+        return -1
+    }
+
+    filters, ok := filters_from_json(string(filters_json))
+    if !ok {
+        return -1
+    }
+    defer filters_destroy(&filters)
+
+    return c.int(filter_rows(parser, filters[:], bool(skip_header)))
+}
+
+// ============================================================================
+// Transform FFI Functions
+// ============================================================================
+// Per-column transforms from the Transform_Registry (transform.odin), applied
+// to the parsed rows before they are serialized, so every extraction mode
+// sees the transformed values.
+//
+// Transforms JSON format (one Transform_Step per entry, applied in order):
+//   [{"column":-1,"transform":"trim"},
+//    {"column":2,"transform":"lowercase"}]
+// column -1 applies the transform to every field of the row.
+
+// pipeline_from_json adds the steps described by JSON to a pipeline
+// Step names borrow from value, so it must outlive the pipeline
+// Returns: false if the JSON is malformed or names a transform missing from registry
+pipeline_from_json :: proc(pipeline: ^Transform_Pipeline, registry: ^Transform_Registry, value: json.Value) -> bool {
+    entries, is_array := value.(json.Array)
+    if !is_array {
+        return false
+    }
+
+    for entry_value in entries {
+        entry, is_object := entry_value.(json.Object)
+        if !is_object {
+            return false
+        }
+        column, has_column := entry["column"].(json.Float)
+        name, has_name := entry["transform"].(json.String)
+        if !has_column || !has_name || column < -1 || name not_in registry.transforms {
+            return false
+        }
+        pipeline_add_step(pipeline, name, int(column))
+    }
+
+    return true
+}
+
+// ocsv_transform_rows applies built-in transforms to the parsed rows in place
+// Parameters:
+//   parser: pointer to Parser (after a successful parse)
+//   transforms_json: JSON transform steps (see format above)
+//   skip_header: true if the first row is a header and must not be transformed
+// Returns: number of rows transformed, or -1 if the JSON is invalid or names an unknown transform
+// Note: Fields that are empty and unquoted (null) are left unchanged
+@(export, link_name="ocsv_transform_rows")
+ocsv_transform_rows :: proc "c" (parser: ^Parser, transforms_json: cstring, skip_header: c.bool) -> c.int {
+    context = runtime.default_context()
+
+    if parser == nil || transforms_json == nil {
+        return -1
+    }
+
+    value, err := json.parse_string(string(transforms_json))
+    defer json.destroy_value(value)
+    if err != .None {
+        return -1
+    }
+
+    registry := registry_create()
+    defer registry_destroy(registry)
+    pipeline := pipeline_create()
+    defer pipeline_destroy(pipeline)
+
+    if !pipeline_from_json(pipeline, registry, value) {
+        return -1
+    }
+
+    return c.int(transform_rows(parser, pipeline, registry, bool(skip_header)))
+}
+
+// ocsv_list_transforms returns the names of the built-in transforms
+// Returns: JSON array of names (unordered)
+// Note: The caller must free the result with ocsv_free_json_string
+@(export, link_name="ocsv_list_transforms")
+ocsv_list_transforms :: proc "c" () -> cstring {
+    context = runtime.default_context()
+
+    registry := registry_create()
+    defer registry_destroy(registry)
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+
+    strings.write_byte(&builder, '[')
+    first := true
+    for name in registry.transforms {
+        if !first {
+            strings.write_byte(&builder, ',')
+        }
+        first = false
+        json_escape_string(name, &builder)
+    }
+    strings.write_byte(&builder, ']')
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
+// ============================================================================
+// Output FFI Functions
+// ============================================================================
+// Converts parsed rows to JSON Lines, JSON, TSV or CSV text (see output.odin)
+// in row ranges, so JavaScript can stream large conversions to a file or
+// WritableStream chunk by chunk without materializing rows.
+//
+// Output options JSON format (every field except format is optional):
+//   {"format":"jsonl","keys":["name","age"],"nulls":true,"delimiter":";"}
+// keys turns JSON rows into objects; without it rows are written as arrays.
+
+// output_options_from_json reads output options from a parsed JSON value
+// Keys borrow from value, so it must outlive the options
+// Returns: options (delete options.keys when done) and false if the JSON is malformed
+output_options_from_json :: proc(value: json.Value) -> (options: Output_Options, ok: bool) {
+    object, is_object := value.(json.Object)
+    if !is_object {
+        return
+    }
+
+    format_name, has_format := object["format"].(json.String)
+    if !has_format {
+        return
+    }
+    options.format = output_format_from_string(format_name) or_return
+
+    if keys_value, has_keys := object["keys"]; has_keys {
+        keys, is_array := keys_value.(json.Array)
+        if !is_array {
+            return
+        }
+        options.keys = make([]string, len(keys))
+        for key, i in keys {
+            name, is_string := key.(json.String)
+            if !is_string {
+                delete(options.keys)
+                options.keys = nil
+                return
+            }
+            options.keys[i] = name
+        }
+    }
+
+    if nulls, has_nulls := object["nulls"].(json.Boolean); has_nulls {
+        options.nulls = bool(nulls)
+    }
+    if delimiter, has_delimiter := object["delimiter"].(json.String); has_delimiter {
+        if len(delimiter) != 1 {
+            delete(options.keys)
+            options.keys = nil
+            return
+        }
+        options.delimiter = delimiter[0]
+    }
+
+    return options, true
+}
+
+// ocsv_rows_to_output converts a range of rows to text
+// Parameters:
+//   parser: pointer to Parser (parsed, or indexed by ocsv_parse_mmap)
+//   options_json: JSON output options (see format above)
+//   rows: row indices to write, or nil to write start_row..<end_row
+//   row_count: number of entries in rows
+//   start_row: first row to write when rows is nil (0-based)
+//   end_row: end of the range (exclusive) when rows is nil
+//   out_size: pointer to int where the byte length is written (-1 on error)
+// Returns: pointer to the UTF-8 text, or nil if nothing was written or on error
+// Note: The caller owns the text and must free it with ocsv_free_output
+// Note: Only the projected columns are written when ocsv_set_columns was called
+// Note: JSON rows are separated by "," without the enclosing brackets, so that
+//       consecutive ranges can be joined into one array
+@(export, link_name="ocsv_rows_to_output")
+ocsv_rows_to_output :: proc "c" (
+    parser: ^Parser,
+    options_json: cstring,
+    rows: [^]c.int,
+    row_count: c.int,
+    start_row: c.int,
+    end_row: c.int,
+    out_size: ^c.int,
+) -> ^u8 {
+    context = runtime.default_context()
+
+    if out_size == nil {
+        return nil
+    }
+    out_size^ = -1
+    if parser == nil || options_json == nil {
+        return nil
+    }
+
+    value, err := json.parse_string(string(options_json))
+    defer json.destroy_value(value)
+    if err != .None {
+        return nil
+    }
+    options, ok := output_options_from_json(value)
+    if !ok {
+        return nil
+    }
+    defer delete(options.keys)
+
+    count := rows != nil ? int(row_count) : int(end_row) - int(start_row)
+    builder := strings.builder_make()
+    for n in 0..<max(count, 0) {
+        index := rows != nil ? int(rows[n]) : int(start_row) + n
+        row, row_ok := parser_row(parser, index)
+        if !row_ok {
+            strings.builder_destroy(&builder)
+            return nil
+        }
+        write_output_row(&builder, row, parser.columns[:], &options, n == 0)
+    }
+
+    out_size^ = c.int(len(builder.buf))
+    if len(builder.buf) == 0 {
+        strings.builder_destroy(&builder)
+        return nil
+    }
+    return raw_data(builder.buf)
+}
+
+// ocsv_free_output frees text returned by ocsv_rows_to_output
+// Parameters:
+//   bytes: text pointer
+//   ctx: unused (matches the typed array deallocator signature)
+@(export, link_name="ocsv_free_output")
+ocsv_free_output :: proc "c" (bytes: rawptr, ctx: rawptr) {
+    context = runtime.default_context()
+
+    if bytes != nil {
+        free(bytes)
+    }
+}
+
+// ocsv_list_outputs returns the names of the built-in output plugins
+// Returns: JSON array of names (unordered)
+// Note: The caller must free the result with ocsv_free_json_string
+@(export, link_name="ocsv_list_outputs")
+ocsv_list_outputs :: proc "c" () -> cstring {
+    context = runtime.default_context()
+
+    registry := plugin_registry_create()
+    defer plugin_registry_destroy(registry)
+    register_builtin_outputs(registry)
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+
+    strings.write_byte(&builder, '[')
+    first := true
+    for name in registry.outputs {
+        if !first {
+            strings.write_byte(&builder, ',')
+        }
+        first = false
+        json_escape_string(name, &builder)
+    }
+    strings.write_byte(&builder, ']')
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
+// ============================================================================
+// Streaming FFI Functions
+// ============================================================================
+// These functions expose the incremental Streaming_Parser to JavaScript using a
+// pull model: JS pushes chunks with ocsv_stream_write and drains completed rows
+// with ocsv_stream_take_rows (packed buffer format). Quotes, newlines and UTF-8
+// sequences that span chunk boundaries are carried over inside the parser state.
+
+// stream_collect_row is the row callback used by streams created over FFI
+// It copies the row into pending_rows until JavaScript takes them
+stream_collect_row :: proc(row: []string, row_num: int, user_data: rawptr) -> bool {
+    stream := cast(^Streaming_Parser)user_data
+
+    row_copy := make([]string, len(row))
+    for field, i in row {
+        row_copy[i] = clone_field(field)
+    }
+    append(&stream.pending_rows, row_copy)
+    return true
+}
+
+// stream_record_error is the error callback used by streams created over FFI
+// Takes ownership of the Error_Info strings
+stream_record_error :: proc(error: Error_Info, row_num: int, user_data: rawptr) -> bool {
+    stream := cast(^Streaming_Parser)user_data
+
+    error_info_destroy(&stream.last_error)
+    stream.last_error = error
+    return false
+}
+
+// ocsv_stream_create creates a streaming parser using a parser's configuration
+// Parameters:
+//   parser: pointer to Parser whose config (delimiter, quote, comment, trim,
+//           relaxed, from_line, to_line, ...) is copied into the stream
+// Returns: pointer to Streaming_Parser, or nil on error
+// Note: The stream is independent of the parser once created
+@(export, link_name="ocsv_stream_create")
+ocsv_stream_create :: proc "c" (parser: ^Parser) -> ^Streaming_Parser {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return nil
+    }
+
+    config := default_streaming_config(stream_collect_row)
+    config.parser_config = parser.config
+    config.error_callback = stream_record_error
+
+    stream := streaming_parser_create(config)
+    stream.config.user_data = stream
+    return stream
+}
+
+// ocsv_stream_destroy destroys a streaming parser and frees all memory
+// Parameters:
+//   stream: pointer to Streaming_Parser to destroy
+@(export, link_name="ocsv_stream_destroy")
+ocsv_stream_destroy :: proc "c" (stream: ^Streaming_Parser) {
+    context = runtime.default_context()
+
+    if stream == nil {
+        return
+    }
+    streaming_parser_destroy(stream)
+}
+
+// ocsv_stream_write feeds a chunk of bytes to the streaming parser
+// Parameters:
+//   stream: pointer to Streaming_Parser
+//   data: pointer to chunk bytes (not null-terminated)
+//   len: length of the chunk in bytes
+// Returns: 0 to continue, 1 if the stream is done (to_line reached), -1 on error
+@(export, link_name="ocsv_stream_write")
+ocsv_stream_write :: proc "c" (stream: ^Streaming_Parser, data: [^]u8, len: c.int) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil || len < 0 || (data == nil && len > 0) {
+        return -1
+    }
+
+    if stream.stopped {
+        return stream.last_error.code != .None ? -1 : 1
+    }
+
+    if len == 0 {
+        return 0
+    }
+
+    if !streaming_parser_process_chunk(stream, data[:len]) {
+        return stream.last_error.code != .None ? -1 : 1
+    }
+    return 0
+}
+
+// ocsv_stream_finish flushes the final row at end of input
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: 0 on success, -1 on error (e.g. unterminated quote)
+@(export, link_name="ocsv_stream_finish")
+ocsv_stream_finish :: proc "c" (stream: ^Streaming_Parser) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil {
+        return -1
+    }
+
+    if !stream.stopped {
+        streaming_parser_finalize(stream)
+    }
+
+    // Stopping early because to_line was reached is not an error
+    return stream.last_error.code != .None ? -1 : 0
+}
+
+// ocsv_stream_take_rows packs all rows completed since the last call
+// Parameters:
+//   stream: pointer to Streaming_Parser
+//   out_size: pointer to int where buffer size will be written (0 if no rows)
+// Returns: pointer to packed buffer, or nil if there are no pending rows
+// Note: The buffer is owned by the stream and valid until the next take or destroy
+@(export, link_name="ocsv_stream_take_rows")
+ocsv_stream_take_rows :: proc "c" (stream: ^Streaming_Parser, out_size: ^c.int) -> ^u8 {
+    context = runtime.default_context()
+
+    if stream == nil || out_size == nil {
+        return nil
+    }
+
+    if len(stream.packed_buffer) > 0 {
+        delete(stream.packed_buffer)
+        stream.packed_buffer = nil
+    }
+
+    if len(stream.pending_rows) == 0 {
+        out_size^ = 0
+        return nil
+    }
+
+    stream.packed_buffer = pack_rows(stream.pending_rows[:])
+    streaming_clear_pending_rows(stream)
+
+    out_size^ = c.int(len(stream.packed_buffer))
+    return raw_data(stream.packed_buffer)
+}
+
+// ocsv_stream_get_error_code returns the error code of the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: error code as integer (0 = None)
+@(export, link_name="ocsv_stream_get_error_code")
+ocsv_stream_get_error_code :: proc "c" (stream: ^Streaming_Parser) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil {
+        return 0
+    }
+
+    return c.int(stream.last_error.code)
+}
+
+// ocsv_stream_get_error_line returns the line number of the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: line number (1-indexed), or 0 if no error
+@(export, link_name="ocsv_stream_get_error_line")
+ocsv_stream_get_error_line :: proc "c" (stream: ^Streaming_Parser) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil {
+        return 0
+    }
+
+    return c.int(stream.last_error.line)
+}
+
+// ocsv_stream_get_error_column returns the column number of the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: column number (1-indexed), or 0 if no error
+@(export, link_name="ocsv_stream_get_error_column")
+ocsv_stream_get_error_column :: proc "c" (stream: ^Streaming_Parser) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil {
+        return 0
+    }
+
+    return c.int(stream.last_error.column)
+}
+
+// ocsv_stream_get_error_message returns the message of the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: cstring containing error message, or empty string if no error
+// Note: The returned string is owned by the stream and valid until destroy
+@(export, link_name="ocsv_stream_get_error_message")
+ocsv_stream_get_error_message :: proc "c" (stream: ^Streaming_Parser) -> cstring {
+    context = runtime.default_context()
+
+    if stream == nil || stream.last_error.code == .None {
+        return ""
+    }
+
+    return cstring(raw_data(stream.last_error.message))
+}
+
+// ocsv_stream_get_error_offset returns the byte offset of the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: byte offset in the whole input written so far (0-based), or -1 if
+//          there is no error or its position is unknown
+@(export, link_name="ocsv_stream_get_error_offset")
+ocsv_stream_get_error_offset :: proc "c" (stream: ^Streaming_Parser) -> c.int {
+    context = runtime.default_context()
+
+    if stream == nil || stream.last_error.code == .None {
+        return -1
+    }
+
+    return c.int(stream.last_error.offset)
+}
+
+// ocsv_stream_get_error_context returns the part of the offending line around the last stream error
+// Parameters:
+//   stream: pointer to Streaming_Parser
+// Returns: cstring with the line as far as it was written (see streaming_error_at),
+//          or empty string if there is none
+// Note: The returned string is owned by the stream and valid until destroy
+@(export, link_name="ocsv_stream_get_error_context")
+ocsv_stream_get_error_context :: proc "c" (stream: ^Streaming_Parser) -> cstring {
+    context = runtime.default_context()
+
+    if stream == nil || stream.last_error.code == .None || len(stream.last_error.ctx) == 0 {
+        return ""
+    }
+
+    return cstring(raw_data(stream.last_error.ctx))
+}
+
+// ============================================================================
+// Schema Validation FFI Functions
+// ============================================================================
+// These functions run validate_and_convert (schema.odin) on behalf of JavaScript.
+// Schemas are passed as JSON and results are returned as JSON:
+//
+//   Schema: {"columns":[{"name":"age","type":"int","required":true,"nullable":false,
+//            "min":0,"max":150,"minLength":1,"maxLength":10,"allowedValues":["a","b"],
+//            "default":"0"}],"strict":false,"allowExtraColumns":false}
+//
+//   Result: {"valid":false,"rows":[[30,"Alice",true,null]],
+//            "errors":[{"row":2,"column":1,"columnName":"age","value":"x",
+//                       "rule":"type","message":"..."}]}
+//
+// Empty non-string values are returned as null. Date values are returned as
+// strings and converted to Date objects in JavaScript.
+
+// schema_from_json builds a Schema from its JSON description
+// All strings are cloned; free with schema_destroy_owned
+// Returns: (schema, true) on success, ({}, false) if the JSON is malformed
+schema_from_json :: proc(data: string) -> (schema: Schema, ok: bool) {
+    value, err := json.parse_string(data)
+    defer json.destroy_value(value)
+    if err != .None {
+        return {}, false
+    }
+
+    root, is_object := value.(json.Object)
+    if !is_object {
+        return {}, false
+    }
+
+    columns_value, has_columns := root["columns"].(json.Array)
+    if !has_columns {
+        return {}, false
+    }
+
+    schema.columns = make([]Column_Schema, len(columns_value))
+    for column_value, i in columns_value {
+        column_object, column_ok := column_value.(json.Object)
+        if !column_ok {
+            schema_destroy_owned(&schema)
+            return {}, false
+        }
+
+        column := &schema.columns[i]
+        if name, has := column_object["name"].(json.String); has {
+            column.name = strings.clone(name)
+        }
+        if type_name, has := column_object["type"].(json.String); has {
+            col_type, type_ok := column_type_from_string(type_name)
+            if !type_ok {
+                schema_destroy_owned(&schema)
+                return {}, false
+            }
+            column.col_type = col_type
+        }
+        if required, has := column_object["required"].(json.Boolean); has {
+            column.required = required
+        }
+        if nullable, has := column_object["nullable"].(json.Boolean); has {
+            column.nullable = nullable
+        }
+        if min_value, has := column_object["min"].(json.Float); has {
+            column.min_value = min_value
+        }
+        if max_value, has := column_object["max"].(json.Float); has {
+            column.max_value = max_value
+        }
+        if min_length, has := column_object["minLength"].(json.Float); has {
+            column.min_length = int(min_length)
+        }
+        if max_length, has := column_object["maxLength"].(json.Float); has {
+            column.max_length = int(max_length)
+        }
+        if allowed, has := column_object["allowedValues"].(json.Array); has {
+            column.allowed_values = make([]string, len(allowed))
+            for allowed_value, j in allowed {
+                allowed_string, _ := allowed_value.(json.String)
+                column.allowed_values[j] = strings.clone(allowed_string)
+            }
+        }
+        if default_value, has := column_object["default"].(json.String); has {
+            column.default_value = strings.clone(default_value)
+        }
+    }
+
+    if strict, has := root["strict"].(json.Boolean); has {
+        schema.strict = strict
+    }
+    if allow_extra, has := root["allowExtraColumns"].(json.Boolean); has {
+        schema.allow_extra_columns = allow_extra
+    }
+
+    return schema, true
+}
+
+// schema_destroy_owned frees a Schema created by schema_from_json
+schema_destroy_owned :: proc(schema: ^Schema) {
+    for column in schema.columns {
+        delete(column.name)
+        for allowed in column.allowed_values {
+            delete(allowed)
+        }
+        delete(column.allowed_values)
+        delete(column.default_value)
+    }
+    delete(schema.columns)
+    schema.columns = nil
+}
+
+// validation_to_json runs validate_and_convert and serializes the outcome
+// Returns: allocated cstring (free with ocsv_free_json_string)
+validation_to_json :: proc(schema: ^Schema, rows: [][]string) -> cstring {
+    typed_rows, result := validate_and_convert(schema, rows)
+    defer {
+        for typed_row in typed_rows {
+            delete(typed_row)
+        }
+        delete(typed_rows)
+        validation_result_destroy(&result)
+    }
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+
+    fmt.sbprintf(&builder, "{\"valid\":%v,\"rows\":[", result.valid)
+
+    for typed_row, i in typed_rows {
+        // Strict mode stops at the first invalid row, leaving the rest unconverted
+        if typed_row == nil && len(schema.columns) > 0 {
+            break
+        }
+        if i > 0 {
+            strings.write_byte(&builder, ',')
+        }
+
+        strings.write_byte(&builder, '[')
+        for typed_value, j in typed_row {
+            if j > 0 {
+                strings.write_byte(&builder, ',')
+            }
+            write_typed_value_json(&builder, typed_value, schema.columns[j].col_type)
+        }
+        strings.write_byte(&builder, ']')
+    }
+
+    strings.write_string(&builder, "],\"errors\":[")
+
+    for err, i in result.errors {
+        if i > 0 {
+            strings.write_byte(&builder, ',')
+        }
+        fmt.sbprintf(&builder, "{\"row\":%d,\"column\":%d,\"columnName\":", err.row, err.column)
+        json_escape_string(err.column_name, &builder)
+        strings.write_string(&builder, ",\"value\":")
+        json_escape_string(err.value, &builder)
+        strings.write_string(&builder, ",\"rule\":")
+        json_escape_string(validation_rule_to_string(err.error_type), &builder)
+        strings.write_string(&builder, ",\"message\":")
+        json_escape_string(err.message, &builder)
+        strings.write_byte(&builder, '}')
+    }
+
+    strings.write_string(&builder, "]}")
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
+// write_typed_value_json writes a single converted value as JSON
+write_typed_value_json :: proc(builder: ^strings.Builder, value: Typed_Value, col_type: Column_Type) {
+    switch v in value {
+    case string:
+        // Empty values of non-string columns are missing data, not ""
+        if len(v) == 0 && col_type != .String {
+            strings.write_string(builder, "null")
+        } else {
+            json_escape_string(v, builder)
+        }
+    case i64:
+        fmt.sbprintf(builder, "%d", v)
+    case f64:
+        if math.is_nan(v) || math.is_inf(v) {
+            strings.write_string(builder, "null")
+        } else {
+            fmt.sbprintf(builder, "%v", v)
+        }
+    case bool:
+        strings.write_string(builder, v ? "true" : "false")
+    case time.Time:
+        strings.write_string(builder, "null")
+    case:
+        strings.write_string(builder, "null")
+    }
+}
+
+// ocsv_validate_rows validates the parser's rows against a JSON schema
+// Parameters:
+//   parser: pointer to Parser (after a successful parse)
+//   schema_json: JSON schema description (see format above)
+//   skip_header: true if the first row is a header and should not be validated
+// Returns: JSON result string, or nil if the schema JSON is invalid
+// Note: The caller must free the result with ocsv_free_json_string
+// Note: Only the projected columns are validated when ocsv_set_columns was called
+@(export, link_name="ocsv_validate_rows")
+ocsv_validate_rows :: proc "c" (parser: ^Parser, schema_json: cstring, skip_header: c.bool) -> cstring {
+    context = runtime.default_context()
+
+    if parser == nil || schema_json == nil {
+        return nil
+    }
+
+    schema, ok := schema_from_json(string(schema_json))
+    if !ok {
+        return nil
+    }
+    defer schema_destroy_owned(&schema)
+    schema.skip_header = bool(skip_header)
+
+    if len(parser.columns) == 0 {
+        return validation_to_json(&schema, parser.all_rows[:])
+    }
+
+    // The schema describes the projected columns
+    rows := project_rows(parser.all_rows[:], parser.columns[:])
+    defer {
+        for row in rows {
+            delete(row)
+        }
+        delete(rows)
+    }
+    return validation_to_json(&schema, rows)
+}
+
+// ocsv_infer_schema infers the type of each column from the parsed rows (see infer.odin)
+// Parameters:
+//   parser: pointer to Parser (after a successful parse)
+//   skip_header: true if the first row is a header; it names the columns and is not scanned
+//   sample_rows: number of data rows to scan (0 or less = all rows)
+// Returns: JSON array of inferred columns (see write_inferred_columns_json), or nil on error
+// Note: The caller must free the result with ocsv_free_json_string
+// Note: Only the projected columns are inferred when ocsv_set_columns was called
+@(export, link_name="ocsv_infer_schema")
+ocsv_infer_schema :: proc "c" (parser: ^Parser, skip_header: c.bool, sample_rows: c.int) -> cstring {
+    context = runtime.default_context()
+
+    if parser == nil {
+        return nil
+    }
+
+    rows := parser.all_rows[:]
+    header: []string
+    if skip_header && len(rows) > 0 {
+        header = rows[0]
+        rows = rows[1:]
+    }
+    if sample_rows > 0 && int(sample_rows) < len(rows) {
+        rows = rows[:sample_rows]
+    }
+
+    // Headerless input takes the width of the widest sampled row
+    columns := parser.columns[:]
+    column_count := len(columns)
+    if column_count == 0 {
+        column_count = len(header)
+        if !skip_header {
+            for row in rows {
+                column_count = max(column_count, len(row))
+            }
+        }
+    }
+
+    names := make([]string, len(header) > 0 ? column_count : 0)
+    defer delete(names)
+    for i in 0..<len(names) {
+        names[i] = columnar_field(header, columns, i)
+    }
+
+    inferred := infer_columns(rows, columns, column_count)
+    defer delete(inferred)
+
+    builder := strings.builder_make()
+    defer strings.builder_destroy(&builder)
+    write_inferred_columns_json(&builder, inferred, names)
+
+    return strings.clone_to_cstring(strings.to_string(builder))
+}
+
+// ocsv_validate_json validates rows given as JSON against a JSON schema
+// Parameters:
+//   rows_json: JSON array of arrays of strings (data rows only, no header)
+//   schema_json: JSON schema description (see format above)
+// Returns: JSON result string, or nil if either JSON input is invalid
+// Note: The caller must free the result with ocsv_free_json_string
+@(export, link_name="ocsv_validate_json")
+ocsv_validate_json :: proc "c" (rows_json: cstring, schema_json: cstring) -> cstring {
+    context = runtime.default_context()
+
+    if rows_json == nil || schema_json == nil {
+        return nil
+    }
+
+    schema, ok := schema_from_json(string(schema_json))
+    if !ok {
+        return nil
+    }
+    defer schema_destroy_owned(&schema)
+
+    value, err := json.parse_string(string(rows_json))
+    defer json.destroy_value(value)
+    if err != .None {
+        return nil
+    }
+
+    rows_array, is_array := value.(json.Array)
+    if !is_array {
+        return nil
+    }
+
+    // Borrow the decoded strings; they stay alive until destroy_value
+    rows := make([][]string, len(rows_array))
+    defer {
+        for row in rows {
+            delete(row)
+        }
+        delete(rows)
+    }
+
+    for row_value, i in rows_array {
+        fields, row_ok := row_value.(json.Array)
+        if !row_ok {
+            return nil
+        }
+        rows[i] = make([]string, len(fields))
+        for field_value, j in fields {
+            field, _ := field_value.(json.String)
+            rows[i][j] = field
+        }
+    }
+
+    return validation_to_json(&schema, rows)
+}
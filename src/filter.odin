@@ -0,0 +1,106 @@
+package ocsv
+
+// Row filtering for CSV data
+// Declarative predicates evaluated natively after parsing, so rows that do not
+// match are dropped before they are packed, serialized or handed to JavaScript
+
+import "core:strconv"
+import "core:strings"
+import "core:text/regex"
+
+// Filter_Op is the test a Row_Filter applies to its column
+Filter_Op :: enum {
+    Equals,  // Field equals value
+    In_Set,  // Field equals one of values
+    Range,   // Field is a number within [min, max]
+    Pattern, // Field matches a regular expression
+}
+
+// Row_Filter is a predicate on a single column
+// A row is kept only when it passes every filter (missing fields compare as "")
+Row_Filter :: struct {
+    column:  int,                      // Zero-based column index
+    op:      Filter_Op,
+    value:   string,                   // Equals: expected value (owned)
+    values:  map[string]bool,          // In_Set: accepted values (owned keys)
+    min:     Maybe(f64),               // Range: inclusive lower bound
+    max:     Maybe(f64),               // Range: inclusive upper bound
+    pattern: regex.Regular_Expression, // Pattern: compiled regex
+    capture: regex.Capture,            // Pattern: reusable capture buffer
+}
+
+// row_filter_destroy frees the memory owned by a Row_Filter
+row_filter_destroy :: proc(filter: ^Row_Filter) {
+    delete(filter.value)
+    for key in filter.values {
+        delete(key)
+    }
+    delete(filter.values)
+    if filter.op == .Pattern {
+        regex.destroy_regex(filter.pattern)
+        regex.destroy_capture(filter.capture)
+    }
+}
+
+// row_filter_matches checks a single field against a filter
+row_filter_matches :: proc(filter: ^Row_Filter, field: string) -> bool {
+    switch filter.op {
+    case .Equals:
+        return field == filter.value
+    case .In_Set:
+        return field in filter.values
+    case .Range:
+        value, ok := strconv.parse_f64(strings.trim_space(field))
+        if !ok {
+            return false
+        }
+        if min, has_min := filter.min.?; has_min && value < min {
+            return false
+        }
+        if max, has_max := filter.max.?; has_max && value > max {
+            return false
+        }
+        return true
+    case .Pattern:
+        _, matched := regex.match_with_preallocated_capture(filter.pattern, field, &filter.capture)
+        free_all(context.temp_allocator)
+        return matched
+    }
+    return false
+}
+
+// row_matches checks a row against every filter
+row_matches :: proc(row: []string, filters: []Row_Filter) -> bool {
+    for &filter in filters {
+        field := filter.column < len(row) ? row[filter.column] : ""
+        if !row_filter_matches(&filter, field) {
+            return false
+        }
+    }
+    return true
+}
+
+// filter_rows removes the rows that do not match the filters from parser.all_rows
+// Parameters:
+//   parser: parser holding parsed rows
+//   filters: predicates a row must all pass
+//   skip_header: always keep the first row (it is the header)
+// Returns: number of rows removed
+filter_rows :: proc(parser: ^Parser, filters: []Row_Filter, skip_header: bool) -> int {
+    kept := 0
+    for row, i in parser.all_rows {
+        if (skip_header && i == 0) || row_matches(row, filters) {
+            parser.all_rows[kept] = row
+            kept += 1
+            continue
+        }
+        for field in row {
+            delete(field)
+        }
+        delete(row)
+    }
+
+    removed := len(parser.all_rows) - kept
+    resize(&parser.all_rows, kept)
+    return removed
+}
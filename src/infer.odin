@@ -0,0 +1,228 @@
+package ocsv
+
+// Column type inference
+// Scans the values of each column and picks the narrowest schema type that
+// holds all of them, so callers can preview a schema before validating rows.
+//
+// Types are tried in order: Int, Float, Bool, Date, String. Empty values make a
+// column nullable but do not affect its type; a column with no values is String.
+// Bool only wins when some value is a word (true/yes/t...), since 0/1 columns
+// are Int. Dates must be year-first (YYYY-MM-DD or YYYY/MM/DD).
+
+import "core:strings"
+
+// Inferred_Column describes the values observed in one column
+Inferred_Column :: struct {
+    col_type:   Column_Type,  // Narrowest type holding every non-empty value
+    nullable:   bool,         // Some values are empty (or missing from short rows)
+    count:      int,          // Number of non-empty values
+    min_value:  f64,          // Smallest value (Int and Float only)
+    max_value:  f64,          // Largest value (Int and Float only)
+    min_length: int,          // Shortest value in bytes (String only)
+    max_length: int,          // Longest value in bytes (String only)
+    earliest:   string,       // Earliest value (Date only, borrowed from the rows)
+    latest:     string,       // Latest value (Date only, borrowed from the rows)
+}
+
+// infer_column scans one column and returns its type and observed range
+// Parameters:
+//   rows: data rows (header excluded)
+//   columns: selected column indices (empty = all columns)
+//   column: projected column index
+// Returns: Inferred_Column; strings in it point into rows
+infer_column :: proc(rows: [][]string, columns: []int, column: int) -> Inferred_Column {
+    result := Inferred_Column{col_type = .String}
+    can_int, can_float, can_bool, can_date := true, true, true, true
+    has_word := false  // A bool value that is not also a number
+
+    for row in rows {
+        field := columnar_field(row, columns, column)
+        if len(field) == 0 {
+            result.nullable = true
+            continue
+        }
+
+        if result.count == 0 || len(field) < result.min_length {
+            result.min_length = len(field)
+        }
+        if result.count == 0 || len(field) > result.max_length {
+            result.max_length = len(field)
+        }
+
+        if can_int {
+            _, ok := convert_value(.Int, field)
+            can_int = ok
+        }
+        if can_float {
+            value, ok := convert_value(.Float, field)
+            can_float = ok
+            if number, is_number := value.(f64); ok && is_number {
+                if result.count == 0 || number < result.min_value {
+                    result.min_value = number
+                }
+                if result.count == 0 || number > result.max_value {
+                    result.max_value = number
+                }
+            }
+        }
+        if can_bool {
+            _, ok := convert_value(.Bool, field)
+            can_bool = ok
+            has_word = has_word || (ok && field != "0" && field != "1")
+        }
+        if can_date {
+            can_date = is_iso_date(field)
+            if can_date {
+                if result.count == 0 || date_key(field) < date_key(result.earliest) {
+                    result.earliest = field
+                }
+                if result.count == 0 || date_key(field) > date_key(result.latest) {
+                    result.latest = field
+                }
+            }
+        }
+
+        result.count += 1
+    }
+
+    if result.count == 0 {
+        return result
+    }
+
+    switch {
+    case can_int:
+        result.col_type = .Int
+    case can_float:
+        result.col_type = .Float
+    case can_bool && has_word:
+        result.col_type = .Bool
+    case can_date:
+        result.col_type = .Date
+    }
+
+    // Only keep the range that applies to the type
+    if result.col_type != .Int && result.col_type != .Float {
+        result.min_value, result.max_value = 0, 0
+    }
+    if result.col_type != .String {
+        result.min_length, result.max_length = 0, 0
+    }
+    if result.col_type != .Date {
+        result.earliest, result.latest = "", ""
+    }
+    return result
+}
+
+// infer_columns infers every column of rows
+// Parameters:
+//   rows: data rows (header excluded)
+//   columns: selected column indices (empty = all columns)
+//   column_count: number of output columns
+// Returns: newly allocated slice (caller owns it)
+infer_columns :: proc(rows: [][]string, columns: []int, column_count: int) -> []Inferred_Column {
+    result := make([]Inferred_Column, column_count)
+    for i in 0..<column_count {
+        result[i] = infer_column(rows, columns, i)
+    }
+    return result
+}
+
+// is_iso_date reports whether a value is a valid YYYY-MM-DD or YYYY/MM/DD date
+is_iso_date :: proc(value: string) -> bool {
+    if len(value) != 10 || (value[4] != '-' && value[4] != '/') || value[7] != value[4] {
+        return false
+    }
+    for i in 0..<10 {
+        if i != 4 && i != 7 && (value[i] < '0' || value[i] > '9') {
+            return false
+        }
+    }
+
+    year := date_key(value) / 10000
+    month := date_key(value) / 100 % 100
+    day := date_key(value) % 100
+    days_in_month := [12]int{31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31}
+    if month < 1 || month > 12 || day < 1 {
+        return false
+    }
+    if month == 2 && (year % 4 == 0 && (year % 100 != 0 || year % 400 == 0)) {
+        return day <= 29
+    }
+    return day <= days_in_month[month - 1]
+}
+
+// date_key turns a date accepted by is_iso_date into a sortable YYYYMMDD number
+date_key :: proc(value: string) -> int {
+    key := 0
+    for c in transmute([]u8)value {
+        if c >= '0' && c <= '9' {
+            key = key * 10 + int(c - '0')
+        }
+    }
+    return key
+}
+
+// write_inferred_columns_json writes inferred columns as a JSON array
+// Parameters:
+//   builder: output builder
+//   inferred: inferred columns
+//   names: column names (missing entries are written as null)
+//
+// Example output:
+//   [{"name":"age","type":"int","nullable":false,"count":2,"min":25,"max":30},
+//    {"name":"city","type":"string","nullable":true,"count":1,"minLength":4,"maxLength":4}]
+write_inferred_columns_json :: proc(builder: ^strings.Builder, inferred: []Inferred_Column, names: []string) {
+    strings.write_byte(builder, '[')
+    for column, i in inferred {
+        if i > 0 {
+            strings.write_byte(builder, ',')
+        }
+        strings.write_string(builder, `{"name":`)
+        if i < len(names) {
+            json_escape_string(names[i], builder)
+        } else {
+            strings.write_string(builder, "null")
+        }
+        strings.write_string(builder, `,"type":"`)
+        strings.write_string(builder, column_type_to_string(column.col_type))
+        strings.write_string(builder, column.nullable ? `","nullable":true` : `","nullable":false`)
+        write_int_json(builder, "count", column.count)
+
+        #partial switch column.col_type {
+        case .Int:
+            write_int_json(builder, "min", int(column.min_value))
+            write_int_json(builder, "max", int(column.max_value))
+        case .Float:
+            write_float_json(builder, "min", column.min_value)
+            write_float_json(builder, "max", column.max_value)
+        case .Date:
+            strings.write_string(builder, `,"earliest":`)
+            json_escape_string(column.earliest, builder)
+            strings.write_string(builder, `,"latest":`)
+            json_escape_string(column.latest, builder)
+        case .String:
+            if column.count > 0 {
+                write_int_json(builder, "minLength", column.min_length)
+                write_int_json(builder, "maxLength", column.max_length)
+            }
+        }
+        strings.write_byte(builder, '}')
+    }
+    strings.write_byte(builder, ']')
+}
+
+// write_int_json writes `,"key":value`
+write_int_json :: proc(builder: ^strings.Builder, key: string, value: int) {
+    strings.write_string(builder, `,"`)
+    strings.write_string(builder, key)
+    strings.write_string(builder, `":`)
+    strings.write_int(builder, value)
+}
+
+// write_float_json writes `,"key":value`, or null for values JSON cannot represent
+write_float_json :: proc(builder: ^strings.Builder, key: string, value: f64) {
+    strings.write_string(builder, `,"`)
+    strings.write_string(builder, key)
+    strings.write_string(builder, `":`)
+    write_typed_value_json(builder, value, .Float)
+}
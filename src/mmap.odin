@@ -0,0 +1,272 @@
+package ocsv
+
+// Memory-mapped file parsing
+// Files are mapped read-only and parsed in place instead of being copied into
+// a string first. In indexed (lazy) mode only the byte offset of each row is
+// kept; a row is parsed again from the mapping when it is accessed.
+
+import "core:fmt"
+import "core:mem/virtual"
+import "core:os"
+
+UTF8_BOM :: "\xEF\xBB\xBF"
+
+// Mapped_File is a read-only file mapping with a row index
+Mapped_File :: struct {
+    data:       []byte,        // Mapped file contents (nil for empty files)
+    row_starts: [dynamic]int,  // Byte offset of each row, plus len(data) as a sentinel
+    row_parser: ^Parser,       // Scratch parser holding the most recently accessed row
+    cached_row: int,           // Index of the row held by row_parser (-1 = none)
+}
+
+// map_file maps a file read-only
+// Parameters:
+//   path: file path
+// Returns: file contents (nil for an empty file) and an error message ("" on success)
+// Note: Unmap non-nil data with virtual.unmap_file
+map_file :: proc(path: string) -> (data: []byte, err_message: string) {
+    fd, open_err := os.open(path)
+    if open_err != 0 {
+        return nil, fmt.aprintf("Cannot open file: %s", path)
+    }
+    defer os.close(fd)
+
+    size, size_err := os.file_size(fd)
+    if size_err != 0 {
+        return nil, fmt.aprintf("Cannot read file size: %s", path)
+    }
+    if size == 0 {
+        return nil, ""
+    }
+
+    mapped, map_err := virtual.map_file_from_file_descriptor(uintptr(fd), {.Read})
+    if map_err != .None {
+        return nil, fmt.aprintf("Cannot map file (%v): %s", map_err, path)
+    }
+    return mapped, ""
+}
+
+// mapped_file_destroy unmaps the file and frees the row index
+mapped_file_destroy :: proc(mapped: ^Mapped_File) {
+    if mapped == nil do return
+
+    if mapped.data != nil {
+        virtual.unmap_file(mapped.data)
+    }
+    delete(mapped.row_starts)
+    parser_destroy(mapped.row_parser)
+    free(mapped)
+}
+
+// index_rows records where each row of data starts, following the same rules
+// as parse_csv_scalar (quotes, comment lines, empty lines)
+// Parameters:
+//   parser: parser whose config and error state are used
+//   data: CSV data
+//   row_starts: receives the byte offset of each row, plus len(data) as a sentinel
+// Returns: true on success, false on a quoting error (recorded in parser.last_error)
+index_rows :: proc(parser: ^Parser, data: []byte, row_starts: ^[dynamic]int) -> bool {
+    config := &parser.config
+    state := Parse_State.Field_Start
+    row_has_fields := false
+    row_start := 0
+    quote_start := 0
+    parser.line_number = 1
+    checkpoint := progress_checkpoint(parser)
+
+    for i := 0; i < len(data); i += 1 {
+        if i >= checkpoint && !check_progress(parser, i, len(row_starts), &checkpoint) {
+            return false
+        }
+        b := data[i]
+
+        switch state {
+        case .Field_Start:
+            if b == config.quote {
+                state = .In_Quoted_Field
+                quote_start = i
+            } else if b == config.delimiter {
+                row_has_fields = true
+            } else if b == '\n' {
+                // A row ends here, or an empty line (except at the very start) is a row of its own
+                if row_has_fields || i > 0 {
+                    append(row_starts, row_start)
+                    row_start = i + 1
+                }
+                row_has_fields = false
+                parser.line_number += 1
+            } else if b == '\r' {
+                continue
+            } else if config.comment != 0 && b == config.comment && !row_has_fields {
+                state = .Field_End
+            } else {
+                state = .In_Field
+            }
+
+        case .In_Field:
+            if b == config.delimiter {
+                row_has_fields = true
+                state = .Field_Start
+            } else if b == '\n' {
+                append(row_starts, row_start)
+                row_start = i + 1
+                row_has_fields = false
+                parser.line_number += 1
+                state = .Field_Start
+            }
+
+        case .In_Quoted_Field:
+            if b == config.quote {
+                state = .Quote_In_Quote
+            } else if _, ok := escaped_char_at(config, string(data), i); ok {
+                i += 1
+            } else if b == '\n' {
+                parser.line_number += 1
+            }
+
+        case .Quote_In_Quote:
+            if b == config.quote {
+                state = .In_Quoted_Field
+            } else if b == config.delimiter {
+                row_has_fields = true
+                state = .Field_Start
+            } else if b == '\n' {
+                append(row_starts, row_start)
+                row_start = i + 1
+                row_has_fields = false
+                parser.line_number += 1
+                state = .Field_Start
+            } else if b == '\r' {
+                continue
+            } else if config.relaxed {
+                state = .In_Quoted_Field
+            } else {
+                record_parser_error_at(parser, .Invalid_Character_After_Quote,
+                    "Invalid character after closing quote (strict mode)", string(data), i)
+                return false
+            }
+
+        case .Field_End:
+            // Comment lines are included in the next row's range and skipped when it is parsed
+            if b == '\n' {
+                parser.line_number += 1
+                state = .Field_Start
+            }
+        }
+    }
+
+    // Handle end of input
+    switch state {
+    case .In_Field, .Quote_In_Quote:
+        append(row_starts, row_start)
+    case .In_Quoted_Field:
+        if !config.relaxed {
+            record_parser_error_at(parser, .Unterminated_Quote, "Unterminated quoted field at end of input", string(data), quote_start)
+            return false
+        }
+        append(row_starts, row_start)
+    case .Field_Start:
+        if row_has_fields {
+            append(row_starts, row_start)
+        }
+    case .Field_End:
+    }
+
+    append(row_starts, len(data))
+    return true
+}
+
+// parse_mapped_file maps a file and parses it in place
+// Parameters:
+//   parser: parser that receives the rows
+//   path: file path
+//   indexed: keep the mapping and only index row offsets (rows are parsed on access)
+//   strip_bom: skip a leading UTF-8 byte order mark
+// Returns: true on success, false on error (File_Not_Found if the file cannot be read)
+parse_mapped_file :: proc(parser: ^Parser, path: string, indexed: bool, strip_bom: bool) -> bool {
+    clear_parser_data(parser)
+
+    data, err_message := map_file(path)
+    if err_message != "" {
+        parser.line_number = 0
+        parser.column_number = 0
+        record_parser_error(parser, .File_Not_Found, err_message)
+        delete(err_message)
+        return false
+    }
+
+    content := data
+    if strip_bom && len(content) >= len(UTF8_BOM) && string(content[:len(UTF8_BOM)]) == UTF8_BOM {
+        content = content[len(UTF8_BOM):]
+    }
+
+    if !indexed {
+        // Rows own copies of their fields, so the mapping can go right away
+        defer if data != nil {
+            virtual.unmap_file(data)
+        }
+        return parse_csv(parser, string(content))
+    }
+
+    mapped := new(Mapped_File)
+    mapped.data = data
+    mapped.row_starts = make([dynamic]int)
+    mapped.row_parser = parser_create()
+    mapped.row_parser.config = parser.config
+    mapped.cached_row = -1
+
+    if !validate_utf8_input(parser, string(content)) || !index_rows(parser, content, &mapped.row_starts) {
+        mapped_file_destroy(mapped)
+        return false
+    }
+
+    // Row offsets are relative to content; shift them past a stripped BOM
+    if skipped := len(data) - len(content); skipped > 0 {
+        for &offset in mapped.row_starts {
+            offset += skipped
+        }
+    }
+
+    parser.mapped = mapped
+    return true
+}
+
+// parser_row_count returns the number of rows, whether parsed or indexed
+parser_row_count :: proc(parser: ^Parser) -> int {
+    if parser.mapped != nil {
+        return len(parser.mapped.row_starts) - 1
+    }
+    return len(parser.all_rows)
+}
+
+// parser_row returns a row, parsing it from the mapping when the parser is indexed
+// Parameters:
+//   parser: parser holding parsed or indexed rows
+//   index: row index (0-based)
+// Returns: row fields and true, or nil and false for an invalid index or malformed row
+// Note: Fields of an indexed row are only valid until the next call for another row
+parser_row :: proc(parser: ^Parser, index: int) -> ([]string, bool) {
+    if index < 0 || index >= parser_row_count(parser) {
+        return nil, false
+    }
+
+    mapped := parser.mapped
+    if mapped == nil {
+        return parser.all_rows[index], true
+    }
+
+    if mapped.cached_row != index {
+        mapped.cached_row = index
+        slice := string(mapped.data[mapped.row_starts[index]:mapped.row_starts[index + 1]])
+        if !parse_csv(mapped.row_parser, slice) {
+            mapped.cached_row = -1
+            return nil, false
+        }
+    }
+
+    // An empty line parses to no rows
+    if len(mapped.row_parser.all_rows) == 0 {
+        return nil, true
+    }
+    return mapped.row_parser.all_rows[0], true
+}
@@ -0,0 +1,235 @@
+package ocsv
+
+// Output formats
+// Writes parsed rows as JSON Lines, JSON, TSV or CSV text without building
+// intermediate values. Rows are written one at a time, so callers can convert
+// large inputs in chunks (see ocsv_rows_to_output); the built-in Output_Plugins
+// registered by register_builtin_outputs convert a whole parser at once.
+
+import "core:strings"
+
+// Output_Format selects how rows are written
+Output_Format :: enum u8 {
+    JSON_Lines, // One JSON object (or array) per line
+    JSON,       // JSON array of objects (or arrays)
+    TSV,        // Tab-separated; tab, newline, carriage return and backslash are escaped
+    CSV,        // RFC 4180 CSV; fields are quoted when needed
+}
+
+// Output_Options controls how rows are written
+Output_Options :: struct {
+    format:    Output_Format,
+    keys:      []string, // Object keys for JSON formats (empty = write rows as arrays)
+    nulls:     bool,     // JSON formats: write null fields (see is_null_field) as null
+    delimiter: byte,     // CSV field delimiter (0 = ',')
+}
+
+// output_format_from_string parses "jsonl" (or "ndjson"), "json", "tsv" or "csv"
+output_format_from_string :: proc(name: string) -> (Output_Format, bool) {
+    switch name {
+    case "jsonl", "ndjson": return .JSON_Lines, true
+    case "json":            return .JSON, true
+    case "tsv":             return .TSV, true
+    case "csv":             return .CSV, true
+    }
+    return .JSON_Lines, false
+}
+
+// write_output_row writes one row
+// Parameters:
+//   builder: output builder
+//   row: CSV row
+//   columns: selected column indices (empty = all columns)
+//   options: output options
+//   first: whether this is the first row of a JSON array (no leading comma)
+// Note: Every format except JSON ends the row with "\n"; JSON rows are
+//       separated by "," and the caller writes the surrounding brackets
+write_output_row :: proc(builder: ^strings.Builder, row: []string, columns: []int, options: ^Output_Options, first := false) {
+    switch options.format {
+    case .JSON_Lines:
+        write_json_row(builder, row, columns, options)
+        strings.write_byte(builder, '\n')
+    case .JSON:
+        if !first {
+            strings.write_byte(builder, ',')
+        }
+        write_json_row(builder, row, columns, options)
+    case .TSV:
+        for i in 0..<projected_width(row, columns) {
+            if i > 0 {
+                strings.write_byte(builder, '\t')
+            }
+            write_tsv_field(builder, projected_field(row, columns, i))
+        }
+        strings.write_byte(builder, '\n')
+    case .CSV:
+        delimiter := options.delimiter != 0 ? options.delimiter : ','
+        for i in 0..<projected_width(row, columns) {
+            if i > 0 {
+                strings.write_byte(builder, delimiter)
+            }
+            write_csv_field(builder, projected_field(row, columns, i), delimiter)
+        }
+        strings.write_byte(builder, '\n')
+    }
+}
+
+// write_json_row writes a row as a JSON object keyed by options.keys, or as an
+// array when there are no keys. Missing fields of short rows are written as ""
+// (or null with options.nulls); fields past the last key are dropped.
+write_json_row :: proc(builder: ^strings.Builder, row: []string, columns: []int, options: ^Output_Options) {
+    width := projected_width(row, columns)
+
+    if len(options.keys) == 0 {
+        strings.write_byte(builder, '[')
+        for i in 0..<width {
+            if i > 0 {
+                strings.write_byte(builder, ',')
+            }
+            write_json_field(builder, projected_field(row, columns, i), options.nulls)
+        }
+        strings.write_byte(builder, ']')
+        return
+    }
+
+    strings.write_byte(builder, '{')
+    for key, i in options.keys {
+        if i > 0 {
+            strings.write_byte(builder, ',')
+        }
+        json_escape_string(key, builder)
+        strings.write_byte(builder, ':')
+        if i < width {
+            write_json_field(builder, projected_field(row, columns, i), options.nulls)
+        } else {
+            strings.write_string(builder, options.nulls ? "null" : `""`)
+        }
+    }
+    strings.write_byte(builder, '}')
+}
+
+// write_json_field writes a field as a JSON string, or null for a null field when nulls is set
+write_json_field :: proc(builder: ^strings.Builder, field: string, nulls: bool) {
+    if nulls && is_null_field(field) {
+        strings.write_string(builder, "null")
+        return
+    }
+    json_escape_string(field, builder)
+}
+
+// write_tsv_field writes a field with tab, newline, carriage return and backslash escaped
+write_tsv_field :: proc(builder: ^strings.Builder, field: string) {
+    for i in 0..<len(field) {
+        switch field[i] {
+        case '\t': strings.write_string(builder, "\\t")
+        case '\n': strings.write_string(builder, "\\n")
+        case '\r': strings.write_string(builder, "\\r")
+        case '\\': strings.write_string(builder, "\\\\")
+        case:      strings.write_byte(builder, field[i])
+        }
+    }
+}
+
+// write_csv_field writes a field, quoting it when it contains the delimiter, a
+// quote, a line break or leading/trailing spaces. A quoted empty field is written
+// as "" so it stays distinct from a null one.
+write_csv_field :: proc(builder: ^strings.Builder, field: string, delimiter: byte) {
+    needs_quotes := len(field) == 0 && !is_null_field(field)
+    if len(field) > 0 && (field[0] == ' ' || field[len(field) - 1] == ' ') {
+        needs_quotes = true
+    }
+    for i in 0..<len(field) {
+        if needs_quotes {
+            break
+        }
+        c := field[i]
+        needs_quotes = c == delimiter || c == '"' || c == '\n' || c == '\r'
+    }
+
+    if !needs_quotes {
+        strings.write_string(builder, field)
+        return
+    }
+
+    strings.write_byte(builder, '"')
+    for i in 0..<len(field) {
+        if field[i] == '"' {
+            strings.write_byte(builder, '"')
+        }
+        strings.write_byte(builder, field[i])
+    }
+    strings.write_byte(builder, '"')
+}
+
+// write_output converts every row of a parser
+// Parameters:
+//   parser: parser holding parsed or indexed rows
+//   options: output options; for JSON formats without keys, the first row is
+//            used as the keys and is not written
+//   allocator: allocator for the result
+// Returns: the converted text and true, or the text written so far and false
+//          when an indexed row is malformed
+write_output :: proc(parser: ^Parser, options: Output_Options, allocator := context.allocator) -> (string, bool) {
+    options := options
+    builder := strings.builder_make(allocator)
+    columns := parser.columns[:]
+    is_json := options.format == .JSON || options.format == .JSON_Lines
+    start := 0
+
+    if is_json && len(options.keys) == 0 && parser_row_count(parser) > 0 {
+        header, ok := parser_row(parser, 0)
+        if !ok {
+            return strings.to_string(builder), false
+        }
+        keys := make([]string, projected_width(header, columns), context.temp_allocator)
+        for i in 0..<len(keys) {
+            keys[i] = strings.clone(projected_field(header, columns, i), context.temp_allocator)
+        }
+        options.keys = keys
+        start = 1
+    }
+
+    if options.format == .JSON {
+        strings.write_byte(&builder, '[')
+    }
+    for index in start..<parser_row_count(parser) {
+        row, ok := parser_row(parser, index)
+        if !ok {
+            return strings.to_string(builder), false
+        }
+        write_output_row(&builder, row, columns, &options, index == start)
+    }
+    if options.format == .JSON {
+        strings.write_byte(&builder, ']')
+    }
+    return strings.to_string(builder), true
+}
+
+output_jsonl :: proc(parser: ^Parser, allocator := context.allocator) -> string {
+    text, _ := write_output(parser, {format = .JSON_Lines}, allocator)
+    return text
+}
+
+output_json :: proc(parser: ^Parser, allocator := context.allocator) -> string {
+    text, _ := write_output(parser, {format = .JSON}, allocator)
+    return text
+}
+
+output_tsv :: proc(parser: ^Parser, allocator := context.allocator) -> string {
+    text, _ := write_output(parser, {format = .TSV}, allocator)
+    return text
+}
+
+output_csv :: proc(parser: ^Parser, allocator := context.allocator) -> string {
+    text, _ := write_output(parser, {format = .CSV, delimiter = parser.config.delimiter}, allocator)
+    return text
+}
+
+// register_builtin_outputs registers the jsonl, json, tsv and csv output plugins
+// Note: JSON outputs use the first row as object keys
+register_builtin_outputs :: proc(registry: ^Plugin_Registry) {
+    plugin_register_output(registry, {name = "jsonl", description = "JSON Lines, one object per row", write = output_jsonl})
+    plugin_register_output(registry, {name = "json", description = "JSON array of objects", write = output_json})
+    plugin_register_output(registry, {name = "tsv", description = "Tab-separated values", write = output_tsv})
+    plugin_register_output(registry, {name = "csv", description = "RFC 4180 CSV", write = output_csv})
+}
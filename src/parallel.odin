@@ -7,7 +7,6 @@ import "core:thread"
 import "core:sync"
 import "core:os"
 import "core:mem"
-import "core:strings"
 import "base:runtime"
 
 // Parse_Worker_Result represents the result from a worker thread
@@ -35,6 +34,16 @@ default_parallel_config :: proc() -> Parallel_Config {
 // Best for very large files (>10 MB). Automatically falls back to sequential for smaller files.
 // Returns a new parser with merged results from all threads
 parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator := context.allocator) -> (^Parser, bool) {
+    parser := parser_create()
+    ok := parse_parallel_into(parser, data, config)
+    return parser, ok
+}
+
+// parse_parallel_into parses CSV data into an existing parser using multiple threads
+// Every worker uses parser.config, so the rows are identical to parse_csv(parser, data).
+// Inputs below the size threshold are parsed sequentially, and so is any input a
+// worker fails on (so error line/column match the sequential parser).
+parse_parallel_into :: proc(parser: ^Parser, data: string, config: Parallel_Config = {}) -> bool {
     // Determine minimum file size
     min_size := config.min_file_size
     if min_size <= 0 {
@@ -49,9 +58,7 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
 
     // Check file size threshold - use sequential for small files
     if len(data) < min_size || num_threads <= 1 {
-        parser := parser_create()
-        ok := parse_csv(parser, data)
-        return parser, ok
+        return parse_csv(parser, data)
     }
 
     // Ensure at least 512 KB per thread to avoid excessive overhead
@@ -63,18 +70,20 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
 
     // Final check: if only 1 thread needed, use sequential
     if num_threads <= 1 {
-        parser := parser_create()
-        ok := parse_csv(parser, data)
-        return parser, ok
+        return parse_csv(parser, data)
     }
 
-    // Find safe chunk boundaries (on row boundaries)
-    chunks := find_safe_chunks(data, num_threads)
-    if len(chunks) == 0 {
+    // Validate strict UTF-8 up front so errors report positions in the whole input
+    if !validate_utf8_input(parser, data) {
+        return false
+    }
+
+    // Find safe chunk boundaries (on row boundaries, using the parser's quote/comment rules)
+    chunks := find_safe_chunks(data, num_threads, &parser.config)
+    defer delete(chunks)
+    if len(chunks) <= 1 {
         // Failed to split, use sequential
-        parser := parser_create()
-        ok := parse_csv(parser, data)
-        return parser, ok
+        return parse_csv(parser, data)
     }
 
     // Verify all data is covered
@@ -84,13 +93,12 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
     }
     if total_chunk_size != len(data) {
         // Chunks don't cover all data, fall back to sequential
-        parser := parser_create()
-        ok := parse_csv(parser, data)
-        return parser, ok
+        return parse_csv(parser, data)
     }
 
     // Pre-allocate results array with correct size
     results := make([]Parse_Worker_Result, len(chunks))
+    defer delete(results)
 
     threads := make([dynamic]^thread.Thread, 0, len(chunks), context.temp_allocator)
 
@@ -104,6 +112,7 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
     Worker_Data :: struct {
         chunk:       string,
         index:       int,
+        config:      Config,
         results_ptr: ^Parse_Worker_Result,
     }
 
@@ -111,6 +120,7 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
         context = runtime.default_context()  // Essential for proper memory allocation in threads
 
         parser := parser_create()
+        parser.config = data.config
         ok := parse_csv(parser, data.chunk)
 
         // Write result directly to pre-allocated slot (thread-safe since each index is unique)
@@ -123,23 +133,19 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
 
     // Start worker threads
     worker_data := make([]Worker_Data, len(chunks), context.temp_allocator)
+    thread_failed := false
     for chunk, i in chunks {
         worker_data[i] = Worker_Data{
             chunk       = chunk,
             index       = i,
+            config      = parser.config,
             results_ptr = &results[i],
         }
 
         t := thread.create_and_start_with_poly_data(worker_data[i], worker)
         if t == nil {
-            // Thread creation failed, fall back to sequential
-            for existing_t in threads {
-                if existing_t != nil do thread.join(existing_t)
-            }
-            delete(results)
-            parser := parser_create()
-            ok := parse_csv(parser, data)
-            return parser, ok
+            thread_failed = true
+            break
         }
         append(&threads, t)
     }
@@ -150,7 +156,7 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
     }
 
     // Check if all chunks parsed successfully
-    all_success := true
+    all_success := !thread_failed
     for result in results {
         // Check if parser is nil (thread didn't write result) or parse failed
         if result.parser == nil || !result.success {
@@ -159,21 +165,42 @@ parse_parallel :: proc(data: string, config: Parallel_Config = {}, allocator :=
         }
     }
 
-    // Merge results into final parser
-    final_parser := merge_worker_results(results[:], allocator)
+    if !all_success {
+        // Thread creation or a chunk failed: discard partial results and
+        // re-parse sequentially so the reported error is exact
+        for result in results {
+            parser_destroy(result.parser)
+        }
+        return parse_csv(parser, data)
+    }
+
+    // Move rows into the target parser in chunk order (no per-field copies)
+    clear(&parser.field_buffer)
+    clear_parser_data(parser)
+    total_rows := 0
+    for result in results {
+        total_rows += len(result.parser.all_rows)
+    }
+    reserve(&parser.all_rows, total_rows)
 
-    // Clean up results array
-    delete(results)
+    for result in results {
+        append(&parser.all_rows, ..result.parser.all_rows[:])
+        clear(&result.parser.all_rows)
+        parser_destroy(result.parser)
+    }
+    parser.line_number = len(parser.all_rows) + 1
+    parser.column_number = 1
 
-    return final_parser, all_success && final_parser != nil
+    return true
 }
 
 // Chunk represents a slice of the input data
 Chunk :: string
 
 // find_safe_chunks splits data into chunks at row boundaries
-// Ensures no rows are split across chunks by tracking quote state from the beginning
-find_safe_chunks :: proc(data: string, num_chunks: int) -> []Chunk {
+// Ensures no rows are split across chunks by tracking quote state from the beginning.
+// config supplies the quote/delimiter/comment characters (nil = default_config()).
+find_safe_chunks :: proc(data: string, num_chunks: int, config: ^Config = nil) -> []Chunk {
     if num_chunks <= 1 || len(data) == 0 {
         return nil
     }
@@ -192,7 +219,7 @@ find_safe_chunks :: proc(data: string, num_chunks: int) -> []Chunk {
 
         // Find the next newline to ensure we split on row boundaries
         // IMPORTANT: Must track quote state from the START of this chunk
-        boundary := find_row_boundary_from_start(data, start, search_start)
+        boundary := find_row_boundary_from_start(data, start, search_start, config)
         if boundary == -1 || boundary >= len(data) {
             // No more boundaries found, add remaining data to last chunk
             break
@@ -217,60 +244,87 @@ find_safe_chunks :: proc(data: string, num_chunks: int) -> []Chunk {
 }
 
 // find_row_boundary_from_start finds the next row boundary after search_start
-// but tracks quote state from chunk_start to ensure correctness
+// but tracks parser state from chunk_start to ensure correctness.
+// Mirrors the parse_csv_scalar state machine: quotes only open a field at field
+// start, comment lines are skipped, and a boundary is never placed before an
+// empty line (a chunk starting with '\n' would drop that empty row).
 // Returns the position after the newline, or -1 if not found
-find_row_boundary_from_start :: proc(data: string, chunk_start: int, search_start: int) -> int {
+find_row_boundary_from_start :: proc(data: string, chunk_start: int, search_start: int, config: ^Config = nil) -> int {
     if search_start >= len(data) {
         return -1
     }
 
-    // Track quote state from the beginning of this chunk
-    in_quotes := false
+    cfg := config^ if config != nil else default_config()
+
+    state := Parse_State.Field_Start
+    row_has_fields := false
 
-    // First, determine quote state up to search_start
-    i := chunk_start
-    for i < search_start {
+    for i := chunk_start; i < len(data); i += 1 {
         c := data[i]
-        if c == '"' {
-            // Check for escaped quote (two quotes in a row)
-            if i + 1 < len(data) && data[i + 1] == '"' {
-                i += 2 // Skip both quotes (BUG FIX: was i += 1 causing double increment)
-                continue
+        row_end := false
+
+        switch state {
+        case .Field_Start:
+            if c == cfg.quote {
+                state = .In_Quoted_Field
+            } else if c == cfg.delimiter {
+                row_has_fields = true
+            } else if c == '\n' {
+                row_end = true
+            } else if c == '\r' {
+                // CR is skipped by the parser
+            } else if cfg.comment != 0 && c == cfg.comment && !row_has_fields {
+                state = .Field_End
+            } else {
+                state = .In_Field
             }
-            in_quotes = !in_quotes
-        }
-        i += 1
-    }
 
-    // Now search for newline from search_start, continuing quote state tracking
-    i = search_start
-    for i < len(data) {
-        c := data[i]
+        case .In_Field:
+            if c == cfg.delimiter {
+                row_has_fields = true
+                state = .Field_Start
+            } else if c == '\n' {
+                row_end = true
+            }
 
-        // Track quote state
-        if c == '"' {
-            // Check for escaped quote
-            if i + 1 < len(data) && data[i + 1] == '"' {
-                i += 2 // Skip both quotes (BUG FIX: was i += 1 causing double increment)
-                continue
+        case .In_Quoted_Field:
+            if c == cfg.quote {
+                state = .Quote_In_Quote
+            } else if _, ok := escaped_char_at(&cfg, data, i); ok {
+                i += 1
             }
-            in_quotes = !in_quotes
-            i += 1
-            continue
-        }
 
-        // Only consider newlines outside of quotes
-        if !in_quotes {
+        case .Quote_In_Quote:
+            if c == cfg.quote {
+                state = .In_Quoted_Field
+            } else if c == cfg.delimiter {
+                row_has_fields = true
+                state = .Field_Start
+            } else if c == '\n' {
+                row_end = true
+            } else if c == '\r' {
+                // CR is skipped after a closing quote
+            } else if cfg.relaxed {
+                state = .In_Quoted_Field
+            } else {
+                // Strict mode parse error: let the caller parse sequentially
+                return -1
+            }
+
+        case .Field_End:
             if c == '\n' {
-                // Found newline, return position after it
-                return i + 1
-            } else if c == '\r' && i + 1 < len(data) && data[i + 1] == '\n' {
-                // Found CRLF, return position after it
-                return i + 2
+                row_end = true
             }
         }
 
-        i += 1
+        if !row_end do continue
+
+        state = .Field_Start
+        row_has_fields = false
+
+        if i >= search_start && i + 1 < len(data) && data[i + 1] != '\n' {
+            return i + 1
+        }
     }
 
     return -1
@@ -363,7 +417,7 @@ merge_worker_results :: proc(results: []Parse_Worker_Result, allocator := contex
             // Clone the row for the final parser
             cloned_row := make([]string, len(row), allocator)
             for field, i in row {
-                cloned_row[i] = strings.clone(field, allocator)
+                cloned_row[i] = clone_field(field, allocator)
             }
             append(&final.all_rows, cloned_row)
         }
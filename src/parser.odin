@@ -1,7 +1,10 @@
 package ocsv
 
+import "core:c"
+import "core:fmt"
 import "core:os"
 import "core:strings"
+import "core:unicode/utf8"
 
 // Parse_State represents the current state of the CSV parser
 Parse_State :: enum {
@@ -24,6 +27,47 @@ Parser :: struct {
     last_error:    Error_Info,             // Last error encountered (Phase 1 addition)
     error_count:   int,                    // Total number of errors (Phase 1 addition)
     packed_buffer: []u8,                   // Phase 2: Binary packed buffer for FFI serialization
+    parse_errors:  [dynamic]Error_Info,    // Errors collected by recovery strategies (owned strings)
+    rows_skipped:  int,                    // Rows dropped by recovery strategies
+    columns:       [dynamic]int,           // Column projection for serialization (empty = all columns)
+    mapped:        ^Mapped_File,           // Memory-mapped file when rows are indexed instead of parsed (see mmap.odin)
+    progress:      Progress_Callback,      // Called every PROGRESS_INTERVAL bytes of input (nil = never)
+}
+
+// Progress_Callback is called by long parses every PROGRESS_INTERVAL bytes of input
+// Parameters:
+//   bytes_processed: bytes of input parsed so far
+//   rows_parsed: rows parsed (or indexed) so far
+// Returns: false to abort the parse
+Progress_Callback :: #type proc "c" (bytes_processed: i64, rows_parsed: i64) -> c.bool
+
+// PROGRESS_INTERVAL is the number of input bytes between two progress callbacks
+PROGRESS_INTERVAL :: 1024 * 1024
+
+// progress_checkpoint returns the offset of the first progress callback (never without a callback)
+progress_checkpoint :: proc(parser: ^Parser) -> int {
+    return parser.progress != nil ? PROGRESS_INTERVAL : max(int)
+}
+
+// check_progress calls the progress callback at a checkpoint and moves the checkpoint forward
+// Parameters:
+//   parser: parser with a progress callback
+//   offset: bytes of input parsed so far
+//   rows: rows parsed (or indexed) so far
+//   checkpoint: offset of the next callback (updated)
+// Returns: false if the callback aborted the parse; parser.last_error is then
+//          Aborted and the parsed rows are freed
+check_progress :: proc(parser: ^Parser, offset: int, rows: int, checkpoint: ^int) -> bool {
+    checkpoint^ = offset + PROGRESS_INTERVAL
+    if parser.progress(i64(offset), i64(rows)) {
+        return true
+    }
+
+    clear_parser_data(parser)
+    error_info_destroy(&parser.last_error)
+    parser.last_error = make_error(.Aborted, 0, 0, "Parse aborted")
+    parser.error_count += 1
+    return false
 }
 
 // parser_create creates a new parser with default configuration
@@ -38,6 +82,9 @@ parser_create :: proc() -> ^Parser {
     parser.column_number = 1
     parser.last_error = Error_Info{code = .None}
     parser.error_count = 0
+    parser.parse_errors = make([dynamic]Error_Info)
+    parser.rows_skipped = 0
+    parser.columns = make([dynamic]int)
     return parser
 }
 
@@ -102,9 +149,42 @@ parser_destroy :: proc(parser: ^Parser) {
         delete(parser.packed_buffer)
     }
 
+    clear_parse_errors(parser)
+    delete(parser.parse_errors)
+    delete(parser.columns)
+    mapped_file_destroy(parser.mapped)
+
     free(parser)
 }
 
+// clear_parse_errors frees the errors collected by a previous recovery parse
+clear_parse_errors :: proc(parser: ^Parser) {
+    for &err in parser.parse_errors {
+        error_info_destroy(&err)
+    }
+    clear(&parser.parse_errors)
+    parser.rows_skipped = 0
+}
+
+// parser_reset_config restores the default configuration and clears the column
+// projection and the serialized packed buffer, so a reused parser starts clean
+parser_reset_config :: proc(parser: ^Parser) {
+    parser.config = default_config()
+    clear(&parser.columns)
+    if len(parser.packed_buffer) > 0 {
+        delete(parser.packed_buffer)
+        parser.packed_buffer = nil
+    }
+}
+
+// parser_reset_results frees the rows, recovered errors and last error of a
+// previous parse
+parser_reset_results :: proc(parser: ^Parser) {
+    clear_parser_data(parser)
+    clear_parse_errors(parser)
+    error_info_destroy(&parser.last_error)
+}
+
 // parse_simple_csv performs minimal CSV parsing (for initial validation)
 // This is kept for backwards compatibility and testing
 parse_simple_csv :: proc(parser: ^Parser, data: string) -> bool {
@@ -153,11 +233,32 @@ clear_parser_data :: proc(parser: ^Parser) {
         }
         clear(&parser.current_row)
     }
+
+    // Release a file mapping left by an indexed parse
+    mapped_file_destroy(parser.mapped)
+    parser.mapped = nil
+}
+
+// escaped_char_at returns the character made literal by a custom escape character
+// at data[i] inside a quoted field: a following quote or escape character
+// (an escape equal to the quote is the RFC 4180 "" pair, handled by Quote_In_Quote)
+// Returns: the escaped character and true, or false if data[i] escapes nothing
+escaped_char_at :: proc(config: ^Config, data: string, i: int) -> (byte, bool) {
+    if config.escape == config.quote || data[i] != config.escape || i + 1 >= len(data) {
+        return 0, false
+    }
+    next := data[i + 1]
+    return next, next == config.quote || next == config.escape
 }
 
 // parse_csv performs RFC 4180 compliant CSV parsing with full edge case handling
 // Automatically uses SIMD when available for optimal performance
 parse_csv :: proc(parser: ^Parser, data: string) -> bool {
+    if !validate_utf8_input(parser, data) {
+        clear_parser_data(parser)  // Don't leave rows from a previous parse behind
+        return false
+    }
+
     // TEMPORARY: Use scalar parser to debug issue
     return parse_csv_scalar(parser, data)
 }
@@ -169,9 +270,19 @@ parse_csv_scalar :: proc(parser: ^Parser, data: string) -> bool {
     clear_parser_data(parser)  // Properly free existing data before reuse
     parser.line_number = 1
     parser.column_number = 1
+    quote_start := 0  // Byte offset of the opening quote of the current quoted field
+    skip_next := false  // The next character was already appended by a custom escape
+    checkpoint := progress_checkpoint(parser)
 
     for ch, i in data {
+        if i >= checkpoint && !check_progress(parser, i, len(parser.all_rows), &checkpoint) {
+            return false
+        }
         parser.column_number += 1
+        if skip_next {
+            skip_next = false
+            continue
+        }
         // Only compare bytes for ASCII characters (delimiters/quotes are always ASCII)
         ch_is_ascii := ch < 128
         ch_byte := byte(ch) if ch_is_ascii else 0xFF
@@ -180,6 +291,7 @@ parse_csv_scalar :: proc(parser: ^Parser, data: string) -> bool {
         case .Field_Start:
             if ch_is_ascii && ch_byte == parser.config.quote {
                 state = .In_Quoted_Field
+                quote_start = i
             } else if ch_is_ascii && ch_byte == parser.config.delimiter {
                 emit_empty_field(parser)
             } else if ch == '\n' {
@@ -222,6 +334,9 @@ parse_csv_scalar :: proc(parser: ^Parser, data: string) -> bool {
         case .In_Quoted_Field:
             if ch_is_ascii && ch_byte == parser.config.quote {
                 state = .Quote_In_Quote
+            } else if escaped, ok := escaped_char_at(&parser.config, data, i); ch_is_ascii && ok {
+                append(&parser.field_buffer, escaped)
+                skip_next = true
             } else {
                 // Everything is literal inside quotes (including delimiters, newlines, comments)
                 append_rune_to_buffer(&parser.field_buffer, ch)
@@ -254,8 +369,8 @@ parse_csv_scalar :: proc(parser: ^Parser, data: string) -> bool {
                     state = .In_Quoted_Field
                 } else {
                     // Strict mode: this is an error
-                    record_parser_error(parser, .Invalid_Character_After_Quote,
-                        "Invalid character after closing quote (strict mode)")
+                    record_parser_error_at(parser, .Invalid_Character_After_Quote,
+                        "Invalid character after closing quote (strict mode)", data, i)
                     return false
                 }
             }
@@ -285,8 +400,8 @@ parse_csv_scalar :: proc(parser: ^Parser, data: string) -> bool {
             emit_field(parser)
             emit_row(parser)
         } else {
-            record_parser_error(parser, .Unterminated_Quote,
-                "Unterminated quoted field at end of input")
+            record_parser_error_at(parser, .Unterminated_Quote,
+                "Unterminated quoted field at end of input", data, quote_start)
             return false // Error: unterminated quote
         }
     case .Field_Start:
@@ -328,18 +443,59 @@ append_rune_to_buffer :: proc(buffer: ^[dynamic]u8, r: rune) {
     }
 }
 
+// emit_field appends the buffered field, which was present in the input (an empty
+// buffer here is a quoted ""), so it is never null whatever the buffer's capacity
 emit_field :: proc(parser: ^Parser) {
-    field := string(parser.field_buffer[:])
-    field_copy := strings.clone(field)
-    append(&parser.current_row, field_copy)
+    append(&parser.current_row, non_null_field(string(parser.field_buffer[:])))
     clear(&parser.field_buffer)
 }
 
+// emit_empty_field appends an unquoted empty field: the literal "" is the only
+// way a null field is made (see is_null_field)
 emit_empty_field :: proc(parser: ^Parser) {
     append(&parser.current_row, "")
 }
 
+// is_null_field reports whether a field was empty in the input (",,")
+// rather than an explicitly quoted empty string (",\"\",")
+// Note: Null fields are the literal "" (no data pointer), made only by
+//       emit_empty_field and streaming_emit_empty_field; every other field is
+//       allocated by non_null_field, which gives empty fields a data pointer
+is_null_field :: proc(field: string) -> bool {
+    return len(field) == 0 && raw_data(field) == nil
+}
+
+// non_null_field copies a field that is not null, even if it is empty
+// Parameters:
+//   field: field to copy (its data pointer is ignored)
+//   allocator: allocator for the copy
+// Returns: owned copy of field (free with delete)
+non_null_field :: proc(field: string, allocator := context.allocator) -> string {
+    if len(field) == 0 {
+        // strings.clone("") has no data pointer; a zeroed byte also keeps cstring views valid
+        buf := make([]byte, 1, allocator)
+        return string(buf[:0])
+    }
+    return strings.clone(field, allocator)
+}
+
+// clone_field copies a field, keeping a quoted empty field distinct from a null one
+// Parameters:
+//   field: field to copy
+//   allocator: allocator for the copy
+// Returns: owned copy of field (free with delete), or "" for a null field
+clone_field :: proc(field: string, allocator := context.allocator) -> string {
+    if is_null_field(field) {
+        return ""
+    }
+    return non_null_field(field, allocator)
+}
+
 emit_row :: proc(parser: ^Parser) {
+    if parser.config.trim {
+        trim_row_fields(parser.current_row[:])
+    }
+
     // Always emit rows, even if empty (for empty line handling)
     row_copy := make([]string, len(parser.current_row))
     if len(parser.current_row) > 0 {
@@ -351,6 +507,19 @@ emit_row :: proc(parser: ^Parser) {
     parser.column_number = 1
 }
 
+// trim_row_fields trims leading/trailing whitespace from every field in place
+// Fields must be owned by the row (trimmed copies replace and free the originals)
+trim_row_fields :: proc(row: []string) {
+    for field, i in row {
+        trimmed := strings.trim_space(field)
+        if len(trimmed) == len(field) do continue
+
+        // A field of only whitespace becomes null, like an empty one
+        row[i] = strings.clone(trimmed) if len(trimmed) > 0 else ""
+        delete(field)
+    }
+}
+
 // is_comment_line checks if a line is a comment
 is_comment_line :: proc(line: string, comment_char: byte) -> bool {
     if comment_char == 0 do return false
@@ -362,8 +531,61 @@ is_comment_line :: proc(line: string, comment_char: byte) -> bool {
     return trimmed[0] == comment_char
 }
 
+// find_invalid_utf8 returns the byte offset of the first invalid UTF-8 sequence, or -1
+// Parameters:
+//   data: input bytes
+//   allow_incomplete_tail: accept a sequence cut off by the end of data (streaming chunks)
+find_invalid_utf8 :: proc(data: string, allow_incomplete_tail := false) -> int {
+    for i := 0; i < len(data); {
+        if data[i] < 0x80 {
+            i += 1
+            continue
+        }
+
+        r, width := utf8.decode_rune_in_string(data[i:])
+        if r == utf8.RUNE_ERROR && width <= 1 {
+            if allow_incomplete_tail && !utf8.full_rune_in_string(data[i:]) {
+                return -1
+            }
+            return i
+        }
+        i += width
+    }
+    return -1
+}
+
+// validate_utf8_input rejects invalid UTF-8 when config.strict_utf8 is set
+// Records an Invalid_UTF8 error at the physical line/column of the first bad byte
+// Returns: true if parsing may continue
+validate_utf8_input :: proc(parser: ^Parser, data: string) -> bool {
+    if !parser.config.strict_utf8 {
+        return true
+    }
+
+    offset := find_invalid_utf8(data)
+    if offset < 0 {
+        return true
+    }
+
+    message := fmt.aprintf("Invalid UTF-8 byte 0x%02X", data[offset])
+    defer delete(message)
+    record_parser_error_at(parser, .Invalid_UTF8, message, data, offset)
+    return false
+}
+
 // record_parser_error records an error in the parser (Phase 1 addition)
 record_parser_error :: proc(parser: ^Parser, code: Parse_Error, message: string, ctx: string = "") {
+    error_info_destroy(&parser.last_error)
     parser.last_error = make_error(code, parser.line_number, parser.column_number, message, ctx)
     parser.error_count += 1
 }
+
+// record_parser_error_at records an error at a byte offset of the input, using
+// the physical line and column of the offset and the offending line as context
+record_parser_error_at :: proc(parser: ^Parser, code: Parse_Error, message: string, data: string, offset: int) {
+    error_info_destroy(&parser.last_error)
+    parser.last_error = make_error_at(code, data, offset, message)
+    parser.line_number = parser.last_error.line
+    parser.column_number = parser.last_error.column
+    parser.error_count += 1
+}
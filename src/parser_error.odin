@@ -20,18 +20,34 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
         return make_result_and_transfer_warnings(parser, make_error_result(err))  // Clone for result
     }
 
+    // Strict UTF-8 rejects the whole input, whatever the recovery strategy
+    if !validate_utf8_input(&parser.base, data) {
+        return make_result_and_transfer_warnings(parser, make_error_result(parser.last_error))
+    }
+
     state := Parse_State.Field_Start
     clear(&parser.field_buffer)
     clear_parser_data(&parser.base)
     parser.line_number = 1
     parser.error_count = 0
+    for warning in parser.warnings {
+        delete(warning.message)
+        delete(warning.ctx)
+    }
     clear(&parser.warnings)
 
+    // Skip_Row and Collect_All_Errors drop malformed rows and resume at the next line
+    drops_rows := parser.recovery_strategy == .Skip_Row || parser.recovery_strategy == .Collect_All_Errors
+    rows_skipped := 0
+
     pos := 0
-    column := 1
-    row_start_pos := 0
+    quote_start := 0  // Byte offset of the opening quote of the current quoted field
+    checkpoint := progress_checkpoint(&parser.base)
 
     for pos < len(data) {
+        if pos >= checkpoint && !check_progress(&parser.base, pos, len(parser.all_rows), &checkpoint) {
+            return make_result_and_transfer_warnings(parser, make_error_result(parser.last_error))
+        }
         ch := rune(data[pos])
         ch_is_ascii := ch < 128
         ch_byte := byte(ch) if ch_is_ascii else 0xFF
@@ -40,26 +56,25 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
         case .Field_Start:
             if ch_is_ascii && ch_byte == parser.config.quote {
                 state = .In_Quoted_Field
+                quote_start = pos
                 pos += 1
-                column += 1
 
             } else if ch_is_ascii && ch_byte == parser.config.delimiter {
                 emit_empty_field(&parser.base)
                 pos += 1
-                column += 1
 
             } else if ch == '\n' {
-                if len(parser.current_row) > 0 || pos > row_start_pos {
+                // Same row semantics as parse_csv_scalar (",\n" ends with an empty field)
+                if len(parser.current_row) > 0 {
+                    emit_empty_field(&parser.base)
+                    emit_row(&parser.base)
+                } else if pos > 0 {
                     emit_row(&parser.base)
                 }
                 pos += 1
-                parser.line_number += 1
-                column = 1
-                row_start_pos = pos
 
             } else if ch == '\r' {
                 pos += 1
-                column += 1
                 continue
 
             } else if parser.config.comment != 0 && ch_is_ascii && ch_byte == parser.config.comment && len(parser.current_row) == 0 {
@@ -69,17 +84,13 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
                 }
                 if pos < len(data) {
                     pos += 1 // Skip newline
-                    parser.line_number += 1
-                    column = 1
-                    row_start_pos = pos
                 }
                 state = .Field_Start
 
             } else {
-                append_rune_to_buffer(&parser.field_buffer, ch)
+                append(&parser.field_buffer, data[pos])
                 state = .In_Field
                 pos += 1
-                column += 1
             }
 
         case .In_Field:
@@ -87,42 +98,33 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
                 emit_field(&parser.base)
                 state = .Field_Start
                 pos += 1
-                column += 1
 
             } else if ch == '\n' {
                 emit_field(&parser.base)
                 emit_row(&parser.base)
                 state = .Field_Start
                 pos += 1
-                parser.line_number += 1
-                column = 1
-                row_start_pos = pos
 
             } else if ch == '\r' {
                 pos += 1
-                column += 1
                 continue
 
             } else {
-                append_rune_to_buffer(&parser.field_buffer, ch)
+                append(&parser.field_buffer, data[pos])
                 pos += 1
-                column += 1
             }
 
         case .In_Quoted_Field:
             if ch_is_ascii && ch_byte == parser.config.quote {
                 state = .Quote_In_Quote
                 pos += 1
-                column += 1
+
+            } else if escaped, ok := escaped_char_at(&parser.config, data, pos); ok {
+                append(&parser.field_buffer, escaped)
+                pos += 2
 
             } else {
-                append_rune_to_buffer(&parser.field_buffer, ch)
-                if ch == '\n' {
-                    parser.line_number += 1
-                    column = 1
-                } else {
-                    column += 1
-                }
+                append(&parser.field_buffer, data[pos])
                 pos += 1
             }
 
@@ -132,26 +134,20 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
                 append(&parser.field_buffer, parser.config.quote)
                 state = .In_Quoted_Field
                 pos += 1
-                column += 1
 
             } else if ch_is_ascii && ch_byte == parser.config.delimiter {
                 emit_field(&parser.base)
                 state = .Field_Start
                 pos += 1
-                column += 1
 
             } else if ch == '\n' {
                 emit_field(&parser.base)
                 emit_row(&parser.base)
                 state = .Field_Start
                 pos += 1
-                parser.line_number += 1
-                column = 1
-                row_start_pos = pos
 
             } else if ch == '\r' {
                 pos += 1
-                column += 1
                 continue
 
             } else {
@@ -159,71 +155,78 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
                 if parser.config.relaxed {
                     // Relaxed mode: treat quote as literal
                     append(&parser.field_buffer, parser.config.quote)
-                    append_rune_to_buffer(&parser.field_buffer, ch)
+                    append(&parser.field_buffer, data[pos])
                     state = .In_Quoted_Field
                     pos += 1
-                    column += 1
 
                     // Add warning
-                    warning := make_error(
+                    warning := make_error_at(
                         .Invalid_Character_After_Quote,
-                        parser.line_number,
-                        column,
+                        data,
+                        pos - 1,
                         "Invalid character after closing quote (relaxed mode)",
-                        get_context_around_position(data, pos, 10),
                     )
                     append(&parser.warnings, warning)
                 } else {
                     // Strict mode: error
-                    err := make_error(
+                    err := make_error_at(
                         .Invalid_Character_After_Quote,
-                        parser.line_number,
-                        column,
+                        data,
+                        pos,
                         "Invalid character after closing quote",  // Use literal instead of fmt.aprintf
-                        get_context_around_position(data, pos, 20),
                     )
 
                     if !record_error(parser, err) {
-                        return make_result_and_transfer_warnings(parser, make_error_result(err, len(parser.all_rows)))
+                        result := make_error_result(err, len(parser.all_rows))
+                        result.rows_skipped = rows_skipped
+                        return make_result_and_transfer_warnings(parser, result)
                     }
 
-                    // Try to recover
-                    pos += 1
-                    column += 1
-                    state = .Field_Start
+                    if drops_rows {
+                        // Drop the row; Field_End skips the rest of the line
+                        discard_current_row(&parser.base)
+                        rows_skipped += 1
+                        state = .Field_End
+                    } else {
+                        // Try to recover
+                        pos += 1
+                        state = .Field_Start
+                    }
                 }
             }
 
         case .Field_End:
-            // Skip to end of line (comment handling)
+            // Skip to end of line (comment handling and dropped rows)
             if ch == '\n' {
                 state = .Field_Start
                 pos += 1
-                parser.line_number += 1
-                column = 1
-                row_start_pos = pos
                 clear(&parser.field_buffer)
                 clear(&parser.current_row)
             } else {
                 pos += 1
-                column += 1
             }
         }
 
         if parser.config.max_row_size > 0 && len(parser.field_buffer) > parser.config.max_row_size {
-            err := make_error(
+            err := make_error_at(
                 .Max_Field_Size_Exceeded,
-                parser.line_number,
-                column,
+                data,
+                pos - 1,
                 "Field size exceeds maximum",
-                "",
             )
 
             if !record_error(parser, err) {
-                return make_result_and_transfer_warnings(parser, make_error_result(err, len(parser.all_rows)))
+                result := make_error_result(err, len(parser.all_rows))
+                result.rows_skipped = rows_skipped
+                return make_result_and_transfer_warnings(parser, result)
             }
 
             clear(&parser.field_buffer)
+            if drops_rows {
+                discard_current_row(&parser.base)
+                rows_skipped += 1
+                state = .Field_End
+            }
         }
     }
 
@@ -242,25 +245,30 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
             emit_field(&parser.base)
             emit_row(&parser.base)
 
-            warning := make_error(
+            warning := make_error_at(
                 .Unterminated_Quote,
-                parser.line_number,
-                column,
+                data,
+                quote_start,
                 "Unterminated quoted field at end of file (relaxed mode)",
-                "",
             )
             append(&parser.warnings, warning)
         } else {
-            err := make_error(
+            err := make_error_at(
                 .Unterminated_Quote,
-                parser.line_number,
-                column,
+                data,
+                quote_start,
                 "Unterminated quoted field at end of file",
-                "",
             )
 
             if !record_error(parser, err) {
-                return make_result_and_transfer_warnings(parser, make_error_result(err, len(parser.all_rows)))
+                result := make_error_result(err, len(parser.all_rows))
+                result.rows_skipped = rows_skipped
+                return make_result_and_transfer_warnings(parser, result)
+            }
+
+            if drops_rows {
+                discard_current_row(&parser.base)
+                rows_skipped += 1
             }
         }
 
@@ -271,10 +279,21 @@ parse_csv_with_errors :: proc(parser: ^Parser_Extended, data: string) -> Parse_R
         }
 
     case .Field_End:
-        // Comment line, do nothing
+        // Comment line or dropped row, do nothing
     }
 
-    return make_result_and_transfer_warnings(parser, make_success_result(len(parser.all_rows)))
+    result := make_success_result(len(parser.all_rows))
+    result.rows_skipped = rows_skipped
+    return make_result_and_transfer_warnings(parser, result)
+}
+
+// discard_current_row frees the fields of the row being built (used to drop malformed rows)
+discard_current_row :: proc(parser: ^Parser) {
+    for field in parser.current_row {
+        delete(field)
+    }
+    clear(&parser.current_row)
+    clear(&parser.field_buffer)
 }
 
 // parse_csv_safe is a convenience wrapper that returns both result and data
@@ -328,6 +347,91 @@ validate_column_consistency :: proc(parser: ^Parser, strict: bool = false) -> (o
     return true, Error_Info{code = .None}
 }
 
+// Column_Count_Mode selects how enforce_column_count handles rows whose field
+// count differs from the expected one
+Column_Count_Mode :: enum u8 {
+    Ignore,   // Keep rows as parsed
+    Strict,   // Every row must have the expected count
+    Pad,      // Append fill fields to short rows; long rows are errors
+    Truncate, // Drop the extra fields of long rows; short rows are errors
+}
+
+// enforce_column_count makes every parsed row have the expected number of fields
+// Parameters:
+//   parser: parser holding parsed rows
+//   mode: how rows with another field count are handled
+//   expected: expected field count (0 = the count of the first row with fields)
+//   fill: value of padded fields (nil = null fields, see is_null_field)
+//   recover: drop rows that cannot be fixed and record them in parser.parse_errors
+//            (counted in parser.rows_skipped) instead of failing
+// Returns: true on success; false with parser.last_error set to
+//          Inconsistent_Column_Count for the first row that cannot be fixed
+// Note: Errors report the 1-indexed row number as the line (column 0). Rows
+//       without fields (blank lines) are left unchanged.
+enforce_column_count :: proc(parser: ^Parser, mode: Column_Count_Mode, expected: int, fill: Maybe(string), recover: bool) -> bool {
+    if mode == .Ignore {
+        return true
+    }
+
+    expected := expected
+    if expected <= 0 {
+        for row in parser.all_rows {
+            if len(row) > 0 {
+                expected = len(row)
+                break
+            }
+        }
+    }
+
+    kept := 0
+    for row, i in parser.all_rows {
+        row := row
+        count := len(row)
+        if mode == .Pad && count > 0 && count < expected {
+            padded := make([]string, expected)
+            copy(padded, row)
+            if value, has_fill := fill.?; has_fill {
+                for j in count..<expected {
+                    padded[j] = clone_field(value)
+                }
+            }
+            delete(row)
+            row = padded
+        } else if mode == .Truncate && count > expected {
+            truncated := make([]string, expected)
+            copy(truncated, row[:expected])
+            for field in row[expected:] {
+                delete(field)
+            }
+            delete(row)
+            row = truncated
+        } else if count > 0 && count != expected {
+            message := fmt.tprintf("Row %d has %d fields, expected %d", i + 1, count, expected)
+            if !recover {
+                error_info_destroy(&parser.last_error)
+                parser.last_error = make_error(.Inconsistent_Column_Count, i + 1, 0, message)
+                parser.error_count += 1
+                return false
+            }
+
+            append(&parser.parse_errors, make_error(.Inconsistent_Column_Count, i + 1, 0, message))
+            parser.rows_skipped += 1
+            parser.error_count += 1
+            for field in row {
+                delete(field)
+            }
+            delete(row)
+            continue
+        }
+
+        parser.all_rows[kept] = row
+        kept += 1
+    }
+
+    resize(&parser.all_rows, kept)
+    return true
+}
+
 // check_utf8_validity validates UTF-8 encoding of input
 check_utf8_validity :: proc(data: string) -> (ok: bool, err: Error_Info) {
     // Odin strings are already UTF-8, but we can check for invalid sequences
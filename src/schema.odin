@@ -29,6 +29,8 @@ Validation_Rule :: enum {
     Pattern,        // Regex pattern match
     One_Of,         // Value must be in allowed list
     Custom_Rule,    // Custom validation function
+    Type_Mismatch,  // Value does not match the column type
+    Column_Count,   // Row has more columns than the schema allows
 }
 
 // Custom_Validator is a user-defined validation function
@@ -113,7 +115,7 @@ validate_row :: proc(schema: ^Schema, row: []string, row_num: int) -> (result: V
             column = len(schema.columns) + 1,
             column_name = "",
             value = "",
-            error_type = .None,
+            error_type = .Column_Count,
             message = fmt.aprintf("Row has %d columns, expected %d", len(row), len(schema.columns)),
         })
         result.valid = false
@@ -123,8 +125,8 @@ validate_row :: proc(schema: ^Schema, row: []string, row_num: int) -> (result: V
     // Validate each column
     for col_schema, i in schema.columns {
         if i >= len(row) {
-            // Missing column
-            if col_schema.required {
+            // Missing column (a default value satisfies required)
+            if col_schema.required && len(col_schema.default_value) == 0 {
                 append(&result.errors, Validation_Error{
                     row = row_num,
                     column = i + 1,
@@ -141,6 +143,11 @@ validate_row :: proc(schema: ^Schema, row: []string, row_num: int) -> (result: V
 
         value := row[i]
 
+        // Empty values fall back to the column default
+        if len(value) == 0 && len(col_schema.default_value) > 0 {
+            value = col_schema.default_value
+        }
+
         // Check if empty
         if len(value) == 0 {
             if col_schema.required && !col_schema.nullable {
@@ -166,7 +173,7 @@ validate_row :: proc(schema: ^Schema, row: []string, row_num: int) -> (result: V
                 column = i + 1,
                 column_name = col_schema.name,
                 value = value,
-                error_type = .None,
+                error_type = .Type_Mismatch,
                 message = fmt.aprintf("Column '%s' has invalid type. Expected %v, got '%s'",
                     col_schema.name, col_schema.col_type, value),
             })
@@ -406,15 +413,16 @@ validate_and_convert :: proc(schema: ^Schema, rows: [][]string) -> (typed_rows:
         // Convert values
         typed_row := make([]Typed_Value, len(schema.columns))
         for col_schema, j in schema.columns {
-            if j < len(row) {
-                typed_val, conv_ok := convert_value(col_schema.col_type, row[j])
-                if conv_ok {
-                    typed_row[j] = typed_val
-                } else {
-                    typed_row[j] = row[j] // Keep as string if conversion fails
-                }
+            value := j < len(row) ? row[j] : ""
+            if len(value) == 0 {
+                value = col_schema.default_value // Empty or missing column uses default
+            }
+
+            typed_val, conv_ok := convert_value(col_schema.col_type, value)
+            if conv_ok {
+                typed_row[j] = typed_val
             } else {
-                typed_row[j] = "" // Missing column
+                typed_row[j] = value // Keep as string if conversion fails
             }
         }
 
@@ -446,6 +454,49 @@ validation_result_destroy :: proc(result: ^Validation_Result, free_messages: boo
     delete(result.warnings)
 }
 
+// validation_rule_to_string returns the identifier used for a rule in FFI output
+validation_rule_to_string :: proc(rule: Validation_Rule) -> string {
+    switch rule {
+    case .None:          return "none"
+    case .Required:      return "required"
+    case .Min_Value:     return "min"
+    case .Max_Value:     return "max"
+    case .Min_Length:    return "minLength"
+    case .Max_Length:    return "maxLength"
+    case .Pattern:       return "pattern"
+    case .One_Of:        return "allowedValues"
+    case .Custom_Rule:   return "custom"
+    case .Type_Mismatch: return "type"
+    case .Column_Count:  return "columnCount"
+    }
+    return "none"
+}
+
+// column_type_from_string parses a column type name ("string", "int", "float", "bool", "date")
+column_type_from_string :: proc(name: string) -> (Column_Type, bool) {
+    switch name {
+    case "string": return .String, true
+    case "int":    return .Int, true
+    case "float":  return .Float, true
+    case "bool":   return .Bool, true
+    case "date":   return .Date, true
+    }
+    return .String, false
+}
+
+// column_type_to_string returns the name column_type_from_string accepts for a type
+// Custom columns are reported as "string"
+column_type_to_string :: proc(col_type: Column_Type) -> string {
+    switch col_type {
+    case .Int:    return "int"
+    case .Float:  return "float"
+    case .Bool:   return "bool"
+    case .Date:   return "date"
+    case .String, .Custom:
+    }
+    return "string"
+}
+
 // format_validation_error formats a validation error for display
 format_validation_error :: proc(err: Validation_Error) -> string {
     return fmt.aprintf("Row %d, Column %d (%s): %s",
@@ -4,6 +4,7 @@ import "core:os"
 import "core:io"
 import "core:fmt"
 import "core:strings"
+import "core:unicode/utf8"
 
 // Row_Callback is called for each successfully parsed row
 // Return false to stop parsing, true to continue
@@ -46,6 +47,20 @@ Streaming_Parser :: struct {
 	bytes_processed: int,
 	stopped:         bool,
 	leftover:        [dynamic]u8,  // Incomplete data from previous chunk
+	records_seen:    int,          // Records completed so far (for from_line/to_line)
+	escape_pending:  bool,         // A custom escape character ended the previous character of a quoted field
+
+	// Error locations (see streaming_error_at)
+	offset:          int,          // Bytes consumed by the state machine so far
+	physical_line:   int,          // Line of the input (1-indexed) at offset
+	line_tail:       [dynamic]u8,  // End of that line before offset, at most ERROR_CONTEXT_BEFORE characters
+	tail_column:     int,          // Column of the first character of line_tail
+	open_quote:      Error_Info,   // Unterminated_Quote error at the opening quote of the current quoted field
+
+	// FFI pull interface (used by ocsv_stream_* exports)
+	pending_rows:    [dynamic][]string,  // Rows collected since the last ocsv_stream_take_rows
+	packed_buffer:   []u8,               // Last packed buffer handed to JavaScript
+	last_error:      Error_Info,         // Last error reported through the error callback
 }
 
 // default_streaming_config creates a streaming config with sensible defaults
@@ -68,6 +83,11 @@ streaming_parser_create :: proc(config: Streaming_Config) -> ^Streaming_Parser {
 	parser.current_row = make([dynamic]string)
 	parser.leftover = make([dynamic]u8, 0, 1024)
 	parser.line_number = 1
+	parser.physical_line = 1
+	parser.line_tail = make([dynamic]u8, 0, ERROR_CONTEXT_BEFORE)
+	parser.tail_column = 1
+	parser.pending_rows = make([dynamic][]string)
+	parser.last_error = Error_Info{code = .None}
 	return parser
 }
 
@@ -75,6 +95,8 @@ streaming_parser_create :: proc(config: Streaming_Config) -> ^Streaming_Parser {
 streaming_parser_destroy :: proc(parser: ^Streaming_Parser) {
 	delete(parser.field_buffer)
 	delete(parser.leftover)
+	delete(parser.line_tail)
+	error_info_destroy(&parser.open_quote)
 
 	// Free current row strings
 	for field in parser.current_row {
@@ -82,6 +104,16 @@ streaming_parser_destroy :: proc(parser: ^Streaming_Parser) {
 	}
 	delete(parser.current_row)
 
+	// Free rows that were collected but never taken
+	streaming_clear_pending_rows(parser)
+	delete(parser.pending_rows)
+
+	if len(parser.packed_buffer) > 0 {
+		delete(parser.packed_buffer)
+	}
+	delete(parser.last_error.message)
+	delete(parser.last_error.ctx)
+
 	free(parser)
 }
 
@@ -165,6 +197,23 @@ streaming_parser_process_chunk :: proc(
 	// Process data character by character
 	config := &parser.config.parser_config
 	last_complete_pos := 0  // Last position where we completed a row
+	quote_index := -1       // Index of the last opening quote in data
+
+	// Strict UTF-8: a sequence cut off by the chunk end is checked with the next chunk
+	if config.strict_utf8 {
+		if offset := find_invalid_utf8(string(data), true); offset >= 0 {
+			if parser.config.error_callback != nil {
+				message := fmt.aprintf("Invalid UTF-8 byte 0x%02X", data[offset])
+				defer delete(message)
+				parser.config.error_callback(streaming_error_at(parser, .Invalid_UTF8, data, offset, message), parser.line_number, parser.config.user_data)
+			}
+			if len(combined_buffer) > 0 {
+				delete(combined_buffer)
+			}
+			parser.stopped = true
+			return false
+		}
+	}
 
 	for i := 0; i < len(data); i += 1 {
 		ch := rune(data[i])
@@ -188,7 +237,11 @@ streaming_parser_process_chunk :: proc(
 				// Save for next chunk
 				clear(&parser.leftover)
 				append(&parser.leftover, ..data[i:])
-				// Note: Don't update bytes_processed here - we'll update it at the end
+				streaming_advance(parser, data[:i], quote_index)
+				if len(combined_buffer) > 0 {
+					delete(combined_buffer)
+				}
+				parser.bytes_processed += len(chunk)
 				return true
 			}
 
@@ -205,7 +258,7 @@ streaming_parser_process_chunk :: proc(
 		if len(parser.field_buffer) > parser.config.max_field_size {
 			if parser.config.error_callback != nil {
 				parser.config.error_callback(
-					make_error(.Max_Field_Size_Exceeded, parser.line_number, 0, "Field exceeds max size"),
+					streaming_error_at(parser, .Max_Field_Size_Exceeded, data, i, "Field exceeds max size"),
 					parser.line_number,
 					parser.config.user_data,
 				)
@@ -219,6 +272,7 @@ streaming_parser_process_chunk :: proc(
 		case .Field_Start:
 			if ch_is_ascii && ch_byte == config.quote {
 				parser.state = .In_Quoted_Field
+				quote_index = i
 			} else if ch_is_ascii && ch_byte == config.delimiter {
 				streaming_emit_empty_field(parser)
 			} else if ch == '\n' {
@@ -227,13 +281,13 @@ streaming_parser_process_chunk :: proc(
 					// We have fields - emit trailing empty field if we're at Field_Start
 					// (means we just saw a delimiter before the newline: ",\n")
 					streaming_emit_empty_field(parser)
-					if !streaming_emit_row(parser) {
+					if !streaming_emit_row(parser, data, i) {
 						return false
 					}
 					last_complete_pos = i + 1
-				} else if i > 0 {
-					// Empty line (but not first character)
-					if !streaming_emit_row(parser) {
+				} else if i > 0 || parser.bytes_processed > 0 {
+					// Empty line (but not first character of the input)
+					if !streaming_emit_row(parser, data, i) {
 						return false
 					}
 					last_complete_pos = i + 1
@@ -253,7 +307,7 @@ streaming_parser_process_chunk :: proc(
 				parser.state = .Field_Start
 			} else if ch == '\n' {
 				streaming_emit_field(parser)
-				if !streaming_emit_row(parser) {
+				if !streaming_emit_row(parser, data, i) {
 					return false
 				}
 				last_complete_pos = i + 1
@@ -265,8 +319,18 @@ streaming_parser_process_chunk :: proc(
 			}
 
 		case .In_Quoted_Field:
-			if ch_is_ascii && ch_byte == config.quote {
+			if parser.escape_pending {
+				// Same as escaped_char_at, across chunk boundaries: a custom
+				// escape only makes a quote or itself literal
+				parser.escape_pending = false
+				if !(ch_is_ascii && (ch_byte == config.quote || ch_byte == config.escape)) {
+					append(&parser.field_buffer, config.escape)
+				}
+				append_rune_to_buffer(&parser.field_buffer, ch)
+			} else if ch_is_ascii && ch_byte == config.quote {
 				parser.state = .Quote_In_Quote
+			} else if ch_is_ascii && config.escape != config.quote && ch_byte == config.escape {
+				parser.escape_pending = true
 			} else {
 				append_rune_to_buffer(&parser.field_buffer, ch)
 			}
@@ -280,7 +344,7 @@ streaming_parser_process_chunk :: proc(
 				parser.state = .Field_Start
 			} else if ch == '\n' {
 				streaming_emit_field(parser)
-				if !streaming_emit_row(parser) {
+				if !streaming_emit_row(parser, data, i) {
 					return false
 				}
 				last_complete_pos = i + 1
@@ -295,7 +359,7 @@ streaming_parser_process_chunk :: proc(
 				} else {
 					if parser.config.error_callback != nil {
 						parser.config.error_callback(
-							make_error(.Invalid_Character_After_Quote, parser.line_number, 0, "Invalid character after quote"),
+							streaming_error_at(parser, .Invalid_Character_After_Quote, data, i, "Invalid character after closing quote (strict mode)"),
 							parser.line_number,
 							parser.config.user_data,
 						)
@@ -325,6 +389,7 @@ streaming_parser_process_chunk :: proc(
 	// specially in the UTF-8 decoding section above (lines 186-192)
 	//
 	// So: Do NOT save leftover here. The parser state persists across chunks.
+	streaming_advance(parser, data, quote_index)
 
 	// Clean up combined buffer if we created one
 	if len(combined_buffer) > 0 {
@@ -341,38 +406,55 @@ streaming_parser_finalize :: proc(parser: ^Streaming_Parser) -> bool {
 		return false
 	}
 
+	// A multi-byte character left incomplete at EOF
+	if len(parser.leftover) > 0 && parser.config.parser_config.strict_utf8 {
+		if parser.config.error_callback != nil {
+			message := fmt.aprintf("Invalid UTF-8 byte 0x%02X", parser.leftover[0])
+			defer delete(message)
+			parser.config.error_callback(
+				streaming_error_at(parser, .Invalid_UTF8, parser.leftover[:], 0, message),
+				parser.line_number,
+				parser.config.user_data,
+			)
+		}
+		return false
+	}
+
 	// Handle end of input (same logic as parse_csv)
 	switch parser.state {
 	case .In_Field:
 		streaming_emit_field(parser)
-		if !streaming_emit_row(parser) {
+		if !streaming_emit_row(parser, nil, 0) {
 			return false
 		}
 	case .Quote_In_Quote:
 		streaming_emit_field(parser)
-		if !streaming_emit_row(parser) {
+		if !streaming_emit_row(parser, nil, 0) {
 			return false
 		}
 	case .In_Quoted_Field:
 		if parser.config.parser_config.relaxed {
+			if parser.escape_pending {
+				// A trailing escape character escapes nothing
+				append(&parser.field_buffer, parser.config.parser_config.escape)
+			}
 			streaming_emit_field(parser)
-			if !streaming_emit_row(parser) {
+			if !streaming_emit_row(parser, nil, 0) {
 				return false
 			}
 		} else {
 			if parser.config.error_callback != nil {
-				parser.config.error_callback(
-					make_error(.Unterminated_Quote, parser.line_number, 0, "Unterminated quote at end of file"),
-					parser.line_number,
-					parser.config.user_data,
-				)
+				// The callback takes ownership of the error strings
+				error := parser.open_quote
+				parser.open_quote = Error_Info{}
+				parser.config.error_callback(error, parser.line_number, parser.config.user_data)
 			}
 			return false
 		}
 	case .Field_Start:
 		if len(parser.current_row) > 0 {
 			streaming_emit_empty_field(parser)
-			if !streaming_emit_row(parser) {
+			if !streaming_emit_row(parser, nil, 0) {
 				return false
 			}
 		}
@@ -385,18 +467,21 @@ streaming_parser_finalize :: proc(parser: ^Streaming_Parser) -> bool {
 
 // Helper procedures for streaming parser
 
+// streaming_emit_field appends the buffered field, never null (see emit_field)
 streaming_emit_field :: proc(parser: ^Streaming_Parser) {
-	field := string(parser.field_buffer[:])
-	field_copy := strings.clone(field)  // Allocate a proper copy
-	append(&parser.current_row, field_copy)
+	append(&parser.current_row, non_null_field(string(parser.field_buffer[:])))
 	clear(&parser.field_buffer)
 }
 
+// streaming_emit_empty_field appends a null field (see emit_empty_field)
 streaming_emit_empty_field :: proc(parser: ^Streaming_Parser) {
 	append(&parser.current_row, "")
 }
 
-streaming_emit_row :: proc(parser: ^Streaming_Parser) -> bool {
+// streaming_emit_row hands the completed row to the callbacks
+// Parameters:
+//   data, end: input being processed and index where the row ended (nil and 0 at end of input), for errors
+streaming_emit_row :: proc(parser: ^Streaming_Parser, data: []byte, end: int) -> bool {
 	// Check row size limit
 	row_size := 0
 	for field in parser.current_row {
@@ -406,7 +491,7 @@ streaming_emit_row :: proc(parser: ^Streaming_Parser) -> bool {
 	if row_size > parser.config.max_row_size {
 		if parser.config.error_callback != nil {
 			parser.config.error_callback(
-				make_error(.Max_Row_Size_Exceeded, parser.line_number, 0, "Row exceeds max size"),
+				streaming_error_at(parser, .Max_Row_Size_Exceeded, data, end, "Row exceeds max size"),
 				parser.line_number,
 				parser.config.user_data,
 			)
@@ -415,6 +500,21 @@ streaming_emit_row :: proc(parser: ^Streaming_Parser) -> bool {
 		return false
 	}
 
+	// Apply from_line/to_line (1-indexed record numbers) and trim
+	parser.records_seen += 1
+	parser_config := &parser.config.parser_config
+	if parser_config.from_line > 0 && parser.records_seen < parser_config.from_line {
+		for field in parser.current_row {
+			delete(field)
+		}
+		clear(&parser.current_row)
+		parser.line_number += 1
+		return true
+	}
+	if parser_config.trim {
+		trim_row_fields(parser.current_row[:])
+	}
+
 	// Skip header if configured
 	if parser.config.schema != nil && parser.config.schema.skip_header && parser.rows_processed == 0 {
 		// Free header row
@@ -512,9 +612,79 @@ streaming_emit_row :: proc(parser: ^Streaming_Parser) -> bool {
 
 	parser.line_number += 1
 	parser.rows_processed += 1
+
+	// Stop once the last requested record has been emitted
+	if parser_config.to_line > 0 && parser.records_seen >= parser_config.to_line {
+		parser.stopped = true
+		return false
+	}
 	return true
 }
 
+// streaming_error_at creates an Error_Info for a byte index of data, the input
+// being processed (nil at end of input), located as make_error_at would locate
+// it in the whole input: physical line, column, context and byte offset
+streaming_error_at :: proc(parser: ^Streaming_Parser, code: Parse_Error, data: []byte, index: int, message: string) -> Error_Info {
+	// The line so far is line_tail followed by data
+	window := make([]byte, len(parser.line_tail) + len(data))
+	defer delete(window)
+	copy(window, parser.line_tail[:])
+	copy(window[len(parser.line_tail):], data)
+
+	line, column, ctx := error_location(string(window), len(parser.line_tail) + index)
+	if line == 1 {
+		column += parser.tail_column - 1
+	}
+	return make_error(code, parser.physical_line + line - 1, column, message, ctx, parser.offset + index)
+}
+
+// streaming_advance moves the error location state past input consumed by the
+// state machine, and locates the opening quote of a quoted field left open
+// Parameters:
+//   data: consumed input
+//   quote_index: index in data of the last opening quote, or -1
+streaming_advance :: proc(parser: ^Streaming_Parser, data: []byte, quote_index: int) {
+	if quote_index >= 0 && (parser.state == .In_Quoted_Field || parser.state == .Quote_In_Quote) {
+		error_info_destroy(&parser.open_quote)
+		parser.open_quote = streaming_error_at(parser, .Unterminated_Quote, data, quote_index, "Unterminated quoted field at end of input")
+	}
+
+	rest := data
+	if line_end := strings.last_index_byte(string(data), '\n'); line_end >= 0 {
+		parser.physical_line += strings.count(string(data), "\n")
+		clear(&parser.line_tail)
+		parser.tail_column = 1
+		rest = data[line_end + 1:]
+	}
+
+	// Keep the last ERROR_CONTEXT_BEFORE characters (whole characters, as error_location does)
+	append(&parser.line_tail, ..rest)
+	start := len(parser.line_tail)
+	for n := 0; n < ERROR_CONTEXT_BEFORE && start > 0; n += 1 {
+		start -= 1
+		for start > 0 && parser.line_tail[start] & 0xC0 == 0x80 {
+			start -= 1
+		}
+	}
+	if start > 0 {
+		parser.tail_column += utf8.rune_count(parser.line_tail[:start])
+		remove_range(&parser.line_tail, 0, start)
+	}
+
+	parser.offset += len(data)
+}
+
+// streaming_clear_pending_rows frees rows collected for the FFI pull interface
+streaming_clear_pending_rows :: proc(parser: ^Streaming_Parser) {
+	for row in parser.pending_rows {
+		for field in row {
+			delete(field)
+		}
+		delete(row)
+	}
+	clear(&parser.pending_rows)
+}
+
 // decode_utf8_rune decodes a UTF-8 character from bytes
 decode_utf8_rune :: proc(bytes: []byte) -> rune {
 	if len(bytes) == 0 do return 0
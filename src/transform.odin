@@ -346,3 +346,49 @@ pipeline_apply_to_all :: proc(
         pipeline_apply_to_row(pipeline, registry, row, allocator)
     }
 }
+
+// transform_rows applies a pipeline to the parsed rows in place
+// Parameters:
+//   parser: parser holding parsed rows (fields must be owned by the rows)
+//   pipeline: steps to apply, in order (field_index -1 = every field)
+//   registry: registry the step names are looked up in
+//   skip_header: leave the first row (the header) unchanged
+// Returns: number of rows transformed
+// Note: Null fields (empty and unquoted, see is_null_field) are left unchanged
+transform_rows :: proc(
+    parser: ^Parser,
+    pipeline: ^Transform_Pipeline,
+    registry: ^Transform_Registry,
+    skip_header: bool,
+) -> int {
+    start := skip_header ? 1 : 0
+    if start >= len(parser.all_rows) do return 0
+
+    for row in parser.all_rows[start:] {
+        for step in pipeline.steps {
+            if step.field_index == -1 {
+                for i in 0..<len(row) {
+                    transform_owned_field(registry, step.transform_name, row, i)
+                }
+            } else if step.field_index < len(row) {
+                transform_owned_field(registry, step.transform_name, row, step.field_index)
+            }
+        }
+    }
+
+    return len(parser.all_rows) - start
+}
+
+// transform_owned_field replaces a field with its transformed value and frees the original
+// Null fields are skipped; a non-null field transformed to "" stays non-null (see clone_field)
+transform_owned_field :: proc(registry: ^Transform_Registry, transform_name: string, row: []string, field_index: int) {
+    field := row[field_index]
+    if is_null_field(field) do return
+
+    value := apply_transform(registry, transform_name, field)
+    if is_null_field(value) {
+        value = non_null_field(value)
+    }
+    delete(field)
+    row[field_index] = value
+}
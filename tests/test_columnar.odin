@@ -0,0 +1,79 @@
+package tests
+
+import "core:math"
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Columnar Output Tests
+// ============================================================================
+
+@(test)
+test_infer_column_type :: proc(t: ^testing.T) {
+    rows := [][]string{
+        {"1", "1.5", "x", "", "7", "3000000000"},
+        {"2", "2", "3", "", "", "1"},
+    }
+
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 0), ocsv.Columnar_Type.Int32)
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 1), ocsv.Columnar_Type.Float64)
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 2), ocsv.Columnar_Type.String)
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 3), ocsv.Columnar_Type.String)   // All empty
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 4), ocsv.Columnar_Type.Float64)  // Gap needs NaN
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 5), ocsv.Columnar_Type.Float64)  // Past i32
+    testing.expect_value(t, ocsv.infer_column_type(rows, nil, 6), ocsv.Columnar_Type.String)   // Missing
+}
+
+@(test)
+test_pack_columns_layout :: proc(t: ^testing.T) {
+    rows := [][]string{
+        {"Tokyo", "14", "2194.5"},
+        {"Lima", "10"},
+    }
+
+    buffer := ocsv.pack_columns(rows, nil, 3)
+    defer delete(buffer)
+
+    testing.expect_value(t, read_u32(buffer[0:4]), u32(ocsv.COLUMNAR_MAGIC))
+    testing.expect_value(t, read_u32(buffer[8:12]), u32(2))
+    testing.expect_value(t, read_u32(buffer[12:16]), u32(3))
+    testing.expect_value(t, read_u64(buffer[16:24]), u64(len(buffer)))
+    testing.expect_value(t, len(buffer) % 8, 0)
+
+    // Column 0: strings
+    testing.expect_value(t, read_u32(buffer[24:28]), u32(ocsv.Columnar_Type.String))
+    city := int(read_u64(buffer[32:40]))
+    testing.expect_value(t, city % 8, 0)
+    testing.expect_value(t, read_u32(buffer[city + 4:][:4]), u32(5))
+    testing.expect_value(t, read_u32(buffer[city + 8:][:4]), u32(9))
+    testing.expect_value(t, string(buffer[city + 12:][:9]), "TokyoLima")
+
+    // Column 1: i32
+    testing.expect_value(t, read_u32(buffer[40:44]), u32(ocsv.Columnar_Type.Int32))
+    population := ([^]i32)(&buffer[int(read_u64(buffer[48:56]))])
+    testing.expect_value(t, population[0], i32(14))
+    testing.expect_value(t, population[1], i32(10))
+
+    // Column 2: f64 with NaN for the missing value
+    testing.expect_value(t, read_u32(buffer[56:60]), u32(ocsv.Columnar_Type.Float64))
+    area := ([^]f64)(&buffer[int(read_u64(buffer[64:72]))])
+    testing.expect_value(t, area[0], 2194.5)
+    testing.expect(t, math.is_nan(area[1]))
+}
+
+@(test)
+test_pack_columns_requested_types_and_projection :: proc(t: ^testing.T) {
+    rows := [][]string{{"007", "a", "1"}, {"8", "b", "x"}}
+
+    buffer := ocsv.pack_columns(rows, []int{2, 0}, 2, []ocsv.Columnar_Type{.Int32, .String})
+    defer delete(buffer)
+
+    testing.expect_value(t, read_u32(buffer[24:28]), u32(ocsv.Columnar_Type.Int32))
+    values := ([^]i32)(&buffer[int(read_u64(buffer[32:40]))])
+    testing.expect_value(t, values[0], i32(1))
+    testing.expect_value(t, values[1], i32(0))  // Invalid values are 0
+
+    testing.expect_value(t, read_u32(buffer[40:44]), u32(ocsv.Columnar_Type.String))
+    codes := int(read_u64(buffer[48:56]))
+    testing.expect_value(t, string(buffer[codes + 12:][:4]), "0078")
+}
@@ -23,6 +23,25 @@ test_nested_quotes :: proc(t: ^testing.T) {
     testing.expect_value(t, parser.all_rows[0][0], `He said "Hello" to me`)
 }
 
+// Custom escape: escapes a quote or itself inside quoted fields, literal elsewhere
+@(test)
+test_custom_escape :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+    parser.config.escape = '\\'
+
+    input := `"a\"b\\c\d",e\f` + "\n" + `"x\",y"` + "\n"
+    ok := ocsv.parse_csv(parser, input)
+
+    testing.expect(t, ok, "Parse should succeed")
+    testing.expect_value(t, len(parser.all_rows), 2)
+    testing.expect_value(t, parser.all_rows[0][0], `a"b\c\d`)
+    testing.expect_value(t, parser.all_rows[0][1], `e\f`)
+    // The escaped quote does not close the field
+    testing.expect_value(t, len(parser.all_rows[1]), 1)
+    testing.expect_value(t, parser.all_rows[1][0], `x",y`)
+}
+
 // Test 2: Multiline field (quotes preserve newlines)
 @(test)
 test_multiline_field :: proc(t: ^testing.T) {
@@ -383,3 +402,34 @@ test_jagged_rows :: proc(t: ^testing.T) {
     testing.expect_value(t, len(parser.all_rows[1]), 2)
     testing.expect_value(t, len(parser.all_rows[2]), 4)
 }
+
+// Test 26: Invalid UTF-8 is replaced by default and rejected in strict mode
+@(test)
+test_strict_utf8 :: proc(t: ^testing.T) {
+    input := "a,b\nc,d\xff\n"
+
+    lenient := ocsv.parser_create()
+    defer ocsv.parser_destroy(lenient)
+
+    testing.expect(t, ocsv.parse_csv(lenient, input))
+    testing.expect_value(t, lenient.all_rows[1][1], "d�")
+
+    strict := ocsv.parser_create()
+    defer ocsv.parser_destroy(strict)
+    strict.config.strict_utf8 = true
+
+    testing.expect(t, !ocsv.parse_csv(strict, input))
+    testing.expect_value(t, strict.last_error.code, ocsv.Parse_Error.Invalid_UTF8)
+    testing.expect_value(t, strict.last_error.line, 2)
+    testing.expect_value(t, strict.last_error.column, 4)
+    testing.expect_value(t, strict.last_error.ctx, "c,d\xff")  // Invalid bytes are kept in the context
+}
+
+// Test 27: Multi-byte characters cut off by a chunk end are only invalid at EOF
+@(test)
+test_find_invalid_utf8 :: proc(t: ^testing.T) {
+    testing.expect_value(t, ocsv.find_invalid_utf8("héllo, 世界"), -1)
+    testing.expect_value(t, ocsv.find_invalid_utf8("ab\xc3\x28"), 2)
+    testing.expect_value(t, ocsv.find_invalid_utf8("ab\xe4\xb8"), 2)
+    testing.expect_value(t, ocsv.find_invalid_utf8("ab\xe4\xb8", true), -1)
+}
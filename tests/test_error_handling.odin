@@ -1,7 +1,9 @@
 package tests
 
+import "core:c"
 import "core:testing"
 import "core:fmt"
+import "core:strings"
 import ocsv "../src"
 
 // Test basic error detection
@@ -112,6 +114,73 @@ test_error_column_consistency :: proc(t: ^testing.T) {
     fmt.printfln("Validation error: %s", err_msg)
 }
 
+@(test)
+test_enforce_column_count :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    csv_data := "a,b,c\n1,2\n\n3,4,5,6\n"
+
+    testing.expect(t, ocsv.parse_csv(parser, csv_data))
+    testing.expect(t, !ocsv.enforce_column_count(parser, .Strict, 0, nil, false))
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.Inconsistent_Column_Count)
+    testing.expect_value(t, parser.last_error.line, 2)
+    testing.expect_value(t, parser.last_error.message, "Row 2 has 2 fields, expected 3")
+
+    // Pad fixes the short row; the long one is collected and dropped
+    testing.expect(t, ocsv.parse_csv(parser, csv_data))
+    testing.expect(t, ocsv.enforce_column_count(parser, .Pad, 0, "-", true))
+    testing.expect_value(t, len(parser.all_rows), 3)
+    testing.expect_value(t, parser.all_rows[1][2], "-")
+    testing.expect_value(t, len(parser.all_rows[2]), 0)  // Blank line is left as is
+    testing.expect_value(t, parser.rows_skipped, 1)
+    testing.expect_value(t, parser.parse_errors[0].line, 4)
+
+    // Padding without a fill value adds null fields
+    testing.expect(t, ocsv.parse_csv(parser, csv_data))
+    testing.expect(t, ocsv.enforce_column_count(parser, .Pad, 5, nil, false))
+    testing.expect_value(t, len(parser.all_rows), 4)
+    testing.expect_value(t, len(parser.all_rows[3]), 5)
+    testing.expect(t, ocsv.is_null_field(parser.all_rows[0][3]))
+    testing.expect(t, ocsv.is_null_field(parser.all_rows[3][4]))
+
+    // Truncate with an explicit count
+    testing.expect(t, ocsv.parse_csv(parser, csv_data))
+    testing.expect(t, ocsv.enforce_column_count(parser, .Truncate, 2, nil, false))
+    testing.expect_value(t, len(parser.all_rows[0]), 2)
+    testing.expect_value(t, len(parser.all_rows[3]), 2)
+    testing.expect_value(t, parser.all_rows[3][1], "4")
+}
+
+progress_calls: int
+
+// Test that a progress callback returning false aborts the parse
+@(test)
+test_progress_abort :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    row := "aaaaaaaaaa,bbbbbbbbbb,cccccccccc\n"
+    csv_data := strings.repeat(row, 3 * ocsv.PROGRESS_INTERVAL / len(row))
+    defer delete(csv_data)
+
+    // Keep going at the first checkpoint, stop at the second
+    progress_calls = 0
+    parser.progress = proc "c" (bytes_processed: i64, rows_parsed: i64) -> c.bool {
+        progress_calls += 1
+        return progress_calls < 2
+    }
+    testing.expect(t, !ocsv.parse_csv(parser, csv_data))
+    testing.expect_value(t, progress_calls, 2)
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.Aborted)
+    testing.expect_value(t, len(parser.all_rows), 0)
+
+    // Without a callback the same input parses to the end
+    parser.progress = nil
+    testing.expect(t, ocsv.parse_csv(parser, csv_data))
+    testing.expect_value(t, len(parser.all_rows), 3 * ocsv.PROGRESS_INTERVAL / len(row))
+}
+
 // Test recovery strategies
 @(test)
 test_recovery_fail_fast :: proc(t: ^testing.T) {
@@ -169,6 +238,55 @@ good3,good4`
     testing.expect(t, len(parser.all_rows) > 0, "Should have parsed some data")
 }
 
+@(test)
+test_recovery_skip_row_drops_malformed_rows :: proc(t: ^testing.T) {
+    parser := ocsv.parser_extended_create()
+    defer ocsv.parser_extended_destroy(parser)
+
+    parser.recovery_strategy = .Skip_Row
+
+    csv_data := "id,name\n1,\"ok\"\n2,\"bad\"x,tail\n3,café\n4,\"also\"bad\n5,last"
+
+    result := ocsv.parse_csv_with_errors(parser, csv_data)
+    defer ocsv.parse_result_destroy(&result)
+
+    testing.expect(t, result.success, "Skip_Row should succeed")
+    testing.expect_value(t, result.rows_skipped, 2)
+    testing.expect_value(t, len(result.warnings), 2)
+    testing.expect_value(t, result.warnings[0].line, 3)
+    testing.expect_value(t, result.warnings[1].line, 5)
+
+    testing.expect_value(t, len(parser.all_rows), 4)
+    testing.expect_value(t, parser.all_rows[1][1], "ok")
+    testing.expect_value(t, parser.all_rows[2][1], "café")
+    testing.expect_value(t, parser.all_rows[3][0], "5")
+}
+
+@(test)
+test_recovery_matches_parse_csv_on_valid_input :: proc(t: ^testing.T) {
+    csv_data := "a,b,\n\n\"x\ny\",z\n# comment\nlast"
+
+    parser := ocsv.parser_extended_create()
+    defer ocsv.parser_extended_destroy(parser)
+    parser.recovery_strategy = .Collect_All_Errors
+
+    result := ocsv.parse_csv_with_errors(parser, csv_data)
+    defer ocsv.parse_result_destroy(&result)
+
+    plain := ocsv.parser_create()
+    defer ocsv.parser_destroy(plain)
+    testing.expect(t, ocsv.parse_csv(plain, csv_data), "parse_csv should succeed")
+
+    testing.expect(t, result.success, "Parse should succeed")
+    testing.expect_value(t, len(parser.all_rows), len(plain.all_rows))
+    for row, i in plain.all_rows {
+        testing.expect_value(t, len(parser.all_rows[i]), len(row))
+        for field, j in row {
+            testing.expect_value(t, parser.all_rows[i][j], field)
+        }
+    }
+}
+
 // Test parse_csv_safe convenience function
 @(test)
 test_parse_csv_safe :: proc(t: ^testing.T) {
@@ -363,3 +481,52 @@ test_max_errors_limit :: proc(t: ^testing.T) {
     testing.expect(t, parser.error_count <= parser.max_errors, "Should stop at max errors")
 }
 */
+
+// Test error positions: byte offset, physical line/column and line context
+@(test)
+test_error_location :: proc(t: ^testing.T) {
+    data := "id,name\r\n1,\"Ann\"x,é\n"
+
+    line, column, ctx := ocsv.error_location(data, 16)
+    testing.expect_value(t, line, 2)
+    testing.expect_value(t, column, 8)
+    testing.expect_value(t, ctx, "1,\"Ann\"x,é")  // No line break
+
+    // Long lines keep at most ERROR_CONTEXT_BEFORE characters before the error
+    long := strings.concatenate({strings.repeat("é", 80, context.temp_allocator), "!"}, context.temp_allocator)
+    _, column, ctx = ocsv.error_location(long, len(long) - 1)
+    testing.expect_value(t, column, 81)
+    testing.expect_value(t, ctx, long[len(long) - 1 - 2 * ocsv.ERROR_CONTEXT_BEFORE:])
+}
+
+@(test)
+test_error_offsets :: proc(t: ^testing.T) {
+    data := "a,b\n1,\"x\"y\n2,\"open\n"
+
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+    testing.expect(t, !ocsv.parse_csv(parser, data))
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.Invalid_Character_After_Quote)
+    testing.expect_value(t, parser.last_error.offset, 9)
+    testing.expect_value(t, parser.last_error.line, 2)
+    testing.expect_value(t, parser.last_error.column, 6)
+    testing.expect_value(t, parser.last_error.ctx, "1,\"x\"y")
+
+    // Unterminated quotes point at the opening quote
+    testing.expect(t, !ocsv.parse_csv(parser, data[11:]))
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.Unterminated_Quote)
+    testing.expect_value(t, parser.last_error.offset, 2)
+    testing.expect_value(t, parser.last_error.column, 3)
+
+    ext := ocsv.parser_extended_create()
+    defer ocsv.parser_extended_destroy(ext)
+    ext.recovery_strategy = .Collect_All_Errors
+
+    result := ocsv.parse_csv_with_errors(ext, data)
+    defer ocsv.parse_result_destroy(&result)
+    testing.expect_value(t, len(result.warnings), 2)
+    testing.expect_value(t, result.warnings[0].offset, 9)
+    testing.expect_value(t, result.warnings[1].offset, 13)
+    testing.expect_value(t, result.warnings[1].line, 3)
+    testing.expect_value(t, result.warnings[1].ctx, "2,\"open")
+}
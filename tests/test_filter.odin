@@ -0,0 +1,75 @@
+package tests
+
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Row Filter Tests
+// ============================================================================
+
+FILTER_INPUT :: "id,customer,amount\n1,acme,10\n2,globex,25\n3,acme,40\n4,initech,x\n5,acme,"
+
+@(test)
+test_filter_equals_keeps_header :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, FILTER_INPUT))
+
+    filters, ok := ocsv.filters_from_json(`[{"column":1,"op":"eq","value":"acme"}]`)
+    testing.expect(t, ok)
+    defer ocsv.filters_destroy(&filters)
+
+    removed := ocsv.filter_rows(parser, filters[:], true)
+    testing.expect_value(t, removed, 2)
+    testing.expect_value(t, len(parser.all_rows), 4)
+    testing.expect_value(t, parser.all_rows[0][1], "customer")
+    testing.expect_value(t, parser.all_rows[1][0], "1")
+    testing.expect_value(t, parser.all_rows[2][0], "3")
+    testing.expect_value(t, parser.all_rows[3][0], "5")
+}
+
+@(test)
+test_filter_combines_predicates :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, FILTER_INPUT))
+
+    filters, ok := ocsv.filters_from_json(
+        `[{"column":1,"op":"in","values":["acme","initech"]},{"column":2,"op":"range","min":20}]`,
+    )
+    testing.expect(t, ok)
+    defer ocsv.filters_destroy(&filters)
+
+    // Non-numeric and empty amounts never match a range
+    ocsv.filter_rows(parser, filters[:], true)
+    testing.expect_value(t, len(parser.all_rows), 2)
+    testing.expect_value(t, parser.all_rows[1][0], "3")
+}
+
+@(test)
+test_filter_regex :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, FILTER_INPUT))
+
+    filters, ok := ocsv.filters_from_json(`[{"column":1,"op":"regex","pattern":"^(GLOBEX|initech)$","flags":"i"}]`)
+    testing.expect(t, ok)
+    defer ocsv.filters_destroy(&filters)
+
+    ocsv.filter_rows(parser, filters[:], false)
+    testing.expect_value(t, len(parser.all_rows), 2)
+    testing.expect_value(t, parser.all_rows[0][0], "2")
+    testing.expect_value(t, parser.all_rows[1][0], "4")
+}
+
+@(test)
+test_filter_rejects_invalid_json :: proc(t: ^testing.T) {
+    _, ok := ocsv.filters_from_json(`[{"column":0,"op":"like","value":"a"}]`)
+    testing.expect(t, !ok)
+
+    _, ok = ocsv.filters_from_json(`[{"column":0,"op":"regex","pattern":"(","flags":""}]`)
+    testing.expect(t, !ok)
+}
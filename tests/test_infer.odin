@@ -0,0 +1,70 @@
+package tests
+
+import "core:strings"
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Type Inference Tests
+// ============================================================================
+
+@(test)
+test_infer_column_types :: proc(t: ^testing.T) {
+    rows := [][]string{
+        {"1", "1.5", "yes", "2024-02-29", "x", "1", ""},
+        {"-7", "2", "No", "2023/12/31", "3", "0", ""},
+        {"", "", "1", "", "", "1"},
+    }
+
+    inferred := ocsv.infer_columns(rows, nil, 7)
+    defer delete(inferred)
+
+    testing.expect_value(t, inferred[0].col_type, ocsv.Column_Type.Int)
+    testing.expect_value(t, inferred[0].min_value, -7.0)
+    testing.expect_value(t, inferred[0].max_value, 1.0)
+    testing.expect(t, inferred[0].nullable)
+    testing.expect_value(t, inferred[0].count, 2)
+
+    testing.expect_value(t, inferred[1].col_type, ocsv.Column_Type.Float)
+    testing.expect_value(t, inferred[2].col_type, ocsv.Column_Type.Bool)
+    testing.expect_value(t, inferred[3].col_type, ocsv.Column_Type.Date)
+    testing.expect_value(t, inferred[3].earliest, "2023/12/31")
+    testing.expect_value(t, inferred[3].latest, "2024-02-29")
+
+    testing.expect_value(t, inferred[4].col_type, ocsv.Column_Type.String)
+    testing.expect_value(t, inferred[4].min_length, 1)
+    testing.expect_value(t, inferred[4].max_length, 1)
+
+    testing.expect_value(t, inferred[5].col_type, ocsv.Column_Type.Int)     // 0/1 is not Bool
+    testing.expect_value(t, inferred[6].col_type, ocsv.Column_Type.String)  // No values
+    testing.expect(t, !inferred[5].nullable)
+    testing.expect(t, inferred[6].nullable)
+}
+
+@(test)
+test_is_iso_date :: proc(t: ^testing.T) {
+    testing.expect(t, ocsv.is_iso_date("2024-01-31"))
+    testing.expect(t, ocsv.is_iso_date("2000-02-29"))
+    testing.expect(t, !ocsv.is_iso_date("1900-02-29"))
+    testing.expect(t, !ocsv.is_iso_date("2024-04-31"))
+    testing.expect(t, !ocsv.is_iso_date("2024-13-01"))
+    testing.expect(t, !ocsv.is_iso_date("2024-01/31"))
+    testing.expect(t, !ocsv.is_iso_date("31/01/2024"))
+    testing.expect(t, !ocsv.is_iso_date("2024-1-31"))
+}
+
+@(test)
+test_infer_schema_json :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "id,name\n1,Ann\n2,\nx,Bo"))
+
+    // Only the first two data rows are sampled
+    result := ocsv.ocsv_infer_schema(parser, true, 2)
+    defer ocsv.ocsv_free_json_string(result)
+
+    json := string(result)
+    testing.expect(t, strings.has_prefix(json, `[{"name":"id","type":"int","nullable":false,"count":2,"min":1,"max":2}`))
+    testing.expect(t, strings.has_suffix(json, `{"name":"name","type":"string","nullable":true,"count":1,"minLength":3,"maxLength":3}]`))
+}
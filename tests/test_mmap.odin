@@ -0,0 +1,84 @@
+package tests
+
+import "core:os"
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Memory-Mapped File Tests
+// ============================================================================
+
+MMAP_INPUT :: "\xEF\xBB\xBFid,note\n# comment\n1,\"a,\nb\"\n\n2,plain\r\n3,"
+
+@(test)
+test_mmap_matches_string_parser :: proc(t: ^testing.T) {
+    path := "test_mmap_eager.csv"
+    testing.expect(t, os.write_entire_file(path, transmute([]byte)string(MMAP_INPUT)))
+    defer os.remove(path)
+
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_mapped_file(parser, path, false, true))
+    testing.expect_value(t, len(parser.all_rows), 5)
+    testing.expect_value(t, parser.all_rows[0][0], "id")
+    testing.expect_value(t, parser.all_rows[1][1], "a,\nb")
+    testing.expect_value(t, len(parser.all_rows[2]), 0)
+    testing.expect_value(t, parser.all_rows[4][1], "")
+}
+
+@(test)
+test_mmap_indexed_rows :: proc(t: ^testing.T) {
+    path := "test_mmap_indexed.csv"
+    testing.expect(t, os.write_entire_file(path, transmute([]byte)string(MMAP_INPUT)))
+    defer os.remove(path)
+
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_mapped_file(parser, path, true, true))
+    testing.expect_value(t, len(parser.all_rows), 0)
+    testing.expect_value(t, ocsv.parser_row_count(parser), 5)
+
+    row, ok := ocsv.parser_row(parser, 3)
+    testing.expect(t, ok)
+    testing.expect_value(t, row[1], "plain")
+
+    row, ok = ocsv.parser_row(parser, 1)
+    testing.expect(t, ok)
+    testing.expect_value(t, row[1], "a,\nb")
+
+    row, ok = ocsv.parser_row(parser, 2)
+    testing.expect(t, ok)
+    testing.expect_value(t, len(row), 0)
+
+    row, ok = ocsv.parser_row(parser, 0)
+    testing.expect_value(t, row[0], "id")
+
+    _, ok = ocsv.parser_row(parser, 5)
+    testing.expect(t, !ok)
+}
+
+@(test)
+test_mmap_missing_file :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, !ocsv.parse_mapped_file(parser, "does_not_exist.csv", true, true))
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.File_Not_Found)
+    testing.expect(t, parser.mapped == nil)
+}
+
+@(test)
+test_mmap_unterminated_quote :: proc(t: ^testing.T) {
+    path := "test_mmap_unterminated.csv"
+    testing.expect(t, os.write_entire_file(path, transmute([]byte)string("a,b\n\"open")))
+    defer os.remove(path)
+
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, !ocsv.parse_mapped_file(parser, path, true, false))
+    testing.expect_value(t, parser.last_error.code, ocsv.Parse_Error.Unterminated_Quote)
+    testing.expect_value(t, parser.last_error.line, 2)
+}
@@ -0,0 +1,135 @@
+package tests
+
+import "core:c"
+import "core:strings"
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Output Format Tests (JSON Lines, JSON, TSV, CSV)
+// ============================================================================
+
+// rows_to_output converts rows [start, end) through the FFI and returns the text
+rows_to_output :: proc(parser: ^ocsv.Parser, options: cstring, start, end: int) -> (string, c.int) {
+    size: c.int
+    bytes := ocsv.ocsv_rows_to_output(parser, options, nil, 0, c.int(start), c.int(end), &size)
+    if bytes == nil {
+        return "", size
+    }
+    text := strings.clone(string(([^]u8)(bytes)[:size]))
+    ocsv.ocsv_free_output(bytes, nil)
+    return text, size
+}
+
+@(test)
+test_output_json_lines :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "name,note\nann,\"say \"\"hi\"\"\"\nbob,\n"))
+
+    text, size := rows_to_output(parser, `{"format":"jsonl","keys":["name","note"],"nulls":true}`, 1, 3)
+    defer delete(text)
+    testing.expect_value(t, text, "{\"name\":\"ann\",\"note\":\"say \\\"hi\\\"\"}\n{\"name\":\"bob\",\"note\":null}\n")
+    testing.expect_value(t, int(size), len(text))
+
+    arrays, _ := rows_to_output(parser, `{"format":"ndjson"}`, 2, 3)
+    defer delete(arrays)
+    testing.expect_value(t, arrays, "[\"bob\",\"\"]\n")
+}
+
+@(test)
+test_output_json_chunks_join :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a\n1\n2\n3\n"))
+
+    first, _ := rows_to_output(parser, `{"format":"json","keys":["a"]}`, 1, 3)
+    defer delete(first)
+    second, _ := rows_to_output(parser, `{"format":"json","keys":["a"]}`, 3, 4)
+    defer delete(second)
+
+    // Ranges have no brackets, so callers join them with ","
+    testing.expect_value(t, first, `{"a":"1"},{"a":"2"}`)
+    testing.expect_value(t, second, `{"a":"3"}`)
+}
+
+@(test)
+test_output_tsv_and_csv :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a,b,c\n\"x\ty\",\"1;2\",\"\"\n\" pad\",\"q\"\"\",\n"))
+
+    tsv, _ := rows_to_output(parser, `{"format":"tsv"}`, 0, 3)
+    defer delete(tsv)
+    testing.expect_value(t, tsv, "a\tb\tc\nx\\ty\t1;2\t\n pad\tq\"\t\n")
+
+    csv, _ := rows_to_output(parser, `{"format":"csv","delimiter":";"}`, 1, 3)
+    defer delete(csv)
+    testing.expect_value(t, csv, "x\ty;\"1;2\";\"\"\n\" pad\";\"q\"\"\";\n")
+}
+
+@(test)
+test_output_respects_projection :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a,b,c\n1,2,3\n4\n"))
+    append(&parser.columns, 2, 0)
+
+    text, _ := rows_to_output(parser, `{"format":"jsonl","keys":["c","a"]}`, 1, 3)
+    defer delete(text)
+    testing.expect_value(t, text, "{\"c\":\"3\",\"a\":\"1\"}\n{\"c\":\"\",\"a\":\"4\"}\n")
+}
+
+@(test)
+test_output_row_indices :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "r0\nr1\nr2\nr3\n"))
+
+    rows := [2]c.int{3, 1}
+    size: c.int
+    bytes := ocsv.ocsv_rows_to_output(parser, `{"format":"csv"}`, &rows[0], 2, 0, 0, &size)
+    defer ocsv.ocsv_free_output(bytes, nil)
+    testing.expect_value(t, string(([^]u8)(bytes)[:size]), "r3\nr1\n")
+}
+
+@(test)
+test_output_rejects_invalid_requests :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a\n1\n"))
+
+    _, size := rows_to_output(parser, `{"format":"xml"}`, 0, 2)
+    testing.expect_value(t, size, -1)
+    _, size = rows_to_output(parser, `{"format":"csv","delimiter":"::"}`, 0, 2)
+    testing.expect_value(t, size, -1)
+    _, size = rows_to_output(parser, `{"format":"csv"}`, 0, 5)  // Past the last row
+    testing.expect_value(t, size, -1)
+    _, size = rows_to_output(parser, `{"format":"csv"}`, 1, 1)  // Empty range
+    testing.expect_value(t, size, 0)
+}
+
+@(test)
+test_output_builtin_plugins :: proc(t: ^testing.T) {
+    registry := ocsv.plugin_registry_create()
+    defer ocsv.plugin_registry_destroy(registry)
+    ocsv.register_builtin_outputs(registry)
+
+    plugin, found := ocsv.plugin_get_output(registry, "json")
+    testing.expect(t, found)
+    testing.expect(t, len(registry.outputs) == 4)
+
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+    testing.expect(t, ocsv.parse_csv(parser, "id,name\n1,Ann\n"))
+
+    text := plugin.write(parser)
+    defer delete(text)
+    testing.expect_value(t, text, `[{"id":"1","name":"Ann"}]`)
+}
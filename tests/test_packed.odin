@@ -0,0 +1,119 @@
+package tests
+
+import "core:encoding/endian"
+import "core:strings"
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Packed Buffer Format Tests
+// ============================================================================
+
+read_u32 :: proc(b: []byte) -> u32 {
+    value, _ := endian.get_u32(b, .Little)
+    return value
+}
+
+read_u64 :: proc(b: []byte) -> u64 {
+    value, _ := endian.get_u64(b, .Little)
+    return value
+}
+
+@(test)
+test_null_and_quoted_empty_fields :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a,,\"\",b,\n\"\""))
+    row := parser.all_rows[0]
+    testing.expect_value(t, len(row), 5)
+    testing.expect(t, !ocsv.is_null_field(row[0]))
+    testing.expect(t, ocsv.is_null_field(row[1]))   // a,,
+    testing.expect(t, !ocsv.is_null_field(row[2]))  // ""
+    testing.expect_value(t, row[2], "")
+    testing.expect(t, ocsv.is_null_field(row[4]))   // trailing delimiter
+
+    // A lone quoted empty field at end of input
+    testing.expect(t, !ocsv.is_null_field(parser.all_rows[1][0]))
+}
+
+@(test)
+test_varint_encoding :: proc(t: ^testing.T) {
+    buffer := make([dynamic]u8)
+    defer delete(buffer)
+
+    ocsv.write_varint(&buffer, 5)
+    ocsv.write_varint(&buffer, 300)
+    ocsv.write_varint(&buffer, 140_000)
+    testing.expect_value(t, len(buffer), 6)
+    testing.expect_value(t, buffer[0], u8(0x05))
+    testing.expect_value(t, buffer[1], u8(0xAC))
+    testing.expect_value(t, buffer[2], u8(0x02))
+    testing.expect_value(t, buffer[3], u8(0xE0))
+    testing.expect_value(t, buffer[4], u8(0xC5))
+    testing.expect_value(t, buffer[5], u8(0x08))
+
+    testing.expect_value(t, ocsv.varint_size(127), 1)
+    testing.expect_value(t, ocsv.varint_size(128), 2)
+    testing.expect_value(t, ocsv.varint_size(140_000), 3)
+}
+
+@(test)
+test_pack_rows_v2_layout :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    // A 70,000 byte field needs more than the u16 length of version 1
+    blob := strings.repeat("x", 70_000)
+    defer delete(blob)
+    data := strings.concatenate({"id,doc\n1,", blob, "\n2\n3,,\"\""})
+    defer delete(data)
+    testing.expect(t, ocsv.parse_csv(parser, data))
+
+    buffer := ocsv.pack_rows(parser.all_rows[:])
+    defer delete(buffer)
+
+    testing.expect_value(t, read_u32(buffer[0:4]), u32(0x4F435356))
+    testing.expect_value(t, read_u32(buffer[4:8]), u32(ocsv.PACKED_VERSION))
+    testing.expect_value(t, read_u32(buffer[8:12]), u32(4))
+    testing.expect_value(t, read_u32(buffer[12:16]), u32(3))  // Widest row
+    testing.expect_value(t, read_u64(buffer[16:24]), u64(len(buffer)))
+
+    // Row 1: [count 2][hdr 0x02 "1"][hdr 140000 as E0 C5 08][70,000 bytes]
+    row1 := int(read_u32(buffer[28:32]))
+    testing.expect_value(t, buffer[row1], u8(2))
+    testing.expect_value(t, buffer[row1 + 1], u8(0x02))
+    testing.expect_value(t, buffer[row1 + 3], u8(0xE0))
+    testing.expect_value(t, buffer[row1 + 4], u8(0xC5))
+    testing.expect_value(t, buffer[row1 + 5], u8(0x08))
+
+    // Row 2 is a single field
+    row2 := int(read_u32(buffer[32:36]))
+    testing.expect_value(t, row2, row1 + 6 + 70_000)
+    testing.expect_value(t, buffer[row2], u8(1))
+
+    // Row 3: [count 3][hdr "3"][null][quoted empty]
+    row3 := int(read_u32(buffer[36:40]))
+    testing.expect_value(t, buffer[row3], u8(3))
+    testing.expect_value(t, buffer[row3 + 3], u8(0x01))
+    testing.expect_value(t, buffer[row3 + 4], u8(0x00))
+    testing.expect_value(t, row3 + 5, len(buffer))
+}
+
+@(test)
+test_pack_rows_projection_marks_missing_as_null :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a,b,c\nx"))
+
+    buffer := ocsv.pack_rows(parser.all_rows[:], []int{2, 0})
+    defer delete(buffer)
+
+    // Row 1 keeps the projected width; column 2 is past its end
+    row1 := int(read_u32(buffer[28:32]))
+    testing.expect_value(t, buffer[row1], u8(2))
+    testing.expect_value(t, buffer[row1 + 1], u8(0x01))
+    testing.expect_value(t, buffer[row1 + 2], u8(0x02))
+    testing.expect_value(t, buffer[row1 + 3], u8('x'))
+}
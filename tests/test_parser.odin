@@ -78,3 +78,76 @@ test_parse_multiple_rows :: proc(t: ^testing.T) {
     testing.expect_value(t, parser.all_rows[1][1], "30")
     testing.expect_value(t, parser.all_rows[1][2], "NYC")
 }
+
+@(test)
+test_ffi_reset_config :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    ocsv.ocsv_set_delimiter(parser, ';')
+    ocsv.ocsv_set_trim(parser, true)
+    ocsv.ocsv_set_from_line(parser, 2)
+    columns := []i32{1}
+    ocsv.ocsv_set_columns(parser, raw_data(columns), 1)
+
+    testing.expect_value(t, ocsv.ocsv_reset_config(parser), i32(0))
+    testing.expect_value(t, parser.config, ocsv.default_config())
+    testing.expect_value(t, len(parser.columns), 0)
+
+    // A reused parser splits on the default delimiter again
+    data := "a;b,c\n"
+    testing.expect_value(t, ocsv.ocsv_parse_string(parser, cstring(raw_data(data)), i32(len(data))), i32(0))
+    testing.expect_value(t, len(parser.all_rows), 1)
+    testing.expect_value(t, parser.all_rows[0][0], "a;b")
+}
+
+@(test)
+test_ffi_parse_clears_previous_error :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    bad := "a,\"b\"x\n"
+    testing.expect_value(t, ocsv.ocsv_parse_string(parser, cstring(raw_data(bad)), i32(len(bad))), i32(-1))
+    testing.expect(t, bool(ocsv.ocsv_has_error(parser)), "Failed parse should record an error")
+
+    good := "a,b\n"
+    testing.expect_value(t, ocsv.ocsv_parse_string(parser, cstring(raw_data(good)), i32(len(good))), i32(0))
+    testing.expect(t, !bool(ocsv.ocsv_has_error(parser)), "Next parse should clear the error")
+    testing.expect_value(t, len(parser.all_rows), 1)
+
+    // An empty input also drops the rows of the previous parse
+    testing.expect_value(t, ocsv.ocsv_parse_string(parser, cstring(raw_data(good)), 0), i32(0))
+    testing.expect_value(t, len(parser.all_rows), 0)
+}
+
+@(test)
+test_null_fields_independent_of_field_buffer :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    // A quoted "" must stay non-null even when the field buffer has no memory yet
+    delete(parser.field_buffer)
+    parser.field_buffer = nil
+
+    ok := ocsv.parse_csv(parser, `"",,x`)
+    testing.expect(t, ok, "Parse should succeed")
+    testing.expect_value(t, len(parser.all_rows[0]), 3)
+    testing.expect(t, !ocsv.is_null_field(parser.all_rows[0][0]), "Quoted empty field should not be null")
+    testing.expect(t, ocsv.is_null_field(parser.all_rows[0][1]), "Unquoted empty field should be null")
+    testing.expect(t, !ocsv.is_null_field(parser.all_rows[0][2]), "Non-empty field should not be null")
+}
+
+@(test)
+test_parse_trim :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+    parser.config.trim = true
+
+    ok := ocsv.parse_csv(parser, " a , b \n \t,\" c \"")
+    testing.expect(t, ok, "Parse should succeed")
+    testing.expect_value(t, len(parser.all_rows), 2)
+    testing.expect_value(t, parser.all_rows[0][0], "a")
+    testing.expect_value(t, parser.all_rows[0][1], "b")
+    testing.expect(t, ocsv.is_null_field(parser.all_rows[1][0]), "Whitespace-only field should become null")
+    testing.expect_value(t, parser.all_rows[1][1], "c")
+}
@@ -294,6 +294,38 @@ test_streaming_error_callback :: proc(t: ^testing.T) {
 	testing.expect(t, !ok, "Should fail on unterminated quote")
 	testing.expect(t, len(ctx.errors) > 0, "Should have error")
 	testing.expect_value(t, ctx.errors[0].code, ocsv.Parse_Error.Unterminated_Quote)
+
+	// Located at the opening quote, like parse errors
+	testing.expect_value(t, ctx.errors[0].line, 3)
+	testing.expect_value(t, ctx.errors[0].column, 1)
+	testing.expect_value(t, ctx.errors[0].offset, 18)
+	testing.expect_value(t, ctx.errors[0].ctx, "\"Bob,25")
+}
+
+@(test)
+test_streaming_error_location_across_chunks :: proc(t: ^testing.T) {
+	ctx := Test_Context{}
+	defer destroy_test_context(&ctx)
+
+	config := ocsv.default_streaming_config(collect_rows_callback)
+	config.error_callback = collect_errors_callback
+	config.user_data = &ctx
+
+	parser := ocsv.streaming_parser_create(config)
+	defer ocsv.streaming_parser_destroy(parser)
+
+	chunks := []string{"id,name\n1,\"A", "n", "n\"x\n"}
+	for chunk in chunks[:2] {
+		testing.expect(t, ocsv.streaming_parser_process_chunk(parser, transmute([]byte)chunk))
+	}
+	testing.expect(t, !ocsv.streaming_parser_process_chunk(parser, transmute([]byte)chunks[2]))
+
+	testing.expect_value(t, len(ctx.errors), 1)
+	testing.expect_value(t, ctx.errors[0].code, ocsv.Parse_Error.Invalid_Character_After_Quote)
+	testing.expect_value(t, ctx.errors[0].line, 2)
+	testing.expect_value(t, ctx.errors[0].column, 8)
+	testing.expect_value(t, ctx.errors[0].offset, 15)
+	testing.expect_value(t, ctx.errors[0].ctx, "1,\"Ann\"x")
 }
 
 @(test)
@@ -555,3 +587,61 @@ test_streaming_performance_1k_rows :: proc(t: ^testing.T) {
 	testing.expect_value(t, rows_processed, 1001)
 	testing.expect_value(t, row_counter, 1001)
 }
+
+@(test)
+test_streaming_ffi_pull_interface :: proc(t: ^testing.T) {
+	// Quoted newline and UTF-8 character both split across chunks
+	parser := ocsv.parser_create()
+	defer ocsv.parser_destroy(parser)
+	parser.config.trim = true
+	parser.config.from_line = 2
+
+	stream := ocsv.ocsv_stream_create(parser)
+	defer ocsv.ocsv_stream_destroy(stream)
+
+	chunks := []string{"skip,me\n  a ,\"multi", "\nline\"\nb,\xc3", "\xa9\n"}
+	for chunk in chunks {
+		status := ocsv.ocsv_stream_write(stream, raw_data(chunk), i32(len(chunk)))
+		testing.expect_value(t, status, i32(0))
+	}
+	testing.expect_value(t, ocsv.ocsv_stream_finish(stream), i32(0))
+
+	// Rows are collected until taken
+	testing.expect_value(t, len(stream.pending_rows), 2)
+	testing.expect_value(t, stream.pending_rows[0][0], "a")
+	testing.expect_value(t, stream.pending_rows[0][1], "multi\nline")
+	testing.expect_value(t, stream.pending_rows[1][1], "é")
+
+	size: i32
+	buffer := ocsv.ocsv_stream_take_rows(stream, &size)
+	testing.expect(t, buffer != nil, "Should return packed buffer")
+	testing.expect(t, size > 24, "Packed buffer should contain rows")
+	testing.expect_value(t, len(stream.pending_rows), 0)
+}
+
+@(test)
+test_streaming_ffi_to_line_and_errors :: proc(t: ^testing.T) {
+	parser := ocsv.parser_create()
+	defer ocsv.parser_destroy(parser)
+	parser.config.to_line = 2
+
+	stream := ocsv.ocsv_stream_create(parser)
+	defer ocsv.ocsv_stream_destroy(stream)
+
+	data := "r1\nr2\nr3\n"
+	testing.expect_value(t, ocsv.ocsv_stream_write(stream, raw_data(data), i32(len(data))), i32(1))
+	testing.expect_value(t, ocsv.ocsv_stream_finish(stream), i32(0))
+	testing.expect_value(t, len(stream.pending_rows), 2)
+
+	// Unterminated quote is reported at finish
+	bad_parser := ocsv.parser_create()
+	defer ocsv.parser_destroy(bad_parser)
+
+	bad_stream := ocsv.ocsv_stream_create(bad_parser)
+	defer ocsv.ocsv_stream_destroy(bad_stream)
+
+	bad := "a,\"b\n"
+	testing.expect_value(t, ocsv.ocsv_stream_write(bad_stream, raw_data(bad), i32(len(bad))), i32(0))
+	testing.expect_value(t, ocsv.ocsv_stream_finish(bad_stream), i32(-1))
+	testing.expect_value(t, ocsv.Parse_Error(ocsv.ocsv_stream_get_error_code(bad_stream)), ocsv.Parse_Error.Unterminated_Quote)
+}
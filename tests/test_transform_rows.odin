@@ -0,0 +1,66 @@
+package tests
+
+import "core:testing"
+import ocsv "../src"
+
+// ============================================================================
+// Transform Pipeline Tests (parsed rows)
+// ============================================================================
+
+@(test)
+test_transform_rows_pipeline :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "name,email\n  ann  lee ,  ANN@X.COM\nbob,,\n"))
+
+    registry := ocsv.registry_create()
+    defer ocsv.registry_destroy(registry)
+    pipeline := ocsv.pipeline_create()
+    defer ocsv.pipeline_destroy(pipeline)
+
+    ocsv.pipeline_add_step(pipeline, ocsv.TRANSFORM_TRIM, -1)
+    ocsv.pipeline_add_step(pipeline, ocsv.TRANSFORM_NORMALIZE_SPACE, 0)
+    ocsv.pipeline_add_step(pipeline, ocsv.TRANSFORM_CAPITALIZE, 0)
+    ocsv.pipeline_add_step(pipeline, ocsv.TRANSFORM_LOWERCASE, 1)
+
+    testing.expect_value(t, ocsv.transform_rows(parser, pipeline, registry, true), 2)
+
+    testing.expect_value(t, parser.all_rows[0][0], "name")  // Header unchanged
+    testing.expect_value(t, parser.all_rows[1][0], "Ann lee")
+    testing.expect_value(t, parser.all_rows[1][1], "ann@x.com")
+    testing.expect_value(t, parser.all_rows[2][0], "Bob")
+    testing.expect(t, ocsv.is_null_field(parser.all_rows[2][1]))  // Null fields are skipped
+}
+
+@(test)
+test_transform_keeps_emptied_fields_non_null :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "   ,\"\""))
+
+    registry := ocsv.registry_create()
+    defer ocsv.registry_destroy(registry)
+    pipeline := ocsv.pipeline_create()
+    defer ocsv.pipeline_destroy(pipeline)
+    ocsv.pipeline_add_step(pipeline, ocsv.TRANSFORM_TRIM, -1)
+
+    ocsv.transform_rows(parser, pipeline, registry, false)
+    testing.expect_value(t, parser.all_rows[0][0], "")
+    testing.expect(t, !ocsv.is_null_field(parser.all_rows[0][0]))
+    testing.expect(t, !ocsv.is_null_field(parser.all_rows[0][1]))
+}
+
+@(test)
+test_transform_rows_ffi_rejects_unknown_names :: proc(t: ^testing.T) {
+    parser := ocsv.parser_create()
+    defer ocsv.parser_destroy(parser)
+
+    testing.expect(t, ocsv.parse_csv(parser, "a,b\n x ,y"))
+
+    testing.expect_value(t, ocsv.ocsv_transform_rows(parser, `[{"column":0,"transform":"rot13"}]`, true), -1)
+    testing.expect_value(t, ocsv.ocsv_transform_rows(parser, `{"column":0}`, true), -1)
+    testing.expect_value(t, ocsv.ocsv_transform_rows(parser, `[{"column":0,"transform":"uppercase"},{"column":0,"transform":"trim"}]`, true), 1)
+    testing.expect_value(t, parser.all_rows[1][0], "X")
+}